@@ -3,6 +3,8 @@
  */
 
 import mongoose from 'mongoose';
+import { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT } from '../utils/outputFormats.js';
+import { WARNING_SEVERITIES } from '../utils/transformers/helpers.js';
 
 const uploadSchema = new mongoose.Schema({
     uploadId: {
@@ -43,6 +45,45 @@ const uploadSchema = new mongoose.Schema({
         type: String,
         default: 'AGNE'
     },
+    vendorSource: {
+        type: String,
+        enum: ['selected', 'detected', 'default'],
+        default: 'selected'
+    },
+    vendorSuggestions: {
+        type: mongoose.Schema.Types.Mixed, // Ranked detection results
+        default: []
+    },
+    columnWarnings: [{
+        type: String
+    }],
+    headerRow: {
+        type: Number // 1-based row holding column names
+    },
+    headerRowSource: {
+        type: String,
+        enum: ['detected', 'selected'],
+        default: 'detected'
+    },
+    rawRows: {
+        type: mongoose.Schema.Types.Mixed, // Top rows before the header is applied
+        default: []
+    },
+    csvDialect: {
+        type: mongoose.Schema.Types.Mixed // CSV only: { delimiter, quote, encoding, bom }
+    },
+    csvDialectSource: {
+        type: String,
+        enum: ['detected', 'selected'],
+        default: 'detected'
+    },
+    sheets: {
+        type: mongoose.Schema.Types.Mixed, // Excel only: [{ name, rowCount, headerRow, headerRowSource, rawRows, columns, preview }]
+        default: []
+    },
+    selectedSheets: [{
+        type: String
+    }],
     status: {
         type: String,
         enum: ['uploaded', 'previewed', 'transformed', 'error'],
@@ -51,6 +92,11 @@ const uploadSchema = new mongoose.Schema({
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    // Set on every change; decides which copy wins when the memory store is moved into MongoDB
+    updatedAt: {
+        type: Date,
+        default: Date.now
     }
 });
 
@@ -70,43 +116,163 @@ const transformSchema = new mongoose.Schema({
         type: String,
         ref: 'DepositMap'
     },
+    depositMapFilename: {
+        type: String
+    },
+    depositMapSource: {
+        type: String,
+        enum: ['selected', 'vendor-default', 'builtin', 'none'],
+        default: 'none'
+    },
     outputPath: {
         type: String,
         required: true
     },
     outputFormat: {
         type: String,
-        enum: ['csv', 'xlsx', 'xls'],
-        default: 'csv'
+        enum: Object.keys(OUTPUT_FORMATS),
+        default: DEFAULT_OUTPUT_FORMAT
     },
     vendorId: {
         type: String,
         default: 'AGNE'
     },
+    sheetNames: [{
+        type: String
+    }],
+    includeSourceSheet: {
+        type: Boolean,
+        default: false
+    },
+    // Rows rejected by the vendor's validation policy are written here, if there are any
+    rejectsPath: {
+        type: String
+    },
+    rejectedCount: {
+        type: Number,
+        default: 0
+    },
+    // Item, price and special columns of the output, compared by price-change reports
+    snapshotPath: {
+        type: String
+    },
+    // Transform this one re-ran, with the rules as they were at the time of the re-run
+    rerunOf: {
+        type: String,
+        default: null,
+        index: true
+    },
+    // Strict mode fails the transform once more than errorThreshold rows are rejected or have errors
+    strict: {
+        type: Boolean,
+        default: false
+    },
+    errorThreshold: {
+        type: Number,
+        default: 0
+    },
     rowsProcessed: {
         type: Number,
         default: 0
     },
+    totalRows: {
+        type: Number
+    },
+    // Row warnings are stored as TransformWarning documents
+    warningCount: {
+        type: Number,
+        default: 0
+    },
+    // Warning counts: { bySeverity: { error: n }, byCode: { INVALID_PRICE: n } }
+    warningSummary: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Free-text warnings of transforms run before structured warnings
     warnings: [{
         type: String
     }],
     status: {
         type: String,
-        enum: ['processing', 'completed', 'failed'],
-        default: 'processing'
+        enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+        default: 'queued',
+        index: true
     },
     error: {
         type: String
     },
+    // Runs started, including retries
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // A retry waits in the queue until this time
+    runAfter: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
     },
+    // Set on every change; decides which copy wins when the memory store is moved into MongoDB
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    startedAt: {
+        type: Date
+    },
     completedAt: {
         type: Date
     }
 });
 
+// History lists transforms newest first, paging by creation time and transform ID
+transformSchema.index({ createdAt: -1, transformId: -1 });
+transformSchema.index({ vendorId: 1, createdAt: -1, transformId: -1 });
+
+// One document per row warning, so large files don't outgrow the Transform document
+const transformWarningSchema = new mongoose.Schema({
+    transformId: {
+        type: String,
+        required: true,
+        ref: 'Transform'
+    },
+    row: {
+        type: Number
+    },
+    sheet: {
+        type: String
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    severity: {
+        type: String,
+        enum: WARNING_SEVERITIES,
+        required: true
+    },
+    sourceColumn: {
+        type: String
+    },
+    outputColumn: {
+        type: String
+    },
+    value: {
+        type: String
+    },
+    message: {
+        type: String,
+        required: true
+    }
+}, { versionKey: false });
+
+transformWarningSchema.index({ transformId: 1, row: 1 });
+transformWarningSchema.index({ transformId: 1, code: 1, row: 1 });
+transformWarningSchema.index({ transformId: 1, severity: 1, row: 1 });
+
 const depositMapSchema = new mongoose.Schema({
     depositMapId: {
         type: String,
@@ -123,9 +289,9 @@ const depositMapSchema = new mongoose.Schema({
         required: true
     },
     mappings: {
-        type: Map,
-        of: String, // UPC/Item -> DepositID
-        default: new Map()
+        // Amount/UPC/Item -> DepositID; amounts such as "0.05" aren't valid Map keys
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
     },
     totalMappings: {
         type: Number,
@@ -134,9 +300,134 @@ const depositMapSchema = new mongoose.Schema({
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    // Set on every change; decides which copy wins when the memory store is moved into MongoDB
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Item master: the latest known values of each vendor item, updated after every completed transform
+const catalogItemSchema = new mongoose.Schema({
+    vendorId: {
+        type: String,
+        required: true
+    },
+    // "code:<Product Code>", or "upc:<UPC>" for items without a product code
+    itemKey: {
+        type: String,
+        required: true
+    },
+    productCode: {
+        type: String,
+        default: ''
+    },
+    upc: {
+        type: String,
+        default: ''
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Fed back to transforms as the original department for department preservation
+    departmentId: {
+        type: String,
+        default: ''
+    },
+    price: {
+        type: String,
+        default: ''
+    },
+    cost: {
+        type: String,
+        default: ''
+    },
+    // Completed transforms the item was listed in
+    timesSeen: {
+        type: Number,
+        default: 0
+    },
+    firstSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastTransformId: {
+        type: String,
+        ref: 'Transform'
+    }
+}, { versionKey: false });
+
+catalogItemSchema.index({ vendorId: 1, itemKey: 1 }, { unique: true });
+
+const vendorProfileSchema = new mongoose.Schema({
+    vendorId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    vendorName: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    supportedFormats: [{
+        type: String
+    }],
+    columns: {
+        type: mongoose.Schema.Types.Mixed, // Declarative column definitions
+        default: []
+    },
+    outputColumns: [{
+        type: String
+    }],
+    defaultOutputFormat: {
+        type: String,
+        enum: [...Object.keys(OUTPUT_FORMATS), null],
+        default: null
+    },
+    // Warning code -> warn, blank or reject
+    validationPolicy: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Overrides of DEFAULT_PRICING_RULES
+    pricingRules: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Overrides of DEFAULT_DATE_RULES
+    dateRules: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Overrides of DEFAULT_COMPARISON_COLUMNS for price-change reports and the item catalog
+    comparisonColumns: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
     }
 });
 
 export const Upload = mongoose.model('Upload', uploadSchema);
 export const Transform = mongoose.model('Transform', transformSchema);
+export const TransformWarning = mongoose.model('TransformWarning', transformWarningSchema);
 export const DepositMap = mongoose.model('DepositMap', depositMapSchema);
+export const VendorProfile = mongoose.model('VendorProfile', vendorProfileSchema);
+export const CatalogItem = mongoose.model('CatalogItem', catalogItemSchema);
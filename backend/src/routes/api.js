@@ -6,17 +6,429 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import { once } from 'events';
 import { v4 as uuidv4 } from 'uuid';
-import { Upload, Transform, DepositMap } from '../models/models.js';
-import { parseFile, streamProcessFile, getFileType } from '../utils/fileProcessor.js';
-import { transformRow, getOutputColumns, getAvailableVendors, getDefaultVendor } from '../utils/transformer.js';
-import mongoose from 'mongoose';
-import { memoryStore } from '../utils/memoryStore.js';
+import { Transform } from '../models/models.js';
+import {
+    parseFile,
+    getFileType,
+    getExcelSheetPreviews,
+    readRawRows,
+    formatCSVLine
+} from '../utils/fileProcessor.js';
+import { detectHeaderRow } from '../utils/headerRow.js';
+import { sniffCSVDialect, validateCSVDialect } from '../utils/csvDialect.js';
+import {
+    getOutputColumns,
+    getAvailableVendors,
+    getDefaultVendor,
+    isVendorSupported,
+    isBuiltinVendor,
+    getVendorOutputFormat
+} from '../utils/transformer.js';
+import {
+    OUTPUT_FORMATS,
+    DEFAULT_OUTPUT_FORMAT,
+    isOutputFormat,
+    getAvailableOutputFormats
+} from '../utils/outputFormats.js';
+import { buildDepositMappings, resolveDepositMapping } from '../utils/depositMapping.js';
+import {
+    createDeclarativeTransformer,
+    validateVendorDefinition,
+    getAvailableTransforms
+} from '../utils/transformers/declarativeVendor.js';
+import { getVendorDefinition, saveVendorProfile, deleteVendorProfile } from '../utils/vendorProfiles.js';
+import {
+    detectVendor,
+    detectVendorSheet,
+    getVendorColumnWarnings,
+    getMinDetectionConfidence
+} from '../utils/vendorDetection.js';
+import { getTransformQueue, getTransformRows, getTransformLineage, countReruns } from '../utils/transformJobs.js';
+import {
+    subscribeTransformEvents,
+    toTransformEvent,
+    getTransformProgress,
+    isFinishedStatus,
+    isEventBehind
+} from '../utils/transformEvents.js';
+import {
+    findTransformWarnings,
+    iterateTransformWarnings,
+    groupTransformWarnings,
+    getWarningTotals,
+    getPricingSummary
+} from '../utils/transformWarnings.js';
+import {
+    WARNING_SEVERITIES,
+    applyValidationPolicy,
+    checkPricingRules,
+    checkDateRules
+} from '../utils/transformers/helpers.js';
+import { CHANGE_TYPES, getPriceChangeReport } from '../utils/priceChanges.js';
+import { findCatalogItems, summarizeCatalog } from '../utils/itemCatalog.js';
+import { findHistory } from '../utils/transformHistory.js';
+import { deleteTransform, deleteUnusedUpload, getStorageReport, sweepFiles } from '../utils/fileRetention.js';
+import { uploadRepository, transformRepository, depositMapRepository } from '../utils/repositories.js';
 
 const router = express.Router();
 
-// Helper to check DB connection
-const isDbConnected = () => mongoose.connection.readyState === 1;
+// Rows kept as upload preview (per sheet for Excel workbooks)
+const PREVIEW_ROWS = 50;
+
+// Warnings included in a transform's status; the rest are paged through /warnings
+const WARNING_PREVIEW_LIMIT = 50;
+const WARNING_PAGE_LIMIT = 100;
+const MAX_WARNING_PAGE_LIMIT = 1000;
+
+// Transforms per history page
+const HISTORY_PAGE_LIMIT = 50;
+const MAX_HISTORY_PAGE_LIMIT = 200;
+
+// Statuses history can be filtered by
+const TRANSFORM_STATUSES = Transform.schema.path('status').enumValues;
+
+// Input rows that can be looked up in one request
+const MAX_ROW_LOOKUP = 100;
+
+/**
+ * Get the error threshold used by strict mode when a transform doesn't set one
+ * @returns {number} - STRICT_ERROR_THRESHOLD, or 0 when it is unset or not a non-negative number
+ */
+const getDefaultErrorThreshold = () => {
+    const value = parseInt(process.env.STRICT_ERROR_THRESHOLD, 10);
+    return Number.isFinite(value) && value >= 0 ? value : 0;
+};
+
+// Columns of a warnings CSV export
+const WARNING_EXPORT_COLUMNS = [
+    ['Row', 'row'],
+    ['Sheet', 'sheet'],
+    ['Severity', 'severity'],
+    ['Code', 'code'],
+    ['Source Column', 'sourceColumn'],
+    ['Output Column', 'outputColumn'],
+    ['Original Value', 'value'],
+    ['Message', 'message']
+];
+
+// Price-change report columns: [CSV header, change field]
+const CHANGE_EXPORT_COLUMNS = [
+    ['Change', 'type'],
+    ['Product Code', 'productCode'],
+    ['UPC', 'upc'],
+    ['Description', 'description'],
+    ['Field', 'field'],
+    ['Old Value', 'oldValue'],
+    ['New Value', 'newValue'],
+    ['Difference', 'difference'],
+    ['Percent Change', 'percentChange']
+];
+
+// Comment lines sent on idle event streams so proxies keep them open
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
+
+/**
+ * Split a comma-separated query parameter
+ * @param {string|undefined} value - Query value
+ * @returns {string[]}
+ */
+const parseListParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Read the code and severity filters of a warnings request
+ * @param {Object} query - Request query
+ * @returns {{codes: string[], severities: string[], error: string|null}}
+ */
+function parseWarningFilters(query) {
+    const codes = parseListParam(query.code).map(code => code.toUpperCase());
+    const severities = parseListParam(query.severity).map(severity => severity.toLowerCase());
+
+    const unknownSeverity = severities.find(severity => !WARNING_SEVERITIES.includes(severity));
+    const error = unknownSeverity
+        ? `Unknown severity "${unknownSeverity}". Expected one of: ${WARNING_SEVERITIES.join(', ')}`
+        : null;
+
+    return { codes, severities, error };
+}
+
+/**
+ * Parse the change type filter of price-change report requests
+ * @param {Object} query - Request query
+ * @returns {{types: string[], error: string|null}}
+ */
+function parseChangeTypes(query) {
+    const types = parseListParam(query.type).map(type => type.toUpperCase());
+    const unknownType = types.find(type => !CHANGE_TYPES.includes(type));
+    const error = unknownType
+        ? `Unknown change type "${unknownType}". Expected one of: ${CHANGE_TYPES.join(', ')}`
+        : null;
+
+    return { types, error };
+}
+
+/**
+ * Parse the filters and paging of a history request
+ * from and to take dates or timestamps; a date alone covers its whole (UTC) day
+ * @param {Object} query - Request query
+ * @returns {{filters: Object, cursor: string|null, limit: number, error: string|null}} - filters as
+ *   taken by findHistory()
+ */
+function parseHistoryQuery(query) {
+    const statuses = parseListParam(query.status).map(status => status.toLowerCase());
+    const limit = query.limit !== undefined ? Number(query.limit) : HISTORY_PAGE_LIMIT;
+    const filters = {
+        vendorId: typeof query.vendorId === 'string' ? query.vendorId.trim() : '',
+        statuses,
+        search: typeof query.search === 'string' ? query.search : '',
+        from: null,
+        to: null,
+        hasWarnings: null
+    };
+    const cursor = typeof query.cursor === 'string' && query.cursor ? query.cursor : null;
+    const result = { filters, cursor, limit, error: null };
+
+    const unknownStatus = statuses.find(status => !TRANSFORM_STATUSES.includes(status));
+    if (unknownStatus) {
+        result.error = `Unknown status "${unknownStatus}". Expected one of: ${TRANSFORM_STATUSES.join(', ')}`;
+        return result;
+    }
+
+    for (const bound of ['from', 'to']) {
+        if (query[bound] === undefined || query[bound] === '') continue;
+        const date = new Date(query[bound]);
+        if (Number.isNaN(date.getTime())) {
+            result.error = `${bound} must be a date (YYYY-MM-DD) or an ISO timestamp`;
+            return result;
+        }
+        if (bound === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        filters[bound] = date;
+    }
+
+    if (query.hasWarnings !== undefined && query.hasWarnings !== '') {
+        if (!['true', 'false'].includes(query.hasWarnings)) {
+            result.error = 'hasWarnings must be true or false';
+            return result;
+        }
+        filters.hasWarnings = query.hasWarnings === 'true';
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_LIMIT) {
+        result.error = `limit must be an integer from 1 to ${MAX_HISTORY_PAGE_LIMIT}`;
+    }
+
+    return result;
+}
+
+/**
+ * Start a Server-Sent Events response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} onClose - Called once when the client disconnects or the stream is ended
+ * @returns {{send: (event: string, data: Object) => void, end: () => void}}
+ */
+function openEventStream(req, res, onClose) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+    let closed = false;
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        onClose();
+    };
+    req.on('close', close);
+
+    return {
+        send(event, data) {
+            if (!closed) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        },
+        end() {
+            if (closed) return;
+            close();
+            res.end();
+        }
+    };
+}
+
+/**
+ * Choose the vendor for an upload's header row
+ * Uses the requested vendor, then a confident detection, then the default vendor
+ * @param {string[]} columns - Header row
+ * @param {string} requestedVendorId - Vendor chosen by the user, if any
+ * @returns {{vendorId: string, vendorSource: string, vendorSuggestions: Array, columnWarnings: string[]}}
+ */
+function resolveUploadVendor(columns, requestedVendorId) {
+    const vendorSuggestions = detectVendor(columns);
+    const detected = vendorSuggestions[0];
+
+    let vendorId = requestedVendorId;
+    let vendorSource = 'selected';
+    if (!vendorId) {
+        if (detected && detected.confidence >= getMinDetectionConfidence()) {
+            vendorId = detected.vendorId;
+            vendorSource = 'detected';
+        } else {
+            vendorId = getDefaultVendor();
+            vendorSource = 'default';
+        }
+    }
+
+    return {
+        vendorId,
+        vendorSource,
+        vendorSuggestions,
+        columnWarnings: getVendorColumnWarnings(vendorId, columns, vendorSuggestions)
+    };
+}
+
+/**
+ * Resolve a transform's output format, sheets and deposit mapping, and queue it
+ * @param {Object} uploadRecord - Upload to transform
+ * @param {Object} settings
+ * @param {string} settings.vendorId - Vendor whose rules are applied
+ * @param {string|null} settings.depositMapId - Selected deposit map; null uses the vendor default
+ * @param {string} settings.outputFormat - Output format (default: the vendor's)
+ * @param {string[]} settings.sheetNames - Workbook sheets (default: the upload's selection)
+ * @param {boolean} settings.includeSourceSheet - Add the source sheet column to workbook output
+ * @param {boolean} settings.strict - Fail once more than errorThreshold rows are rejected or have errors
+ * @param {number} settings.errorThreshold - Strict mode threshold
+ * @param {string|null} settings.rerunOf - Transform this one re-runs
+ * @returns {Promise<Object>} Queued transform record
+ * @throws {Error} With status 400 for invalid settings and 404 for an unknown deposit map
+ */
+async function queueTransform(uploadRecord, settings) {
+    const { vendorId, depositMapId = null, rerunOf = null } = settings;
+    const fail = (status, message) => {
+        const error = new Error(message);
+        error.status = status;
+        throw error;
+    };
+
+    // Output format: requested, then the vendor default
+    const outputFormat = settings.outputFormat || getVendorOutputFormat(vendorId);
+    if (!isOutputFormat(outputFormat)) {
+        fail(400, `Unsupported output format: ${outputFormat}`);
+    }
+
+    // Sheets to process: requested, then the upload's selection
+    const sheetNames = settings.sheetNames || uploadRecord.selectedSheets || [];
+    if (!Array.isArray(sheetNames)) {
+        fail(400, 'sheets must be an array of sheet names');
+    }
+    if (uploadRecord.fileType === 'excel') {
+        const unknown = sheetNames.filter(name => !(uploadRecord.sheets || []).some(sheet => sheet.name === name));
+        if (unknown.length > 0) {
+            fail(400, `Sheet not found: ${unknown.join(', ')}`);
+        }
+    }
+
+    // Resolve deposit mapping: selected map, vendor default, then built-in file
+    const depositResult = await resolveDepositMapping({
+        depositMapId,
+        vendorId,
+        findDepositMap: (id) => depositMapRepository.findById(id)
+    });
+
+    // Generate timestamp for filename: export_<timestamp>.<extension>
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+    const transformId = uuidv4();
+    const outputDir = process.env.UPLOAD_DIR || './uploads';
+
+    // Queue the transform; it runs in the background when a slot is free
+    return getTransformQueue().enqueue({
+        transformId,
+        uploadId: uploadRecord.uploadId,
+        outputPath: path.join(outputDir, `export_${timestamp}_${transformId}.${OUTPUT_FORMATS[outputFormat].extension}`),
+        rejectsPath: path.join(outputDir, `rejects_${timestamp}_${transformId}.csv`),
+        snapshotPath: path.join(outputDir, `items_${timestamp}_${transformId}.jsonl`),
+        outputFormat,
+        vendorId,
+        strict: Boolean(settings.strict),
+        errorThreshold: settings.errorThreshold,
+        sheetNames: uploadRecord.fileType === 'excel' ? sheetNames : [],
+        includeSourceSheet: uploadRecord.fileType === 'excel' && Boolean(settings.includeSourceSheet),
+        depositMapId: depositResult.depositMapId,
+        depositMapFilename: depositResult.depositMapFilename,
+        depositMapSource: depositResult.depositMapSource,
+        rerunOf,
+        status: 'queued'
+    });
+}
+
+/**
+ * Describe a queued transform in the response of the routes that start one
+ * @param {Object} transformRecord - Queued transform record
+ * @returns {Object}
+ */
+const toQueuedResponse = (transformRecord) => ({
+    transformId: transformRecord.transformId,
+    vendorId: transformRecord.vendorId,
+    depositMapId: transformRecord.depositMapId,
+    depositMapFilename: transformRecord.depositMapFilename,
+    depositMapSource: transformRecord.depositMapSource,
+    outputFormat: transformRecord.outputFormat,
+    sheetNames: transformRecord.sheetNames,
+    includeSourceSheet: transformRecord.includeSourceSheet,
+    strict: transformRecord.strict,
+    errorThreshold: transformRecord.errorThreshold,
+    rerunOf: transformRecord.rerunOf || null,
+    message: 'Transformation queued',
+    status: 'queued'
+});
+
+/**
+ * Describe a transform in history listings
+ * @param {Object} transform - Transform record
+ * @param {Object} rerunCounts - Transform ID -> number of re-runs, from countReruns()
+ * @param {Object} options
+ * @param {boolean} options.withFilename - The transform already carries its upload's filename, as
+ *   findHistory() records do; otherwise the upload is looked up
+ * @returns {Promise<Object>}
+ */
+async function toHistoryEntry(transform, rerunCounts = {}, { withFilename = false } = {}) {
+    let filename = withFilename ? transform.filename : undefined;
+    if (!withFilename) {
+        const upload = await uploadRepository.findById(transform.uploadId, { projection: ['filename'] });
+        filename = upload?.filename;
+    }
+
+    return {
+        transformId: transform.transformId,
+        uploadId: transform.uploadId,
+        filename: filename || 'Unknown',
+        status: transform.status,
+        vendorId: transform.vendorId,
+        depositMapId: transform.depositMapId,
+        depositMapFilename: transform.depositMapFilename,
+        depositMapSource: transform.depositMapSource,
+        outputFormat: transform.outputFormat || DEFAULT_OUTPUT_FORMAT,
+        sheetNames: transform.sheetNames || [],
+        rowsProcessed: transform.rowsProcessed,
+        rejectedCount: transform.rejectedCount || 0,
+        strict: transform.strict || false,
+        warningCount: getWarningTotals(transform).warningCount,
+        attempts: transform.attempts || 0,
+        rerunOf: transform.rerunOf || null,
+        rerunCount: rerunCounts[transform.transformId] || 0,
+        createdAt: transform.createdAt,
+        startedAt: transform.startedAt,
+        completedAt: transform.completedAt
+    };
+}
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -40,286 +452,1173 @@ const upload = multer({
     },
     fileFilter: (req, file, cb) => {
         const ext = path.extname(file.originalname).toLowerCase();
-        if (['.csv', '.xlsx', '.xls'].includes(ext)) {
+        if (['.csv', '.tsv', '.txt', '.xlsx', '.xls'].includes(ext)) {
             cb(null, true);
         } else {
-            cb(new Error('Only CSV and Excel files are allowed'));
+            cb(new Error('Only CSV, TSV, TXT and Excel files are allowed'));
+        }
+    }
+});
+
+/**
+ * GET /api/vendors
+ * Get list of available vendors
+ */
+router.get('/vendors', async (req, res) => {
+    try {
+        const vendors = getAvailableVendors();
+        res.json({
+            vendors,
+            defaultVendor: getDefaultVendor(),
+            availableTransforms: getAvailableTransforms(),
+            outputFormats: getAvailableOutputFormats()
+        });
+    } catch (error) {
+        console.error('Vendors error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/vendors/:vendorId
+ * Get a vendor's editable definition
+ * Built-in code vendors return a read-only clone template
+ */
+router.get('/vendors/:vendorId', async (req, res) => {
+    try {
+        const { vendorId } = req.params;
+
+        if (!isVendorSupported(vendorId)) {
+            return res.status(404).json({ error: `Vendor "${vendorId}" not found` });
+        }
+
+        const vendor = getAvailableVendors().find(v => v.vendorId === vendorId);
+
+        res.json({
+            ...vendor,
+            readOnly: isBuiltinVendor(vendorId),
+            definition: getVendorDefinition(vendorId)
+        });
+    } catch (error) {
+        console.error('Vendor error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/vendors/:vendorId
+ * Create a vendor profile
+ * Body: vendor definition (vendorName, description, supportedFormats, columns, outputColumns)
+ */
+router.post('/vendors/:vendorId', async (req, res) => {
+    try {
+        const definition = await saveVendorProfile(
+            { ...req.body, vendorId: req.params.vendorId },
+            { isNew: true }
+        );
+
+        res.status(201).json({
+            definition,
+            message: 'Vendor created successfully'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        console.error('Vendor create error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/vendors/:vendorId
+ * Update a vendor profile (built-in vendors are read-only)
+ */
+router.put('/vendors/:vendorId', async (req, res) => {
+    try {
+        const definition = await saveVendorProfile(
+            { ...req.body, vendorId: req.params.vendorId },
+            { isNew: false }
+        );
+
+        res.json({
+            definition,
+            message: 'Vendor updated successfully'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        console.error('Vendor update error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/vendors/:vendorId
+ * Delete a vendor profile (built-in vendors are read-only)
+ */
+router.delete('/vendors/:vendorId', async (req, res) => {
+    try {
+        const deleted = await deleteVendorProfile(req.params.vendorId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: `Vendor "${req.params.vendorId}" not found` });
+        }
+
+        res.json({ message: 'Vendor deleted successfully' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Vendor delete error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/vendors/:vendorId/test
+ * Test an unsaved vendor definition against an uploaded file's preview
+ * Body: { uploadId: string, definition: Object }
+ */
+router.post('/vendors/:vendorId/test', async (req, res) => {
+    try {
+        const { uploadId, definition = {} } = req.body;
+
+        if (!uploadId) {
+            return res.status(400).json({ error: 'uploadId is required' });
+        }
+
+        const fullDefinition = { ...definition, vendorId: req.params.vendorId };
+        const errors = validateVendorDefinition(fullDefinition);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid vendor definition', details: errors });
+        }
+
+        const uploadRecord = await uploadRepository.findById(uploadId);
+
+        if (!uploadRecord) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        const transformer = createDeclarativeTransformer(fullDefinition);
+        const warnings = [];
+        const rejected = [];
+        const rows = (uploadRecord.preview || []).map((row, index) => {
+            const result = applyValidationPolicy(
+                checkDateRules(
+                    checkPricingRules(
+                        transformer.transformRow(row, {}, { vendorId: fullDefinition.vendorId }),
+                        fullDefinition.pricingRules
+                    ),
+                    fullDefinition.dateRules
+                ),
+                fullDefinition.validationPolicy
+            );
+            warnings.push(...result.warnings.map(warning => ({ row: index + 1, ...warning })));
+            if (result.rejectReasons) {
+                rejected.push({ row: index + 1, reasons: result.rejectReasons });
+            }
+            return result.transformedRow;
+        });
+
+        res.json({
+            uploadId,
+            columns: uploadRecord.columns,
+            outputColumns: transformer.getOutputColumns(),
+            rows,
+            warnings,
+            rejected
+        });
+    } catch (error) {
+        console.error('Vendor test error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/upload-file
+ * Upload a CSV/Excel file for transformation
+ * Body: { vendorId?: string } (optional, detected from the header row when missing)
+ */
+router.post('/upload-file', upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const uploadId = uuidv4();
+        const fileType = getFileType(req.file.originalname);
+
+        if (req.body.vendorId && !isVendorSupported(req.body.vendorId)) {
+            return res.status(400).json({ error: `Vendor "${req.body.vendorId}" not found` });
+        }
+
+        // Excel workbooks: preview every sheet and start with the one that looks like vendor data
+        // The header row is detected below any title or banner rows
+        let sheets = [];
+        let selectedSheets = [];
+        let preview = [];
+        let rawRows = [];
+        let headerRow = null;
+        let csvDialect = null;
+        if (fileType === 'excel') {
+            sheets = (await getExcelSheetPreviews(req.file.path, PREVIEW_ROWS))
+                .map(sheet => ({ ...sheet, headerRowSource: 'detected' }));
+            const defaultSheet = sheets.find(sheet => sheet.name === detectVendorSheet(sheets));
+            if (defaultSheet) {
+                selectedSheets = [defaultSheet.name];
+                ({ preview, rawRows, headerRow } = defaultSheet);
+            }
+        } else {
+            // Delimiter, quote and encoding are sniffed once and reused by the transform
+            csvDialect = await sniffCSVDialect(req.file.path);
+            rawRows = await readRawRows(req.file.path, { csvDialect });
+            headerRow = detectHeaderRow(rawRows);
+            preview = await parseFile(req.file.path, PREVIEW_ROWS, { headerRow, csvDialect });
+        }
+        const columns = preview.length > 0 ? Object.keys(preview[0]) : [];
+
+        // Detect vendor from header row; use it when no vendor was chosen
+        const { vendorId, vendorSource, vendorSuggestions, columnWarnings } =
+            resolveUploadVendor(columns, req.body.vendorId);
+
+        // Create upload record with vendor info
+        await uploadRepository.create({
+            uploadId,
+            filename: req.file.originalname,
+            originalPath: req.file.path,
+            fileType,
+            fileSize: req.file.size,
+            rowCount: preview.length, // Approximate for preview
+            columns,
+            preview,
+            vendorId,
+            vendorSource,
+            vendorSuggestions,
+            columnWarnings,
+            headerRow,
+            headerRowSource: 'detected',
+            rawRows,
+            csvDialect,
+            csvDialectSource: 'detected',
+            sheets,
+            selectedSheets,
+            status: 'previewed'
+        });
+
+        res.json({
+            uploadId,
+            filename: req.file.originalname,
+            fileType,
+            fileSize: req.file.size,
+            preview,
+            columns,
+            vendorId,
+            vendorSource,
+            vendorSuggestions,
+            columnWarnings,
+            headerRow,
+            headerRowSource: 'detected',
+            rawRows,
+            csvDialect,
+            csvDialectSource: 'detected',
+            sheets,
+            selectedSheets,
+            message: 'File uploaded successfully'
+        });
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/upload/:uploadId/vendor
+ * Change the vendor used for an upload
+ * Body: { vendorId: string }
+ */
+router.put('/upload/:uploadId/vendor', async (req, res) => {
+    try {
+        const { uploadId } = req.params;
+        const { vendorId } = req.body;
+
+        if (!vendorId || !isVendorSupported(vendorId)) {
+            return res.status(400).json({ error: `Vendor "${vendorId}" not found` });
+        }
+
+        const uploadRecord = await uploadRepository.findById(uploadId);
+
+        if (!uploadRecord) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        const updated = await uploadRepository.updateById(uploadId, {
+            vendorId,
+            vendorSource: 'selected',
+            columnWarnings: getVendorColumnWarnings(
+                vendorId,
+                uploadRecord.columns || [],
+                uploadRecord.vendorSuggestions?.length ? uploadRecord.vendorSuggestions : undefined
+            )
+        });
+
+        res.json({
+            uploadId,
+            vendorId,
+            vendorSource: updated.vendorSource,
+            columnWarnings: updated.columnWarnings
+        });
+    } catch (error) {
+        console.error('Upload vendor error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/upload/:uploadId/sheets
+ * Choose which worksheets of an Excel upload are transformed
+ * Body: { sheets: string[] } (processed in the given order)
+ */
+router.put('/upload/:uploadId/sheets', async (req, res) => {
+    try {
+        const { uploadId } = req.params;
+        const { sheets } = req.body;
+
+        if (!Array.isArray(sheets) || sheets.length === 0) {
+            return res.status(400).json({ error: 'sheets must be a non-empty array of sheet names' });
+        }
+
+        const uploadRecord = await uploadRepository.findById(uploadId);
+
+        if (!uploadRecord) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        if (uploadRecord.fileType !== 'excel') {
+            return res.status(400).json({ error: 'Sheet selection is only available for Excel uploads' });
+        }
+
+        const workbookSheets = uploadRecord.sheets || [];
+        const unknown = sheets.filter(name => !workbookSheets.some(sheet => sheet.name === name));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Sheet not found: ${unknown.join(', ')}` });
+        }
+
+        // Columns and preview follow the first selected sheet
+        const selected = sheets.map(name => workbookSheets.find(sheet => sheet.name === name));
+        const [firstSheet] = selected;
+        const columns = firstSheet.columns;
+
+        const vendor = resolveUploadVendor(
+            columns,
+            uploadRecord.vendorSource === 'selected' ? uploadRecord.vendorId : undefined
+        );
+
+        const mismatched = selected.filter(sheet => sheet.columns.join('\u0000') !== columns.join('\u0000'));
+        if (mismatched.length > 0) {
+            vendor.columnWarnings.push(
+                `Columns of sheet(s) ${mismatched.map(sheet => `"${sheet.name}"`).join(', ')} differ from "${firstSheet.name}"`
+            );
+        }
+
+        await uploadRepository.updateById(uploadId, {
+            selectedSheets: sheets,
+            columns,
+            preview: firstSheet.preview,
+            headerRow: firstSheet.headerRow,
+            headerRowSource: firstSheet.headerRowSource,
+            rawRows: firstSheet.rawRows,
+            ...vendor
+        });
+
+        res.json({
+            uploadId,
+            selectedSheets: sheets,
+            columns,
+            preview: firstSheet.preview,
+            headerRow: firstSheet.headerRow,
+            headerRowSource: firstSheet.headerRowSource,
+            rawRows: firstSheet.rawRows,
+            ...vendor,
+            outputColumns: getOutputColumns(vendor.vendorId)
+        });
+    } catch (error) {
+        console.error('Upload sheets error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/upload/:uploadId/header
+ * Set which row holds the column names
+ * Body: { headerRow: number } (1-based), { skipRows: number }, or { headerRow: null } to re-detect;
+ * Excel uploads also take { sheet } (defaults to the first selected sheet)
+ */
+router.put('/upload/:uploadId/header', async (req, res) => {
+    try {
+        const { uploadId } = req.params;
+        const { skipRows } = req.body;
+
+        let headerRow = req.body.headerRow;
+        if (skipRows !== undefined) {
+            if (!Number.isInteger(skipRows) || skipRows < 0) {
+                return res.status(400).json({ error: 'skipRows must be a non-negative integer' });
+            }
+            headerRow = skipRows + 1;
+        } else if (headerRow === undefined) {
+            return res.status(400).json({ error: 'headerRow or skipRows is required' });
+        } else if (headerRow !== null && (!Number.isInteger(headerRow) || headerRow < 1)) {
+            return res.status(400).json({ error: 'headerRow must be a positive integer' });
+        }
+
+        const uploadRecord = await uploadRepository.findById(uploadId);
+
+        if (!uploadRecord) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        const isExcel = uploadRecord.fileType === 'excel';
+        const sheets = uploadRecord.sheets || [];
+        const sheetName = isExcel ? (req.body.sheet || uploadRecord.selectedSheets?.[0]) : null;
+        const sheetIndex = sheets.findIndex(sheet => sheet.name === sheetName);
+        if (isExcel && sheetIndex === -1) {
+            return res.status(400).json({ error: `Sheet not found: ${sheetName}` });
+        }
+
+        const storedRawRows = isExcel ? sheets[sheetIndex].rawRows : uploadRecord.rawRows;
+        const csvDialect = uploadRecord.csvDialect || null;
+        const rawRows = storedRawRows?.length
+            ? storedRawRows
+            : await readRawRows(uploadRecord.originalPath, { sheetName, csvDialect });
+        const headerRowSource = headerRow === null ? 'detected' : 'selected';
+        if (headerRow === null) {
+            headerRow = detectHeaderRow(rawRows);
+        }
+
+        const preview = await parseFile(uploadRecord.originalPath, PREVIEW_ROWS, { sheetName, headerRow, csvDialect });
+        const columns = preview.length > 0 ? Object.keys(preview[0]) : [];
+
+        // The upload's own columns and preview follow the first selected sheet
+        const isCurrent = !isExcel || sheetName === uploadRecord.selectedSheets?.[0];
+
+        const changes = {};
+        if (isExcel) {
+            const updatedSheets = [...sheets];
+            updatedSheets[sheetIndex] = { ...sheets[sheetIndex], headerRow, headerRowSource, rawRows, columns, preview };
+            changes.sheets = updatedSheets;
+        }
+        if (isCurrent) {
+            Object.assign(changes, {
+                headerRow,
+                headerRowSource,
+                rawRows,
+                columns,
+                preview,
+                ...resolveUploadVendor(
+                    columns,
+                    uploadRecord.vendorSource === 'selected' ? uploadRecord.vendorId : undefined
+                )
+            });
+        }
+
+        const updated = await uploadRepository.updateById(uploadId, changes);
+
+        // Upload-level fields describe the first selected sheet; `sheets` has every sheet's header
+        res.json({
+            uploadId,
+            sheet: sheetName,
+            headerRow: updated.headerRow,
+            headerRowSource: updated.headerRowSource,
+            rawRows: updated.rawRows,
+            columns: updated.columns,
+            preview: updated.preview,
+            sheets: updated.sheets || [],
+            vendorId: updated.vendorId,
+            vendorSource: updated.vendorSource,
+            vendorSuggestions: updated.vendorSuggestions,
+            columnWarnings: updated.columnWarnings,
+            outputColumns: getOutputColumns(updated.vendorId)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Upload header error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/upload/:uploadId/csv-options
+ * Override the sniffed delimiter, quote character or encoding of a CSV upload
+ * Body: { delimiter?, quote?, encoding? } (missing or null fields use the sniffed value)
+ */
+router.put('/upload/:uploadId/csv-options', async (req, res) => {
+    try {
+        const { uploadId } = req.params;
+        const overrides = {
+            delimiter: req.body.delimiter ?? null,
+            quote: req.body.quote ?? null,
+            encoding: req.body.encoding ?? null
+        };
+
+        const errors = validateCSVDialect(overrides);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid CSV options', details: errors });
+        }
+
+        const uploadRecord = await uploadRepository.findById(uploadId);
+
+        if (!uploadRecord) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        if (uploadRecord.fileType !== 'csv') {
+            return res.status(400).json({ error: 'CSV options are only available for CSV uploads' });
+        }
+
+        const sniffed = await sniffCSVDialect(uploadRecord.originalPath);
+        const csvDialect = { ...sniffed };
+        Object.entries(overrides).forEach(([key, value]) => {
+            if (value !== null) csvDialect[key] = value;
+        });
+        const csvDialectSource = Object.values(overrides).some(value => value !== null) ? 'selected' : 'detected';
+
+        // Re-read with the new dialect; a header row picked by the user is kept
+        const rawRows = await readRawRows(uploadRecord.originalPath, { csvDialect });
+        const headerRow = uploadRecord.headerRowSource === 'selected'
+            ? uploadRecord.headerRow
+            : detectHeaderRow(rawRows);
+        const preview = await parseFile(uploadRecord.originalPath, PREVIEW_ROWS, { headerRow, csvDialect });
+        const columns = preview.length > 0 ? Object.keys(preview[0]) : [];
+
+        const vendor = resolveUploadVendor(
+            columns,
+            uploadRecord.vendorSource === 'selected' ? uploadRecord.vendorId : undefined
+        );
+
+        await uploadRepository.updateById(uploadId, {
+            csvDialect,
+            csvDialectSource,
+            rawRows,
+            headerRow,
+            columns,
+            preview,
+            ...vendor
+        });
+
+        res.json({
+            uploadId,
+            csvDialect,
+            csvDialectSource,
+            rawRows,
+            headerRow,
+            headerRowSource: uploadRecord.headerRowSource,
+            columns,
+            preview,
+            ...vendor,
+            outputColumns: getOutputColumns(vendor.vendorId)
+        });
+    } catch (error) {
+        console.error('Upload CSV options error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/preview/:uploadId
+ * Get preview of uploaded file
+ */
+router.get('/preview/:uploadId', async (req, res) => {
+    try {
+        const { uploadId } = req.params;
+
+        const uploadRecord = await uploadRepository.findById(uploadId);
+
+        if (!uploadRecord) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        const vendorId = uploadRecord.vendorId || getDefaultVendor();
+
+        res.json({
+            uploadId: uploadRecord.uploadId,
+            filename: uploadRecord.filename,
+            fileType: uploadRecord.fileType,
+            fileSize: uploadRecord.fileSize,
+            columns: uploadRecord.columns,
+            preview: uploadRecord.preview,
+            vendorId,
+            vendorSource: uploadRecord.vendorSource,
+            vendorSuggestions: uploadRecord.vendorSuggestions || [],
+            columnWarnings: uploadRecord.columnWarnings || [],
+            headerRow: uploadRecord.headerRow ?? null,
+            headerRowSource: uploadRecord.headerRowSource,
+            rawRows: uploadRecord.rawRows || [],
+            csvDialect: uploadRecord.csvDialect || null,
+            csvDialectSource: uploadRecord.csvDialectSource,
+            sheets: uploadRecord.sheets || [],
+            selectedSheets: uploadRecord.selectedSheets || [],
+            outputColumns: getOutputColumns(vendorId)
+        });
+    } catch (error) {
+        console.error('Preview error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/transform
+ * Transform uploaded file
+ */
+router.post('/transform', async (req, res) => {
+    try {
+        const { uploadId, depositMapId = null, includeSourceSheet = false, strict = false } = req.body;
+
+        if (!uploadId) {
+            return res.status(400).json({ error: 'uploadId is required' });
+        }
+
+        // Strict mode: fail once more rows than the threshold are rejected or have errors
+        const errorThreshold = req.body.errorThreshold ?? getDefaultErrorThreshold();
+        if (!Number.isInteger(errorThreshold) || errorThreshold < 0) {
+            return res.status(400).json({ error: 'errorThreshold must be a non-negative integer' });
+        }
+
+        const uploadRecord = await uploadRepository.findById(uploadId);
+
+        if (!uploadRecord) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        let transformRecord;
+        try {
+            transformRecord = await queueTransform(uploadRecord, {
+                vendorId: uploadRecord.vendorId || getDefaultVendor(),
+                depositMapId,
+                outputFormat: req.body.outputFormat,
+                sheetNames: req.body.sheets,
+                includeSourceSheet,
+                strict,
+                errorThreshold
+            });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+
+        res.json(toQueuedResponse(transformRecord));
+    } catch (error) {
+        console.error('Transform initiation error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/transform-status/:transformId
+ * Get transformation status
+ */
+router.get('/transform-status/:transformId', async (req, res) => {
+    try {
+        const { transformId } = req.params;
+
+        const transformRecord = await transformRepository.findById(transformId);
+
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
+        }
+
+        const { warnings } = await findTransformWarnings(transformRecord, { limit: WARNING_PREVIEW_LIMIT });
+        const warningTotals = getWarningTotals(transformRecord);
+
+        res.json({
+            transformId: transformRecord.transformId,
+            status: transformRecord.status,
+            vendorId: transformRecord.vendorId,
+            depositMapId: transformRecord.depositMapId,
+            depositMapFilename: transformRecord.depositMapFilename,
+            depositMapSource: transformRecord.depositMapSource,
+            outputFormat: transformRecord.outputFormat || DEFAULT_OUTPUT_FORMAT,
+            sheetNames: transformRecord.sheetNames || [],
+            includeSourceSheet: transformRecord.includeSourceSheet || false,
+            rowsProcessed: transformRecord.rowsProcessed,
+            totalRows: transformRecord.totalRows,
+            rejectedCount: transformRecord.rejectedCount || 0,
+            strict: transformRecord.strict || false,
+            errorThreshold: transformRecord.errorThreshold ?? 0,
+            warnings,
+            ...warningTotals,
+            pricingSummary: getPricingSummary(warningTotals.warningSummary),
+            ...getTransformProgress(transformRecord),
+            error: transformRecord.error,
+            attempts: transformRecord.attempts || 0,
+            createdAt: transformRecord.createdAt,
+            startedAt: transformRecord.startedAt,
+            completedAt: transformRecord.completedAt
+        });
+    } catch (error) {
+        console.error('Status error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/transform/:transformId/warnings
+ * Page through a transform's warnings in row order
+ * Query: page (1-based), limit, code and severity (comma-separated lists)
+ */
+router.get('/transform/:transformId/warnings', async (req, res) => {
+    try {
+        const { transformId } = req.params;
+        const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : WARNING_PAGE_LIMIT;
+        const { codes, severities, error: filterError } = parseWarningFilters(req.query);
+
+        if (!Number.isInteger(page) || page < 1) {
+            return res.status(400).json({ error: 'page must be a positive integer' });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_WARNING_PAGE_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_WARNING_PAGE_LIMIT}` });
+        }
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const transformRecord = await transformRepository.findById(transformId);
+
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
+        }
+
+        const { warnings, total } = await findTransformWarnings(transformRecord, { codes, severities, page, limit });
+
+        res.json({
+            transformId,
+            status: transformRecord.status,
+            ...getWarningTotals(transformRecord),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            warnings
+        });
+    } catch (error) {
+        console.error('Warnings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/transform/:transformId/warnings/groups
+ * Count a transform's warnings by code and severity
+ */
+router.get('/transform/:transformId/warnings/groups', async (req, res) => {
+    try {
+        const { transformId } = req.params;
+
+        const transformRecord = await transformRepository.findById(transformId);
+
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
+        }
+
+        const groups = await groupTransformWarnings(transformRecord);
+
+        res.json({
+            transformId,
+            status: transformRecord.status,
+            warningCount: groups.reduce((sum, group) => sum + group.count, 0),
+            groups
+        });
+    } catch (error) {
+        console.error('Warning groups error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/transform/:transformId/warnings/export
+ * Download a transform's warnings as CSV
+ * Query: code and severity (comma-separated lists)
+ */
+router.get('/transform/:transformId/warnings/export', async (req, res) => {
+    try {
+        const { transformId } = req.params;
+        const { codes, severities, error: filterError } = parseWarningFilters(req.query);
+
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const transformRecord = await transformRepository.findById(transformId);
+
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
+        }
+
+        res.attachment(`warnings_${transformId}.csv`);
+        res.type('text/csv');
+        res.write('\ufeff' + formatCSVLine(WARNING_EXPORT_COLUMNS.map(([header]) => header)) + '\n');
+
+        for await (const warning of iterateTransformWarnings(transformRecord, { codes, severities })) {
+            if (res.destroyed) break;
+            const line = formatCSVLine(WARNING_EXPORT_COLUMNS.map(([, field]) => warning[field])) + '\n';
+            if (!res.write(line)) {
+                // A client that disconnects never drains
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+        }
+        res.end();
+    } catch (error) {
+        console.error('Warning export error:', error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+/**
+ * GET /api/transform/:transformId/rows?rows=12,40
+ * Look up input rows by row number (as in warnings) with the values they transform to
+ */
+router.get('/transform/:transformId/rows', async (req, res) => {
+    try {
+        const { transformId } = req.params;
+        const rowNumbers = parseListParam(req.query.rows).map(Number);
+
+        if (rowNumbers.length === 0 || rowNumbers.some(row => !Number.isInteger(row) || row < 1)) {
+            return res.status(400).json({ error: 'rows must be a comma-separated list of positive row numbers' });
+        }
+        if (rowNumbers.length > MAX_ROW_LOOKUP) {
+            return res.status(400).json({ error: `At most ${MAX_ROW_LOOKUP} rows can be looked up at once` });
         }
+
+        const transformRecord = await transformRepository.findById(transformId);
+
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
+        }
+
+        const rows = await getTransformRows(transformRecord, rowNumbers);
+
+        res.json({
+            transformId,
+            vendorId: transformRecord.vendorId,
+            outputColumns: getOutputColumns(transformRecord.vendorId),
+            rows
+        });
+    } catch (error) {
+        console.error('Transform rows error:', error);
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 /**
- * GET /api/vendors
- * Get list of available vendors
+ * GET /api/transform/:transformId/changes
+ * Compare a completed transform with the vendor's previous completed transform
+ * Query: type (comma-separated change types), page (1-based), limit
  */
-router.get('/vendors', async (req, res) => {
+router.get('/transform/:transformId/changes', async (req, res) => {
     try {
-        const vendors = getAvailableVendors();
+        const { transformId } = req.params;
+        const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : WARNING_PAGE_LIMIT;
+        const { types, error: filterError } = parseChangeTypes(req.query);
+
+        if (!Number.isInteger(page) || page < 1) {
+            return res.status(400).json({ error: 'page must be a positive integer' });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_WARNING_PAGE_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_WARNING_PAGE_LIMIT}` });
+        }
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const transformRecord = await transformRepository.findById(transformId);
+
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
+        }
+
+        const report = await getPriceChangeReport(transformRecord);
+        const changes = types.length > 0
+            ? report.changes.filter(change => types.includes(change.type))
+            : report.changes;
+
+        const previousUpload = await uploadRepository.findById(report.previous.uploadId, { projection: ['filename'] });
+
         res.json({
-            vendors,
-            defaultVendor: getDefaultVendor()
+            transformId,
+            vendorId: transformRecord.vendorId,
+            previous: { ...report.previous, filename: previousUpload ? previousUpload.filename : 'Unknown' },
+            previousItems: report.previousItems,
+            currentItems: report.currentItems,
+            summary: report.summary,
+            page,
+            limit,
+            total: changes.length,
+            totalPages: Math.ceil(changes.length / limit),
+            changes: changes.slice((page - 1) * limit, page * limit)
         });
     } catch (error) {
-        console.error('Vendors error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Price changes error:', error);
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 /**
- * POST /api/upload-file
- * Upload a CSV/Excel file for transformation
- * Body: { vendorId?: string } (optional, defaults to AGNE)
+ * GET /api/transform/:transformId/changes/export
+ * Download a transform's price-change report as CSV
+ * Query: type (comma-separated change types)
  */
-router.post('/upload-file', upload.single('file'), async (req, res) => {
+router.get('/transform/:transformId/changes/export', async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        const { transformId } = req.params;
+        const { types, error: filterError } = parseChangeTypes(req.query);
+
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
         }
 
-        const uploadId = uuidv4();
-        const fileType = getFileType(req.file.originalname);
-        const vendorId = req.body.vendorId || getDefaultVendor();
+        const transformRecord = await transformRepository.findById(transformId);
 
-        // Parse preview (first 50 rows)
-        const preview = await parseFile(req.file.path, 50);
-        const columns = preview.length > 0 ? Object.keys(preview[0]) : [];
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
+        }
 
-        // Create upload record with vendor info
-        const uploadRecord = new Upload({
-            uploadId,
-            filename: req.file.originalname,
-            originalPath: req.file.path,
-            fileType,
-            fileSize: req.file.size,
-            rowCount: preview.length, // Approximate for preview
-            columns,
-            preview,
-            vendorId,
-            status: 'previewed'
-        });
+        const report = await getPriceChangeReport(transformRecord);
+        const lines = [
+            formatCSVLine(CHANGE_EXPORT_COLUMNS.map(([header]) => header)),
+            ...report.changes
+                .filter(change => types.length === 0 || types.includes(change.type))
+                .map(change => formatCSVLine(CHANGE_EXPORT_COLUMNS.map(([, field]) => change[field])))
+        ];
+
+        res.attachment(`changes_${transformId}.csv`);
+        res.type('text/csv');
+        res.send('\ufeff' + lines.join('\n') + '\n');
+    } catch (error) {
+        console.error('Price change export error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        if (isDbConnected()) {
-            await uploadRecord.save();
+/**
+ * GET /api/transform/:transformId/events
+ * Stream a transform's progress as Server-Sent Events
+ * Sends the current state first, then a `progress` event per change, and ends once the transform finishes
+ */
+router.get('/transform/:transformId/events', async (req, res) => {
+    const { transformId } = req.params;
+
+    // Subscribe before reading the record so changes made meanwhile aren't lost; those older
+    // than the record are dropped once it is sent
+    let stream = null;
+    const pending = [];
+    const forward = (event) => {
+        stream.send('progress', event);
+        if (isFinishedStatus(event.status)) {
+            stream.end();
+        }
+    };
+    const unsubscribe = subscribeTransformEvents((event) => {
+        if (stream) {
+            forward(event);
         } else {
-            console.warn('MongoDB not connected, saving to memory store');
-            await memoryStore.save('Upload', uploadRecord);
+            pending.push(event);
         }
+    }, transformId);
 
-        res.json({
-            uploadId,
-            filename: req.file.originalname,
-            fileType,
-            fileSize: req.file.size,
-            preview,
-            columns,
-            vendorId,
-            message: 'File uploaded successfully'
-        });
+    try {
+        const transformRecord = await transformRepository.findById(transformId);
+
+        if (!transformRecord) {
+            unsubscribe();
+            return res.status(404).json({ error: 'Transform not found' });
+        }
+
+        const snapshot = toTransformEvent(transformRecord);
+        stream = openEventStream(req, res, unsubscribe);
+        forward(snapshot);
+        if (!isFinishedStatus(snapshot.status)) {
+            pending.filter(event => !isEventBehind(event, snapshot)).forEach(forward);
+        }
     } catch (error) {
-        console.error('Upload error:', error);
+        unsubscribe();
+        console.error('Transform events error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * GET /api/preview/:uploadId
- * Get preview of uploaded file
+ * GET /api/transform-events
+ * Stream progress events for all transforms as Server-Sent Events
  */
-router.get('/preview/:uploadId', async (req, res) => {
+router.get('/transform-events', (req, res) => {
+    let unsubscribe = () => {};
+    const stream = openEventStream(req, res, () => unsubscribe());
+    unsubscribe = subscribeTransformEvents((event) => stream.send('progress', event));
+});
+
+/**
+ * POST /api/transform/:transformId/cancel
+ * Cancel a queued or running transform
+ */
+router.post('/transform/:transformId/cancel', async (req, res) => {
     try {
-        const { uploadId } = req.params;
+        const { transformId } = req.params;
 
-        let uploadRecord;
-        if (isDbConnected()) {
-            uploadRecord = await Upload.findOne({ uploadId });
-        } else {
-            uploadRecord = memoryStore.findOne('Upload', { uploadId });
-        }
+        const transformRecord = await transformRepository.findById(transformId);
 
-        if (!uploadRecord) {
-            return res.status(404).json({ error: 'Upload not found' });
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
         }
 
-        const vendorId = uploadRecord.vendorId || getDefaultVendor();
+        const status = ['queued', 'processing'].includes(transformRecord.status)
+            ? await getTransformQueue().cancel(transformId) || transformRecord.status
+            : transformRecord.status;
+        if (status !== 'cancelled') {
+            return res.status(409).json({
+                error: `Transform is ${status} and cannot be cancelled`,
+                status
+            });
+        }
 
-        res.json({
-            uploadId: uploadRecord.uploadId,
-            filename: uploadRecord.filename,
-            fileType: uploadRecord.fileType,
-            fileSize: uploadRecord.fileSize,
-            columns: uploadRecord.columns,
-            preview: uploadRecord.preview,
-            vendorId,
-            outputColumns: getOutputColumns(vendorId)
-        });
+        res.json({ transformId, status: 'cancelled', message: 'Transform cancelled' });
     } catch (error) {
-        console.error('Preview error:', error);
+        console.error('Cancel error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * POST /api/transform
- * Transform uploaded file
+ * POST /api/transform/:transformId/retry
+ * Queue a failed or cancelled transform again
  */
-router.post('/transform', async (req, res) => {
+router.post('/transform/:transformId/retry', async (req, res) => {
     try {
-        const { uploadId, outputFormat = 'csv' } = req.body;
+        const { transformId } = req.params;
 
-        if (!uploadId) {
-            return res.status(400).json({ error: 'uploadId is required' });
+        const transformRecord = await transformRepository.findById(transformId);
+
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
         }
 
-        let uploadRecord;
-        if (isDbConnected()) {
-            uploadRecord = await Upload.findOne({ uploadId });
-        } else {
-            uploadRecord = memoryStore.findOne('Upload', { uploadId });
+        if (!await getTransformQueue().retry(transformId)) {
+            return res.status(409).json({
+                error: `Transform is ${transformRecord.status}; only failed or cancelled transforms can be retried`,
+                status: transformRecord.status
+            });
         }
 
-        if (!uploadRecord) {
-            return res.status(404).json({ error: 'Upload not found' });
+        res.json({ transformId, status: 'queued', message: 'Transform queued for retry' });
+    } catch (error) {
+        console.error('Retry error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/transform/:transformId/rerun
+ * Transform a past transform's upload again with the vendor rules, deposit maps and item catalog as
+ * they are now. The new transform records the one it re-runs as rerunOf
+ * Body (all optional): vendorId and depositMapId choose another vendor or deposit map (null for the
+ * vendor default); outputFormat, strict and errorThreshold default to the earlier transform's.
+ * Without depositMapId, a map selected for the earlier transform is used again
+ */
+router.post('/transform/:transformId/rerun', async (req, res) => {
+    try {
+        const { transformId } = req.params;
+
+        const transformRecord = await transformRepository.findById(transformId);
+
+        if (!transformRecord) {
+            return res.status(404).json({ error: 'Transform not found' });
         }
 
-        const vendorId = uploadRecord.vendorId || getDefaultVendor();
+        if (['queued', 'processing'].includes(transformRecord.status)) {
+            return res.status(409).json({
+                error: `Transform is ${transformRecord.status}; wait for it to finish before re-running it`,
+                status: transformRecord.status
+            });
+        }
 
-        // Load deposit mapping from hardcoded file
-        let depositMapping = {};
-        try {
-            const depositMappingPath = path.join(process.cwd(), 'sample-data', 'deposit-mapping.csv');
-            if (fs.existsSync(depositMappingPath)) {
-                const rows = await parseFile(depositMappingPath);
-
-                rows.forEach(row => {
-                    // New format: Id, Name, Amount
-                    const id = row.Id || row.ID || row.id;
-                    const amount = row.Amount || row.amount || row.AMOUNT;
-
-                    // Map Amount -> Id (for replacing amounts with IDs)
-                    if (amount && id) {
-                        // Normalize amount to handle different formats (0.05, .05, etc.)
-                        const normalizedAmount = parseFloat(amount).toString();
-                        depositMapping[normalizedAmount] = id;
-                        // Also store with original format
-                        depositMapping[amount.toString().trim()] = id;
-                    }
-                });
-
-                console.log(`Loaded ${Object.keys(depositMapping).length / 2} deposit mappings from hardcoded file`);
-            } else {
-                console.warn('Deposit mapping file not found at:', depositMappingPath);
-            }
-        } catch (error) {
-            console.error('Error loading deposit mapping:', error);
-            // Continue without deposit mapping
+        const vendorId = req.body.vendorId || transformRecord.vendorId || getDefaultVendor();
+        if (!isVendorSupported(vendorId)) {
+            return res.status(400).json({ error: `Vendor "${vendorId}" not found` });
         }
 
-        // Create transform record
-        // Always output CSV format regardless of input file type
-        const finalOutputFormat = 'csv';
+        const errorThreshold = req.body.errorThreshold ?? transformRecord.errorThreshold ?? getDefaultErrorThreshold();
+        if (!Number.isInteger(errorThreshold) || errorThreshold < 0) {
+            return res.status(400).json({ error: 'errorThreshold must be a non-negative integer' });
+        }
 
-        // Generate timestamp for filename: export_<timestamp>.csv
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const uploadRecord = await uploadRepository.findById(transformRecord.uploadId);
 
-        const transformId = uuidv4();
-        const outputDir = process.env.UPLOAD_DIR || './uploads';
-        const outputPath = path.join(outputDir, `export_${timestamp}_${transformId}.csv`);
+        if (!uploadRecord || !fs.existsSync(uploadRecord.originalPath)) {
+            return res.status(404).json({ error: 'The original upload of this transform is no longer available' });
+        }
 
-        const transformRecord = new Transform({
-            transformId,
-            uploadId,
-            outputPath,
-            outputFormat: finalOutputFormat,
-            vendorId,
-            status: 'processing'
-        });
+        const depositMapId = req.body.depositMapId !== undefined
+            ? req.body.depositMapId
+            : (transformRecord.depositMapSource === 'selected' ? transformRecord.depositMapId : null);
 
-        if (isDbConnected()) {
-            await transformRecord.save();
-        } else {
-            await memoryStore.save('Transform', transformRecord);
-        }
-
-        // Start transformation (async)
-        setImmediate(async () => {
-            try {
-                const result = await streamProcessFile(
-                    uploadRecord.originalPath,
-                    outputPath,
-                    (row) => transformRow(row, depositMapping, { vendorId }),
-                    (processed) => {
-                        // Progress callback (could emit via WebSocket)
-                        console.log(`Processed ${processed} rows`);
-                    }
-                );
-
-                transformRecord.status = 'completed';
-                transformRecord.rowsProcessed = result.processed;
-                transformRecord.warnings = result.warnings;
-                transformRecord.completedAt = new Date();
-                if (isDbConnected()) {
-                    await transformRecord.save();
-                    await uploadRecord.save();
-                } else {
-                    // Update objects in memory store
-                    await memoryStore.save('Transform', transformRecord);
-                    await memoryStore.save('Upload', uploadRecord);
-                }
-            } catch (error) {
-                console.error('Transform error:', error);
-                transformRecord.status = 'failed';
-                transformRecord.error = error.message;
-
-                if (isDbConnected()) {
-                    await transformRecord.save();
-                } else {
-                    await memoryStore.save('Transform', transformRecord);
-                }
+        let rerunRecord;
+        try {
+            rerunRecord = await queueTransform(uploadRecord, {
+                vendorId,
+                depositMapId,
+                outputFormat: req.body.outputFormat || transformRecord.outputFormat,
+                sheetNames: transformRecord.sheetNames?.length > 0 ? transformRecord.sheetNames : undefined,
+                includeSourceSheet: transformRecord.includeSourceSheet,
+                strict: req.body.strict ?? transformRecord.strict,
+                errorThreshold,
+                rerunOf: transformId
+            });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
             }
-        });
+            throw error;
+        }
 
-        res.json({
-            transformId,
-            vendorId,
-            message: 'Transformation started',
-            status: 'processing'
-        });
+        res.json(toQueuedResponse(rerunRecord));
     } catch (error) {
-        console.error('Transform initiation error:', error);
+        console.error('Re-run error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * GET /api/transform-status/:transformId
- * Get transformation status
+ * GET /api/transform/:transformId/lineage
+ * List the transforms linked to one by re-runs: the runs it re-ran back to the first one still
+ * stored, the transform itself, then its re-runs. Entries are shaped like history entries
  */
-router.get('/transform-status/:transformId', async (req, res) => {
+router.get('/transform/:transformId/lineage', async (req, res) => {
     try {
         const { transformId } = req.params;
 
-        let transformRecord;
-        if (isDbConnected()) {
-            transformRecord = await Transform.findOne({ transformId });
-        } else {
-            transformRecord = memoryStore.findOne('Transform', { transformId });
-        }
+        const transformRecord = await transformRepository.findById(transformId);
 
         if (!transformRecord) {
             return res.status(404).json({ error: 'Transform not found' });
         }
 
+        const lineage = await getTransformLineage(transformRecord);
+        const rerunCounts = await countReruns(lineage.map(transform => transform.transformId));
         res.json({
-            transformId: transformRecord.transformId,
-            status: transformRecord.status,
-            rowsProcessed: transformRecord.rowsProcessed,
-            warnings: transformRecord.warnings,
-            error: transformRecord.error,
-            createdAt: transformRecord.createdAt,
-            completedAt: transformRecord.completedAt
+            transformId,
+            lineage: await Promise.all(lineage.map(transform => toHistoryEntry(transform, rerunCounts)))
         });
     } catch (error) {
-        console.error('Status error:', error);
+        console.error('Lineage error:', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -327,34 +1626,33 @@ router.get('/transform-status/:transformId', async (req, res) => {
 /**
  * GET /api/download/:transformId
  * Download transformed file
+ * Query: part=rejects downloads the rows rejected by the validation policy instead
  */
 router.get('/download/:transformId', async (req, res) => {
     try {
         const { transformId } = req.params;
+        const { part = 'output' } = req.query;
 
-        let transformRecord;
-        if (isDbConnected()) {
-            transformRecord = await Transform.findOne({ transformId });
-        } else {
-            transformRecord = memoryStore.findOne('Transform', { transformId });
+        if (!['output', 'rejects'].includes(part)) {
+            return res.status(400).json({ error: 'part must be output or rejects' });
         }
 
+        const transformRecord = await transformRepository.findById(transformId);
+
         if (!transformRecord) {
             return res.status(404).json({ error: 'Transform not found' });
         }
 
-        if (transformRecord.status !== 'completed') {
+        // Rejects are kept when strict mode fails a transform, so they can be reviewed
+        const finished = part === 'rejects' ? ['completed', 'failed'] : ['completed'];
+        if (!finished.includes(transformRecord.status)) {
             return res.status(400).json({
                 error: 'Transform not completed yet',
                 status: transformRecord.status
             });
         }
 
-        if (!fs.existsSync(transformRecord.outputPath)) {
-            return res.status(404).json({ error: 'Output file not found' });
-        }
-
-        // Always output CSV format with timestamp-based filename
+        // Timestamp-based filename with the output format's extension
         // Extract timestamp from output path if available, otherwise generate new one
         const outputBasename = path.basename(transformRecord.outputPath);
         const timestampMatch = outputBasename.match(/export_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})/);
@@ -362,9 +1660,27 @@ router.get('/download/:transformId', async (req, res) => {
             ? timestampMatch[1]
             : new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
 
-        const filename = `export_${timestamp}.csv`;
+        if (part === 'rejects') {
+            // The rejects file is only created when a row is rejected
+            if (!transformRecord.rejectsPath || !fs.existsSync(transformRecord.rejectsPath)) {
+                return res.status(404).json({ error: 'No rows were rejected' });
+            }
+
+            return res.download(transformRecord.rejectsPath, `rejects_${timestamp}.csv`, {
+                headers: { 'Content-Type': OUTPUT_FORMATS.csv.mimeType }
+            });
+        }
+
+        if (!fs.existsSync(transformRecord.outputPath)) {
+            return res.status(404).json({ error: 'Output file not found' });
+        }
 
-        res.download(transformRecord.outputPath, filename);
+        const format = OUTPUT_FORMATS[transformRecord.outputFormat] || OUTPUT_FORMATS[DEFAULT_OUTPUT_FORMAT];
+        const filename = `export_${timestamp}.${format.extension}`;
+
+        res.download(transformRecord.outputPath, filename, {
+            headers: { 'Content-Type': format.mimeType }
+        });
     } catch (error) {
         console.error('Download error:', error);
         res.status(500).json({ error: error.message });
@@ -384,41 +1700,11 @@ router.post('/upload-deposit-map', upload.single('file'), async (req, res) => {
         const depositMapId = uuidv4();
 
         // Parse deposit mapping file
-        // Expected columns: Id, Name, Amount (from deposit-mapping.csv)
-        // OR: UPC, Item, DepositPrice, DepositID (legacy format)
         const rows = await parseFile(req.file.path);
 
-        const mappings = new Map();
-
-        rows.forEach(row => {
-            // New format: Id, Name, Amount
-            const id = row.Id || row.ID || row.id;
-            const amount = row.Amount || row.amount || row.AMOUNT;
-
-            // Legacy format: UPC, Item, DepositID
-            const upc = row.UPC || row.upc;
-            const item = row.Item || row.item || row.ITEM;
-            const depositId = row.DepositID || row.depositId || row.DEPOSITID || row.DepositPrice;
-
-            // Map Amount -> Id (for replacing amounts with IDs)
-            if (amount && id) {
-                // Normalize amount to handle different formats (0.05, .05, etc.)
-                const normalizedAmount = parseFloat(amount).toString();
-                mappings.set(normalizedAmount, id);
-                // Also store with original format
-                mappings.set(amount.toString().trim(), id);
-            }
-
-            // Legacy mappings: UPC/Item -> DepositID
-            if (upc && depositId) {
-                mappings.set(upc, depositId);
-            }
-            if (item && depositId) {
-                mappings.set(item, depositId);
-            }
-        });
+        const mappings = buildDepositMappings(rows);
 
-        const depositMapRecord = new DepositMap({
+        await depositMapRepository.create({
             depositMapId,
             filename: req.file.originalname,
             filePath: req.file.path,
@@ -426,12 +1712,6 @@ router.post('/upload-deposit-map', upload.single('file'), async (req, res) => {
             totalMappings: mappings.size
         });
 
-        if (isDbConnected()) {
-            await depositMapRecord.save();
-        } else {
-            await memoryStore.save('DepositMap', depositMapRecord);
-        }
-
         res.json({
             depositMapId,
             filename: req.file.originalname,
@@ -450,14 +1730,10 @@ router.post('/upload-deposit-map', upload.single('file'), async (req, res) => {
  */
 router.get('/deposit-maps', async (req, res) => {
     try {
-        let depositMaps;
-        if (isDbConnected()) {
-            depositMaps = await DepositMap.find()
-                .select('depositMapId filename totalMappings createdAt')
-                .sort({ createdAt: -1 });
-        } else {
-            depositMaps = memoryStore.find('DepositMap');
-        }
+        const depositMaps = await depositMapRepository.find({}, {
+            sort: { createdAt: -1 },
+            projection: ['filename', 'totalMappings', 'createdAt']
+        });
 
         res.json(depositMaps);
     } catch (error) {
@@ -468,76 +1744,48 @@ router.get('/deposit-maps', async (req, res) => {
 
 /**
  * GET /api/history
- * Get transformation history
+ * Page through transformation history, newest first
+ * Query: vendorId, status (comma-separated list), search (upload filename), from and to (creation
+ * date), hasWarnings (true or false), cursor (nextCursor of the previous page), limit
  */
 router.get('/history', async (req, res) => {
     try {
-        let transforms;
-        if (isDbConnected()) {
-            transforms = await Transform.find()
-                .sort({ createdAt: -1 })
-                .limit(50);
-        } else {
-            transforms = memoryStore.find('Transform').slice(0, 50);
-        }
-
-        const history = await Promise.all(
-            transforms.map(async (transform) => {
-                let upload;
-                if (isDbConnected()) {
-                    upload = await Upload.findOne({ uploadId: transform.uploadId });
-                } else {
-                    upload = memoryStore.findOne('Upload', { uploadId: transform.uploadId });
-                }
-                return {
-                    transformId: transform.transformId,
-                    uploadId: transform.uploadId,
-                    filename: upload ? upload.filename : 'Unknown',
-                    status: transform.status,
-                    rowsProcessed: transform.rowsProcessed,
-                    warningCount: transform.warnings ? transform.warnings.length : 0,
-                    createdAt: transform.createdAt,
-                    completedAt: transform.completedAt
-                };
-            })
-        );
+        const { filters, cursor, limit, error: queryError } = parseHistoryQuery(req.query);
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
+
+        const { transforms, nextCursor } = await findHistory(filters, { cursor, limit });
+
+        const rerunCounts = await countReruns(transforms.map(transform => transform.transformId));
+        const history = await Promise.all(transforms.map(transform => (
+            toHistoryEntry(transform, rerunCounts, { withFilename: true })
+        )));
 
-        res.json(history);
+        res.json({ transforms: history, nextCursor, limit });
     } catch (error) {
         console.error('History error:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 /**
  * DELETE /api/transform/:transformId
- * Delete a transform and its output file
+ * Delete a transform, its warnings and its output, rejects and item snapshot files, and its
+ * upload once no other transform uses it
  */
 router.delete('/transform/:transformId', async (req, res) => {
     try {
         const { transformId } = req.params;
 
-        let transformRecord;
-        if (isDbConnected()) {
-            transformRecord = await Transform.findOne({ transformId });
-        } else {
-            transformRecord = memoryStore.findOne('Transform', { transformId });
-        }
+        const transformRecord = await transformRepository.findById(transformId);
 
         if (!transformRecord) {
             return res.status(404).json({ error: 'Transform not found' });
         }
 
-        // Delete output file
-        if (fs.existsSync(transformRecord.outputPath)) {
-            fs.unlinkSync(transformRecord.outputPath);
-        }
-
-        if (isDbConnected()) {
-            await Transform.deleteOne({ transformId });
-        } else {
-            memoryStore.deleteOne('Transform', { transformId });
-        }
+        await deleteTransform(transformRecord);
+        await deleteUnusedUpload(transformRecord.uploadId);
 
         res.json({ message: 'Transform deleted successfully' });
     } catch (error) {
@@ -546,4 +1794,82 @@ router.delete('/transform/:transformId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/catalog
+ * List the vendors in the item catalog with their item counts
+ */
+router.get('/catalog', async (req, res) => {
+    try {
+        res.json({ vendors: await summarizeCatalog() });
+    } catch (error) {
+        console.error('Catalog error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/catalog/:vendorId
+ * Browse or search a vendor's catalog items
+ * Query: search (product code, UPC or description), page (1-based), limit
+ */
+router.get('/catalog/:vendorId', async (req, res) => {
+    try {
+        const { vendorId } = req.params;
+        const search = typeof req.query.search === 'string' ? req.query.search : '';
+        const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : WARNING_PAGE_LIMIT;
+
+        if (!Number.isInteger(page) || page < 1) {
+            return res.status(400).json({ error: 'page must be a positive integer' });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_WARNING_PAGE_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_WARNING_PAGE_LIMIT}` });
+        }
+
+        const { items, total } = await findCatalogItems({ vendorId, search, page, limit });
+
+        res.json({
+            vendorId,
+            search,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            items
+        });
+    } catch (error) {
+        console.error('Catalog items error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/storage
+ * Report the disk space used in UPLOAD_DIR by file kind and vendor, orphan files, the retention
+ * policy and the last sweep
+ */
+router.get('/admin/storage', async (req, res) => {
+    try {
+        res.json(await getStorageReport());
+    } catch (error) {
+        console.error('Storage report error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/storage/sweep
+ * Apply the retention policy now
+ * Body: dryRun (optional) - only count what would be deleted
+ */
+router.post('/admin/storage/sweep', async (req, res) => {
+    try {
+        const dryRun = req.body?.dryRun === true;
+        res.json(await sweepFiles({ dryRun }));
+    } catch (error) {
+        console.error('Retention sweep error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 export default router;
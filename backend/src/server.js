@@ -9,6 +9,12 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import apiRoutes from './routes/api.js';
+import { loadVendorProfiles } from './utils/vendorProfiles.js';
+import { loadVendorDefinitions } from './utils/transformers/vendorRegistry.js';
+import { getTransformQueue } from './utils/transformJobs.js';
+import { startRetentionSweeper, getRetentionPolicy } from './utils/fileRetention.js';
+import { memoryStore, getMemoryStoreFile } from './utils/memoryStore.js';
+import { syncMemoryStoreToMongo } from './utils/storeSync.js';
 
 // Load environment variables
 dotenv.config();
@@ -18,6 +24,10 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/csv-filter';
+
+// Time between connection attempts while MongoDB is unavailable
+const MONGODB_RETRY_MS = parseInt(process.env.MONGODB_RETRY_MS || '30000');
 
 // Middleware
 app.use(cors({
@@ -59,22 +69,87 @@ app.use((err, req, res, next) => {
 // Connect to MongoDB
 const connectDB = async () => {
     try {
-        const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/csv-filter';
-
-        await mongoose.connect(mongoUri);
+        await mongoose.connect(MONGODB_URI);
 
         console.log('✓ MongoDB connected successfully');
+        return true;
     } catch (error) {
         console.error('✗ MongoDB connection error:', error);
 
         // Continue without MongoDB for basic functionality
-        console.log('⚠ Running without MongoDB - history features disabled');
+        console.log(`⚠ Running without MongoDB - records are kept in ${getMemoryStoreFile()} until it connects`);
+        return false;
+    }
+};
+
+// Move records kept while MongoDB was unavailable into it
+const syncMemoryStore = async () => {
+    try {
+        await syncMemoryStoreToMongo();
+    } catch (error) {
+        console.error('✗ Failed to move memory store records into MongoDB:', error);
     }
 };
 
+// Keep trying to connect, then move the memory store's records into MongoDB
+const retryConnectDB = () => {
+    const timer = setTimeout(async () => {
+        try {
+            await mongoose.connect(MONGODB_URI);
+            console.log('✓ MongoDB connected successfully');
+            await syncMemoryStore();
+        } catch {
+            retryConnectDB();
+        }
+    }, MONGODB_RETRY_MS);
+    timer.unref();
+};
+
 // Start server
 const startServer = async () => {
-    await connectDB();
+    const connected = await connectDB();
+
+    // Records kept while MongoDB was unavailable, including before a restart
+    try {
+        const records = memoryStore.open();
+        if (!connected) {
+            console.log(`✓ Memory store loaded with ${records} record(s)`);
+        }
+    } catch (error) {
+        console.error('✗ Failed to open the memory store file:', error);
+    }
+
+    if (connected) {
+        await syncMemoryStore();
+    } else {
+        retryConnectDB();
+    }
+    mongoose.connection.on('reconnected', syncMemoryStore);
+
+    // Main thread only; the transform pool hands declarative vendors to its workers as definitions
+    try {
+        loadVendorDefinitions();
+    } catch (error) {
+        console.error('✗ Failed to load vendor definitions:', error);
+    }
+
+    try {
+        await loadVendorProfiles();
+    } catch (error) {
+        console.error('✗ Failed to load vendor profiles:', error);
+    }
+
+    // Picks up transforms queued before a restart and marks interrupted ones
+    try {
+        await getTransformQueue().start();
+    } catch (error) {
+        console.error('✗ Failed to start transform queue:', error);
+    }
+
+    // Deletes files outside the retention policy while the server runs
+    if (startRetentionSweeper()) {
+        console.log(`✓ File retention sweep every ${getRetentionPolicy().sweepIntervalMinutes} minutes`);
+    }
 
     app.listen(PORT, () => {
         console.log(`✓ Server running on port ${PORT}`);
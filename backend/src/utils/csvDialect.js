@@ -0,0 +1,184 @@
+/**
+ * CSV dialect sniffing
+ * Vendors send comma, semicolon, tab and pipe separated files, some of them saved from
+ * Windows in a legacy code page; the dialect is guessed from the start of the file
+ */
+
+import fs from 'fs';
+import iconv from 'iconv-lite';
+
+// Bytes read from the start of the file for sniffing
+const SAMPLE_BYTES = 64 * 1024;
+
+// Lines compared when choosing a delimiter
+const SAMPLE_LINES = 20;
+
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+export const CSV_QUOTES = ['"', "'"];
+export const CSV_ENCODINGS = ['utf-8', 'windows-1252', 'iso-8859-1', 'utf-16le', 'utf-16be'];
+
+export const DEFAULT_CSV_DIALECT = { delimiter: ',', quote: '"', encoding: 'utf-8', bom: false };
+
+const BOMS = [
+    { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+    { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+    { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<{sample: Buffer, truncated: boolean}>}
+ */
+async function readSample(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+        const buffer = Buffer.alloc(SAMPLE_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SAMPLE_BYTES, 0);
+        return { sample: buffer.subarray(0, bytesRead), truncated: bytesRead === SAMPLE_BYTES };
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Check whether bytes are valid UTF-8
+ * A truncated sample may end inside a multi-byte character, so up to 3 trailing bytes may be dropped
+ * @param {Buffer} bytes - Sample bytes
+ * @param {boolean} truncated - Whether the sample stops before the end of the file
+ * @returns {boolean}
+ */
+function isUTF8(bytes, truncated) {
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+
+    for (let cut = 0; cut <= (truncated ? 3 : 0); cut++) {
+        try {
+            decoder.decode(bytes.subarray(0, bytes.length - cut));
+            return true;
+        } catch {
+            // Try again without the last byte
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Count a delimiter in each line, ignoring delimiters inside quoted values
+ * @param {string[]} lines - Sample lines
+ * @param {string} delimiter - Candidate delimiter
+ * @returns {number[]}
+ */
+function countDelimiters(lines, delimiter) {
+    return lines.map(line => {
+        let count = 0;
+        let quoted = false;
+
+        for (const char of line) {
+            if (char === '"') quoted = !quoted;
+            else if (char === delimiter && !quoted) count++;
+        }
+
+        return count;
+    });
+}
+
+/**
+ * Choose the delimiter that splits the most lines into the same number of fields
+ * Lines without the delimiter (titles, blank lines) are not held against it
+ * @param {string[]} lines - Sample lines
+ * @returns {string}
+ */
+function detectDelimiter(lines) {
+    let best = { delimiter: DEFAULT_CSV_DIALECT.delimiter, score: 0, fields: 0 };
+
+    CSV_DELIMITERS.forEach(delimiter => {
+        const counts = countDelimiters(lines, delimiter).filter(count => count > 0);
+        const frequency = {};
+        counts.forEach(count => {
+            frequency[count] = (frequency[count] || 0) + 1;
+        });
+
+        const [fields, score] = Object.entries(frequency)
+            .map(([count, lineCount]) => [Number(count), lineCount])
+            .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [0, 0];
+
+        if (score > best.score || (score === best.score && fields > best.fields)) {
+            best = { delimiter, score, fields };
+        }
+    });
+
+    return best.delimiter;
+}
+
+/**
+ * Choose the quote character from the one that opens the most fields
+ * @param {string} text - Sample text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+function detectQuote(text, delimiter) {
+    const opened = (quote) => {
+        const pattern = new RegExp(`(^|[${delimiter === '\t' ? '\\t' : `\\${delimiter}`}])${quote}`, 'gm');
+        return (text.match(pattern) || []).length;
+    };
+
+    return opened("'") > opened('"') ? "'" : '"';
+}
+
+/**
+ * Guess the delimiter, quote character, byte order mark and encoding of a CSV file
+ * Files that are not valid UTF-8 are read as Windows-1252, the usual code page of Excel exports
+ * @param {string} filePath - CSV file path
+ * @returns {Promise<{delimiter: string, quote: string, encoding: string, bom: boolean}>}
+ */
+export async function sniffCSVDialect(filePath) {
+    const { sample, truncated } = await readSample(filePath);
+
+    const bom = BOMS.find(candidate => candidate.bytes.every((byte, index) => sample[index] === byte));
+    const body = sample.subarray(bom ? bom.bytes.length : 0);
+    const encoding = bom ? bom.encoding : (isUTF8(body, truncated) ? 'utf-8' : 'windows-1252');
+
+    const text = iconv.decode(body, encoding);
+    const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, SAMPLE_LINES);
+    const delimiter = detectDelimiter(lines);
+
+    return {
+        delimiter,
+        quote: detectQuote(lines.join('\n'), delimiter),
+        encoding,
+        bom: Boolean(bom)
+    };
+}
+
+/**
+ * Validate user-chosen CSV dialect settings
+ * @param {Object} options - Dialect settings (delimiter, quote, encoding); null or missing fields are allowed
+ * @returns {string[]} - Validation errors
+ */
+export function validateCSVDialect(options = {}) {
+    const errors = [];
+
+    if (options.delimiter != null && !CSV_DELIMITERS.includes(options.delimiter)) {
+        errors.push(`delimiter must be one of: ${CSV_DELIMITERS.map(d => JSON.stringify(d)).join(', ')}`);
+    }
+    if (options.quote != null && !CSV_QUOTES.includes(options.quote)) {
+        errors.push(`quote must be one of: ${CSV_QUOTES.map(q => JSON.stringify(q)).join(', ')}`);
+    }
+    if (options.encoding != null && !CSV_ENCODINGS.includes(options.encoding)) {
+        errors.push(`encoding must be one of: ${CSV_ENCODINGS.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Create a stream that decodes file bytes to text
+ * A leading byte order mark is dropped
+ * @param {string} encoding - One of CSV_ENCODINGS
+ * @returns {import('stream').Transform}
+ */
+export function createDecodeStream(encoding) {
+    return iconv.decodeStream(encoding);
+}
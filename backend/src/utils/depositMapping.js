@@ -0,0 +1,161 @@
+/**
+ * Deposit mapping utilities
+ * Builds deposit lookups from mapping files and resolves which deposit map a transform uses
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { parseFile } from './fileProcessor.js';
+
+/**
+ * Build deposit mappings from parsed mapping file rows
+ * Expected columns: Id, Name, Amount (from deposit-mapping.csv)
+ * OR: UPC, Item, DepositPrice, DepositID (legacy format)
+ * @param {Object[]} rows - Parsed rows of the mapping file
+ * @returns {Map<string, string>} - Amount/UPC/Item -> DepositID
+ */
+export function buildDepositMappings(rows) {
+    const mappings = new Map();
+
+    rows.forEach(row => {
+        // New format: Id, Name, Amount
+        const id = row.Id || row.ID || row.id;
+        const amount = row.Amount || row.amount || row.AMOUNT;
+
+        // Legacy format: UPC, Item, DepositID
+        const upc = row.UPC || row.upc;
+        const item = row.Item || row.item || row.ITEM;
+        const depositId = row.DepositID || row.depositId || row.DEPOSITID || row.DepositPrice;
+
+        // Map Amount -> Id (for replacing amounts with IDs)
+        if (amount && id) {
+            // Normalize amount to handle different formats (0.05, .05, etc.)
+            const normalizedAmount = parseFloat(amount).toString();
+            mappings.set(normalizedAmount, id);
+            // Also store with original format
+            mappings.set(amount.toString().trim(), id);
+        }
+
+        // Legacy mappings: UPC/Item -> DepositID
+        if (upc && depositId) {
+            mappings.set(upc, depositId);
+        }
+        if (item && depositId) {
+            mappings.set(item, depositId);
+        }
+    });
+
+    return mappings;
+}
+
+/**
+ * Convert stored deposit mappings to the plain object transformers expect
+ * Mongo returns a Map, the memory store may hold either a Map or an object
+ * @param {Map|Object} mappings - Stored mappings
+ * @returns {Object} - Amount/UPC/Item -> DepositID
+ */
+export function toMappingObject(mappings) {
+    if (!mappings) return {};
+    if (mappings instanceof Map) return Object.fromEntries(mappings);
+    return { ...mappings };
+}
+
+/**
+ * Path of the built-in deposit mapping file used when no map is selected or configured
+ * @returns {string}
+ */
+export function getBuiltinDepositMapPath() {
+    return process.env.DEFAULT_DEPOSIT_MAP_FILE ||
+        path.join(process.cwd(), 'sample-data', 'deposit-mapping.csv');
+}
+
+/**
+ * Get the configured default deposit map for a vendor
+ * Reads DEFAULT_DEPOSIT_MAP_<VENDOR_ID>, then DEFAULT_DEPOSIT_MAP
+ * @param {string} vendorId - Vendor identifier
+ * @returns {string|null} - depositMapId or null if none configured
+ */
+export function getVendorDefaultDepositMapId(vendorId) {
+    const vendorKey = `DEFAULT_DEPOSIT_MAP_${String(vendorId || '').toUpperCase()}`;
+    return process.env[vendorKey] || process.env.DEFAULT_DEPOSIT_MAP || null;
+}
+
+/**
+ * Load deposit mapping object from a mapping file
+ * @param {string} filePath - Mapping file path
+ * @returns {Promise<Object|null>} - Mapping object, or null if the file is missing
+ */
+export async function loadDepositMappingFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const rows = await parseFile(filePath);
+    return toMappingObject(buildDepositMappings(rows));
+}
+
+/**
+ * Resolve the deposit mapping to apply for a transform
+ * Order: explicitly selected map, vendor default map, built-in mapping file
+ * @param {Object} params
+ * @param {string|null} params.depositMapId - Map selected by the user
+ * @param {string} params.vendorId - Vendor identifier
+ * @param {Function} params.findDepositMap - async (depositMapId) => DepositMap record or null
+ * @returns {Promise<{depositMapping: Object, depositMapId: string|null, depositMapFilename: string|null, depositMapSource: string}>}
+ * @throws {Error} If the selected deposit map does not exist (error.status = 404)
+ */
+export async function resolveDepositMapping({ depositMapId, vendorId, findDepositMap }) {
+    if (depositMapId) {
+        const record = await findDepositMap(depositMapId);
+        if (!record) {
+            const error = new Error(`Deposit map "${depositMapId}" not found`);
+            error.status = 404;
+            throw error;
+        }
+
+        return {
+            depositMapping: toMappingObject(record.mappings),
+            depositMapId: record.depositMapId,
+            depositMapFilename: record.filename,
+            depositMapSource: 'selected'
+        };
+    }
+
+    const defaultMapId = getVendorDefaultDepositMapId(vendorId);
+    if (defaultMapId) {
+        const record = await findDepositMap(defaultMapId);
+        if (record) {
+            return {
+                depositMapping: toMappingObject(record.mappings),
+                depositMapId: record.depositMapId,
+                depositMapFilename: record.filename,
+                depositMapSource: 'vendor-default'
+            };
+        }
+        console.warn(`Default deposit map "${defaultMapId}" for vendor ${vendorId} not found, using built-in file`);
+    }
+
+    const builtinPath = getBuiltinDepositMapPath();
+    try {
+        const depositMapping = await loadDepositMappingFile(builtinPath);
+        if (depositMapping) {
+            return {
+                depositMapping,
+                depositMapId: null,
+                depositMapFilename: path.basename(builtinPath),
+                depositMapSource: 'builtin'
+            };
+        }
+        console.warn('Deposit mapping file not found at:', builtinPath);
+    } catch (error) {
+        console.error('Error loading deposit mapping:', error);
+        // Continue without deposit mapping
+    }
+
+    return {
+        depositMapping: {},
+        depositMapId: null,
+        depositMapFilename: null,
+        depositMapSource: 'none'
+    };
+}
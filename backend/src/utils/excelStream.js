@@ -0,0 +1,438 @@
+/**
+ * Row-by-row Excel readers
+ * XLSX parts are parsed with exceljs's streaming WorkbookReader, so only the shared strings
+ * table, the styles and the current row are held in memory; sheet names and sizes come from the
+ * workbook XML and each sheet's <dimension> element, which the streaming reader does not expose.
+ * The parts are handed to WorkbookReader's internal parse methods (see readWorkbookParts), so
+ * exceljs is pinned to an exact version in package.json; tests/excelStream.test.js fails when
+ * those internals change.
+ * XLS (binary) is not read with bounded memory: the whole workbook is loaded, so files over
+ * MAX_XLS_FILE_SIZE are rejected, and the loaded workbook is kept briefly for the other reads of
+ * the same request. Cells are formatted as XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false })
+ * would format them
+ */
+
+import fs from 'fs';
+import ExcelJS from 'exceljs';
+import defaultNumFormats from 'exceljs/lib/xlsx/defaultnumformats.js';
+import unzipper from 'unzipper';
+import XLSX from 'xlsx';
+import { rowsToObjects } from './headerRow.js';
+
+// Rows converted per sheet_to_json call on the XLS path
+const XLS_CHUNK_SIZE = 1000;
+
+// Largest .xls file read into memory (bytes)
+const MAX_XLS_FILE_SIZE = parseInt(process.env.MAX_XLS_FILE_SIZE || '20971520'); // 20MB default
+
+// How long the last XLS workbook read is kept for further reads of the same file (ms)
+const XLS_CACHE_MS = 30000;
+
+// Last XLS workbook read: { key, workbook, timer }
+let cachedXLS = null;
+
+// Built-in number format ID by the format code exceljs gives it
+const BUILTIN_FORMAT_IDS = new Map(Object.entries(defaultNumFormats)
+    .filter(([, format]) => format.f)
+    .map(([id, format]) => [format.f, parseInt(id, 10)]));
+
+/**
+ * Read the text of a small zip entry
+ * @param {Object} directory - unzipper central directory
+ * @param {string} entryPath - Path inside the zip
+ * @returns {Promise<string|null>}
+ */
+async function readZipEntry(directory, entryPath) {
+    const entry = directory.files.find(file => file.path === entryPath);
+    if (!entry) return null;
+    return (await entry.buffer()).toString('utf8');
+}
+
+/**
+ * List worksheets of an XLSX archive in workbook order
+ * @param {Object} directory - unzipper central directory
+ * @returns {Promise<Array<{name: string, path: string}>>}
+ */
+async function getWorkbookSheets(directory) {
+    const workbookXml = await readZipEntry(directory, 'xl/workbook.xml');
+    const relsXml = await readZipEntry(directory, 'xl/_rels/workbook.xml.rels');
+    if (!workbookXml || !relsXml) return [];
+
+    const targets = {};
+    for (const [relationship] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+        const id = relationship.match(/\bId="([^"]+)"/);
+        const target = relationship.match(/\bTarget="([^"]+)"/);
+        if (id && target) {
+            const targetPath = target[1].replace(/^\//, '');
+            targets[id[1]] = targetPath.startsWith('xl/') ? targetPath : `xl/${targetPath}`;
+        }
+    }
+
+    const sheets = [];
+    for (const [sheet] of workbookXml.matchAll(/<(?:\w+:)?sheet\b[^>]*>/g)) {
+        const name = sheet.match(/\bname="([^"]*)"/);
+        const relId = sheet.match(/\br:id="([^"]+)"/);
+        if (name && relId && targets[relId[1]]) {
+            sheets.push({ name: decodeXmlEntities(name[1]), path: targets[relId[1]] });
+        }
+    }
+
+    return sheets;
+}
+
+/**
+ * Decode the XML entities that can appear in sheet names
+ * @param {string} text - Attribute text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the used row range from a worksheet's <dimension> element
+ * Stops reading as soon as the element (or the start of the cell data) is reached
+ * @param {Object} entry - unzipper file entry for the worksheet XML
+ * @returns {Promise<{firstRow: number, lastRow: number}|null>} - 1-based row numbers, or null if unknown
+ */
+function readSheetDimension(entry) {
+    return new Promise((resolve, reject) => {
+        const stream = entry.stream();
+        let head = '';
+
+        const finish = (result) => {
+            stream.destroy();
+            resolve(result);
+        };
+
+        stream.on('data', (chunk) => {
+            head += chunk.toString('utf8');
+
+            const dimension = head.match(/<(?:\w+:)?dimension\b[^>]*\bref="([^"]+)"/);
+            if (dimension) {
+                const range = XLSX.utils.decode_range(dimension[1]);
+                return finish({ firstRow: range.s.r + 1, lastRow: range.e.r + 1 });
+            }
+            if (head.includes('sheetData') || head.length > 65536) {
+                return finish(null);
+            }
+        });
+        stream.on('end', () => resolve(null));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Describe a sheet's size from its used row range
+ * @param {string} name - Sheet name
+ * @param {{firstRow: number, lastRow: number}|null} dimension - Used rows
+ * @returns {{name: string, rowCount: number|null, firstRow: number|null, lastRow: number|null}}
+ */
+function describeSheet(name, dimension) {
+    return {
+        name,
+        rowCount: dimension ? dimension.lastRow - dimension.firstRow : null,
+        firstRow: dimension ? dimension.firstRow : null,
+        lastRow: dimension ? dimension.lastRow : null
+    };
+}
+
+/**
+ * Build an error for a sheet name that is not in the workbook
+ * @param {string} sheetName - Requested sheet
+ * @returns {Error}
+ */
+function sheetNotFoundError(sheetName) {
+    const error = new Error(`Sheet "${sheetName}" not found in workbook`);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * List the worksheets of an Excel file with their sizes
+ * @param {string} filePath - Excel file path (.xlsx or .xls)
+ * @returns {Promise<Array<{name: string, rowCount: number|null, firstRow: number|null, lastRow: number|null}>>}
+ *   rowCount is the number of rows below the first used row (including blank rows);
+ *   firstRow and lastRow are 1-based. All three are null when the sheet does not record its size
+ */
+export async function listExcelSheets(filePath) {
+    if (getExtension(filePath) === 'xls') {
+        const workbook = readXLSWorkbook(filePath);
+        return workbook.SheetNames.map(name => describeSheet(name, getXLSDimension(workbook.Sheets[name])));
+    }
+
+    const directory = await unzipper.Open.file(filePath);
+    const sheets = await getWorkbookSheets(directory);
+
+    return Promise.all(sheets.map(async ({ name, path }) => {
+        const entry = directory.files.find(file => file.path === path);
+        return describeSheet(name, entry ? await readSheetDimension(entry) : null);
+    }));
+}
+
+/**
+ * Get the number of data rows in a sheet of an XLSX file
+ * Reads only the sheet's <dimension> element, so it is cheap for large workbooks
+ * @param {string} filePath - XLSX file path
+ * @param {string} sheetName - Sheet to count (defaults to the first sheet)
+ * @returns {Promise<number|null>} - Rows below the first used row, or null if unknown
+ */
+export async function countXLSXRows(filePath, sheetName = null) {
+    const directory = await unzipper.Open.file(filePath);
+    const sheets = await getWorkbookSheets(directory);
+    const sheet = sheetName ? sheets.find(s => s.name === sheetName) : sheets[0];
+    const entry = sheet && directory.files.find(file => file.path === sheet.path);
+    const dimension = entry ? await readSheetDimension(entry) : null;
+
+    return describeSheet(sheetName, dimension).rowCount;
+}
+
+/**
+ * Check whether a value is a Date
+ * exceljs may create its Dates in another realm (e.g. under Jest), so instanceof is not enough
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isDate(value) {
+    return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+/**
+ * Get the number format SheetJS should apply to a cell
+ * exceljs expands built-in formats to its own format codes; map those back to the built-in ID
+ * so dates and numbers read the same as sheet_to_json output
+ * @param {string|undefined} numFmt - exceljs cell format code
+ * @returns {number|string}
+ */
+function getNumberFormat(numFmt) {
+    if (!numFmt) return 0;
+    return BUILTIN_FORMAT_IDS.get(numFmt) ?? numFmt;
+}
+
+/**
+ * Format an exceljs cell as the text sheet_to_json(raw: false) would produce
+ * @param {Object} cell - exceljs cell
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {string}
+ */
+function formatCell(cell, date1904) {
+    let value = cell.value;
+
+    if (value && typeof value === 'object' && !isDate(value)) {
+        if (value.richText) return value.richText.map(run => run.text).join('');
+        if (value.error) return value.error;
+        value = 'result' in value ? value.result : null;
+    }
+
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (isDate(value)) {
+        // Back to the Excel serial number so the cell's own format is applied
+        value = 25569 + value.getTime() / 86400000 - (date1904 ? 1462 : 0);
+    }
+    if (typeof value === 'number') {
+        return isNaN(value) ? '' : XLSX.SSF.format(getNumberFormat(cell.numFmt), value, { date1904 });
+    }
+    return String(value);
+}
+
+/**
+ * Read the workbook parts rows depend on (date system, styles, shared strings) with exceljs
+ * The parts are opened from the archive's central directory: WorkbookReader's own sequential
+ * unzip can end before every entry has been handed out, silently dropping sheets
+ * @param {Object} directory - unzipper central directory
+ * @returns {Promise<Object>} - exceljs WorkbookReader holding the parsed parts
+ */
+async function readWorkbookParts(directory) {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(null, {
+        worksheets: 'emit',
+        sharedStrings: 'cache',
+        styles: 'cache',
+        hyperlinks: 'ignore',
+        entries: 'ignore'
+    });
+    const part = (entryPath) => directory.files.find(file => file.path === entryPath);
+
+    if (part('xl/workbook.xml')) {
+        await reader._parseWorkbook(part('xl/workbook.xml').stream());
+    }
+    if (part('xl/styles.xml')) {
+        await reader._parseStyles(part('xl/styles.xml').stream());
+    }
+    if (part('xl/sharedStrings.xml')) {
+        // Caches the table on the reader; nothing is yielded
+        const parsing = reader._parseSharedStrings(part('xl/sharedStrings.xml').stream());
+        while (!(await parsing.next()).done);
+    }
+
+    return reader;
+}
+
+/**
+ * Stream the rows of one sheet of an XLSX file as arrays of cell text
+ * Rows without any cells in the file are not emitted
+ * @param {string} filePath - XLSX file path
+ * @param {string} sheetName - Sheet to read
+ * @yields {{rowNumber: number, values: string[]}} - 1-based row number and cells by column
+ */
+async function* iterateXLSXRawRows(filePath, sheetName) {
+    const directory = await unzipper.Open.file(filePath);
+    const sheet = (await getWorkbookSheets(directory)).find(s => s.name === sheetName);
+    const entry = sheet && directory.files.find(file => file.path === sheet.path);
+    if (!entry) return;
+
+    const reader = await readWorkbookParts(directory);
+    const date1904 = Boolean(reader.properties?.model?.date1904);
+    const input = entry.stream();
+    const [{ value: worksheet }] = reader._parseWorksheet(input, sheet.path);
+
+    try {
+        for await (const row of worksheet) {
+            const values = [];
+            row.eachCell({ includeEmpty: true }, (cell, column) => {
+                values[column - 1] = formatCell(cell, date1904);
+            });
+            yield { rowNumber: row.number, values };
+        }
+    } finally {
+        // Stops reading the archive when the caller ends early
+        input.destroy();
+    }
+}
+
+/**
+ * Get the used row range of an XLS worksheet
+ * @param {Object} worksheet - SheetJS worksheet
+ * @returns {{firstRow: number, lastRow: number}|null} - 1-based row numbers, or null for an empty sheet
+ */
+function getXLSDimension(worksheet) {
+    if (!worksheet || !worksheet['!ref']) return null;
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    return { firstRow: range.s.r + 1, lastRow: range.e.r + 1 };
+}
+
+/**
+ * Read a whole XLS workbook into memory, refusing files over MAX_XLS_FILE_SIZE
+ * The workbook is kept for XLS_CACHE_MS, so listing sheets, scanning for the header row and
+ * reading the rows of one request parse the file once
+ * @param {string} filePath - XLS file path
+ * @returns {Object} - SheetJS workbook
+ */
+function readXLSWorkbook(filePath) {
+    const { size, mtimeMs } = fs.statSync(filePath);
+    if (size > MAX_XLS_FILE_SIZE) {
+        const limitMB = Math.floor(MAX_XLS_FILE_SIZE / 1048576);
+        const error = new Error(`.xls files are read whole into memory, so files over ${limitMB}MB are refused; ` +
+            'save the workbook as .xlsx, which is read row by row, and upload it again');
+        error.status = 413;
+        throw error;
+    }
+
+    const key = `${filePath}:${size}:${mtimeMs}`;
+    if (cachedXLS?.key !== key) {
+        clearTimeout(cachedXLS?.timer);
+        cachedXLS = { key, workbook: XLSX.readFile(filePath) };
+    }
+    clearTimeout(cachedXLS.timer);
+    cachedXLS.timer = setTimeout(() => { cachedXLS = null; }, XLS_CACHE_MS);
+    cachedXLS.timer.unref();
+
+    return cachedXLS.workbook;
+}
+
+/**
+ * Rows of one sheet of an XLS file as arrays of cell text, converted in bounded chunks
+ * @param {string} filePath - XLS file path
+ * @param {string} sheetName - Sheet to read, or null for the first sheet
+ * @returns {{dimension: Object|null, rows: AsyncGenerator<{rowNumber: number, values: string[]}>}}
+ */
+function readXLSRawRows(filePath, sheetName) {
+    const workbook = readXLSWorkbook(filePath);
+    const name = sheetName || workbook.SheetNames[0];
+    if (!workbook.SheetNames.includes(name)) {
+        throw sheetNotFoundError(name);
+    }
+
+    const worksheet = workbook.Sheets[name];
+    const dimension = getXLSDimension(worksheet);
+
+    async function* rows() {
+        if (!dimension) return;
+
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        for (let start = range.s.r; start <= range.e.r; start += XLS_CHUNK_SIZE) {
+            const end = Math.min(start + XLS_CHUNK_SIZE - 1, range.e.r);
+            const chunk = XLSX.utils.sheet_to_json(worksheet, {
+                header: 1,
+                range: { s: { r: start, c: range.s.c }, e: { r: end, c: range.e.c } },
+                defval: '',
+                blankrows: true,
+                raw: false
+            });
+
+            for (let i = 0; i < chunk.length; i++) {
+                yield { rowNumber: start + i + 1, values: chunk[i] };
+            }
+        }
+    }
+
+    return { dimension, rows: rows() };
+}
+
+/**
+ * Get a lowercase file extension
+ * @param {string} filePath - File path
+ * @returns {string}
+ */
+function getExtension(filePath) {
+    return filePath.toLowerCase().split('.').pop();
+}
+
+/**
+ * Open a sheet of an Excel file for reading rows as arrays of cell text
+ * @param {string} filePath - Excel file path (.xlsx or .xls)
+ * @param {Object} options - Options
+ * @param {string} options.sheetName - Sheet to read (defaults to the first sheet)
+ * @returns {Promise<{dimension: Object|null, rows: AsyncGenerator<{rowNumber: number, values: string[]}>}>}
+ *   dimension holds the sheet's 1-based firstRow and lastRow, or is null if unknown
+ */
+export async function openExcelRawRows(filePath, { sheetName = null } = {}) {
+    if (getExtension(filePath) === 'xls') {
+        return readXLSRawRows(filePath, sheetName);
+    }
+
+    const sheets = await listExcelSheets(filePath);
+    const sheet = sheetName ? sheets.find(s => s.name === sheetName) : sheets[0];
+    if (!sheet) {
+        throw sheetNotFoundError(sheetName);
+    }
+
+    const dimension = sheet.lastRow !== null
+        ? { firstRow: sheet.firstRow, lastRow: sheet.lastRow }
+        : null;
+
+    return { dimension, rows: iterateXLSXRawRows(filePath, sheet.name) };
+}
+
+/**
+ * Open a sheet of an Excel file for row-by-row reading
+ * @param {string} filePath - Excel file path (.xlsx or .xls)
+ * @param {Object} options - Options
+ * @param {string} options.sheetName - Sheet to read (defaults to the first sheet)
+ * @param {number} options.headerRow - 1-based header row (defaults to the first non-blank row)
+ * @returns {Promise<{total: number|null, rows: AsyncGenerator<Object>}>}
+ *   total is the number of rows below the header (including blank rows), or null if unknown
+ */
+export async function openExcelRows(filePath, { sheetName = null, headerRow = null } = {}) {
+    const { dimension, rows } = await openExcelRawRows(filePath, { sheetName });
+    const total = dimension
+        ? Math.max(dimension.lastRow - (headerRow || dimension.firstRow), 0)
+        : null;
+
+    return { total, rows: rowsToObjects(rows, headerRow) };
+}
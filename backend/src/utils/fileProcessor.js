@@ -4,10 +4,33 @@
  */
 
 import fs from 'fs';
-import csvParser from 'csv-parser';
+import readline from 'readline';
 import { parse } from 'fast-csv';
-import XLSX from 'xlsx';
-import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { once } from 'events';
+import { pipeline } from 'stream';
+import { finished } from 'stream/promises';
+import { openExcelRows, openExcelRawRows, listExcelSheets } from './excelStream.js';
+import { detectHeaderRow, rowsToObjects, HEADER_SCAN_ROWS } from './headerRow.js';
+import { sniffCSVDialect, createDecodeStream } from './csvDialect.js';
+import { DEFAULT_OUTPUT_FORMAT } from './outputFormats.js';
+import { createWarning } from './transformers/helpers.js';
+
+// Output column added when rows are tagged with the sheet they came from
+export const SOURCE_SHEET_COLUMN = 'Source Sheet';
+
+// Columns added around the original values in the rejects file
+export const REJECT_ROW_COLUMN = 'Row';
+export const REJECT_REASON_COLUMN = 'Reject Reason';
+
+// Warnings buffered before they are handed to options.onWarnings
+const WARNING_FLUSH_SIZE = 1000;
+
+// XLSX output columns kept as text so codes keep their leading zeros
+const XLSX_TEXT_COLUMN_PATTERN = /upc|gtin|ean|plu|barcode|sku|code/i;
+
+// Longest digit string written to XLSX as a number (Excel keeps 15 significant digits)
+const XLSX_MAX_NUMBER_DIGITS = 15;
 
 /**
  * Escape a value for proper CSV formatting
@@ -44,229 +67,819 @@ function escapeCSVValue(value) {
     return str;
 }
 
+/**
+ * Format values as one CSV line (without the line break)
+ * @param {Array} values - Cell values
+ * @returns {string}
+ */
+export function formatCSVLine(values) {
+    return values.map(escapeCSVValue).join(',');
+}
+
+/**
+ * Read a CSV file as arrays of cell text
+ * @param {string} filePath - CSV file path
+ * @param {Object} csvDialect - Delimiter, quote and encoding (sniffed from the file when missing)
+ * @returns {AsyncGenerator<{rowNumber: number, values: string[]}>} - 1-based record number and cells
+ */
+async function* readCSVRawRows(filePath, csvDialect = null) {
+    const { delimiter, quote, encoding } = csvDialect || await sniffCSVDialect(filePath);
+
+    // pipeline forwards read errors to the parser so iteration rejects
+    const records = pipeline(
+        fs.createReadStream(filePath),
+        createDecodeStream(encoding),
+        parse({ headers: false, delimiter, quote }),
+        () => {}
+    );
+    let rowNumber = 0;
+
+    for await (const values of records) {
+        rowNumber++;
+        yield { rowNumber, values };
+    }
+}
+
+/**
+ * Read the top rows of a file as arrays of cell text, before any header is applied
+ * Used to detect the header row and to show users where it is
+ * @param {string} filePath - File path
+ * @param {Object} options - Options
+ * @param {string} options.sheetName - Excel sheet to read (defaults to the first sheet)
+ * @param {Object} options.csvDialect - CSV delimiter, quote and encoding (sniffed when missing)
+ * @param {number} options.limit - Rows to read
+ * @returns {Promise<Array<{rowNumber: number, values: string[]}>>}
+ */
+export async function readRawRows(filePath, { sheetName = null, csvDialect = null, limit = HEADER_SCAN_ROWS } = {}) {
+    const rows = getFileType(filePath) === 'excel'
+        ? (await openExcelRawRows(filePath, { sheetName })).rows
+        : readCSVRawRows(filePath, csvDialect);
+    const result = [];
+
+    for await (const row of rows) {
+        if (result.length >= limit) break;
+        result.push(row);
+    }
+
+    return result;
+}
+
+/**
+ * Resolve a header row option to a row number
+ * @param {string} filePath - File path
+ * @param {number|string|null} headerRow - Row number, 'auto' to detect, or null for the first non-blank row
+ * @param {Object} options - readRawRows options (sheetName, csvDialect)
+ * @returns {Promise<number|null>}
+ */
+async function resolveHeaderRow(filePath, headerRow, options = {}) {
+    if (headerRow !== 'auto') {
+        return headerRow || null;
+    }
+    return detectHeaderRow(await readRawRows(filePath, options));
+}
+
+/**
+ * Collect row objects up to a limit
+ * @param {AsyncIterable<Object>} rows - Row objects
+ * @param {number} limit - Max rows (0 = all)
+ * @returns {Promise<Object[]>}
+ */
+async function collectRows(rows, limit) {
+    const result = [];
+
+    for await (const row of rows) {
+        result.push(row);
+        if (limit > 0 && result.length >= limit) {
+            break;
+        }
+    }
+
+    return result;
+}
+
 /**
  * Parse Excel file and return rows
+ * Rows are read incrementally, so a small limit only reads the top of the sheet
  * @param {string} filePath - Path to Excel file
  * @param {number} limit - Max rows to read (0 = all)
+ * @param {Object} options - Options
+ * @param {string} options.sheetName - Sheet to read (defaults to the first sheet)
+ * @param {number|string} options.headerRow - 1-based header row, or 'auto' to detect it
  * @returns {Promise<Object[]>} - Array of row objects
  */
-export async function parseExcelFile(filePath, limit = 0) {
-    return new Promise((resolve, reject) => {
-        try {
-            const workbook = XLSX.readFile(filePath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-
-            // Convert to JSON
-            let rows = XLSX.utils.sheet_to_json(worksheet, {
-                defval: '',
-                raw: false // Keep as strings to preserve formatting
-            });
+export async function parseExcelFile(filePath, limit = 0, { sheetName = null, headerRow = null } = {}) {
+    const resolvedHeaderRow = await resolveHeaderRow(filePath, headerRow, { sheetName });
+    const { rows } = await openExcelRows(filePath, { sheetName, headerRow: resolvedHeaderRow });
+    return collectRows(rows, limit);
+}
 
-            if (limit > 0) {
-                rows = rows.slice(0, limit);
-            }
+/**
+ * Describe every sheet of an Excel file for previewing
+ * The header row of each sheet is detected from its top rows
+ * @param {string} filePath - Path to Excel file
+ * @param {number} limit - Preview rows per sheet
+ * @returns {Promise<Array<{name: string, rowCount: number|null, headerRow: number|null, rawRows: Array, columns: string[], preview: Object[]}>>}
+ *   rowCount is the number of rows below the header
+ */
+export async function getExcelSheetPreviews(filePath, limit = 50) {
+    const sheets = await listExcelSheets(filePath);
+    const previews = [];
+
+    // One sheet at a time to keep a single workbook reader open
+    for (const sheet of sheets) {
+        const rawRows = await readRawRows(filePath, { sheetName: sheet.name });
+        const headerRow = detectHeaderRow(rawRows);
+        const preview = await parseExcelFile(filePath, limit, { sheetName: sheet.name, headerRow });
+
+        previews.push({
+            name: sheet.name,
+            rowCount: sheet.lastRow !== null ? Math.max(sheet.lastRow - (headerRow || sheet.firstRow), 0) : null,
+            headerRow,
+            rawRows,
+            columns: preview.length > 0 ? Object.keys(preview[0]) : [],
+            preview
+        });
+    }
 
-            resolve(rows);
-        } catch (error) {
-            reject(error);
-        }
-    });
+    return previews;
 }
 
 /**
  * Parse CSV file and return rows
  * @param {string} filePath - Path to CSV file
  * @param {number} limit - Max rows to read (0 = all)
+ * @param {Object} options - Options
+ * @param {number|string} options.headerRow - 1-based header row, or 'auto' to detect it
+ * @param {Object} options.csvDialect - Delimiter, quote and encoding (sniffed when missing)
  * @returns {Promise<Object[]>} - Array of row objects
  */
-export async function parseCSVFile(filePath, limit = 0) {
-    return new Promise((resolve, reject) => {
-        const rows = [];
-        let count = 0;
-
-        fs.createReadStream(filePath)
-            .pipe(csvParser())
-            .on('data', (row) => {
-                if (limit === 0 || count < limit) {
-                    rows.push(row);
-                    count++;
+export async function parseCSVFile(filePath, limit = 0, { headerRow = null, csvDialect = null } = {}) {
+    const dialect = csvDialect || await sniffCSVDialect(filePath);
+    const resolvedHeaderRow = await resolveHeaderRow(filePath, headerRow, { csvDialect: dialect });
+    return collectRows(rowsToObjects(readCSVRawRows(filePath, dialect), resolvedHeaderRow), limit);
+}
+
+/**
+ * Count data rows in a CSV file by counting line breaks
+ * Quoted values containing newlines make this an upper bound, which is fine for progress
+ * @param {string} filePath - CSV file path
+ * @returns {Promise<number>} - Lines after the header row
+ */
+export async function countCSVRows(filePath) {
+    let lines = 0;
+    let lastByte = null;
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+        for (let i = 0; i < chunk.length; i++) {
+            if (chunk[i] === 0x0a) lines++;
+        }
+        lastByte = chunk[chunk.length - 1];
+    }
+
+    // Count a final line without a trailing newline
+    if (lastByte !== null && lastByte !== 0x0a) {
+        lines++;
+    }
+
+    return Math.max(lines - 1, 0);
+}
+
+/**
+ * Convert an output value to trimmed text
+ * @param {*} value - Output value
+ * @returns {string}
+ */
+function toCellText(value) {
+    return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Create a UTF-8 text file writer that respects stream backpressure
+ * @param {string} outputPath - Output file path
+ * @param {Object} options - Options
+ * @param {boolean} options.bom - Start the file with a byte order mark (for Excel)
+ * @returns {{writeLine: (line: string) => Promise<void>, end: () => Promise<void>, destroy: () => void}}
+ */
+function createLineWriter(outputPath, { bom = false } = {}) {
+    const writeStream = fs.createWriteStream(outputPath, { encoding: 'utf8' });
+
+    if (bom) {
+        writeStream.write('\ufeff');
+    }
+
+    return {
+        async writeLine(line) {
+            if (!writeStream.write(line + '\n')) {
+                await once(writeStream, 'drain');
+            }
+        },
+        async end() {
+            writeStream.end();
+            await finished(writeStream);
+        },
+        destroy() {
+            writeStream.destroy();
+        }
+    };
+}
+
+/**
+ * Create a writer for delimited text with a header line
+ * Columns are taken from the first row written, preserving their order
+ * @param {string} outputPath - Output file path
+ * @param {Function} formatLine - Joins one line of values into text
+ * @param {Object} options - createLineWriter options
+ * @returns {{write: (row: Object) => Promise<void>, end: () => Promise<void>, destroy: () => void}}
+ */
+function createDelimitedWriter(outputPath, formatLine, options) {
+    const lines = createLineWriter(outputPath, options);
+    let headers = null;
+
+    return {
+        async write(row) {
+            if (!headers) {
+                headers = Object.keys(row);
+                await lines.writeLine(formatLine(headers));
+            }
+            await lines.writeLine(formatLine(headers.map(header => row[header])));
+        },
+        end: lines.end,
+        destroy: lines.destroy
+    };
+}
+
+/**
+ * Create a JSON Lines writer (one JSON object per row)
+ * @param {string} outputPath - Output file path
+ * @returns {{write: (row: Object) => Promise<void>, end: () => Promise<void>, destroy: () => void}}
+ */
+function createJSONLWriter(outputPath) {
+    const lines = createLineWriter(outputPath);
+
+    return {
+        write: (row) => lines.writeLine(JSON.stringify(row)),
+        end: lines.end,
+        destroy: lines.destroy
+    };
+}
+
+/**
+ * Create a fixed-width text writer
+ * Each column is padded to its longest value, which is only known after the last row,
+ * so rows are spooled to a temporary file and padded when the writer ends
+ * @param {string} outputPath - Output file path
+ * @returns {{write: (row: Object) => Promise<void>, end: () => Promise<void>, destroy: () => void}}
+ */
+function createFixedWidthWriter(outputPath) {
+    const spoolPath = `${outputPath}.spool`;
+    const spool = createLineWriter(spoolPath);
+    const toCell = (value) => toCellText(value).replace(/\s+/g, ' ');
+    let headers = null;
+    let widths = [];
+
+    const measure = (cells) => {
+        widths = cells.map((cell, index) => Math.max(widths[index] || 0, cell.length));
+        return cells;
+    };
+    const pad = (cells) => cells.map((cell, index) => cell.padEnd(widths[index])).join(' ');
+    const removeSpool = () => fs.promises.rm(spoolPath, { force: true });
+
+    return {
+        async write(row) {
+            if (!headers) {
+                headers = Object.keys(row);
+                measure(headers.map(toCell));
+            }
+            await spool.writeLine(JSON.stringify(measure(headers.map(header => toCell(row[header])))));
+        },
+        async end() {
+            await spool.end();
+            const lines = createLineWriter(outputPath);
+
+            try {
+                if (headers) {
+                    await lines.writeLine(pad(headers.map(toCell)));
                 }
-            })
-            .on('end', () => {
-                resolve(rows);
-            })
-            .on('error', (error) => {
-                reject(error);
-            });
+                const spooled = readline.createInterface({ input: fs.createReadStream(spoolPath), crlfDelay: Infinity });
+                for await (const line of spooled) {
+                    await lines.writeLine(pad(JSON.parse(line)));
+                }
+                await lines.end();
+            } catch (error) {
+                lines.destroy();
+                throw error;
+            } finally {
+                await removeSpool();
+            }
+        },
+        destroy() {
+            spool.destroy();
+            removeSpool().catch(() => {});
+        }
+    };
+}
+
+/**
+ * Convert an output value to an XLSX cell value
+ * Plain decimal numbers become numbers (keeping their decimal places through the number format);
+ * text columns, values with leading zeros and long digit strings stay text
+ * @param {*} value - Output value
+ * @param {boolean} isTextColumn - Whether the column holds codes that must stay text
+ * @returns {{value: string|number, numFmt: string|null}}
+ */
+function toXLSXCell(value, isTextColumn) {
+    const text = toCellText(value);
+    const match = /^-?(?:0|[1-9]\d*)(?:\.(\d+))?$/.exec(text);
+
+    if (isTextColumn || !match || text.replace(/\D/g, '').length > XLSX_MAX_NUMBER_DIGITS) {
+        return { value: text, numFmt: null };
+    }
+
+    const decimals = match[1] ? match[1].length : 0;
+    return { value: Number(text), numFmt: decimals > 0 ? `0.${'0'.repeat(decimals)}` : null };
+}
+
+/**
+ * Create an XLSX writer
+ * Rows are committed to the archive as they are written; code columns (UPC, item codes)
+ * are typed as text so leading zeros survive when the file is opened and saved in Excel
+ * @param {string} outputPath - Output file path
+ * @returns {{write: (row: Object) => Promise<void>, end: () => Promise<void>, destroy: () => void}}
+ */
+function createXLSXWriter(outputPath) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        filename: outputPath,
+        useStyles: true,
+        useSharedStrings: false
     });
+    const worksheet = workbook.addWorksheet('Export');
+    let headers = null;
+    let textColumns = null;
+
+    return {
+        async write(row) {
+            if (!headers) {
+                headers = Object.keys(row);
+                textColumns = headers.map(header => XLSX_TEXT_COLUMN_PATTERN.test(header));
+                worksheet.columns = headers.map((header, index) => ({
+                    header,
+                    width: Math.max(header.length + 2, 10),
+                    style: textColumns[index] ? { numFmt: '@' } : {}
+                }));
+            }
+
+            const cells = headers.map((header, index) => toXLSXCell(row[header], textColumns[index]));
+            const excelRow = worksheet.addRow(cells.map(cell => cell.value));
+            cells.forEach((cell, index) => {
+                if (cell.numFmt) {
+                    excelRow.getCell(index + 1).numFmt = cell.numFmt;
+                }
+            });
+            excelRow.commit();
+        },
+        async end() {
+            worksheet.commit();
+            await workbook.commit();
+        },
+        destroy() {
+            workbook.zip.abort();
+            workbook.stream.destroy();
+        }
+    };
 }
 
 /**
- * Stream process CSV file with transformation
- * @param {string} inputPath - Input file path
+ * Output writer factories by format (formats are described in outputFormats.js)
+ * Each returns {write(row), end(), destroy()}; write and end respect backpressure
+ */
+const outputWriters = {
+    // UTF-8 with BOM for Excel compatibility
+    csv: (outputPath) => createDelimitedWriter(outputPath, formatCSVLine, { bom: true }),
+    tsv: (outputPath) => createDelimitedWriter(
+        outputPath,
+        values => values.map(value => toCellText(value).replace(/[\t\r\n]+/g, ' ')).join('\t'),
+        { bom: true }
+    ),
+    'fixed-width': createFixedWidthWriter,
+    jsonl: createJSONLWriter,
+    xlsx: createXLSXWriter
+};
+
+/**
+ * Create a writer for transform output
+ * @param {string} outputPath - Output file path
+ * @param {string} format - Output format (see OUTPUT_FORMATS)
+ * @returns {{write: (row: Object) => Promise<void>, end: () => Promise<void>, destroy: () => void}}
+ * @throws {Error} With status 400 for unsupported formats
+ */
+export function createOutputWriter(outputPath, format = DEFAULT_OUTPUT_FORMAT) {
+    const createWriter = outputWriters[format];
+
+    if (!createWriter) {
+        const error = new Error(`Unsupported output format: ${format}`);
+        error.status = 400;
+        throw error;
+    }
+
+    return createWriter(outputPath);
+}
+
+/**
+ * Rows sent to the transform worker pool per batch
+ * @returns {number}
+ */
+function getTransformBatchSize() {
+    return parseInt(process.env.TRANSFORM_BATCH_SIZE || '500');
+}
+
+/**
+ * Check whether a row has any non-blank cell; blank rows are skipped and not counted
+ * @param {Object} row - Row object
+ * @returns {boolean}
+ */
+function hasContent(row) {
+    return Object.values(row).some(v => String(v || '').trim() !== '');
+}
+
+/**
+ * Convert a transformer warning to a structured warning
+ * Free-text warnings from transformers that don't use codes become TRANSFORM_WARNING
+ * @param {Object|string} warning - Warning from a transformer
+ * @returns {Object}
+ */
+function toWarning(warning) {
+    return typeof warning === 'string' ? createWarning('TRANSFORM_WARNING', warning) : { ...warning };
+}
+
+/**
+ * Transform rows and write them to the output as they arrive
+ * Rows are transformed one at a time by transformFn, or in batches by options.transformBatch
+ * (e.g. on worker threads) with a few batches in flight; results are written in input order
+ * either way, so only the rows of in-flight batches are held in memory.
+ * Results with rejectReasons are left out of the output; their original values are written to
+ * options.rejectsPath with the row number and reasons. options.snapshotPath gets the
+ * options.snapshotColumns of each output row as JSON lines, for comparing transforms later
+ * @param {AsyncIterable<Object>} rows - Input rows
  * @param {string} outputPath - Output file path
  * @param {Function} transformFn - Transform function (row) => {transformedRow, warnings}
- * @param {Function} progressCallback - Progress callback (processed, total)
- * @returns {Promise<{processed: number, warnings: string[]}>}
- */
-export async function streamProcessCSV(inputPath, outputPath, transformFn, progressCallback = null) {
-    return new Promise((resolve, reject) => {
-        const warnings = [];
-        let processed = 0;
-        let isFirstRow = true;
-        let headers = [];
-
-        // Use UTF-8 encoding with BOM for Excel compatibility
-        const writeStream = fs.createWriteStream(outputPath, { encoding: 'utf8' });
-        writeStream.write('\ufeff'); // Write BOM
-
-        const csvStream = parse({ headers: true });
-
-        csvStream
-            .on('data', (row) => {
-                // Skip empty rows
-                const hasContent = Object.values(row).some(v => {
-                    const str = String(v || '').trim();
-                    return str !== '';
-                });
-
-                if (!hasContent) {
-                    return;
-                }
+ * @param {Function} progressCallback - Progress callback (processed, total, warningCount)
+ * @param {Object} options - Options
+ * @param {number|null} options.total - Expected number of input rows, or null if unknown
+ * @param {string} options.outputFormat - Output format (see OUTPUT_FORMATS)
+ * @param {AbortSignal} options.signal - Stops processing between rows when aborted
+ * @param {Function} options.transformBatch - async (rows) => results, used instead of transformFn
+ * @param {number} options.parallelism - Batches transformed at the same time
+ * @param {Function} options.afterTransform - (result, row) => result, applied to each result in order
+ * @param {Function} options.onWarnings - async (warnings) => void; receives warnings in row order as they
+ *   accumulate instead of keeping them all in memory, so the returned warnings are empty
+ * @param {string} options.rejectsPath - CSV file for rejected rows, created when the first row is rejected
+ * @param {Function} options.getSheet - (row) => sheet name, added to rejected rows when given
+ * @param {number|null} options.errorThreshold - Fail once more rows than this are rejected or have an
+ *   error-severity warning (null for no limit). Warnings and rejects found so far are kept
+ * @param {string} options.snapshotPath - JSON lines file for the snapshot columns of output rows
+ * @param {string[]} options.snapshotColumns - Output columns kept in the snapshot
+ * @returns {Promise<{processed: number, rejected: number, warnings: Object[], warningCount: number}>} - Warnings
+ *   carry the 1-based row number among the processed rows
+ */
+async function processRows(rows, outputPath, transformFn, progressCallback, {
+    total = null,
+    outputFormat,
+    signal,
+    transformBatch = null,
+    parallelism = 1,
+    afterTransform = null,
+    onWarnings = null,
+    rejectsPath = null,
+    getSheet = null,
+    errorThreshold = null,
+    snapshotPath = null,
+    snapshotColumns = []
+} = {}) {
+    const writer = createOutputWriter(outputPath, outputFormat);
+    const snapshot = snapshotPath ? createOutputWriter(snapshotPath, 'jsonl') : null;
+    let rejects = null;
+    let warnings = [];
+    let warningCount = 0;
+    let processed = 0;
+    let rejected = 0;
+    let errorRows = 0;
+
+    const flushWarnings = async () => {
+        if (onWarnings && warnings.length > 0) {
+            const flushed = warnings;
+            warnings = [];
+            await onWarnings(flushed);
+        }
+    };
 
-                const result = transformFn(row);
+    const writeReject = async (row, reasons) => {
+        if (!rejects) {
+            rejects = createOutputWriter(rejectsPath, 'csv');
+        }
+        await rejects.write({
+            [REJECT_ROW_COLUMN]: processed,
+            ...(getSheet && { [SOURCE_SHEET_COLUMN]: getSheet(row) }),
+            ...row,
+            [REJECT_REASON_COLUMN]: reasons.join('; ')
+        });
+    };
+
+    const batchSize = transformBatch ? getTransformBatchSize() : 1;
+    const runBatch = transformBatch || (async (batch) => batch.map(row => transformFn(row)));
+    // Keep each worker busy while the previous batch is written
+    const maxInFlight = transformBatch ? Math.max(1, parallelism) * 2 : 1;
+    const inFlight = [];
+
+    const submit = (batch) => {
+        const results = Promise.resolve().then(() => runBatch(batch));
+        // Failures surface when the batch is consumed; don't report them as unhandled before then
+        results.catch(() => {});
+        inFlight.push({ batch, results });
+    };
+
+    const consume = async () => {
+        const { batch, results } = inFlight.shift();
+        const batchResults = await results;
+
+        for (let i = 0; i < batch.length; i++) {
+            signal?.throwIfAborted();
+
+            const result = afterTransform ? afterTransform(batchResults[i], batch[i]) : batchResults[i];
+            processed++;
+
+            if (result.rejectReasons) {
+                rejected++;
+                if (rejectsPath) {
+                    await writeReject(batch[i], result.rejectReasons);
+                }
+            } else if (result.transformedRow && Object.keys(result.transformedRow).length > 0) {
+                // Rows where transformation resulted in empty data are skipped
+                await writer.write(result.transformedRow);
+                if (snapshot) {
+                    await snapshot.write(Object.fromEntries(snapshotColumns
+                        .filter(column => column in result.transformedRow)
+                        .map(column => [column, result.transformedRow[column]])));
+                }
+            }
 
-                // Skip if transformation resulted in empty data
-                if (!result.transformedRow || Object.keys(result.transformedRow).length === 0) {
-                    return;
+            if (result.warnings && result.warnings.length > 0) {
+                for (const warning of result.warnings) {
+                    warnings.push({ row: processed, ...toWarning(warning) });
                 }
+                warningCount += result.warnings.length;
+            }
 
-                // Write header on first valid row - preserve column ordering
-                if (isFirstRow) {
-                    headers = Object.keys(result.transformedRow);
-                    writeStream.write(headers.map(h => escapeCSVValue(h)).join(',') + '\n');
-                    isFirstRow = false;
+            if (result.rejectReasons || result.warnings?.some(warning => warning.severity === 'error')) {
+                errorRows++;
+                if (errorThreshold !== null && errorRows > errorThreshold) {
+                    const error = new Error(
+                        `Strict mode: ${errorRows} rows were rejected or have errors, more than the threshold of ${errorThreshold}`
+                    );
+                    error.status = 422;
+                    error.code = 'ERROR_THRESHOLD_EXCEEDED';
+                    error.retryable = false;
+                    error.processed = processed;
+                    error.rejected = rejected;
+                    error.warningCount = warningCount;
+                    throw error;
                 }
+            }
 
-                // Write data row with consistent column order
-                const values = headers.map(header => {
-                    const value = result.transformedRow[header];
-                    return escapeCSVValue(value);
-                });
-                writeStream.write(values.join(',') + '\n');
+            if (progressCallback) {
+                progressCallback(processed, total !== null ? Math.max(total, processed) : null, warningCount);
+            }
+        }
 
-                // Collect warnings
-                if (result.warnings && result.warnings.length > 0) {
-                    warnings.push(...result.warnings.map(w => `Row ${processed + 1}: ${w}`));
-                }
+        if (warnings.length >= WARNING_FLUSH_SIZE) {
+            await flushWarnings();
+        }
+    };
 
-                processed++;
+    try {
+        let batch = [];
+        for await (const row of rows) {
+            signal?.throwIfAborted();
 
-                if (progressCallback) {
-                    progressCallback(processed);
+            // Skip empty rows
+            if (!hasContent(row)) {
+                continue;
+            }
+
+            batch.push(row);
+            if (batch.length >= batchSize) {
+                submit(batch);
+                batch = [];
+                if (inFlight.length >= maxInFlight) {
+                    await consume();
                 }
-            })
-            .on('end', () => {
-                writeStream.end();
-                resolve({ processed, warnings });
-            })
-            .on('error', (error) => {
-                writeStream.end();
-                reject(error);
-            });
+            }
+        }
 
-        fs.createReadStream(inputPath).pipe(csvStream);
-    });
+        if (batch.length > 0) {
+            submit(batch);
+        }
+        while (inFlight.length > 0) {
+            await consume();
+        }
+
+        await flushWarnings();
+        await writer.end();
+        await rejects?.end();
+        await snapshot?.end();
+    } catch (error) {
+        writer.destroy();
+        snapshot?.destroy();
+        if (error.code === 'ERROR_THRESHOLD_EXCEEDED') {
+            // Keep what was found so far so the failure can be reviewed
+            await flushWarnings();
+            await rejects?.end();
+        } else {
+            rejects?.destroy();
+        }
+        throw error;
+    }
+
+    return { processed, rejected, warnings, warningCount };
 }
 
 /**
- * Stream process Excel file with transformation
+ * Open a CSV file's data rows as objects
+ * @param {string} inputPath - Input file path
+ * @param {Object} options - headerRow (1-based or 'auto') and csvDialect (sniffed when missing)
+ * @param {Object} settings
+ * @param {boolean} settings.countRows - Count the data rows up front
+ * @returns {Promise<{rows: AsyncIterable<Object>, total: number|null, getSheet: Function}>}
+ */
+async function openCSVInput(inputPath, options = {}, { countRows = false } = {}) {
+    const csvDialect = options.csvDialect || await sniffCSVDialect(inputPath);
+    const headerRow = await resolveHeaderRow(inputPath, options.headerRow || null, { csvDialect });
+    const total = countRows
+        ? Math.max(await countCSVRows(inputPath) - ((headerRow || 1) - 1), 0)
+        : null;
+
+    return {
+        rows: rowsToObjects(readCSVRawRows(inputPath, csvDialect), headerRow),
+        total,
+        getSheet: () => null
+    };
+}
+
+/**
+ * Stream process CSV file with transformation
  * @param {string} inputPath - Input file path
  * @param {string} outputPath - Output file path
- * @param {Function} transformFn - Transform function
- * @param {Function} progressCallback - Progress callback
- * @returns {Promise<{processed: number, warnings: string[]}>}
- */
-export async function streamProcessExcel(inputPath, outputPath, transformFn, progressCallback = null) {
-    return new Promise((resolve, reject) => {
-        try {
-            const workbook = XLSX.readFile(inputPath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-
-            const rows = XLSX.utils.sheet_to_json(worksheet, {
-                defval: '',
-                raw: false // Keep as strings to preserve formatting
-            });
+ * @param {Function} transformFn - Transform function (row) => {transformedRow, warnings}
+ * @param {Function} progressCallback - Progress callback (processed, total, warningCount)
+ * @param {Object} options - Options
+ * @param {number|string} options.headerRow - 1-based header row, or 'auto' to detect it
+ * @param {Object} options.csvDialect - Delimiter, quote and encoding (sniffed when missing)
+ * @param {string} options.outputFormat - Output format (defaults to CSV)
+ * @param {AbortSignal} options.signal - Cancels processing when aborted
+ * @param {Function} options.transformBatch - async (rows) => results; transforms batches instead of transformFn
+ * @param {number} options.parallelism - Batches transformBatch can run at once
+ * @param {Function} options.onWarnings - async (warnings) => void; receives warnings as they accumulate
+ * @param {string} options.rejectsPath - CSV file for rejected rows
+ * @param {number|null} options.errorThreshold - Fail once more rows than this are rejected or have errors
+ * @param {string} options.snapshotPath - JSON lines file for the snapshot columns of output rows
+ * @param {string[]} options.snapshotColumns - Output columns kept in the snapshot
+ * @returns {Promise<{processed: number, rejected: number, warnings: Object[], warningCount: number}>}
+ */
+export async function streamProcessCSV(inputPath, outputPath, transformFn, progressCallback = null, options = {}) {
+    const { rows, total } = await openCSVInput(inputPath, options, { countRows: Boolean(progressCallback) });
+
+    return processRows(rows, outputPath, transformFn, progressCallback, {
+        total,
+        outputFormat: options.outputFormat,
+        signal: options.signal,
+        transformBatch: options.transformBatch,
+        parallelism: options.parallelism,
+        onWarnings: options.onWarnings,
+        rejectsPath: options.rejectsPath,
+        errorThreshold: options.errorThreshold ?? null,
+        snapshotPath: options.snapshotPath,
+        snapshotColumns: options.snapshotColumns
+    });
+}
 
-            // Filter out empty rows (rows where all values are empty)
-            const nonEmptyRows = rows.filter(row => {
-                return Object.values(row).some(value => {
-                    const strValue = String(value || '').trim();
-                    return strValue !== '';
-                });
-            });
+/**
+ * Open the data rows of a workbook's selected sheets, one sheet after another
+ * @param {string} inputPath - Input file path
+ * @param {Object} options - sheetNames (defaults to the first sheet), sheetHeaderRows, headerRow
+ * @returns {Promise<{rows: AsyncIterable<Object>, total: number|null, sheetNames: string[], getSheet: Function}>}
+ *   getSheet(row) returns the name of the sheet a row came from
+ */
+async function openExcelInput(inputPath, options = {}) {
+    const { sheetNames = [], sheetHeaderRows = {} } = options;
+    const sheets = await listExcelSheets(inputPath);
+    const names = sheetNames.length > 0 ? sheetNames : sheets.slice(0, 1).map(sheet => sheet.name);
+
+    const selected = [];
+    for (const name of names) {
+        const sheet = sheets.find(s => s.name === name);
+        if (!sheet) {
+            const error = new Error(`Sheet "${name}" not found in workbook`);
+            error.status = 400;
+            throw error;
+        }
 
-            const transformedRows = [];
-            const warnings = [];
+        const headerRow = await resolveHeaderRow(inputPath, sheetHeaderRows[name] ?? options.headerRow ?? null, {
+            sheetName: name
+        });
+        selected.push({ ...sheet, headerRow });
+    }
 
-            nonEmptyRows.forEach((row, index) => {
-                const result = transformFn(row);
+    const total = selected.every(sheet => sheet.lastRow !== null)
+        ? selected.reduce((sum, sheet) => sum + Math.max(sheet.lastRow - (sheet.headerRow || sheet.firstRow), 0), 0)
+        : null;
 
-                // Skip rows where transformation resulted in empty data
-                if (result.transformedRow && Object.keys(result.transformedRow).length > 0) {
-                    transformedRows.push(result.transformedRow);
-                }
+    // Rows may be transformed in batches read ahead, so each row remembers its sheet
+    const rowSheets = new WeakMap();
 
-                if (result.warnings && result.warnings.length > 0) {
-                    warnings.push(...result.warnings.map(w => `Row ${index + 1}: ${w}`));
-                }
+    async function* rows() {
+        for (const sheet of selected) {
+            const opened = await openExcelRows(inputPath, { sheetName: sheet.name, headerRow: sheet.headerRow });
+            for await (const row of opened.rows) {
+                rowSheets.set(row, sheet.name);
+                yield row;
+            }
+        }
+    }
 
-                if (progressCallback) {
-                    progressCallback(index + 1);
-                }
-            });
+    return {
+        rows: rows(),
+        total,
+        sheetNames: names,
+        getSheet: (row) => rowSheets.get(row)
+    };
+}
 
-            // Always write to CSV format with proper encoding and formatting
-            const writeStream = fs.createWriteStream(outputPath, { encoding: 'utf8' });
-
-            // Write BOM for proper UTF-8 encoding in Excel
-            writeStream.write('\ufeff');
-
-            if (transformedRows.length > 0) {
-                // Write header - preserve column ordering from first row
-                const headers = Object.keys(transformedRows[0]);
-                writeStream.write(headers.map(h => escapeCSVValue(h)).join(',') + '\n');
-
-                // Write rows with proper CSV escaping
-                transformedRows.forEach(row => {
-                    const values = headers.map(header => {
-                        const value = row[header];
-                        return escapeCSVValue(value);
-                    });
-                    writeStream.write(values.join(',') + '\n');
-                });
-            }
+/**
+ * Stream process Excel file with transformation
+ * XLSX rows are streamed from the archive; XLS sheets are converted in chunks.
+ * Several sheets are concatenated into one output in the order given
+ * @param {string} inputPath - Input file path
+ * @param {string} outputPath - Output file path
+ * @param {Function} transformFn - Transform function (row) => {transformedRow, warnings}
+ * @param {Function} progressCallback - Progress callback (processed, total, warningCount)
+ * @param {Object} options - Options
+ * @param {string[]} options.sheetNames - Sheets to process (defaults to the first sheet)
+ * @param {Object} options.sheetHeaderRows - Header row per sheet name (1-based, or 'auto')
+ * @param {number|string} options.headerRow - Header row for sheets without their own
+ * @param {boolean} options.includeSourceSheet - Append a SOURCE_SHEET_COLUMN with each row's sheet name
+ * @param {string} options.outputFormat - Output format (defaults to CSV)
+ * @param {AbortSignal} options.signal - Cancels processing when aborted
+ * @param {Function} options.transformBatch - async (rows) => results; transforms batches instead of transformFn
+ * @param {number} options.parallelism - Batches transformBatch can run at once
+ * @param {Function} options.onWarnings - async (warnings) => void; receives warnings as they accumulate
+ * @param {string} options.rejectsPath - CSV file for rejected rows (with their sheet when several are processed)
+ * @param {number|null} options.errorThreshold - Fail once more rows than this are rejected or have errors
+ * @param {string} options.snapshotPath - JSON lines file for the snapshot columns of output rows
+ * @param {string[]} options.snapshotColumns - Output columns kept in the snapshot
+ * @returns {Promise<{processed: number, rejected: number, warnings: Object[], warningCount: number}>}
+ */
+export async function streamProcessExcel(inputPath, outputPath, transformFn, progressCallback = null, options = {}) {
+    const { includeSourceSheet = false } = options;
+    const { rows, total, sheetNames, getSheet } = await openExcelInput(inputPath, options);
 
-            writeStream.end();
+    const tagSheet = (result, row) => {
+        const sheetName = getSheet(row);
 
-            resolve({ processed: nonEmptyRows.length, warnings });
-        } catch (error) {
-            reject(error);
+        if (includeSourceSheet && result.transformedRow && Object.keys(result.transformedRow).length > 0) {
+            result.transformedRow = { ...result.transformedRow, [SOURCE_SHEET_COLUMN]: sheetName };
+        }
+        if (sheetNames.length > 1 && result.warnings) {
+            result.warnings = result.warnings.map(w => ({ ...toWarning(w), sheet: sheetName }));
         }
+
+        return result;
+    };
+
+    return processRows(rows, outputPath, transformFn, progressCallback, {
+        total,
+        outputFormat: options.outputFormat,
+        signal: options.signal,
+        transformBatch: options.transformBatch,
+        parallelism: options.parallelism,
+        onWarnings: options.onWarnings,
+        rejectsPath: options.rejectsPath,
+        getSheet: sheetNames.length > 1 ? getSheet : null,
+        errorThreshold: options.errorThreshold ?? null,
+        snapshotPath: options.snapshotPath,
+        snapshotColumns: options.snapshotColumns,
+        afterTransform: tagSheet
     });
 }
 
 /**
  * Get file type from extension
+ * Tab separated and plain text exports are read as CSV with a sniffed delimiter
  * @param {string} filename - Filename
  * @returns {string} - 'csv', 'excel', or 'unknown'
  */
 export function getFileType(filename) {
     const ext = filename.toLowerCase().split('.').pop();
 
-    if (ext === 'csv') return 'csv';
+    if (ext === 'csv' || ext === 'tsv' || ext === 'txt') return 'csv';
     if (ext === 'xlsx' || ext === 'xls') return 'excel';
 
     return 'unknown';
@@ -276,18 +889,19 @@ export function getFileType(filename) {
  * Parse file (auto-detect type)
  * @param {string} filePath - File path
  * @param {number} limit - Max rows
+ * @param {Object} options - Options: headerRow (1-based or 'auto'), sheetName (Excel), csvDialect (CSV)
  * @returns {Promise<Object[]>}
  */
-export async function parseFile(filePath, limit = 0) {
+export async function parseFile(filePath, limit = 0, options = {}) {
     const fileType = getFileType(filePath);
 
     if (fileType === 'csv') {
-        return parseCSVFile(filePath, limit);
+        return parseCSVFile(filePath, limit, options);
     } else if (fileType === 'excel') {
-        return parseExcelFile(filePath, limit);
+        return parseExcelFile(filePath, limit, options);
     } else {
         const ext = filePath.toLowerCase().split('.').pop();
-        throw new Error(`Unsupported file type: .${ext}. Supported formats are: CSV, XLS, XLSX`);
+        throw new Error(`Unsupported file type: .${ext}. Supported formats are: CSV, TSV, TXT, XLS, XLSX`);
     }
 }
 
@@ -297,17 +911,60 @@ export async function parseFile(filePath, limit = 0) {
  * @param {string} outputPath - Output path
  * @param {Function} transformFn - Transform function
  * @param {Function} progressCallback - Progress callback
- * @returns {Promise<{processed: number, warnings: string[]}>}
+ * @param {Object} options - Options: headerRow (1-based or 'auto'), outputFormat, signal, transformBatch, parallelism,
+ *   onWarnings, rejectsPath, errorThreshold, snapshotPath, snapshotColumns; csvDialect for CSV; for Excel sheetNames, sheetHeaderRows and
+ *   includeSourceSheet
+ * @returns {Promise<{processed: number, rejected: number, warnings: Object[], warningCount: number}>}
  */
-export async function streamProcessFile(inputPath, outputPath, transformFn, progressCallback = null) {
+export async function streamProcessFile(inputPath, outputPath, transformFn, progressCallback = null, options = {}) {
     const fileType = getFileType(inputPath);
 
     if (fileType === 'csv') {
-        return streamProcessCSV(inputPath, outputPath, transformFn, progressCallback);
+        return streamProcessCSV(inputPath, outputPath, transformFn, progressCallback, options);
     } else if (fileType === 'excel') {
-        return streamProcessExcel(inputPath, outputPath, transformFn, progressCallback);
+        return streamProcessExcel(inputPath, outputPath, transformFn, progressCallback, options);
     } else {
         const ext = inputPath.toLowerCase().split('.').pop();
-        throw new Error(`Unsupported file type: .${ext}. Supported formats are: CSV, XLS, XLSX`);
+        throw new Error(`Unsupported file type: .${ext}. Supported formats are: CSV, TSV, TXT, XLS, XLSX`);
+    }
+}
+
+/**
+ * Read input rows by their row number in a transform
+ * Rows are numbered like processRows numbers them (blank rows skipped, selected sheets in order),
+ * so the numbers match warning row numbers
+ * @param {string} inputPath - Input file path
+ * @param {number[]} rowNumbers - 1-based row numbers
+ * @param {Object} options - Options: headerRow (1-based or 'auto'); csvDialect for CSV;
+ *   sheetNames and sheetHeaderRows for Excel
+ * @returns {Promise<Array<{row: number, sheet: string|null, values: Object}>>} - Rows found, in file order
+ */
+export async function readProcessedRows(inputPath, rowNumbers, options = {}) {
+    const fileType = getFileType(inputPath);
+    if (fileType === 'unknown') {
+        const ext = inputPath.toLowerCase().split('.').pop();
+        throw new Error(`Unsupported file type: .${ext}. Supported formats are: CSV, TSV, TXT, XLS, XLSX`);
     }
+
+    const wanted = new Set(rowNumbers);
+    const last = Math.max(0, ...rowNumbers);
+    const found = [];
+    if (last === 0) return found;
+
+    const { rows, getSheet } = fileType === 'csv'
+        ? await openCSVInput(inputPath, options)
+        : await openExcelInput(inputPath, options);
+
+    let processed = 0;
+    for await (const row of rows) {
+        if (!hasContent(row)) continue;
+
+        processed++;
+        if (wanted.has(processed)) {
+            found.push({ row: processed, sheet: getSheet(row) ?? null, values: row });
+        }
+        if (processed >= last) break;
+    }
+
+    return found;
 }
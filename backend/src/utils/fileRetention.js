@@ -0,0 +1,456 @@
+/**
+ * File retention
+ * Keeps UPLOAD_DIR from growing without bound. A sweep deletes finished transforms (with their
+ * output, rejects and snapshot files and their warnings) that fall outside the retention policy,
+ * then the uploads and deposit maps no remaining transform uses, and, when enabled, files in
+ * UPLOAD_DIR that no Upload, Transform or DepositMap record refers to. Sweeps run in-process on an
+ * interval; queued and processing transforms, and the files they use, are never deleted
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { uploadRepository, transformRepository, depositMapRepository } from './repositories.js';
+import { getTransformQueue } from './transformJobs.js';
+import { deleteTransformWarnings } from './transformWarnings.js';
+import { isFinishedStatus } from './transformEvents.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MB = 1024 * 1024;
+
+// Orphan files listed in a storage report, largest first
+const MAX_LISTED_ORPHANS = 100;
+
+/**
+ * Kinds of files in UPLOAD_DIR, by the record that refers to them
+ * Files in subdirectories (such as the item catalog) are "other" and never deleted
+ */
+export const FILE_KINDS = ['upload', 'output', 'rejects', 'snapshot', 'depositMap', 'orphan', 'other'];
+
+const getUploadDir = () => process.env.UPLOAD_DIR || './uploads';
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Variable name
+ * @returns {number|null} - null when unset, zero or not a number
+ */
+function readPositive(name) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Get the retention policy from the environment
+ * Each limit is off until it is set
+ * @returns {{maxAgeDays: number|null, maxPerVendor: number|null, maxDiskMb: number|null,
+ *   deleteOrphans: boolean, orphanGraceMinutes: number, sweepIntervalMinutes: number}}
+ */
+export function getRetentionPolicy() {
+    const maxPerVendor = readPositive('RETENTION_MAX_PER_VENDOR');
+    return {
+        maxAgeDays: readPositive('RETENTION_MAX_AGE_DAYS'),
+        maxPerVendor: maxPerVendor && Math.floor(maxPerVendor),
+        maxDiskMb: readPositive('RETENTION_MAX_DISK_MB'),
+        deleteOrphans: process.env.RETENTION_DELETE_ORPHANS === 'true',
+        orphanGraceMinutes: readPositive('RETENTION_ORPHAN_GRACE_MINUTES') ?? 60,
+        sweepIntervalMinutes: readPositive('RETENTION_SWEEP_INTERVAL_MINUTES') ?? 60
+    };
+}
+
+/**
+ * Check whether a policy deletes anything
+ * @param {Object} policy - Retention policy
+ * @returns {boolean}
+ */
+export const hasRetentionRules = (policy) => Boolean(policy.maxAgeDays || policy.maxPerVendor ||
+    policy.maxDiskMb || policy.deleteOrphans);
+
+/**
+ * Get the deposit maps configured as defaults, which are kept regardless of age
+ * @returns {Set<string>}
+ */
+function getDefaultDepositMapIds() {
+    return new Set(Object.entries(process.env)
+        .filter(([name, value]) => /^DEFAULT_DEPOSIT_MAP(_.+)?$/.test(name) && name !== 'DEFAULT_DEPOSIT_MAP_FILE' && value)
+        .map(([, value]) => value));
+}
+
+/**
+ * List the files in a directory and its subdirectories
+ * @param {string} dir - Directory
+ * @param {boolean} nested - Whether dir is a subdirectory of UPLOAD_DIR
+ * @returns {Promise<Array<{path: string, bytes: number, modifiedAt: Date, nested: boolean}>>} - Absolute paths
+ */
+async function listFiles(dir, nested = false) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        const filePath = path.resolve(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(filePath, true));
+        } else if (entry.isFile()) {
+            try {
+                const stats = await fs.promises.stat(filePath);
+                files.push({ path: filePath, bytes: stats.size, modifiedAt: stats.mtime, nested });
+            } catch (error) {
+                // Deleted while listing
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * Load the records that refer to files in UPLOAD_DIR
+ * @returns {Promise<{transforms: Object[], uploads: Object[], depositMaps: Object[]}>}
+ */
+async function loadRecords() {
+    const [transforms, uploads, depositMaps] = await Promise.all([
+        transformRepository.find({}, {
+            projection: ['uploadId', 'vendorId', 'status', 'depositMapId', 'outputPath', 'rejectsPath', 'snapshotPath', 'createdAt']
+        }),
+        uploadRepository.find({}, { projection: ['vendorId', 'originalPath', 'createdAt'] }),
+        depositMapRepository.find({}, { projection: ['filePath', 'createdAt'] })
+    ]);
+    return { transforms, uploads, depositMaps };
+}
+
+/**
+ * Map each file referred to by a record to its kind
+ * @param {Object} records - Transform, Upload and DepositMap records
+ * @returns {Map<string, string>} - Absolute path -> file kind
+ */
+function indexFiles({ transforms, uploads, depositMaps }) {
+    const kinds = new Map();
+    const add = (filePath, kind) => {
+        if (filePath) kinds.set(path.resolve(filePath), kind);
+    };
+
+    uploads.forEach(upload => add(upload.originalPath, 'upload'));
+    depositMaps.forEach(depositMap => add(depositMap.filePath, 'depositMap'));
+    transforms.forEach(transform => {
+        add(transform.outputPath, 'output');
+        add(transform.rejectsPath, 'rejects');
+        add(transform.snapshotPath, 'snapshot');
+    });
+    return kinds;
+}
+
+/**
+ * Classify the files in UPLOAD_DIR
+ * @param {Object[]} files - From listFiles()
+ * @param {Map<string, string>} kinds - From indexFiles()
+ * @returns {Object[]} - Files with their kind
+ */
+const classifyFiles = (files, kinds) => files.map(file => ({
+    ...file,
+    kind: file.nested ? 'other' : kinds.get(file.path) || 'orphan'
+}));
+
+/**
+ * Work out what a sweep deletes
+ * Transforms are expired by age and by count per vendor; when UPLOAD_DIR is still over the disk
+ * limit, the oldest remaining finished transforms follow until it fits. Uploads go once they have
+ * no transforms left and either lost one in this sweep or are older than the age limit. Deposit
+ * maps go by age once no remaining transform uses them, unless they are a configured default
+ * @param {Object} records - Transform, Upload and DepositMap records
+ * @param {Object[]} files - From listFiles()
+ * @param {Object} policy - Retention policy
+ * @param {Date} now - Current time
+ * @returns {{transforms: Object[], uploads: Object[], depositMaps: Object[], orphanFiles: string[], freedBytes: number}}
+ */
+export function planRetention({ transforms, uploads, depositMaps }, files, policy, now = new Date()) {
+    const sizes = new Map(files.map(file => [file.path, file.bytes]));
+    const sizeOf = (filePath) => (filePath ? sizes.get(path.resolve(filePath)) || 0 : 0);
+    const transformBytes = (transform) => sizeOf(transform.outputPath) + sizeOf(transform.rejectsPath) +
+        sizeOf(transform.snapshotPath);
+
+    const cutoff = policy.maxAgeDays ? now.getTime() - policy.maxAgeDays * DAY_MS : null;
+    const isExpired = (record) => cutoff !== null && new Date(record.createdAt).getTime() < cutoff;
+    const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+    const expired = new Set();
+    const remaining = new Map();
+    const touched = new Set();
+    transforms.forEach(transform => remaining.set(transform.uploadId, (remaining.get(transform.uploadId) || 0) + 1));
+
+    const expire = (transform) => {
+        expired.add(transform.transformId);
+        touched.add(transform.uploadId);
+        remaining.set(transform.uploadId, remaining.get(transform.uploadId) - 1);
+    };
+    const isUnused = (upload) => !remaining.get(upload.uploadId) && (touched.has(upload.uploadId) || isExpired(upload));
+
+    const finished = transforms.filter(transform => isFinishedStatus(transform.status));
+    finished.filter(isExpired).forEach(expire);
+
+    if (policy.maxPerVendor) {
+        const counts = new Map();
+        for (const transform of [...transforms].sort(newestFirst)) {
+            const count = (counts.get(transform.vendorId) || 0) + 1;
+            counts.set(transform.vendorId, count);
+            if (count > policy.maxPerVendor && isFinishedStatus(transform.status) && !expired.has(transform.transformId)) {
+                expire(transform);
+            }
+        }
+    }
+
+    const kinds = indexFiles({ transforms, uploads, depositMaps });
+    const graceCutoff = now.getTime() - policy.orphanGraceMinutes * MINUTE_MS;
+    const orphanFiles = policy.deleteOrphans
+        ? classifyFiles(files, kinds)
+            .filter(file => file.kind === 'orphan' && file.modifiedAt.getTime() < graceCutoff)
+            .map(file => file.path)
+        : [];
+
+    if (policy.maxDiskMb) {
+        const uploadsById = new Map(uploads.map(upload => [upload.uploadId, upload]));
+        let usage = files.reduce((sum, file) => sum + file.bytes, 0) -
+            orphanFiles.reduce((sum, filePath) => sum + sizeOf(filePath), 0) -
+            transforms.filter(transform => expired.has(transform.transformId)).reduce((sum, transform) => sum + transformBytes(transform), 0) -
+            uploads.filter(isUnused).reduce((sum, upload) => sum + sizeOf(upload.originalPath), 0);
+
+        const oldestFirst = finished.filter(transform => !expired.has(transform.transformId)).sort(newestFirst).reverse();
+        for (const transform of oldestFirst) {
+            if (usage <= policy.maxDiskMb * MB) break;
+            expire(transform);
+            usage -= transformBytes(transform);
+            if (!remaining.get(transform.uploadId)) {
+                usage -= sizeOf(uploadsById.get(transform.uploadId)?.originalPath);
+            }
+        }
+    }
+
+    const inUse = new Set(transforms
+        .filter(transform => !expired.has(transform.transformId) && transform.depositMapId)
+        .map(transform => transform.depositMapId));
+    const defaults = getDefaultDepositMapIds();
+
+    const plan = {
+        transforms: transforms.filter(transform => expired.has(transform.transformId)),
+        uploads: uploads.filter(isUnused),
+        depositMaps: depositMaps.filter(depositMap => isExpired(depositMap) &&
+            !inUse.has(depositMap.depositMapId) &&
+            !defaults.has(depositMap.depositMapId)),
+        orphanFiles
+    };
+
+    plan.freedBytes = plan.transforms.reduce((sum, transform) => sum + transformBytes(transform), 0) +
+        plan.uploads.reduce((sum, upload) => sum + sizeOf(upload.originalPath), 0) +
+        plan.depositMaps.reduce((sum, depositMap) => sum + sizeOf(depositMap.filePath), 0) +
+        orphanFiles.reduce((sum, filePath) => sum + sizeOf(filePath), 0);
+
+    return plan;
+}
+
+/**
+ * Delete a file if it exists
+ * @param {string|null} filePath - File path
+ * @returns {Promise<void>}
+ */
+async function removeFile(filePath) {
+    if (!filePath) return;
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+/**
+ * Delete a transform with its output, rejects and snapshot files and its warnings
+ * A queued or running transform is cancelled first so it can't write its output again
+ * @param {Object} transform - Transform record
+ * @returns {Promise<void>}
+ */
+export async function deleteTransform(transform) {
+    const { transformId } = transform;
+    if (!isFinishedStatus(transform.status)) {
+        await getTransformQueue().cancel(transformId);
+    }
+
+    await Promise.all([transform.outputPath, transform.rejectsPath, transform.snapshotPath].map(removeFile));
+    await deleteTransformWarnings(transformId);
+
+    await transformRepository.deleteById(transformId);
+}
+
+/**
+ * Delete an upload and its original file once no transform uses it
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<boolean>} - False when the upload is missing or still used
+ */
+export async function deleteUnusedUpload(uploadId) {
+    const [upload, used] = await Promise.all([
+        uploadRepository.findById(uploadId, { projection: ['originalPath'] }),
+        transformRepository.exists({ uploadId })
+    ]);
+
+    if (!upload || used) return false;
+
+    await removeFile(upload.originalPath);
+    await uploadRepository.deleteById(uploadId);
+    return true;
+}
+
+/**
+ * Delete a deposit map and its uploaded file
+ * @param {Object} depositMap - DepositMap record
+ * @returns {Promise<void>}
+ */
+async function deleteDepositMap(depositMap) {
+    await removeFile(depositMap.filePath);
+    await depositMapRepository.deleteById(depositMap.depositMapId);
+}
+
+let lastSweep = null;
+let runningSweep = null;
+
+/**
+ * Apply the retention policy to UPLOAD_DIR
+ * Sweeps run one at a time; a sweep requested while another runs starts after it
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would be deleted
+ * @param {Date} options.now - Current time
+ * @returns {Promise<{dryRun: boolean, startedAt: Date, finishedAt: Date, transforms: number, uploads: number,
+ *   depositMaps: number, orphanFiles: number, freedBytes: number}>} - Counts of what was (or would be) deleted
+ */
+export async function sweepFiles({ dryRun = false, now = new Date() } = {}) {
+    const previous = runningSweep;
+    const sweep = (async () => {
+        await previous?.catch(() => {});
+
+        const policy = getRetentionPolicy();
+        const [records, files] = await Promise.all([loadRecords(), listFiles(getUploadDir())]);
+        const plan = planRetention(records, files, policy, now);
+        let uploads = plan.uploads.length;
+
+        if (!dryRun) {
+            for (const transform of plan.transforms) {
+                await deleteTransform(transform);
+            }
+            // Checked again: a re-run may have started on an upload since the plan was made
+            uploads = 0;
+            for (const upload of plan.uploads) {
+                if (await deleteUnusedUpload(upload.uploadId)) uploads++;
+            }
+            for (const depositMap of plan.depositMaps) {
+                await deleteDepositMap(depositMap);
+            }
+            for (const filePath of plan.orphanFiles) {
+                await removeFile(filePath);
+            }
+        }
+
+        return {
+            dryRun,
+            startedAt: now,
+            finishedAt: new Date(),
+            transforms: plan.transforms.length,
+            uploads,
+            depositMaps: plan.depositMaps.length,
+            orphanFiles: plan.orphanFiles.length,
+            freedBytes: plan.freedBytes
+        };
+    })();
+
+    runningSweep = sweep;
+    try {
+        const result = await sweep;
+        if (!dryRun) {
+            lastSweep = result;
+            if (result.transforms + result.uploads + result.depositMaps + result.orphanFiles > 0) {
+                console.log(`File retention: deleted ${result.transforms} transform(s), ${result.uploads} upload(s), ` +
+                    `${result.depositMaps} deposit map(s) and ${result.orphanFiles} orphan file(s), ` +
+                    `freeing ${(result.freedBytes / MB).toFixed(1)} MB`);
+            }
+        }
+        return result;
+    } finally {
+        if (runningSweep === sweep) runningSweep = null;
+    }
+}
+
+/**
+ * Report the storage used in UPLOAD_DIR
+ * @returns {Promise<Object>} - Totals by file kind and by vendor, the largest orphan files, the
+ *   retention policy and the last sweep
+ */
+export async function getStorageReport() {
+    const uploadDir = getUploadDir();
+    const [records, files] = await Promise.all([loadRecords(), listFiles(uploadDir)]);
+    const classified = classifyFiles(files, indexFiles(records));
+
+    const byKind = Object.fromEntries(FILE_KINDS.map(kind => [kind, { files: 0, bytes: 0 }]));
+    for (const file of classified) {
+        byKind[file.kind].files++;
+        byKind[file.kind].bytes += file.bytes;
+    }
+
+    const sizes = new Map(files.map(file => [file.path, file.bytes]));
+    const sizeOf = (filePath) => (filePath ? sizes.get(path.resolve(filePath)) || 0 : 0);
+    const vendors = new Map();
+    const vendorEntry = (vendorId) => {
+        if (!vendors.has(vendorId)) vendors.set(vendorId, { vendorId, uploads: 0, transforms: 0, bytes: 0 });
+        return vendors.get(vendorId);
+    };
+
+    for (const upload of records.uploads) {
+        const entry = vendorEntry(upload.vendorId);
+        entry.uploads++;
+        entry.bytes += sizeOf(upload.originalPath);
+    }
+    for (const transform of records.transforms) {
+        const entry = vendorEntry(transform.vendorId);
+        entry.transforms++;
+        entry.bytes += sizeOf(transform.outputPath) + sizeOf(transform.rejectsPath) + sizeOf(transform.snapshotPath);
+    }
+
+    return {
+        uploadDir: path.resolve(uploadDir),
+        totalBytes: files.reduce((sum, file) => sum + file.bytes, 0),
+        fileCount: files.length,
+        byKind,
+        byVendor: [...vendors.values()].sort((a, b) => a.vendorId.localeCompare(b.vendorId)),
+        orphans: classified
+            .filter(file => file.kind === 'orphan')
+            .sort((a, b) => b.bytes - a.bytes)
+            .slice(0, MAX_LISTED_ORPHANS)
+            .map(file => ({ file: path.basename(file.path), bytes: file.bytes, modifiedAt: file.modifiedAt })),
+        policy: getRetentionPolicy(),
+        lastSweep
+    };
+}
+
+let sweepTimer = null;
+
+/**
+ * Sweep now and then on the policy's interval, when the policy deletes anything
+ * @returns {boolean} - Whether the sweeper was started
+ */
+export function startRetentionSweeper() {
+    const policy = getRetentionPolicy();
+    if (sweepTimer || !hasRetentionRules(policy)) return false;
+
+    const sweep = () => sweepFiles().catch(error => console.error('File retention sweep failed:', error));
+    sweepTimer = setInterval(sweep, policy.sweepIntervalMinutes * MINUTE_MS);
+    sweepTimer.unref();
+    sweep();
+    return true;
+}
+
+/**
+ * Stop the scheduled sweeps
+ */
+export function stopRetentionSweeper() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+}
@@ -0,0 +1,132 @@
+/**
+ * Header row handling for uploaded files
+ * Vendor price lists often put titles, blank lines or "Effective for ..." banners above
+ * the real header; these helpers find the header line and key data rows by it
+ */
+
+import { detectVendor, getMinDetectionConfidence } from './vendorDetection.js';
+
+// Top rows scanned for the header and shown as the raw preview
+export const HEADER_SCAN_ROWS = 20;
+
+/**
+ * Check whether a cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean}
+ */
+function isBlank(value) {
+    return String(value ?? '').trim() === '';
+}
+
+/**
+ * Get the trimmed non-empty cells of a raw row
+ * @param {Array} values - Raw row values
+ * @returns {string[]}
+ */
+function filledCells(values) {
+    return values.filter(value => !isBlank(value)).map(value => String(value).trim());
+}
+
+/**
+ * Check whether a cell reads like a column label rather than data
+ * @param {string} value - Trimmed cell text
+ * @returns {boolean}
+ */
+function looksLikeLabel(value) {
+    const isNumber = /^[-+($]*[\d.,]+%?\)?$/.test(value);
+    const isDate = /^\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}$/.test(value);
+    return !isNumber && !isDate;
+}
+
+/**
+ * Make header names unique the way sheet_to_json does (A, A_1, __EMPTY, __EMPTY_1)
+ * @param {string[]} rawHeaders - Header cell text
+ * @returns {string[]}
+ */
+export function dedupeHeaders(rawHeaders) {
+    const counts = {};
+
+    return rawHeaders.map(raw => {
+        const base = raw === '' || raw === null || raw === undefined ? '__EMPTY' : String(raw);
+        let counter = counts[base] || 0;
+
+        if (!counter) {
+            counts[base] = 1;
+            return base;
+        }
+
+        let name;
+        do {
+            name = `${base}_${counter++}`;
+        } while (counts[name]);
+
+        counts[base] = counter;
+        counts[name] = 1;
+        return name;
+    });
+}
+
+/**
+ * Find the header line among the top rows of a file
+ * A row matching a registered vendor's columns wins; otherwise the first row of distinct
+ * text labels that spans most of the table and is followed by a similarly wide row
+ * @param {Array<{rowNumber: number, values: string[]}>} rawRows - Top rows of the file
+ * @returns {number|null} - 1-based row number of the header, or null for an empty file
+ */
+export function detectHeaderRow(rawRows) {
+    const rows = rawRows.filter(row => filledCells(row.values).length > 0).slice(0, HEADER_SCAN_ROWS);
+    if (rows.length === 0) return null;
+
+    let best = null;
+    rows.forEach(row => {
+        const confidence = detectVendor(filledCells(row.values))[0]?.confidence || 0;
+        if (confidence >= getMinDetectionConfidence() && (!best || confidence > best.confidence)) {
+            best = { rowNumber: row.rowNumber, confidence };
+        }
+    });
+    if (best) return best.rowNumber;
+
+    const widest = Math.max(...rows.map(row => filledCells(row.values).length));
+    const header = rows.find((row, index) => {
+        const labels = filledCells(row.values);
+        const next = rows[index + 1];
+
+        return labels.length >= Math.max(2, Math.ceil(widest / 2)) &&
+            labels.every(looksLikeLabel) &&
+            new Set(labels).size === labels.length &&
+            (!next || filledCells(next.values).length >= Math.ceil(labels.length / 2));
+    });
+
+    return (header || rows[0]).rowNumber;
+}
+
+/**
+ * Key raw rows by the header row
+ * Rows above the header and blank rows are skipped
+ * @param {AsyncIterable<{rowNumber: number, values: string[]}>} rawRows - Rows in file order
+ * @param {number|null} headerRow - 1-based header row number (null = first non-blank row)
+ * @yields {Object} - Row objects keyed by header
+ */
+export async function* rowsToObjects(rawRows, headerRow = null) {
+    let headers = null;
+
+    for await (const { rowNumber, values } of rawRows) {
+        if (!headers) {
+            const beforeHeader = headerRow ? rowNumber < headerRow : values.every(isBlank);
+            if (!beforeHeader) {
+                headers = dedupeHeaders(Array.from(values, value => value ?? ''));
+            }
+            continue;
+        }
+
+        if (values.every(isBlank)) {
+            continue;
+        }
+
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = values[index] ?? '';
+        });
+        yield row;
+    }
+}
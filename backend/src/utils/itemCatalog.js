@@ -0,0 +1,177 @@
+/**
+ * Item master catalog
+ * Keeps the latest known description, department, price and cost of each vendor item across
+ * uploads. Items are matched like price-change reports do (product code, or UPC when there is
+ * none) and updated from the item snapshot of every completed transform. The catalog's
+ * departments are passed to transformers as options.originalData for department preservation.
+ * Stored through catalogItemRepository: CatalogItem documents in MongoDB, or one memory store
+ * list per vendor without a connection, moved into MongoDB once it connects (see storeSync.js)
+ */
+
+import fs from 'fs';
+import { catalogItemRepository } from './repositories.js';
+import { getComparisonColumns, itemKey, readSnapshot } from './priceChanges.js';
+
+// Items upserted per repository call
+const WRITE_BATCH_SIZE = 1000;
+
+// Running catalog updates per vendor, so a vendor's updates apply in order
+const pendingUpdates = new Map();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check that a vendor ID is a plain identifier
+ * @param {string} vendorId - Vendor identifier
+ * @returns {boolean}
+ */
+const isCatalogVendorId = (vendorId) => typeof vendorId === 'string' && /^[A-Za-z0-9_-]+$/.test(vendorId);
+
+/**
+ * Run a catalog update once the vendor's earlier updates have finished
+ * @param {string} vendorId - Vendor identifier
+ * @param {Function} run - Update to run
+ * @returns {Promise<*>} - The update's result
+ */
+async function queueCatalogUpdate(vendorId, run) {
+    const previous = pendingUpdates.get(vendorId) || Promise.resolve();
+    const update = previous.catch(() => {}).then(run);
+    pendingUpdates.set(vendorId, update);
+
+    try {
+        return await update;
+    } finally {
+        if (pendingUpdates.get(vendorId) === update) {
+            pendingUpdates.delete(vendorId);
+        }
+    }
+}
+
+/**
+ * Read the catalog fields of a snapshot item
+ * @param {Object} item - Snapshot item
+ * @param {Object} columns - Comparison columns
+ * @returns {Object} - Empty fields are left out, so they don't overwrite known values
+ */
+function toCatalogFields(item, columns) {
+    const fields = {
+        productCode: item[columns.productCode],
+        upc: item[columns.upc],
+        description: item[columns.description],
+        departmentId: item[columns.department],
+        price: item[columns.price],
+        cost: item[columns.cost]
+    };
+
+    return Object.fromEntries(Object.entries(fields)
+        .map(([field, value]) => [field, value === undefined || value === null ? '' : String(value).trim()])
+        .filter(([, value]) => value !== ''));
+}
+
+/**
+ * Apply a transform's items to a vendor's catalog
+ * @param {Object} transform - Completed transform record with a snapshot
+ * @returns {Promise<{items: number, added: number}>} - Items listed and items new to the catalog
+ */
+async function applyTransformItems(transform) {
+    const { vendorId, transformId } = transform;
+    const columns = getComparisonColumns(vendorId);
+    const seenAt = transform.completedAt ? new Date(transform.completedAt) : new Date();
+    const seen = new Set();
+    let added = 0;
+    let batch = [];
+
+    const flush = async () => {
+        added += await catalogItemRepository.upsert(vendorId, batch);
+        batch = [];
+    };
+
+    for await (const item of readSnapshot(transform.snapshotPath)) {
+        const key = itemKey(item, columns);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+
+        batch.push({
+            key,
+            set: { ...toCatalogFields(item, columns), lastSeenAt: seenAt, lastTransformId: transformId },
+            setOnInsert: { firstSeenAt: seenAt },
+            increment: { timesSeen: 1 }
+        });
+        if (batch.length >= WRITE_BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    return { items: seen.size, added };
+}
+
+/**
+ * Update the vendor's catalog with the items of a completed transform
+ * Transforms without an item snapshot leave the catalog as it is
+ * @param {Object} transform - Transform record
+ * @returns {Promise<{items: number, added: number}|null>} - null when there was nothing to read
+ */
+export async function updateCatalogFromTransform(transform) {
+    const { vendorId, snapshotPath } = transform;
+    if (!isCatalogVendorId(vendorId) || !snapshotPath || !fs.existsSync(snapshotPath)) {
+        return null;
+    }
+
+    return queueCatalogUpdate(vendorId, () => applyTransformItems(transform));
+}
+
+/**
+ * Get the catalog data transformers compare incoming rows with
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Promise<Object>} - Product Code -> { Department }, for items with a department
+ */
+export async function getOriginalData(vendorId) {
+    if (!isCatalogVendorId(vendorId)) return {};
+
+    const items = await catalogItemRepository.find(vendorId, { productCode: { $ne: '' }, departmentId: { $ne: '' } });
+
+    return Object.fromEntries(items.map(item => [item.productCode, { Department: item.departmentId }]));
+}
+
+/**
+ * Find a page of catalog items, ordered by product code and UPC
+ * @param {Object} options
+ * @param {string} options.vendorId - Vendor identifier
+ * @param {string} options.search - Case-insensitive text matched against product code, UPC and description
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Items per page
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+export async function findCatalogItems({ vendorId, search = '', page = 1, limit = 100 }) {
+    if (!isCatalogVendorId(vendorId)) return { items: [], total: 0 };
+
+    const query = {};
+    const text = search.trim();
+    if (text) {
+        const pattern = { $regex: escapeRegExp(text), $options: 'i' };
+        query.$or = [{ productCode: pattern }, { upc: pattern }, { description: pattern }];
+    }
+
+    const [items, total] = await Promise.all([
+        catalogItemRepository.find(vendorId, query, { sort: { productCode: 1, upc: 1 }, skip: (page - 1) * limit, limit }),
+        catalogItemRepository.count(vendorId, query)
+    ]);
+    return { items: items.map(item => ({ vendorId, ...item })), total };
+}
+
+/**
+ * Count catalog items per vendor
+ * @returns {Promise<Array<{vendorId: string, itemCount: number, lastSeenAt: Date}>>} - By vendor ID
+ */
+export async function summarizeCatalog() {
+    const vendorIds = await catalogItemRepository.listParents();
+
+    return Promise.all(vendorIds.map(async (vendorId) => {
+        const [itemCount, [latest]] = await Promise.all([
+            catalogItemRepository.count(vendorId),
+            catalogItemRepository.find(vendorId, {}, { sort: { lastSeenAt: -1 }, limit: 1 })
+        ]);
+        return { vendorId, itemCount, lastSeenAt: latest?.lastSeenAt || null };
+    }));
+}
@@ -0,0 +1,236 @@
+/**
+ * Background job queue
+ * Jobs are records kept by a store adapter (MongoDB, or the in-memory store as a fallback),
+ * so queued work survives a restart; the queue claims, runs, retries and cancels them
+ *
+ * Job statuses: queued → processing → completed | failed | cancelled
+ * A failed run is queued again until maxAttempts runs have been made, unless the error
+ * has retryable: false (running again would fail the same way)
+ */
+
+/**
+ * Create a job queue
+ * @param {Object} options
+ * @param {string} options.name - Name used in log messages
+ * @param {string} options.idField - Job ID field (e.g. 'transformId')
+ * @param {Object} options.store - Persistence adapter with async methods:
+ *   create(job), findOne(jobId), findByStatus(status),
+ *   claimNext(now) - atomically move the oldest queued job due by `now` to processing and count the attempt,
+ *   update(jobId, fields, expectedStatus) - returns false if the job is missing or not in expectedStatus
+ * @param {Function} options.run - async (job, { signal }) => fields saved when the job completes; errors
+ *   with retryable: false fail the job without a retry
+ * @param {Function} options.onUpdate - Called with (jobId, fields) after the queue changes a job
+ * @param {number} options.concurrency - Jobs run at the same time
+ * @param {number} options.maxAttempts - Runs before a failing job is left failed
+ * @param {number} options.retryDelayMs - Delay before a retry, multiplied by the attempt number
+ * @param {number} options.pollIntervalMs - How often to look for due retries and jobs queued elsewhere
+ * @returns {{start: Function, stop: Function, enqueue: Function, cancel: Function, retry: Function, isRunning: Function}}
+ */
+export function createJobQueue({
+    name,
+    idField,
+    store,
+    run,
+    onUpdate = () => {},
+    concurrency = 2,
+    maxAttempts = 3,
+    retryDelayMs = 30000,
+    pollIntervalMs = 5000
+}) {
+    // jobId -> { controller, done } for jobs running in this process
+    const running = new Map();
+    let draining = null;
+    let drainAgain = false;
+    let timer = null;
+
+    const update = (jobId, fields, expectedStatus) => store.update(jobId, fields, expectedStatus)
+        .then(updated => {
+            if (updated) onUpdate(jobId, fields);
+            return updated;
+        })
+        .catch(error => {
+            console.error(`${name}: failed to update job ${jobId}:`, error.message);
+            return false;
+        });
+
+    /**
+     * Run a claimed job and record how it ended
+     * @param {Object} job - Claimed job (status processing)
+     * @param {AbortController} controller - Aborted to cancel the job
+     * @returns {Promise<void>}
+     */
+    async function execute(job, controller) {
+        const jobId = job[idField];
+
+        try {
+            const result = await run(job, { signal: controller.signal });
+            await update(jobId, { ...result, status: 'completed', error: null, completedAt: new Date() });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                await update(jobId, { status: 'cancelled', error: 'Cancelled', completedAt: new Date() });
+            } else if (error.retryable !== false && (job.attempts || 1) < maxAttempts) {
+                const delay = retryDelayMs * (job.attempts || 1);
+                console.warn(`${name}: job ${jobId} failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${delay}ms:`, error.message);
+                await update(jobId, { status: 'queued', error: error.message, runAfter: new Date(Date.now() + delay) });
+            } else {
+                console.error(`${name}: job ${jobId} failed:`, error);
+                await update(jobId, { status: 'failed', error: error.message, completedAt: new Date() });
+            }
+        }
+    }
+
+    /**
+     * Claim queued jobs until the concurrency limit is reached
+     * @returns {Promise<void>}
+     */
+    async function claimJobs() {
+        do {
+            drainAgain = false;
+            while (running.size < concurrency) {
+                const job = await store.claimNext(new Date());
+                if (!job) break;
+
+                const jobId = job[idField];
+                onUpdate(jobId, job);
+                const entry = { controller: new AbortController(), done: null };
+                running.set(jobId, entry);
+                entry.done = execute(job, entry.controller).finally(() => {
+                    running.delete(jobId);
+                    drain();
+                });
+            }
+        } while (drainAgain);
+    }
+
+    /**
+     * Start claiming jobs
+     * Only one claim loop runs at a time so concurrent calls cannot overshoot the limit;
+     * a call made while it runs makes it look again for jobs it may have missed
+     * @returns {Promise<void>}
+     */
+    function drain() {
+        if (draining) {
+            drainAgain = true;
+            return draining;
+        }
+
+        draining = claimJobs()
+            .catch(error => console.error(`${name}: failed to claim jobs:`, error.message))
+            .finally(() => {
+                draining = null;
+            });
+        return draining;
+    }
+
+    /**
+     * Mark jobs left processing by a previous process
+     * They are queued again while attempts remain, otherwise failed
+     * @returns {Promise<number>} - Number of orphaned jobs
+     */
+    async function recover() {
+        const orphans = (await store.findByStatus('processing'))
+            .filter(job => !running.has(job[idField]));
+
+        for (const job of orphans) {
+            const canRetry = (job.attempts || 0) < maxAttempts;
+            await update(job[idField], {
+                status: canRetry ? 'queued' : 'failed',
+                error: 'Interrupted by a server restart',
+                ...(canRetry ? { runAfter: null } : { completedAt: new Date() })
+            }, 'processing');
+        }
+
+        if (orphans.length > 0) {
+            console.warn(`${name}: recovered ${orphans.length} job(s) interrupted by a restart`);
+        }
+        return orphans.length;
+    }
+
+    return {
+        /**
+         * Recover orphaned jobs and start processing the queue
+         * @returns {Promise<void>}
+         */
+        async start() {
+            await recover();
+            if (!timer) {
+                timer = setInterval(drain, pollIntervalMs);
+                timer.unref();
+            }
+            await drain();
+        },
+
+        /**
+         * Stop polling; running jobs finish normally
+         * @returns {Promise<void>} - Resolves when running jobs have settled
+         */
+        async stop() {
+            clearInterval(timer);
+            timer = null;
+            await Promise.all([...running.values()].map(entry => entry.done));
+        },
+
+        /**
+         * Save a new job as queued and start it when a slot is free
+         * @param {Object} job - Job record
+         * @returns {Promise<Object>} - Saved job
+         */
+        async enqueue(job) {
+            const saved = await store.create(job);
+            onUpdate(saved[idField], saved);
+            drain();
+            return saved;
+        },
+
+        /**
+         * Cancel a queued or running job
+         * A running job is aborted and this resolves once it has stopped
+         * @param {string} jobId - Job ID
+         * @returns {Promise<string|null>} - The job's status afterwards: cancelled, or the status a running
+         *   job finished with before the abort took effect; null if the job was not queued or running
+         */
+        async cancel(jobId) {
+            const entry = running.get(jobId);
+            if (entry) {
+                entry.controller.abort();
+                await entry.done;
+                const job = await store.findOne(jobId);
+                return job ? job.status : null;
+            }
+
+            const cancelled = await update(jobId, { status: 'cancelled', error: 'Cancelled', completedAt: new Date() }, 'queued');
+            return cancelled ? 'cancelled' : null;
+        },
+
+        /**
+         * Queue a failed or cancelled job again with a fresh set of attempts
+         * @param {string} jobId - Job ID
+         * @returns {Promise<boolean>} - False if the job is not failed or cancelled
+         */
+        async retry(jobId) {
+            const job = await store.findOne(jobId);
+            if (!job || !['failed', 'cancelled'].includes(job.status)) {
+                return false;
+            }
+
+            const queued = await update(jobId, {
+                status: 'queued',
+                attempts: 0,
+                error: null,
+                runAfter: null,
+                completedAt: null
+            }, job.status);
+            if (queued) drain();
+            return queued;
+        },
+
+        /**
+         * Check whether a job is running in this process
+         * @param {string} jobId - Job ID
+         * @returns {boolean}
+         */
+        isRunning(jobId) {
+            return running.has(jobId);
+        }
+    };
+}
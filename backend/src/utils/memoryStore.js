@@ -1,13 +1,31 @@
 /**
  * Simple in-memory store for fallback when MongoDB is unavailable
+ * Once opened with a file, every change is also appended to that file as a JSON line and the
+ * records are read back from it on the next start, so history survives a restart. The file is
+ * rewritten with only the current records when it is opened and whenever it has grown well past them
  */
 
+import fs from 'fs';
+import path from 'path';
+
+// Appended lines before the file is compacted, at least, and per stored record
+const MIN_COMPACT_LINES = 10000;
+const COMPACT_LINES_PER_RECORD = 4;
+
+// Fields read back from the file as dates, in records and in the items of their lists
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'startedAt', 'completedAt', 'runAfter', 'firstSeenAt', 'lastSeenAt'];
+
 const store = {
     Upload: [],
     Transform: [],
-    DepositMap: []
+    DepositMap: [],
+    VendorProfile: []
 };
 
+// File changes are appended to, and the lines appended since it was last compacted
+let storeFile = null;
+let appendedLines = 0;
+
 const enhance = (modelName, data) => {
     if (!data) return null;
     return {
@@ -22,7 +40,156 @@ const enhance = (modelName, data) => {
     };
 };
 
+/**
+ * Get the field that identifies a model's records
+ * @param {string} modelName - Model name
+ * @returns {string}
+ */
+const getIdField = (modelName) => {
+    if (modelName === 'Transform' || modelName === 'TransformWarnings') return 'transformId';
+    if (modelName === 'DepositMap') return 'depositMapId';
+    if (modelName === 'VendorProfile' || modelName === 'CatalogItems') return 'vendorId';
+    return 'uploadId';
+};
+
+/**
+ * Get the default file of the durable store
+ * @returns {string}
+ */
+export function getMemoryStoreFile() {
+    return process.env.MEMORY_STORE_FILE ||
+        path.join(process.env.UPLOAD_DIR || './uploads', 'store', 'memory-store.ndjson');
+}
+
+/**
+ * Serialize a change as a line of the store file
+ * Maps (such as deposit map mappings) are written as plain objects
+ * @param {Object} change - Change entry
+ * @returns {string}
+ */
+const toLine = (change) => `${JSON.stringify(change, (key, value) => (value instanceof Map ? Object.fromEntries(value) : value))}\n`;
+
+/**
+ * Convert the date fields of a record read back from the store file
+ * @param {Object} record - Stored record
+ * @returns {Object}
+ */
+function reviveDates(record) {
+    for (const [field, value] of Object.entries(record)) {
+        if (typeof value === 'string' && DATE_FIELDS.includes(field)) {
+            record[field] = new Date(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(item => item && typeof item === 'object' && reviveDates(item));
+        }
+    }
+    return record;
+}
+
+/**
+ * Apply a change read back from the store file
+ * @param {{op: string, model: string, record?: Object, id?: string, field?: string, keyField?: string, items?: Array}} change
+ */
+function applyChange({ op, model, record, id, field, keyField, items }) {
+    if (!store[model]) store[model] = [];
+    const collection = store[model];
+    const idField = getIdField(model);
+    const index = collection.findIndex(item => item[idField] === (record ? record[idField] : id));
+
+    if (op === 'put') {
+        if (index >= 0) collection[index] = reviveDates(record);
+        else collection.push(reviveDates(record));
+    } else if (op === 'delete' && index >= 0) {
+        collection.splice(index, 1);
+    } else if (op === 'push') {
+        items.forEach(reviveDates);
+        if (index >= 0) collection[index][field] = (collection[index][field] || []).concat(items);
+        else collection.push({ [idField]: id, [field]: [...items] });
+    } else if (op === 'upsertItems') {
+        items.forEach(reviveDates);
+        if (index < 0) collection.push({ [idField]: id, [field]: [] });
+        const target = collection[index >= 0 ? index : collection.length - 1];
+        const list = target[field] || (target[field] = []);
+        const positions = new Map(list.map((item, position) => [item[keyField], position]));
+        for (const item of items) {
+            if (positions.has(item[keyField])) {
+                list[positions.get(item[keyField])] = item;
+            } else {
+                positions.set(item[keyField], list.length);
+                list.push(item);
+            }
+        }
+    }
+}
+
+/**
+ * Append a change to the store file, when one is open
+ * @param {Object} change - Change entry
+ */
+function appendChange(change) {
+    if (!storeFile) return;
+
+    fs.appendFileSync(storeFile, toLine(change));
+    appendedLines++;
+
+    const records = Object.values(store).reduce((sum, collection) => sum + collection.length, 0);
+    if (appendedLines > Math.max(MIN_COMPACT_LINES, records * COMPACT_LINES_PER_RECORD)) {
+        compact();
+    }
+}
+
+/**
+ * Rewrite the store file with one line per current record, replacing it only once it is complete
+ */
+function compact() {
+    const lines = Object.entries(store)
+        .flatMap(([model, collection]) => collection.map(record => toLine({ op: 'put', model, record })));
+
+    fs.writeFileSync(`${storeFile}.tmp`, lines.join(''));
+    fs.renameSync(`${storeFile}.tmp`, storeFile);
+    appendedLines = 0;
+}
+
 export const memoryStore = {
+    /**
+     * Keep the store in a file from now on, reading back the records it already holds
+     * Records saved before opening are replaced by the file's. An unreadable line (such as one
+     * cut off by a crash) is skipped
+     * @param {string} filePath - Store file (created when missing)
+     * @returns {number} - Records read back
+     */
+    open: (filePath = getMemoryStoreFile()) => {
+        Object.keys(store).forEach(model => { store[model] = []; });
+
+        if (fs.existsSync(filePath)) {
+            let skipped = 0;
+            for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    applyChange(JSON.parse(line));
+                } catch {
+                    skipped++;
+                }
+            }
+            if (skipped > 0) {
+                console.warn(`Memory store: skipped ${skipped} unreadable line(s) in ${filePath}`);
+            }
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        storeFile = filePath;
+        compact();
+
+        return Object.values(store).reduce((sum, collection) => sum + collection.length, 0);
+    },
+
+    /**
+     * Stop writing changes to the store file; records stay in memory
+     */
+    close: () => {
+        storeFile = null;
+        appendedLines = 0;
+    },
+
     save: (modelName, doc) => {
         // Ensure store exists for model
         if (!store[modelName]) {
@@ -40,21 +207,54 @@ export const memoryStore = {
         }
 
         // Find existing record by unique ID
-        let idField = 'uploadId';
-        if (modelName === 'Transform') idField = 'transformId';
-        if (modelName === 'DepositMap') idField = 'depositMapId';
+        const idField = getIdField(modelName);
 
         const existingIndex = collection.findIndex(d => d[idField] === data[idField]);
 
         if (existingIndex >= 0) {
             collection[existingIndex] = { ...collection[existingIndex], ...data };
+            appendChange({ op: 'put', model: modelName, record: collection[existingIndex] });
             return enhance(modelName, collection[existingIndex]);
         } else {
             collection.push(data);
+            appendChange({ op: 'put', model: modelName, record: data });
             return enhance(modelName, data);
         }
     },
 
+    /**
+     * Append items to an array field of a record, creating the record when missing
+     * Only the new items are written to the store file, so growing lists stay cheap to keep
+     * @param {string} modelName - Model name
+     * @param {string} id - Record ID
+     * @param {string} field - Array field
+     * @param {Array} items - Items to append
+     * @returns {Object} - Updated record
+     */
+    push: (modelName, id, field, items) => {
+        const change = { op: 'push', model: modelName, id, field, items };
+        applyChange(change);
+        appendChange(change);
+        return memoryStore.findOne(modelName, { [getIdField(modelName)]: id });
+    },
+
+    /**
+     * Add or replace items of an array field by key, creating the record when missing
+     * Like push(), only the given items are written to the store file
+     * @param {string} modelName - Model name
+     * @param {string} id - Record ID
+     * @param {string} field - Array field
+     * @param {string} keyField - Field identifying an item in the array
+     * @param {Array} items - Items to add, or to replace the item with the same key
+     * @returns {Object} - Updated record
+     */
+    upsertItems: (modelName, id, field, keyField, items) => {
+        const change = { op: 'upsertItems', model: modelName, id, field, keyField, items };
+        applyChange(change);
+        appendChange(change);
+        return memoryStore.findOne(modelName, { [getIdField(modelName)]: id });
+    },
+
     findOne: (modelName, query) => {
         if (!store[modelName]) return null;
 
@@ -81,6 +281,14 @@ export const memoryStore = {
         return items.map(item => enhance(modelName, item));
     },
 
+    /**
+     * The stored records of a model, without copying them
+     * For read-only scans: callers must copy any record they hand out or change
+     * @param {string} modelName - Model name
+     * @returns {Object[]} - In insertion order
+     */
+    records: (modelName) => store[modelName] || [],
+
     deleteOne: (modelName, query) => {
         if (!store[modelName]) return { deletedCount: 0 };
 
@@ -90,7 +298,8 @@ export const memoryStore = {
         });
 
         if (index >= 0) {
-            store[modelName].splice(index, 1);
+            const [removed] = store[modelName].splice(index, 1);
+            appendChange({ op: 'delete', model: modelName, id: removed[getIdField(modelName)] });
             return { deletedCount: 1 };
         }
         return { deletedCount: 0 };
@@ -0,0 +1,35 @@
+/**
+ * Output formats for transform results
+ * Writers for each format live in fileProcessor.js
+ */
+
+export const OUTPUT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    xlsx: {
+        label: 'Excel (XLSX)',
+        extension: 'xlsx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    },
+    tsv: { label: 'Tab-delimited', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+    'fixed-width': { label: 'Fixed-width text', extension: 'txt', mimeType: 'text/plain' },
+    jsonl: { label: 'JSON Lines', extension: 'jsonl', mimeType: 'application/x-ndjson' }
+};
+
+export const DEFAULT_OUTPUT_FORMAT = 'csv';
+
+/**
+ * Check if an output format is supported
+ * @param {string} format - Output format
+ * @returns {boolean}
+ */
+export function isOutputFormat(format) {
+    return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format);
+}
+
+/**
+ * Get list of output formats for clients
+ * @returns {Array<{format: string, label: string, extension: string}>}
+ */
+export function getAvailableOutputFormats() {
+    return Object.entries(OUTPUT_FORMATS).map(([format, { label, extension }]) => ({ format, label, extension }));
+}
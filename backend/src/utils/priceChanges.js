@@ -0,0 +1,308 @@
+/**
+ * Price-change reports
+ * Each transform keeps a snapshot of its output's item, price, cost, department and special
+ * columns; a report compares a transform's snapshot with the one of the vendor's previous
+ * completed transform, matching items by product code (or UPC when there is none)
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { transformRepository } from './repositories.js';
+import { getVendorTransformer, isVendorSupported } from './transformers/vendorRegistry.js';
+import { parseNumeric } from './transformers/helpers.js';
+
+// Earlier transforms looked at per query when finding the one to compare against
+const PREVIOUS_CANDIDATES = 20;
+
+/**
+ * Kinds of change, in report order
+ */
+export const CHANGE_TYPES = [
+    'NEW_ITEM',
+    'DISCONTINUED_ITEM',
+    'PRICE_CHANGE',
+    'COST_CHANGE',
+    'DEPARTMENT_CHANGE',
+    'NEW_SPECIAL',
+    'ENDED_SPECIAL'
+];
+
+/**
+ * Output columns compared when a vendor's config has no comparisonColumns
+ * These are the POS export columns shared by the built-in vendors. A special is running when its
+ * price column has a value; quantity and groupPrice describe multi-buy specials
+ */
+export const DEFAULT_COMPARISON_COLUMNS = {
+    productCode: 'Product Code',
+    upc: 'UPC',
+    description: 'Description',
+    price: 'Price',
+    cost: 'Cost',
+    department: 'Department ID',
+    specials: [
+        { name: 'Sale', price: 'Special Price', quantity: 'Special Quantity', groupPrice: 'Special Group Price', start: 'Start Date', end: 'End Date' },
+        { name: 'TPR', price: 'Special Price #2', quantity: 'Special Quantity #2', groupPrice: 'Special Group Price #2', start: 'Start Date #2', end: 'End Date #2' }
+    ]
+};
+
+/**
+ * Get the output columns compared for a vendor
+ * The vendor config's comparisonColumns override DEFAULT_COMPARISON_COLUMNS key by key
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Object}
+ */
+export function getComparisonColumns(vendorId) {
+    const vendor = isVendorSupported(vendorId) ? getVendorTransformer(vendorId) : {};
+    const configKey = Object.keys(vendor).find(key => key.endsWith('Config'));
+
+    return {
+        ...DEFAULT_COMPARISON_COLUMNS,
+        ...(configKey && vendor[configKey].comparisonColumns)
+    };
+}
+
+/**
+ * List the output columns a transform's snapshot has to keep
+ * @param {Object} columns - Comparison columns
+ * @returns {string[]}
+ */
+export function getSnapshotColumns(columns) {
+    const { specials = [], ...single } = columns;
+    const specialColumns = specials.flatMap(({ name, ...special }) => Object.values(special));
+    return [...new Set([...Object.values(single), ...specialColumns].filter(Boolean))];
+}
+
+/**
+ * Find the transform a report compares against: the vendor's latest completed transform of
+ * another upload that was created before this one and still has its snapshot file
+ * Runs of the same upload (re-runs share it) are skipped, as they would compare the file with itself,
+ * and so are transforms whose snapshot retention has deleted
+ * @param {Object} transform - Transform record
+ * @returns {Promise<Object|null>}
+ */
+export async function findPreviousTransform(transform) {
+    const query = {
+        vendorId: transform.vendorId,
+        status: 'completed',
+        uploadId: { $ne: transform.uploadId },
+        snapshotPath: { $ne: null },
+        createdAt: { $lt: new Date(transform.createdAt) }
+    };
+
+    for (let skip = 0; ; skip += PREVIOUS_CANDIDATES) {
+        const candidates = await transformRepository.find(query, { sort: { createdAt: -1 }, skip, limit: PREVIOUS_CANDIDATES });
+        const previous = candidates.find(candidate => fs.existsSync(candidate.snapshotPath));
+        if (previous || candidates.length < PREVIOUS_CANDIDATES) {
+            return previous || null;
+        }
+    }
+}
+
+/**
+ * Read a snapshot's items
+ * @param {string} snapshotPath - JSON lines snapshot
+ * @returns {AsyncIterable<Object>}
+ */
+export async function* readSnapshot(snapshotPath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(snapshotPath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim()) {
+            yield JSON.parse(line);
+        }
+    }
+}
+
+/**
+ * Trimmed string value of a column
+ * @param {Object} item - Snapshot item
+ * @param {string} column - Column name
+ * @returns {string}
+ */
+const valueOf = (item, column) => (column && item[column] !== undefined && item[column] !== null
+    ? String(item[column]).trim()
+    : '');
+
+/**
+ * Key an item is matched by: its product code, or its UPC when it has none
+ * @param {Object} item - Snapshot item
+ * @param {Object} columns - Comparison columns
+ * @returns {string|null}
+ */
+export function itemKey(item, columns) {
+    const productCode = valueOf(item, columns.productCode);
+    if (productCode) return `code:${productCode}`;
+    const upc = valueOf(item, columns.upc);
+    return upc ? `upc:${upc}` : null;
+}
+
+/**
+ * Compare two values, numerically when both are numbers (so 1.5 equals 1.50)
+ * @param {string} before - Previous value
+ * @param {string} after - Current value
+ * @returns {{changed: boolean, difference: number|null, percentChange: number|null}}
+ */
+function compareValues(before, after) {
+    const oldNumber = before === '' ? null : parseNumeric(before);
+    const newNumber = after === '' ? null : parseNumeric(after);
+
+    if (oldNumber !== null && newNumber !== null) {
+        const difference = Math.round((newNumber - oldNumber) * 10000) / 10000;
+        return {
+            changed: difference !== 0,
+            difference,
+            percentChange: oldNumber !== 0 ? Math.round((difference / oldNumber) * 10000) / 100 : null
+        };
+    }
+    return { changed: before !== after, difference: null, percentChange: null };
+}
+
+/**
+ * Describe a special, e.g. "2 for 5.00 (20250101-20250131)"
+ * @param {Object} item - Snapshot item
+ * @param {Object} special - Special columns
+ * @returns {string} - Empty when the special isn't running
+ */
+function describeSpecial(item, special) {
+    const price = valueOf(item, special.price);
+    if (!price) return '';
+
+    const quantity = valueOf(item, special.quantity);
+    const groupPrice = valueOf(item, special.groupPrice);
+    const amount = quantity && groupPrice ? `${quantity} for ${groupPrice}` : price;
+    const start = valueOf(item, special.start);
+    const end = valueOf(item, special.end);
+
+    return start || end ? `${amount} (${start || '?'}-${end || '?'})` : amount;
+}
+
+/**
+ * Compare a previous and current snapshot
+ * A special counts as new when it starts, or when its amount or dates differ from the previous
+ * special in the same slot; it ended when an item still listed no longer has it. Items listed
+ * more than once are compared by their first row
+ * @param {string} previousPath - Snapshot of the previous transform
+ * @param {string} currentPath - Snapshot of the current transform
+ * @param {Object} columns - Comparison columns
+ * @returns {Promise<{summary: Object, changes: Object[], previousItems: number, currentItems: number}>} - summary
+ *   counts changes by type; changes are in CHANGE_TYPES order, then file order
+ */
+export async function compareSnapshots(previousPath, currentPath, columns) {
+    const previous = new Map();
+    for await (const item of readSnapshot(previousPath)) {
+        const key = itemKey(item, columns);
+        if (key && !previous.has(key)) {
+            previous.set(key, item);
+        }
+    }
+
+    const byType = Object.fromEntries(CHANGE_TYPES.map(type => [type, []]));
+    const specials = columns.specials || [];
+    const seen = new Set();
+    let currentItems = 0;
+
+    const addChange = (type, item, details = {}) => {
+        byType[type].push({
+            type,
+            productCode: valueOf(item, columns.productCode),
+            upc: valueOf(item, columns.upc),
+            description: valueOf(item, columns.description),
+            field: null,
+            oldValue: null,
+            newValue: null,
+            difference: null,
+            percentChange: null,
+            ...details
+        });
+    };
+
+    const compareField = (type, before, after, column) => {
+        const oldValue = valueOf(before, column);
+        const newValue = valueOf(after, column);
+        const { changed, difference, percentChange } = compareValues(oldValue, newValue);
+        if (column && changed) {
+            addChange(type, after, { field: column, oldValue, newValue, difference, percentChange });
+        }
+    };
+
+    for await (const item of readSnapshot(currentPath)) {
+        const key = itemKey(item, columns);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        currentItems++;
+
+        const before = previous.get(key);
+        if (!before) {
+            addChange('NEW_ITEM', item, { field: columns.price, newValue: valueOf(item, columns.price) });
+        } else {
+            compareField('PRICE_CHANGE', before, item, columns.price);
+            compareField('COST_CHANGE', before, item, columns.cost);
+            compareField('DEPARTMENT_CHANGE', before, item, columns.department);
+        }
+
+        for (const special of specials) {
+            const oldValue = before ? describeSpecial(before, special) : '';
+            const newValue = describeSpecial(item, special);
+            if (newValue && newValue !== oldValue) {
+                addChange('NEW_SPECIAL', item, { field: special.name, oldValue: oldValue || null, newValue });
+            } else if (oldValue && !newValue) {
+                addChange('ENDED_SPECIAL', item, { field: special.name, oldValue });
+            }
+        }
+    }
+
+    for (const [key, item] of previous) {
+        if (!seen.has(key)) {
+            addChange('DISCONTINUED_ITEM', item, { field: columns.price, oldValue: valueOf(item, columns.price) });
+        }
+    }
+
+    return {
+        summary: Object.fromEntries(CHANGE_TYPES.map(type => [type, byType[type].length])),
+        changes: CHANGE_TYPES.flatMap(type => byType[type]),
+        previousItems: previous.size,
+        currentItems
+    };
+}
+
+/**
+ * Build a transform's price-change report against the vendor's previous completed transform
+ * @param {Object} transform - Transform record
+ * @returns {Promise<{previous: Object, summary: Object, changes: Object[], previousItems: number,
+ *   currentItems: number}>} - previous describes the transform compared against
+ * @throws {Error} With status 409 when the transform isn't completed or has no snapshot, and 404 when
+ *   there is nothing to compare against
+ */
+export async function getPriceChangeReport(transform) {
+    if (transform.status !== 'completed') {
+        const error = new Error('Transform not completed yet');
+        error.status = 409;
+        throw error;
+    }
+    if (!transform.snapshotPath || !fs.existsSync(transform.snapshotPath)) {
+        const error = new Error('This transform has no item snapshot to compare; run it again to create one');
+        error.status = 409;
+        throw error;
+    }
+
+    const previous = await findPreviousTransform(transform);
+    if (!previous) {
+        const error = new Error(`No earlier completed ${transform.vendorId} transform to compare with`);
+        error.status = 404;
+        throw error;
+    }
+
+    const report = await compareSnapshots(
+        previous.snapshotPath,
+        transform.snapshotPath,
+        getComparisonColumns(transform.vendorId)
+    );
+
+    return {
+        previous: {
+            transformId: previous.transformId,
+            uploadId: previous.uploadId,
+            completedAt: previous.completedAt
+        },
+        ...report
+    };
+}
@@ -0,0 +1,718 @@
+/**
+ * Repositories for records (uploads, transforms, deposit maps, vendor profiles) and for items
+ * listed under a parent record (transform warnings, vendor catalog items)
+ * Each repository reads and writes MongoDB when it is connected and the memory store otherwise,
+ * with the same query, sort, pagination and projection behaviour on both. Records are returned as
+ * plain objects: without _id and __v, with Map fields (such as deposit map mappings) as objects,
+ * and as copies, so changing one doesn't change what is stored
+ */
+
+import mongoose from 'mongoose';
+import { Upload, Transform, DepositMap, VendorProfile, TransformWarning, CatalogItem } from '../models/models.js';
+import { memoryStore } from './memoryStore.js';
+
+const isDbConnected = () => mongoose.connection.readyState === 1;
+
+// Items written per insertMany or bulkWrite call
+const WRITE_BATCH_SIZE = 1000;
+
+// Sort used by find() when none is given: newest first
+const DEFAULT_SORT = { createdAt: -1 };
+
+const COMPARISON_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+
+// Temporary field holding the records a MongoDB join looked up
+const JOINED_FIELD = '__joined';
+
+/**
+ * Deep-copy a value, turning Maps into plain objects
+ * @param {*} value
+ * @returns {*}
+ */
+function copyValue(value) {
+    if (value instanceof Map) return copyValue(Object.fromEntries(value));
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(copyValue);
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyValue(item)]));
+    }
+    return value;
+}
+
+/**
+ * Convert a stored record to the plain object repositories return
+ * @param {Object|null} record - Mongoose document, lean object or memory store record
+ * @returns {Object|null}
+ */
+function toRecord(record) {
+    if (!record) return null;
+    const { _id, __v, ...rest } = typeof record.toObject === 'function'
+        ? record.toObject({ flattenMaps: true })
+        : record;
+    return copyValue(rest);
+}
+
+/**
+ * Keep only the projected fields of a record
+ * @param {Object} record - Plain record
+ * @param {string[]|undefined} projection - Fields to return; all when missing
+ * @param {string} idField - Field identifying a record, always returned
+ * @returns {Object}
+ */
+function project(record, projection, idField) {
+    if (!projection) return record;
+    const fields = new Set([idField, ...projection]);
+    return Object.fromEntries(Object.entries(record).filter(([field]) => fields.has(field)));
+}
+
+/**
+ * Rank of a value's type in MongoDB's sort order; missing values sort with null
+ * @param {*} value
+ * @returns {number}
+ */
+function typeRank(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    if (typeof value === 'boolean') return 4;
+    if (value instanceof Date) return 5;
+    return 3;
+}
+
+/**
+ * Compare two field values as MongoDB sorts them
+ * @returns {number}
+ */
+function compareValues(a, b) {
+    const rankDifference = typeRank(a) - typeRank(b);
+    if (rankDifference !== 0) return rankDifference;
+    if (a instanceof Date) return a.getTime() - b.getTime();
+    if (a === b || typeRank(a) === 0 || typeRank(a) === 3) return 0;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Compare a field value with a query value, reading the query value as a date for date fields
+ * @returns {number|null} - null when the values can't be ordered
+ */
+function compareForQuery(value, operand) {
+    if (value instanceof Date && !(operand instanceof Date)) {
+        operand = new Date(operand);
+    }
+    return typeRank(value) === typeRank(operand) && typeRank(value) !== 3 ? compareValues(value, operand) : null;
+}
+
+/**
+ * Check a field value for equality the way MongoDB does: null matches a missing field, and an
+ * array field matches when any element does
+ * @returns {boolean}
+ */
+function equals(value, operand) {
+    if (operand === null || operand === undefined) return value === null || value === undefined;
+    if (Array.isArray(value) && !Array.isArray(operand)) return value.some(item => equals(item, operand));
+    if (value instanceof Date || operand instanceof Date) {
+        return compareForQuery(value, operand) === 0;
+    }
+    if (typeof value === 'object' && typeof operand === 'object') {
+        return JSON.stringify(value) === JSON.stringify(operand);
+    }
+    return value === operand;
+}
+
+/**
+ * Check a field value against a $regex condition
+ * @param {*} value - Field value; arrays match when any element does
+ * @param {string|RegExp} pattern - Regular expression
+ * @param {string} options - Regular expression flags, such as "i"
+ * @returns {boolean}
+ */
+function matchesRegex(value, pattern, options = '') {
+    if (Array.isArray(value)) return value.some(item => matchesRegex(item, pattern, options));
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, options);
+    return typeof value === 'string' && regex.test(value);
+}
+
+/**
+ * Check a field value against a query condition: a value or an object of operators
+ * @returns {boolean}
+ */
+function matchesCondition(value, condition) {
+    const isOperators = condition !== null && typeof condition === 'object' && !(condition instanceof Date) &&
+        !Array.isArray(condition) && Object.keys(condition).length > 0 &&
+        Object.keys(condition).every(key => key.startsWith('$'));
+    if (!isOperators) return equals(value, condition);
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        if (operator === '$eq') return equals(value, operand);
+        if (operator === '$ne') return !equals(value, operand);
+        if (operator === '$in') return operand.some(item => equals(value, item));
+        if (operator === '$nin') return !operand.some(item => equals(value, item));
+        if (operator === '$exists') return (value !== undefined) === Boolean(operand);
+        if (operator === '$regex') return matchesRegex(value, operand, condition.$options);
+        if (operator === '$options') return true;
+        if (COMPARISON_OPERATORS.includes(operator)) {
+            const order = compareForQuery(value, operand);
+            if (order === null) return false;
+            if (operator === '$gt') return order > 0;
+            if (operator === '$gte') return order >= 0;
+            if (operator === '$lt') return order < 0;
+            return order <= 0;
+        }
+        throw new Error(`Unsupported query operator ${operator}`);
+    });
+}
+
+/**
+ * Read a field of a record; dotted paths read nested fields and array positions ("warnings.0")
+ * @param {Object} record - Plain record
+ * @param {string} field - Field name or dotted path
+ * @returns {*}
+ */
+function readField(record, field) {
+    return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+/**
+ * Check a record against a query: fields with values or operators, and $and, $or and $nor
+ * @param {Object} record - Plain record
+ * @param {Object} query - Query
+ * @returns {boolean}
+ */
+function matches(record, query) {
+    return Object.entries(query).every(([field, condition]) => {
+        if (field === '$and') return condition.every(part => matches(record, part));
+        if (field === '$or') return condition.some(alternative => matches(record, alternative));
+        if (field === '$nor') return !condition.some(alternative => matches(record, alternative));
+        if (field.startsWith('$')) throw new Error(`Unsupported query operator ${field}`);
+        return matchesCondition(readField(record, field), condition);
+    });
+}
+
+/**
+ * Complete a sort so the order of records is always the same: ties are broken by ID
+ * @param {Object} sort - Field -> 1 (ascending) or -1 (descending)
+ * @param {string} idField - Field identifying a record
+ * @returns {Object}
+ */
+const toFullSort = (sort, idField) => (idField in sort ? sort : { ...sort, [idField]: 1 });
+
+/**
+ * Drop update operators without fields
+ * @param {Object} update - Operator -> fields
+ * @returns {Object}
+ */
+const withoutEmpty = (update) => Object.fromEntries(Object.entries(update).filter(([, fields]) => Object.keys(fields).length > 0));
+
+/**
+ * Build a comparator that orders records by a sort
+ * @param {Object} sort - Field -> 1 (ascending) or -1 (descending)
+ * @returns {Function}
+ */
+const bySort = (sort) => {
+    const fields = Object.entries(sort);
+    return (a, b) => {
+        for (const [field, direction] of fields) {
+            const order = compareValues(a[field], b[field]);
+            if (order !== 0) return order * direction;
+        }
+        return 0;
+    };
+};
+
+/**
+ * Drop fields whose value is undefined, which MongoDB doesn't store
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const withoutUndefined = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+/**
+ * Create a repository for a model
+ * @param {Object} params
+ * @param {string} params.modelName - Memory store model
+ * @param {mongoose.Model} params.Model - MongoDB model; its schema applies defaults, casts values and
+ *   validates records on both backends
+ * @param {string} params.idField - Field identifying a record
+ * @returns {Object} - Repository
+ */
+export function createRepository({ modelName, Model, idField }) {
+    // Models with an updatedAt field have it set on every update
+    const tracksUpdates = Boolean(Model.schema.path('updatedAt'));
+
+    /**
+     * Build a model document so schema defaults, casting and validation apply in the memory store too
+     * @throws {mongoose.Error.ValidationError}
+     */
+    const toValidDocument = (data, paths) => {
+        const document = new Model(copyValue(data));
+        const error = document.validateSync(paths);
+        if (error) throw error;
+        return document;
+    };
+
+    /**
+     * Cast and validate the changed fields of a memory store record through the schema
+     * @param {Object} record - Current record
+     * @param {Object} changes - Fields to set
+     * @returns {Object} - Changed fields, as stored
+     */
+    const toValidChanges = (record, changes) => {
+        const paths = Object.keys(changes);
+        const stored = toRecord(toValidDocument({ ...record, ...changes }, paths));
+        return Object.fromEntries(paths.filter(field => field in stored).map(field => [field, stored[field]]));
+    };
+
+    /**
+     * Find memory store records matching a query, in sort order
+     * Returns the stored records themselves; callers copy the ones they hand out with toRecord()
+     */
+    const findInMemory = (query, sort) => memoryStore.records(modelName)
+        .filter(record => matches(record, query))
+        .sort(bySort(toFullSort(sort, idField)));
+
+    /**
+     * Read the joined fields of memory store records from the other repository's records
+     * @returns {Function} - Stored record -> joined fields it has
+     */
+    const joinInMemory = ({ from, localField, fields }) => {
+        const joined = new Map(memoryStore.records(from.modelName).map(record => [record[from.idField], record]));
+        return (record) => {
+            const match = joined.get(record[localField]);
+            if (!match) return {};
+            return Object.fromEntries(fields.filter(field => match[field] !== undefined)
+                .map(field => [field, copyValue(match[field])]));
+        };
+    };
+
+    /**
+     * Find MongoDB records joined with another repository's records in one aggregation
+     * Without a condition on the joined fields the page is cut before the join, so only its own
+     * records are looked up
+     */
+    const aggregateWithJoin = (query, { sort, skip, limit, projection, join }) => {
+        const joinStages = [
+            {
+                $lookup: {
+                    from: join.from.Model.collection.name,
+                    localField: join.localField,
+                    foreignField: join.from.idField,
+                    as: JOINED_FIELD
+                }
+            },
+            { $addFields: Object.fromEntries(join.fields.map(field => [field, { $arrayElemAt: [`$${JOINED_FIELD}.${field}`, 0] }])) },
+            { $project: { [JOINED_FIELD]: 0 } }
+        ];
+        const page = [];
+        if (skip > 0) page.push({ $skip: skip });
+        if (limit !== null) page.push({ $limit: limit });
+
+        const pipeline = [
+            { $match: Model.find(query).cast(Model) },
+            { $sort: toFullSort(sort, idField) },
+            ...(join.query ? [...joinStages, { $match: join.query }, ...page] : [...page, ...joinStages])
+        ];
+        if (projection) {
+            pipeline.push({ $project: Object.fromEntries([idField, ...projection].map(field => [field, 1])) });
+        }
+        return Model.aggregate(pipeline);
+    };
+
+    const repository = {
+        modelName,
+        Model,
+        idField,
+
+        /**
+         * Find records
+         * @param {Object} query - Fields (or dotted paths) with values or $eq, $ne, $in, $nin, $exists,
+         *   $gt, $gte, $lt, $lte and $regex conditions, and $and, $or and $nor. null matches a missing field
+         * @param {Object} options
+         * @param {Object} options.sort - Field -> 1 or -1 (default: newest first); ties are broken by ID
+         * @param {number} options.skip - Records to skip
+         * @param {number} options.limit - Most records to return (default: all)
+         * @param {string[]} options.projection - Fields to return, besides the ID (default: all)
+         * @param {Object} options.join - Fields to add from the matching record of another repository
+         * @param {Object} options.join.from - The other repository; records match on its ID
+         * @param {string} options.join.localField - Field holding the other record's ID
+         * @param {string[]} options.join.fields - Fields to add (left out when there is no match)
+         * @param {Object} options.join.query - Conditions on the added fields, as for query
+         * @returns {Promise<Object[]>}
+         */
+        async find(query = {}, { sort = DEFAULT_SORT, skip = 0, limit = null, projection, join = null } = {}) {
+            if (isDbConnected()) {
+                if (join) {
+                    return (await aggregateWithJoin(query, { sort, skip, limit, projection, join })).map(toRecord);
+                }
+                let cursor = Model.find(query).sort(toFullSort(sort, idField)).skip(skip);
+                if (limit !== null) cursor = cursor.limit(limit);
+                if (projection) cursor = cursor.select([idField, ...projection]);
+                return (await cursor.lean()).map(toRecord);
+            }
+
+            const joined = join ? joinInMemory(join) : () => ({});
+            let records = findInMemory(query, sort);
+            if (join?.query) {
+                records = records.filter(record => matches(joined(record), join.query));
+            }
+            return records.slice(skip, limit !== null ? skip + limit : undefined)
+                .map(record => project({ ...toRecord(record), ...joined(record) }, projection, idField));
+        },
+
+        /**
+         * Find the first record matching a query, in sort order
+         * @param {Object} query - As for find()
+         * @param {Object} options - sort and projection, as for find()
+         * @returns {Promise<Object|null>}
+         */
+        async findOne(query, options = {}) {
+            const [record] = await repository.find(query, { ...options, limit: 1 });
+            return record || null;
+        },
+
+        /**
+         * Find a record by ID
+         * @param {string} id - Record ID
+         * @param {Object} options - projection, as for find()
+         * @returns {Promise<Object|null>}
+         */
+        findById(id, options = {}) {
+            return repository.findOne({ [idField]: id }, options);
+        },
+
+        /**
+         * Count the records matching a query
+         * @param {Object} query - As for find()
+         * @returns {Promise<number>}
+         */
+        async count(query = {}) {
+            if (isDbConnected()) {
+                return Model.countDocuments(query);
+            }
+            return findInMemory(query, {}).length;
+        },
+
+        /**
+         * Check whether any record matches a query
+         * @param {Object} query - As for find()
+         * @returns {Promise<boolean>}
+         */
+        async exists(query) {
+            return (await repository.findOne(query, { projection: [] })) !== null;
+        },
+
+        /**
+         * Add a record, applying the schema's defaults
+         * @param {Object} data - Record fields
+         * @returns {Promise<Object>} - Stored record
+         * @throws {mongoose.Error.ValidationError} - The record doesn't match the schema
+         */
+        async create(data) {
+            const document = toValidDocument(data);
+            if (isDbConnected()) {
+                return toRecord(await document.save());
+            }
+            return toRecord(memoryStore.save(modelName, toRecord(document)));
+        },
+
+        /**
+         * Set fields of the first record matching a query, in sort order
+         * updatedAt is set to now unless the fields give it
+         * @param {Object} query - As for find()
+         * @param {Object} fields - Fields to set; undefined values are ignored
+         * @param {Object} options
+         * @param {Object} options.sort - As for find()
+         * @param {Object} options.increment - Numeric field -> amount added to it
+         * @returns {Promise<Object|null>} - Updated record; null when none matched
+         * @throws {mongoose.Error.ValidationError} - A field doesn't match the schema
+         */
+        async updateOne(query, fields, { sort = DEFAULT_SORT, increment = {} } = {}) {
+            const changes = withoutUndefined(fields);
+            if (tracksUpdates && !changes.updatedAt) {
+                changes.updatedAt = new Date();
+            }
+
+            if (isDbConnected()) {
+                const update = { $set: changes };
+                if (Object.keys(increment).length > 0) update.$inc = increment;
+                return toRecord(await Model.findOneAndUpdate(query, update, {
+                    sort: toFullSort(sort, idField),
+                    new: true,
+                    runValidators: true,
+                    lean: true
+                }));
+            }
+
+            const [stored] = findInMemory(query, sort);
+            if (!stored) return null;
+
+            const record = toRecord(stored);
+            Object.entries(increment).forEach(([field, amount]) => {
+                changes[field] = (record[field] || 0) + amount;
+            });
+            return toRecord(memoryStore.save(modelName, { [idField]: record[idField], ...toValidChanges(record, changes) }));
+        },
+
+        /**
+         * Set fields of a record
+         * @param {string} id - Record ID
+         * @param {Object} fields - Fields to set; undefined values are ignored
+         * @returns {Promise<Object|null>} - Updated record; null when missing
+         */
+        updateById(id, fields) {
+            return repository.updateOne({ [idField]: id }, fields);
+        },
+
+        /**
+         * Delete a record
+         * @param {string} id - Record ID
+         * @returns {Promise<boolean>} - False when missing
+         */
+        async deleteById(id) {
+            if (isDbConnected()) {
+                return (await Model.deleteOne({ [idField]: id })).deletedCount > 0;
+            }
+            return memoryStore.deleteOne(modelName, { [idField]: id }).deletedCount > 0;
+        }
+    };
+
+    return repository;
+}
+
+/**
+ * Create a repository for items listed under a parent record, such as a transform's warnings
+ * MongoDB stores one document per item, holding the parent ID; the memory store keeps one record
+ * per parent with the items in a list, so adding items only appends to it. Items are returned as
+ * plain copies without the parent ID, _id and __v
+ * @param {Object} params
+ * @param {string} params.modelName - Memory store model holding the lists
+ * @param {mongoose.Model} params.Model - MongoDB model, one document per item
+ * @param {string} params.parentField - Field holding the parent ID
+ * @param {string} params.listField - Memory store field holding a parent's items
+ * @param {string} params.keyField - Field identifying an item within its parent, used by upsert()
+ * @returns {Object} - Repository
+ */
+export function createListRepository({ modelName, Model, parentField, listField, keyField = null }) {
+    /**
+     * Get a parent's items in the memory store, without copying them
+     */
+    const itemsInMemory = (parentId) =>
+        memoryStore.records(modelName).find(record => record[parentField] === parentId)?.[listField] || [];
+
+    /**
+     * Find a parent's memory store items matching a query, in sort order (ties in the order added)
+     */
+    const findInMemory = (parentId, query, sort) => itemsInMemory(parentId)
+        .filter(item => matches(item, query))
+        .sort(bySort(sort));
+
+    /**
+     * Build a MongoDB query for a parent's items
+     */
+    const toMongoQuery = (parentId, query, sort) => Model.find({ ...query, [parentField]: parentId }, { [parentField]: 0 })
+        .sort({ ...sort, _id: 1 });
+
+    const repository = {
+        modelName,
+        parentField,
+
+        /**
+         * Find a parent's items
+         * @param {string} parentId - Parent ID
+         * @param {Object} query - As for createRepository's find()
+         * @param {Object} options
+         * @param {Object} options.sort - Field -> 1 or -1; ties keep the order items were added in
+         * @param {number} options.skip - Items to skip
+         * @param {number} options.limit - Most items to return (default: all)
+         * @returns {Promise<Object[]>}
+         */
+        async find(parentId, query = {}, { sort = {}, skip = 0, limit = null } = {}) {
+            if (isDbConnected()) {
+                let cursor = toMongoQuery(parentId, query, sort).skip(skip);
+                if (limit !== null) cursor = cursor.limit(limit);
+                return (await cursor.lean()).map(toRecord);
+            }
+            return findInMemory(parentId, query, sort)
+                .slice(skip, limit !== null ? skip + limit : undefined)
+                .map(toRecord);
+        },
+
+        /**
+         * Iterate over a parent's items without reading them from MongoDB at once
+         * @param {string} parentId - Parent ID
+         * @param {Object} query - As for find()
+         * @param {Object} options - sort, as for find()
+         * @returns {AsyncGenerator<Object>}
+         */
+        async* iterate(parentId, query = {}, { sort = {} } = {}) {
+            if (isDbConnected()) {
+                for await (const item of toMongoQuery(parentId, query, sort).lean().cursor()) {
+                    yield toRecord(item);
+                }
+                return;
+            }
+            for (const item of findInMemory(parentId, query, sort)) {
+                yield toRecord(item);
+            }
+        },
+
+        /**
+         * Count a parent's items matching a query
+         * @param {string} parentId - Parent ID
+         * @param {Object} query - As for find()
+         * @returns {Promise<number>}
+         */
+        async count(parentId, query = {}) {
+            if (isDbConnected()) {
+                return Model.countDocuments({ ...query, [parentField]: parentId });
+            }
+            return findInMemory(parentId, query, {}).length;
+        },
+
+        /**
+         * Count a parent's items per combination of field values
+         * @param {string} parentId - Parent ID
+         * @param {string[]} fields - Fields to group by
+         * @returns {Promise<Object[]>} - The fields' values and count of each group, in no particular order
+         */
+        async countBy(parentId, fields) {
+            if (isDbConnected()) {
+                return (await Model.aggregate([
+                    { $match: { [parentField]: parentId } },
+                    { $group: { _id: Object.fromEntries(fields.map(field => [field, `$${field}`])), count: { $sum: 1 } } }
+                ])).map(({ _id, count }) => ({ ..._id, count }));
+            }
+
+            const groups = new Map();
+            for (const item of itemsInMemory(parentId)) {
+                const values = fields.map(field => item[field]);
+                const key = JSON.stringify(values);
+                if (!groups.has(key)) {
+                    groups.set(key, { ...Object.fromEntries(fields.map((field, i) => [field, values[i]])), count: 0 });
+                }
+                groups.get(key).count++;
+            }
+            return [...groups.values()];
+        },
+
+        /**
+         * List the parents that have items
+         * @returns {Promise<string[]>} - Sorted parent IDs
+         */
+        async listParents() {
+            if (isDbConnected()) {
+                return (await Model.distinct(parentField)).sort();
+            }
+            return memoryStore.records(modelName)
+                .filter(record => record[listField]?.length > 0)
+                .map(record => record[parentField])
+                .sort();
+        },
+
+        /**
+         * Add items to a parent, after its existing items
+         * Items are stored as given, without schema validation
+         * @param {string} parentId - Parent ID
+         * @param {Object[]} items - Items to add
+         * @returns {Promise<void>}
+         */
+        async append(parentId, items) {
+            if (items.length === 0) return;
+
+            if (isDbConnected()) {
+                for (let i = 0; i < items.length; i += WRITE_BATCH_SIZE) {
+                    const batch = items.slice(i, i + WRITE_BATCH_SIZE).map(item => ({ ...item, [parentField]: parentId }));
+                    await Model.insertMany(batch, { ordered: false, lean: true });
+                }
+                return;
+            }
+            memoryStore.push(modelName, parentId, listField, items.map(copyValue));
+        },
+
+        /**
+         * Update a parent's items by key, adding those it doesn't have yet with the schema's defaults
+         * @param {string} parentId - Parent ID
+         * @param {Array<{key: string, set: Object, setOnInsert: Object, increment: Object}>} updates - Per item:
+         *   its keyField value, fields to set, fields set only when adding it and numeric fields to add to
+         * @returns {Promise<number>} - Items added
+         */
+        async upsert(parentId, updates) {
+            if (updates.length === 0) return 0;
+
+            if (isDbConnected()) {
+                let added = 0;
+                for (let i = 0; i < updates.length; i += WRITE_BATCH_SIZE) {
+                    const result = await Model.bulkWrite(updates.slice(i, i + WRITE_BATCH_SIZE)
+                        .map(({ key, set = {}, setOnInsert = {}, increment = {} }) => ({
+                            updateOne: {
+                                filter: { [parentField]: parentId, [keyField]: key },
+                                // MongoDB rejects empty update operators
+                                update: withoutEmpty({ $set: set, $setOnInsert: setOnInsert, $inc: increment }),
+                                upsert: true
+                            }
+                        })), { ordered: false });
+                    added += result.upsertedCount;
+                }
+                return added;
+            }
+
+            const stored = new Map(itemsInMemory(parentId).map(item => [item[keyField], item]));
+            const changed = new Map();
+            let added = 0;
+            for (const { key, set = {}, setOnInsert = {}, increment = {} } of updates) {
+                const existing = changed.get(key) || stored.get(key);
+                if (!existing) {
+                    const { [parentField]: _parent, ...item } = toRecord(new Model({
+                        ...setOnInsert,
+                        ...set,
+                        ...increment,
+                        [parentField]: parentId,
+                        [keyField]: key
+                    }));
+                    changed.set(key, item);
+                    added++;
+                    continue;
+                }
+                const changes = copyValue(set);
+                Object.entries(increment).forEach(([field, amount]) => {
+                    changes[field] = (existing[field] || 0) + amount;
+                });
+                changed.set(key, { ...existing, ...changes });
+            }
+            memoryStore.upsertItems(modelName, parentId, listField, keyField, [...changed.values()]);
+            return added;
+        },
+
+        /**
+         * Delete all of a parent's items
+         * @param {string} parentId - Parent ID
+         * @returns {Promise<void>}
+         */
+        async deleteAll(parentId) {
+            if (isDbConnected()) {
+                await Model.deleteMany({ [parentField]: parentId });
+                return;
+            }
+            memoryStore.deleteOne(modelName, { [parentField]: parentId });
+        }
+    };
+
+    return repository;
+}
+
+export const uploadRepository = createRepository({ modelName: 'Upload', Model: Upload, idField: 'uploadId' });
+export const transformRepository = createRepository({ modelName: 'Transform', Model: Transform, idField: 'transformId' });
+export const depositMapRepository = createRepository({ modelName: 'DepositMap', Model: DepositMap, idField: 'depositMapId' });
+export const vendorProfileRepository = createRepository({ modelName: 'VendorProfile', Model: VendorProfile, idField: 'vendorId' });
+export const transformWarningRepository = createListRepository({
+    modelName: 'TransformWarnings',
+    Model: TransformWarning,
+    parentField: 'transformId',
+    listField: 'warnings'
+});
+export const catalogItemRepository = createListRepository({
+    modelName: 'CatalogItems',
+    Model: CatalogItem,
+    parentField: 'vendorId',
+    listField: 'items',
+    keyField: 'itemKey'
+});
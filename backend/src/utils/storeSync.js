@@ -0,0 +1,202 @@
+/**
+ * Memory store to MongoDB migration
+ * Records kept in the memory store while MongoDB was unavailable are copied into MongoDB once it
+ * connects, then removed from the memory store. A record MongoDB already has is replaced only when
+ * the memory store's copy was updated later (by updatedAt), so changes made offline are kept.
+ * Item catalog sightings are added to MongoDB's catalog instead, including those in the per-vendor
+ * CATALOG_DIR files earlier versions kept without MongoDB
+ */
+
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import { Upload, Transform, DepositMap, VendorProfile, TransformWarning } from '../models/models.js';
+import { memoryStore } from './memoryStore.js';
+import { catalogItemRepository } from './repositories.js';
+
+// Records written per bulkWrite or insertMany call
+const WRITE_BATCH_SIZE = 1000;
+
+// [memory store model, MongoDB model, ID field], in the order records are migrated
+const MIGRATED_MODELS = [
+    ['VendorProfile', VendorProfile, 'vendorId'],
+    ['DepositMap', DepositMap, 'depositMapId'],
+    ['Upload', Upload, 'uploadId'],
+    ['Transform', Transform, 'transformId']
+];
+
+// Catalog item fields; empty values never overwrite known ones
+const CATALOG_FIELDS = ['productCode', 'upc', 'description', 'departmentId', 'price', 'cost'];
+
+const isDbConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Copy a model's memory store records into MongoDB, then remove them from the memory store
+ * Records MongoDB has are overwritten when the memory store's copy has a later updatedAt, or
+ * MongoDB's has none
+ * @param {string} modelName - Memory store model
+ * @param {mongoose.Model} Model - MongoDB model
+ * @param {string} idField - Field identifying a record
+ * @returns {Promise<number>} - Records MongoDB did not have yet
+ */
+async function migrateModel(modelName, Model, idField) {
+    const records = memoryStore.find(modelName).map(record => record.toObject());
+    let added = 0;
+
+    for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+        const batch = records.slice(i, i + WRITE_BATCH_SIZE);
+        // Ordered, so a record inserted by the first write is not also overwritten by the second
+        const result = await Model.bulkWrite(batch.flatMap(({ _id, __v, ...record }) => [
+            {
+                updateOne: {
+                    filter: { [idField]: record[idField] },
+                    update: { $setOnInsert: record },
+                    upsert: true
+                }
+            },
+            ...(record.updatedAt ? [{
+                updateOne: {
+                    filter: {
+                        [idField]: record[idField],
+                        $or: [{ updatedAt: { $lt: record.updatedAt } }, { updatedAt: { $exists: false } }]
+                    },
+                    update: { $set: record }
+                }
+            }] : [])
+        ]), { ordered: true });
+        added += result.upsertedCount;
+
+        batch.forEach(record => memoryStore.deleteOne(modelName, { [idField]: record[idField] }));
+    }
+
+    return added;
+}
+
+/**
+ * Copy transform warnings kept in the memory store into MongoDB
+ * Warnings are only added for transforms MongoDB has none for
+ * @returns {Promise<number>} - Transforms whose warnings were added
+ */
+async function migrateWarnings() {
+    let added = 0;
+
+    for (const { transformId, warnings = [] } of memoryStore.find('TransformWarnings')) {
+        if (warnings.length > 0 && !(await TransformWarning.exists({ transformId }))) {
+            for (let i = 0; i < warnings.length; i += WRITE_BATCH_SIZE) {
+                const batch = warnings.slice(i, i + WRITE_BATCH_SIZE).map(warning => ({ ...warning, transformId }));
+                await TransformWarning.insertMany(batch, { ordered: false, lean: true });
+            }
+            added++;
+        }
+        memoryStore.deleteOne('TransformWarnings', { transformId });
+    }
+
+    return added;
+}
+
+/**
+ * Add catalog items seen while MongoDB was unavailable to a vendor's MongoDB catalog
+ * Sightings are added to the item as if their transforms had completed online
+ * @param {string} vendorId - Vendor identifier
+ * @param {Object[]} items - Catalog items
+ * @param {Function} onWritten - Called with each batch of items once it is written, so callers can drop them
+ * @returns {Promise<number>} - Items MongoDB did not have yet
+ */
+async function addCatalogItems(vendorId, items, onWritten) {
+    let added = 0;
+
+    for (let i = 0; i < items.length; i += WRITE_BATCH_SIZE) {
+        const batch = items.slice(i, i + WRITE_BATCH_SIZE);
+        added += await catalogItemRepository.upsert(vendorId, batch.map(item => ({
+            key: item.itemKey,
+            set: {
+                ...Object.fromEntries(CATALOG_FIELDS.filter(field => item[field]).map(field => [field, item[field]])),
+                lastSeenAt: item.lastSeenAt,
+                lastTransformId: item.lastTransformId
+            },
+            setOnInsert: { firstSeenAt: item.firstSeenAt },
+            increment: { timesSeen: item.timesSeen || 0 }
+        })));
+        onWritten(batch);
+    }
+
+    return added;
+}
+
+/**
+ * Add the item catalogs kept in the memory store to MongoDB's catalog
+ * Items already written are dropped from the memory store even when a later batch fails, so a failed move can be retried
+ * @returns {Promise<number>} - Items MongoDB did not have yet
+ */
+async function migrateCatalog() {
+    let added = 0;
+
+    for (const { vendorId, items = [] } of memoryStore.find('CatalogItems')) {
+        let written = 0;
+        try {
+            added += await addCatalogItems(vendorId, items, batch => { written += batch.length; });
+        } finally {
+            if (written < items.length) {
+                memoryStore.save('CatalogItems', { vendorId, items: items.slice(written) });
+            } else {
+                memoryStore.deleteOne('CatalogItems', { vendorId });
+            }
+        }
+    }
+
+    return added;
+}
+
+/**
+ * Add the item catalog files earlier versions kept in CATALOG_DIR to MongoDB's catalog, then delete them
+ * Items not written yet are left in the file when a move fails
+ * @returns {Promise<number>} - Items MongoDB did not have yet
+ */
+async function migrateCatalogFiles() {
+    const dir = process.env.CATALOG_DIR || path.join(process.env.UPLOAD_DIR || './uploads', 'catalog');
+    let files = [];
+    try {
+        files = await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    let added = 0;
+    for (const file of files.filter(name => /^[A-Za-z0-9_-]+\.json$/.test(name)).sort()) {
+        const filePath = path.join(dir, file);
+        const items = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        let written = 0;
+        try {
+            added += await addCatalogItems(path.basename(file, '.json'), items, batch => { written += batch.length; });
+        } finally {
+            if (written < items.length) {
+                await fs.promises.writeFile(filePath, JSON.stringify(items.slice(written)));
+            } else {
+                await fs.promises.rm(filePath, { force: true });
+            }
+        }
+    }
+
+    return added;
+}
+
+/**
+ * Move the memory store's records into MongoDB
+ * @returns {Promise<Object|null>} - Records added per model; null when MongoDB isn't connected
+ */
+export async function syncMemoryStoreToMongo() {
+    if (!isDbConnected()) return null;
+
+    const added = {};
+    for (const [modelName, Model, idField] of MIGRATED_MODELS) {
+        added[modelName] = await migrateModel(modelName, Model, idField);
+    }
+    added.TransformWarnings = await migrateWarnings();
+    added.CatalogItem = await migrateCatalog() + await migrateCatalogFiles();
+
+    const total = Object.values(added).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+        console.log(`Memory store: moved ${total} record(s) into MongoDB`, added);
+    }
+    return added;
+}
@@ -0,0 +1,130 @@
+/**
+ * Live transform progress events
+ * The transform queue publishes status and progress changes here; SSE routes subscribe to them.
+ * Events only reach subscribers in the process running the transform, so clients keep
+ * polling /transform-status as a fallback
+ */
+
+import { EventEmitter } from 'events';
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// transformId -> latest known state of transforms that have not finished
+const live = new Map();
+
+/**
+ * Check if a transform status is final
+ * @param {string} status - Transform status
+ * @returns {boolean}
+ */
+export function isFinishedStatus(status) {
+    return FINISHED_STATUSES.includes(status);
+}
+
+/**
+ * Work out percentage done and time remaining for a transform
+ * @param {Object} transform - Transform state: status, rowsProcessed, totalRows, startedAt
+ * @param {Date} now - Current time
+ * @returns {{percent: number|null, etaSeconds: number|null}}
+ */
+export function getTransformProgress(transform, now = new Date()) {
+    const { status, rowsProcessed = 0, totalRows = null, startedAt = null } = transform;
+
+    if (status === 'completed') {
+        return { percent: 100, etaSeconds: 0 };
+    }
+    if (!totalRows) {
+        return { percent: null, etaSeconds: null };
+    }
+
+    const percent = Math.min(100, Math.floor((rowsProcessed / totalRows) * 100));
+
+    let etaSeconds = null;
+    if (status === 'processing' && startedAt && rowsProcessed > 0) {
+        const elapsed = (now - new Date(startedAt)) / 1000;
+        etaSeconds = Math.max(0, Math.round((elapsed / rowsProcessed) * (totalRows - rowsProcessed)));
+    }
+
+    return { percent, etaSeconds };
+}
+
+/**
+ * Build the event sent to clients from a transform's state
+ * @param {Object} state - Transform fields
+ * @returns {Object}
+ */
+export function toTransformEvent(state) {
+    return {
+        transformId: state.transformId,
+        status: state.status,
+        rowsProcessed: state.rowsProcessed ?? 0,
+        totalRows: state.totalRows ?? null,
+        warningCount: state.warningCount ?? (state.warnings ? state.warnings.length : 0),
+        rejectedCount: state.rejectedCount ?? 0,
+        attempts: state.attempts ?? 0,
+        error: state.error ?? null,
+        startedAt: state.startedAt ?? null,
+        completedAt: state.completedAt ?? null,
+        ...getTransformProgress(state)
+    };
+}
+
+/**
+ * Check whether an event describes an earlier state of a transform than a snapshot
+ * Used to drop events buffered while the snapshot was read, so progress never goes backwards
+ * @param {Object} event - Transform event
+ * @param {Object} snapshot - Transform event built from the stored record
+ * @returns {boolean}
+ */
+export function isEventBehind(event, snapshot) {
+    if (isFinishedStatus(snapshot.status)) {
+        return !isFinishedStatus(event.status);
+    }
+    if (event.attempts !== snapshot.attempts) {
+        return event.attempts < snapshot.attempts;
+    }
+    return event.rowsProcessed < snapshot.rowsProcessed;
+}
+
+/**
+ * Publish a change to a transform
+ * Fields are merged into the last known state so every event is a full snapshot
+ * when this process has seen the transform before
+ * @param {string} transformId - Transform ID
+ * @param {Object} fields - Changed fields (warnings are reduced to warningCount)
+ */
+export function publishTransformUpdate(transformId, fields) {
+    const { warnings, ...rest } = fields;
+    const state = { ...live.get(transformId), ...rest, transformId };
+    if (warnings) {
+        state.warningCount = warnings.length;
+    }
+
+    if (isFinishedStatus(state.status)) {
+        live.delete(transformId);
+    } else {
+        live.set(transformId, state);
+    }
+
+    emitter.emit('transform', toTransformEvent(state));
+}
+
+/**
+ * Subscribe to transform events
+ * @param {Function} listener - Called with each event
+ * @param {string|null} transformId - Only this transform's events (all when null)
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeTransformEvents(listener, transformId = null) {
+    const handler = (event) => {
+        if (!transformId || event.transformId === transformId) {
+            listener(event);
+        }
+    };
+
+    emitter.on('transform', handler);
+    return () => emitter.off('transform', handler);
+}
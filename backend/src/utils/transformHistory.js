@@ -0,0 +1,131 @@
+/**
+ * Transform history queries
+ * Lists transforms newest first together with their upload's filename, filtered by vendor,
+ * status, filename, creation date and warnings. Pages continue from a cursor (the creation time
+ * and ID of the last transform listed) instead of an offset, so transforms started while someone
+ * pages through history don't shift the later pages
+ */
+
+import { transformRepository, uploadRepository } from './repositories.js';
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Encode the position after a transform as a history cursor
+ * @param {Object} transform - Last transform of a page
+ * @returns {string}
+ */
+export function encodeHistoryCursor(transform) {
+    const position = { createdAt: new Date(transform.createdAt).toISOString(), transformId: transform.transformId };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a history cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{createdAt: Date, transformId: string}|null} - null when the cursor is malformed
+ */
+export function decodeHistoryCursor(cursor) {
+    try {
+        const { createdAt, transformId } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const date = new Date(createdAt);
+        if (typeof transformId !== 'string' || Number.isNaN(date.getTime())) return null;
+        return { createdAt: date, transformId };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Build the transform query of a history page
+ * @param {Object} filters - See findHistory
+ * @param {Object|null} position - Decoded cursor
+ * @returns {Object}
+ */
+function toHistoryQuery({ vendorId, statuses, from, to, hasWarnings: withWarnings }, position) {
+    const conditions = [];
+
+    if (vendorId) conditions.push({ vendorId });
+    if (statuses.length > 0) conditions.push({ status: { $in: statuses } });
+    if (from) conditions.push({ createdAt: { $gte: from } });
+    if (to) conditions.push({ createdAt: { $lte: to } });
+
+    if (withWarnings !== null) {
+        // Free-text warnings of old transforms count too
+        const warned = {
+            $or: [
+                { warningCount: { $gt: 0 } },
+                { warningSummary: null, 'warnings.0': { $exists: true } }
+            ]
+        };
+        conditions.push(withWarnings ? warned : { $nor: [warned] });
+    }
+
+    if (position) {
+        conditions.push({
+            $or: [
+                { createdAt: { $lt: position.createdAt } },
+                { createdAt: position.createdAt, transformId: { $lt: position.transformId } }
+            ]
+        });
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+/**
+ * Find a page of transform history, newest first
+ * @param {Object} filters
+ * @param {string} filters.vendorId - Only this vendor's transforms
+ * @param {string[]} filters.statuses - Only transforms in these statuses
+ * @param {string} filters.search - Case-insensitive text the upload's filename contains
+ * @param {Date|null} filters.from - Created at or after
+ * @param {Date|null} filters.to - Created at or before
+ * @param {boolean|null} filters.hasWarnings - Only transforms with (true) or without (false) warnings
+ * @param {Object} options
+ * @param {string|null} options.cursor - nextCursor of the previous page
+ * @param {number} options.limit - Transforms per page
+ * @returns {Promise<{transforms: Object[], nextCursor: string|null}>} - Plain transform records with
+ *   the upload's filename (undefined once the upload is deleted); nextCursor is null on the last page
+ * @throws {Error} With status 400 when the cursor is malformed
+ */
+export async function findHistory({
+    vendorId = '',
+    statuses = [],
+    search = '',
+    from = null,
+    to = null,
+    hasWarnings: withWarnings = null
+} = {}, { cursor = null, limit = 50 } = {}) {
+    const position = cursor ? decodeHistoryCursor(cursor) : null;
+    if (cursor && !position) {
+        const error = new Error('Invalid history cursor');
+        error.status = 400;
+        throw error;
+    }
+
+    const filters = { vendorId, statuses, search: search.trim(), from, to, hasWarnings: withWarnings };
+
+    // One extra transform tells whether there is a next page
+    const transforms = await transformRepository.find(toHistoryQuery(filters, position), {
+        sort: { createdAt: -1, transformId: -1 },
+        limit: limit + 1,
+        join: {
+            from: uploadRepository,
+            localField: 'uploadId',
+            fields: ['filename'],
+            query: filters.search ? { filename: { $regex: escapeRegExp(filters.search), $options: 'i' } } : null
+        }
+    });
+
+    const page = transforms.slice(0, limit);
+    return {
+        transforms: page,
+        nextCursor: transforms.length > limit ? encodeHistoryCursor(page[page.length - 1]) : null
+    };
+}
@@ -0,0 +1,285 @@
+/**
+ * Transform job queue
+ * Transforms are queued as Transform records and run in the background with a concurrency limit.
+ * Input rows of a transform can also be read back and transformed again for inspection
+ */
+
+import fs from 'fs';
+import { uploadRepository, transformRepository, depositMapRepository } from './repositories.js';
+import { createJobQueue } from './jobQueue.js';
+import { streamProcessFile, readProcessedRows, SOURCE_SHEET_COLUMN } from './fileProcessor.js';
+import { transformRow } from './transformer.js';
+import { resolveDepositMapping } from './depositMapping.js';
+import { publishTransformUpdate } from './transformEvents.js';
+import { createPooledTransform } from './transformPool.js';
+import { saveTransformWarnings, deleteTransformWarnings, summarizeWarnings } from './transformWarnings.js';
+import { getComparisonColumns, getSnapshotColumns } from './priceChanges.js';
+import { getOriginalData, updateCatalogFromTransform } from './itemCatalog.js';
+
+// Rows between transform progress updates
+const PROGRESS_INTERVAL = 1000;
+
+const toPlain = (record) => (record && typeof record.toObject === 'function' ? record.toObject() : record);
+
+/**
+ * Transform records as queue jobs
+ */
+const transformStore = {
+    create: (job) => transformRepository.create(job),
+
+    findOne: (transformId) => transformRepository.findById(transformId),
+
+    findReruns: (transformIds) => transformRepository.find({ rerunOf: { $in: transformIds } }, { sort: { createdAt: 1 } }),
+
+    findByStatus: (status) => transformRepository.find({ status }),
+
+    claimNext: (now) => transformRepository.updateOne(
+        { status: 'queued', $or: [{ runAfter: null }, { runAfter: { $lte: now } }] },
+        { status: 'processing', startedAt: now },
+        { sort: { createdAt: 1 }, increment: { attempts: 1 } }
+    ),
+
+    async update(transformId, fields, expectedStatus) {
+        const query = expectedStatus ? { transformId, status: expectedStatus } : { transformId };
+        return (await transformRepository.updateOne(query, fields)) !== null;
+    }
+};
+
+/**
+ * Load what a transform reads: its upload, deposit mapping, the vendor's catalog data and the
+ * options for reading the input
+ * @param {Object} transform - Transform record
+ * @returns {Promise<{uploadRecord: Object, depositMapping: Object, originalData: Object, readOptions: Object}>}
+ */
+async function loadTransformInput(transform) {
+    const { uploadId, vendorId } = transform;
+
+    const uploadRecord = await uploadRepository.findById(uploadId);
+    const missing = !uploadRecord
+        ? `Upload "${uploadId}" not found`
+        : !fs.existsSync(uploadRecord.originalPath) && `File of upload "${uploadId}" not found`;
+    if (missing) {
+        const error = new Error(missing);
+        error.status = 404;
+        // Running again would not bring it back
+        error.retryable = false;
+        throw error;
+    }
+
+    const { depositMapping } = await resolveDepositMapping({
+        depositMapId: transform.depositMapId,
+        vendorId,
+        findDepositMap: (id) => depositMapRepository.findById(id)
+    });
+
+    const originalData = await getOriginalData(vendorId);
+
+    const readOptions = {
+        headerRow: uploadRecord.headerRow ?? null,
+        csvDialect: uploadRecord.csvDialect || null,
+        sheetNames: transform.sheetNames || [],
+        sheetHeaderRows: Object.fromEntries(
+            (uploadRecord.sheets || []).map(sheet => [sheet.name, sheet.headerRow ?? null])
+        )
+    };
+
+    return { uploadRecord, depositMapping, originalData, readOptions };
+}
+
+/**
+ * Read input rows of a transform by row number and transform them again
+ * The transformed values use the vendor rules, deposit map and item catalog as they are now
+ * @param {Object} transform - Transform record
+ * @param {number[]} rowNumbers - 1-based row numbers, as in warnings
+ * @returns {Promise<Array<{row: number, sheet: string|null, original: Object, transformed: Object,
+ *   rejectReasons: string[]|null}>>} - rejectReasons is set for rows the validation policy rejects
+ */
+export async function getTransformRows(transform, rowNumbers) {
+    const { uploadRecord, depositMapping, originalData, readOptions } = await loadTransformInput(transform);
+    const rows = await readProcessedRows(uploadRecord.originalPath, rowNumbers, readOptions);
+
+    return rows.map(({ row, sheet, values }) => {
+        const { transformedRow, rejectReasons } = transformRow(values, depositMapping, {
+            vendorId: transform.vendorId,
+            originalData,
+            transformDate: transform.createdAt
+        });
+        const transformed = transform.includeSourceSheet && sheet
+            ? { ...transformedRow, [SOURCE_SHEET_COLUMN]: sheet }
+            : transformedRow;
+        return { row, sheet, original: values, transformed, rejectReasons };
+    });
+}
+
+/**
+ * Run one transform job
+ * @param {Object} transform - Claimed Transform record
+ * @param {Object} context
+ * @param {AbortSignal} context.signal - Aborted when the transform is cancelled
+ * @returns {Promise<{rowsProcessed: number, totalRows: number, rejectedCount: number, warningCount: number,
+ *   warningSummary: Object}>}
+ */
+export async function runTransformJob(transform, { signal }) {
+    const { transformId, vendorId, outputPath, rejectsPath, snapshotPath } = transform;
+    const { uploadRecord, depositMapping, originalData, readOptions } = await loadTransformInput(transform);
+
+    const saveProgress = (progress, warningCount = 0) => {
+        publishTransformUpdate(transformId, { ...progress, warningCount });
+        return transformStore.update(transformId, { ...progress, warningCount })
+            .catch(err => console.error('Progress update failed:', err.message));
+    };
+
+    // A retried run starts over
+    await saveProgress({ rowsProcessed: 0, totalRows: null, rejectedCount: 0, warningSummary: null });
+    await deleteTransformWarnings(transformId);
+    for (const filePath of [rejectsPath, snapshotPath].filter(Boolean)) {
+        await fs.promises.rm(filePath, { force: true });
+    }
+
+    // Warnings are saved as they are produced rather than held until the end
+    const warningSummary = summarizeWarnings([]);
+    const onWarnings = async (warnings) => {
+        summarizeWarnings(warnings, warningSummary);
+        await saveTransformWarnings(transformId, warnings);
+    };
+
+    // Rows are transformed on worker threads when the pool is enabled
+    // Expired and future specials are measured from when the transform was requested, so retries agree
+    const transformDate = transform.createdAt || null;
+    const pooled = createPooledTransform(vendorId, depositMapping, originalData, transformDate);
+
+    try {
+        const result = await streamProcessFile(
+            uploadRecord.originalPath,
+            outputPath,
+            (row) => transformRow(row, depositMapping, { vendorId, originalData, transformDate }),
+            (processed, total, warningCount) => {
+                if (processed % PROGRESS_INTERVAL !== 0 && processed !== total) {
+                    return;
+                }
+
+                saveProgress({ rowsProcessed: processed, totalRows: total }, warningCount);
+            },
+            {
+                ...readOptions,
+                includeSourceSheet: transform.includeSourceSheet || false,
+                outputFormat: transform.outputFormat,
+                signal,
+                onWarnings,
+                rejectsPath,
+                snapshotPath,
+                snapshotColumns: getSnapshotColumns(getComparisonColumns(vendorId)),
+                errorThreshold: transform.strict ? transform.errorThreshold ?? 0 : null,
+                transformBatch: pooled?.transformBatch,
+                parallelism: pooled?.parallelism
+            }
+        );
+
+        // The catalog is a by-product; a failed update doesn't fail the transform
+        await updateCatalogFromTransform(transform)
+            .catch(err => console.error('Catalog update failed:', err.message));
+
+        return {
+            rowsProcessed: result.processed,
+            totalRows: result.processed,
+            rejectedCount: result.rejected,
+            warningCount: result.warningCount,
+            warningSummary
+        };
+    } catch (error) {
+        // Don't leave a partial export behind
+        for (const filePath of [outputPath, snapshotPath].filter(Boolean)) {
+            fs.rm(filePath, { force: true }, () => {});
+        }
+
+        if (error.code === 'ERROR_THRESHOLD_EXCEEDED') {
+            // Strict mode failures keep their warnings and rejects for review
+            await transformStore.update(transformId, {
+                rowsProcessed: error.processed,
+                rejectedCount: error.rejected,
+                warningCount: error.warningCount,
+                warningSummary
+            })
+                .catch(err => console.error('Progress update failed:', err.message));
+        } else {
+            if (rejectsPath) {
+                fs.rm(rejectsPath, { force: true }, () => {});
+            }
+            await deleteTransformWarnings(transformId)
+                .catch(err => console.error('Warning cleanup failed:', err.message));
+        }
+        throw error;
+    } finally {
+        pooled?.close();
+    }
+}
+
+/**
+ * Find the transforms linked to one by re-runs: the runs it descends from, back to the first one
+ * still stored, then the transform itself and every re-run made from it or from its re-runs
+ * @param {Object} transform - Transform record
+ * @returns {Promise<Object[]>} - Ancestors oldest first, the transform, then re-runs by generation and
+ *   creation time
+ */
+export async function getTransformLineage(transform) {
+    const current = toPlain(transform);
+    const seen = new Set([current.transformId]);
+
+    const ancestors = [];
+    let oldest = current;
+    while (oldest.rerunOf && !seen.has(oldest.rerunOf)) {
+        seen.add(oldest.rerunOf);
+        const previous = await transformStore.findOne(oldest.rerunOf);
+        // Deleted runs end the chain
+        if (!previous) break;
+        ancestors.unshift(previous);
+        oldest = previous;
+    }
+
+    const reruns = [];
+    let generation = [current.transformId];
+    while (generation.length > 0) {
+        const next = (await transformStore.findReruns(generation)).filter(record => !seen.has(record.transformId));
+        next.forEach(record => seen.add(record.transformId));
+        reruns.push(...next);
+        generation = next.map(record => record.transformId);
+    }
+
+    return [...ancestors, current, ...reruns];
+}
+
+/**
+ * Count the direct re-runs of transforms
+ * @param {string[]} transformIds - Transform IDs
+ * @returns {Promise<Object>} - Transform ID -> number of re-runs, for transforms that have any
+ */
+export async function countReruns(transformIds) {
+    const counts = {};
+    for (const { rerunOf } of await transformStore.findReruns(transformIds)) {
+        counts[rerunOf] = (counts[rerunOf] || 0) + 1;
+    }
+    return counts;
+}
+
+let transformQueue = null;
+
+/**
+ * Get the transform queue, created on first use so the environment has been loaded
+ * @returns {ReturnType<typeof createJobQueue>}
+ */
+export function getTransformQueue() {
+    if (!transformQueue) {
+        transformQueue = createJobQueue({
+            name: 'Transform queue',
+            idField: 'transformId',
+            store: transformStore,
+            run: runTransformJob,
+            onUpdate: publishTransformUpdate,
+            concurrency: parseInt(process.env.TRANSFORM_CONCURRENCY || '2'),
+            maxAttempts: parseInt(process.env.TRANSFORM_MAX_ATTEMPTS || '3'),
+            retryDelayMs: parseInt(process.env.TRANSFORM_RETRY_DELAY_MS || '30000'),
+            pollIntervalMs: parseInt(process.env.TRANSFORM_QUEUE_POLL_MS || '5000')
+        });
+    }
+    return transformQueue;
+}
@@ -0,0 +1,98 @@
+/**
+ * Row transformation on worker threads
+ * Keeps per-row vendor logic off the event loop so the API stays responsive during large transforms
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { createWorkerPool } from './workerPool.js';
+import {
+    getVendorTransformer,
+    isBuiltinVendor,
+    getVendorValidationPolicy,
+    getVendorPricingRules,
+    getVendorDateRules
+} from './transformer.js';
+
+let pool = null;
+
+/**
+ * Get the number of transform worker threads
+ * TRANSFORM_WORKERS sets it; 0 transforms rows on the main thread
+ * @returns {number}
+ */
+export function getTransformWorkerCount() {
+    const configured = parseInt(process.env.TRANSFORM_WORKERS, 10);
+    if (Number.isInteger(configured) && configured >= 0) {
+        return configured;
+    }
+    return Math.max(1, os.availableParallelism() - 1);
+}
+
+/**
+ * Get the shared pool, started on first use
+ * @returns {ReturnType<typeof createWorkerPool>}
+ */
+function getPool() {
+    if (!pool) {
+        pool = createWorkerPool(new URL('./transformWorker.js', import.meta.url), {
+            size: getTransformWorkerCount()
+        });
+    }
+    return pool;
+}
+
+/**
+ * Create a batch transform for one transform job that runs on the worker pool
+ * The deposit mapping and catalog data are sent to each worker once and dropped on close()
+ * @param {string} vendorId - Vendor identifier
+ * @param {Object} depositMapping - Deposit mapping
+ * @param {Object} originalData - Item catalog data for department preservation
+ * @param {Date|string} transformDate - Date expired and future specials are measured from
+ * @returns {{transformBatch: (rows: Object[]) => Promise<Array>, parallelism: number, close: Function}|null}
+ *   null when workers are disabled or the vendor only exists on the main thread
+ */
+export function createPooledTransform(vendorId, depositMapping, originalData = {}, transformDate = null) {
+    if (getTransformWorkerCount() === 0) {
+        return null;
+    }
+
+    // Code vendors registered at runtime aren't available inside workers
+    const definition = getVendorTransformer(vendorId).definition || null;
+    if (!definition && !isBuiltinVendor(vendorId)) {
+        return null;
+    }
+
+    const workers = getPool();
+    const contextKey = randomUUID();
+    // Workers don't have runtime-registered vendors to look policies up in, so they get the resolved
+    // policy, pricing and date rules
+    const context = {
+        vendorId,
+        definition,
+        depositMapping,
+        originalData,
+        transformDate,
+        validationPolicy: getVendorValidationPolicy(vendorId),
+        pricingRules: getVendorPricingRules(vendorId),
+        dateRules: getVendorDateRules(vendorId)
+    };
+
+    return {
+        parallelism: workers.size,
+        transformBatch: (rows) => workers.run(rows, { contextKey, context }),
+        close: () => workers.release(contextKey)
+    };
+}
+
+/**
+ * Stop the worker threads
+ * @returns {Promise<void>}
+ */
+export async function closeTransformPool() {
+    if (pool) {
+        const stopping = pool;
+        pool = null;
+        await stopping.destroy();
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Transform warning storage
+ * Row warnings are kept apart from the Transform record (one TransformWarning document each in
+ * MongoDB, one list per transform in the in-memory store) so large files with many warnings
+ * can be saved as they are produced and read back a page at a time
+ */
+
+import { transformWarningRepository } from './repositories.js';
+import { createWarning, WARNING_SEVERITIES, PRICING_WARNING_CODES } from './transformers/helpers.js';
+
+// Warnings are read in row order, then in the order they were saved
+const ROW_ORDER = { row: 1 };
+
+/**
+ * Create an empty warning summary
+ * @returns {{bySeverity: Object, byCode: Object}}
+ */
+export function createWarningSummary() {
+    return { bySeverity: {}, byCode: {} };
+}
+
+/**
+ * Count warnings by severity and code
+ * @param {Object[]} warnings - Structured warnings
+ * @param {Object} summary - Summary to add to (a new one when omitted)
+ * @returns {{bySeverity: Object, byCode: Object}}
+ */
+export function summarizeWarnings(warnings, summary = createWarningSummary()) {
+    for (const warning of warnings) {
+        summary.bySeverity[warning.severity] = (summary.bySeverity[warning.severity] || 0) + 1;
+        summary.byCode[warning.code] = (summary.byCode[warning.code] || 0) + 1;
+    }
+    return summary;
+}
+
+/**
+ * Convert a transform's free-text warnings ("Row 12: message") from before structured warnings
+ * @param {string[]} warnings - Stored warning strings
+ * @returns {Object[]}
+ */
+export function fromLegacyWarnings(warnings) {
+    return warnings.map(text => {
+        const match = /^Row (\d+): ([\s\S]*)$/.exec(text);
+        return match
+            ? { row: parseInt(match[1], 10), ...createWarning('TRANSFORM_WARNING', match[2]) }
+            : { row: null, ...createWarning('TRANSFORM_WARNING', text) };
+    });
+}
+
+/**
+ * Check whether a transform only has free-text warnings from before structured warnings
+ * @param {Object} transform - Transform record
+ * @returns {boolean}
+ */
+function hasLegacyWarnings(transform) {
+    return !transform.warningSummary && transform.warnings?.length > 0;
+}
+
+/**
+ * Get a transform's warning count and summary, including legacy free-text warnings
+ * @param {Object} transform - Transform record
+ * @returns {{warningCount: number, warningSummary: Object|null}}
+ */
+export function getWarningTotals(transform) {
+    if (hasLegacyWarnings(transform)) {
+        return {
+            warningCount: transform.warnings.length,
+            warningSummary: summarizeWarnings(fromLegacyWarnings(transform.warnings))
+        };
+    }
+    return { warningCount: transform.warningCount || 0, warningSummary: transform.warningSummary || null };
+}
+
+/**
+ * Count a transform's pricing rule warnings
+ * @param {Object|null} warningSummary - Warning summary of the transform
+ * @returns {Object|null} - Pricing warning code -> count, including codes with none; null without a summary
+ */
+export function getPricingSummary(warningSummary) {
+    if (!warningSummary) return null;
+    return Object.fromEntries(PRICING_WARNING_CODES.map(code => [code, warningSummary.byCode?.[code] || 0]));
+}
+
+/**
+ * Append warnings for a transform
+ * @param {string} transformId - Transform ID
+ * @param {Object[]} warnings - Structured warnings with row numbers
+ * @returns {Promise<void>}
+ */
+export async function saveTransformWarnings(transformId, warnings) {
+    await transformWarningRepository.append(transformId, warnings);
+}
+
+/**
+ * Remove all warnings of a transform
+ * @param {string} transformId - Transform ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTransformWarnings(transformId) {
+    await transformWarningRepository.deleteAll(transformId);
+}
+
+/**
+ * Build the query for warnings with the given codes and severities
+ * @param {string[]} codes - Allowed codes (all when empty)
+ * @param {string[]} severities - Allowed severities (all when empty)
+ * @returns {Object}
+ */
+function toWarningQuery(codes, severities) {
+    const query = {};
+    if (codes.length > 0) query.code = { $in: codes };
+    if (severities.length > 0) query.severity = { $in: severities };
+    return query;
+}
+
+/**
+ * Build a filter test for warnings
+ * @param {string[]} codes - Allowed codes (all when empty)
+ * @param {string[]} severities - Allowed severities (all when empty)
+ * @returns {Function}
+ */
+function matchWarnings(codes, severities) {
+    return (warning) => (codes.length === 0 || codes.includes(warning.code)) &&
+        (severities.length === 0 || severities.includes(warning.severity));
+}
+
+/**
+ * Find a page of a transform's warnings in row order
+ * @param {Object} transform - Transform record
+ * @param {Object} options
+ * @param {string[]} options.codes - Only these codes (all when empty)
+ * @param {string[]} options.severities - Only these severities (all when empty)
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Warnings per page
+ * @returns {Promise<{warnings: Object[], total: number}>}
+ */
+export async function findTransformWarnings(transform, { codes = [], severities = [], page = 1, limit = 100 } = {}) {
+    const skip = (page - 1) * limit;
+
+    if (hasLegacyWarnings(transform)) {
+        const warnings = fromLegacyWarnings(transform.warnings).filter(matchWarnings(codes, severities));
+        return { warnings: warnings.slice(skip, skip + limit), total: warnings.length };
+    }
+
+    const query = toWarningQuery(codes, severities);
+    const [warnings, total] = await Promise.all([
+        transformWarningRepository.find(transform.transformId, query, { sort: ROW_ORDER, skip, limit }),
+        transformWarningRepository.count(transform.transformId, query)
+    ]);
+    return { warnings, total };
+}
+
+/**
+ * Iterate over all of a transform's matching warnings in row order without loading them at once
+ * @param {Object} transform - Transform record
+ * @param {Object} options
+ * @param {string[]} options.codes - Only these codes (all when empty)
+ * @param {string[]} options.severities - Only these severities (all when empty)
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* iterateTransformWarnings(transform, { codes = [], severities = [] } = {}) {
+    if (hasLegacyWarnings(transform)) {
+        yield* fromLegacyWarnings(transform.warnings).filter(matchWarnings(codes, severities));
+        return;
+    }
+
+    yield* transformWarningRepository.iterate(transform.transformId, toWarningQuery(codes, severities), { sort: ROW_ORDER });
+}
+
+/**
+ * Group a transform's warnings by code and severity
+ * @param {Object} transform - Transform record
+ * @returns {Promise<Array<{code: string, severity: string, count: number}>>} - Most severe first, then largest
+ */
+export async function groupTransformWarnings(transform) {
+    let groups;
+    if (hasLegacyWarnings(transform)) {
+        const counts = new Map();
+        for (const { code, severity } of fromLegacyWarnings(transform.warnings)) {
+            const key = `${severity}\0${code}`;
+            const group = counts.get(key) || { code, severity, count: 0 };
+            group.count++;
+            counts.set(key, group);
+        }
+        groups = [...counts.values()];
+    } else {
+        groups = await transformWarningRepository.countBy(transform.transformId, ['code', 'severity']);
+    }
+
+    const rank = (severity) => {
+        const index = WARNING_SEVERITIES.indexOf(severity);
+        return index < 0 ? WARNING_SEVERITIES.length : index;
+    };
+    return groups.sort((a, b) => rank(a.severity) - rank(b.severity) || b.count - a.count || a.code.localeCompare(b.code));
+}
@@ -0,0 +1,47 @@
+/**
+ * Worker thread entry for row transformation
+ * Transforms batches of rows for the pool in transformPool.js
+ */
+
+import { serveWorkerTasks } from './workerPool.js';
+import { transformRow } from './transformer.js';
+import { createDeclarativeTransformer } from './transformers/declarativeVendor.js';
+import { applyValidationPolicy, checkPricingRules, checkDateRules } from './transformers/helpers.js';
+
+serveWorkerTasks((rows, context) => {
+    const {
+        vendorId,
+        definition,
+        depositMapping,
+        originalData,
+        transformDate,
+        validationPolicy,
+        pricingRules,
+        dateRules
+    } = context;
+
+    // Declarative vendors may only be registered on the main thread, so they arrive as definitions
+    if (definition && !context.transformer) {
+        context.transformer = createDeclarativeTransformer(definition);
+    }
+
+    const transform = context.transformer
+        ? (row) => applyValidationPolicy(
+            checkDateRules(
+                checkPricingRules(context.transformer.transformRow(row, depositMapping, { vendorId, originalData }), pricingRules),
+                dateRules,
+                transformDate
+            ),
+            validationPolicy
+        )
+        : (row) => transformRow(row, depositMapping, {
+            vendorId,
+            originalData,
+            transformDate,
+            validationPolicy,
+            pricingRules,
+            dateRules
+        });
+
+    return rows.map(transform);
+});
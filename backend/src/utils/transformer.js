@@ -3,21 +3,43 @@
  * Delegates to vendor-specific transformers based on vendor selection
  */
 
-import { getVendorTransformer, getDefaultVendor } from './transformers/vendorRegistry.js';
+import {
+  getVendorTransformer,
+  getDefaultVendor,
+  getVendorValidationPolicy,
+  getVendorPricingRules,
+  getVendorDateRules
+} from './transformers/vendorRegistry.js';
+import { applyValidationPolicy, checkPricingRules, checkDateRules } from './transformers/helpers.js';
 
 /**
- * Transform row using vendor-specific transformer
+ * Transform row using vendor-specific transformer, check the vendor's pricing and date rules, then
+ * apply the vendor's validation policy
  * @param {Object} row - Input row
  * @param {Object} depositMapping - Deposit mapping
  * @param {Object} options - Transformation options
  * @param {string} options.vendorId - Vendor identifier (defaults to AGNE)
- * @returns {{transformedRow: Object, warnings: string[]}}
+ * @param {Object} options.validationPolicy - Policy to apply instead of the vendor's
+ * @param {Object} options.pricingRules - Pricing rules to check instead of the vendor's
+ * @param {Object} options.dateRules - Date rules to check instead of the vendor's
+ * @param {Date|string} options.transformDate - Date expired and future specials are measured from (default: today)
+ * @returns {{transformedRow: Object, warnings: Object[], rejectReasons: string[]|null}}
  */
 export function transformRow(row, depositMapping = {}, options = {}) {
   const vendorId = options.vendorId || getDefaultVendor();
   const transformer = getVendorTransformer(vendorId);
+  const policy = options.validationPolicy || getVendorValidationPolicy(vendorId);
+  const pricingRules = options.pricingRules || getVendorPricingRules(vendorId);
+  const dateRules = options.dateRules || getVendorDateRules(vendorId);
 
-  return transformer.transformRow(row, depositMapping, options);
+  return applyValidationPolicy(
+    checkDateRules(
+      checkPricingRules(transformer.transformRow(row, depositMapping, options), pricingRules),
+      dateRules,
+      options.transformDate
+    ),
+    policy
+  );
 }
 
 /**
@@ -37,5 +59,10 @@ export {
   getAvailableVendors,
   getVendorTransformer,
   isVendorSupported,
-  getDefaultVendor
+  isBuiltinVendor,
+  getDefaultVendor,
+  getVendorOutputFormat,
+  getVendorValidationPolicy,
+  getVendorPricingRules,
+  getVendorDateRules
 } from './transformers/vendorRegistry.js';
\ No newline at end of file
@@ -5,11 +5,14 @@
 
 import {
     transformUPC,
+    validateGTIN,
     transformTAX1,
     preserveDepartmentID,
     parseNumeric,
     normalizeDate,
-    getColumnValue
+    getColumnValue,
+    createWarning,
+    addWarning
 } from './helpers.js';
 
 /**
@@ -29,13 +32,61 @@ export const agneConfig = {
             'SALE_MULTIPLE', 'TPR_MULTIPLE'
         ],
         transformations: [
-            'UPC: Remove one leading zero',
+            'UPC: Remove one leading zero; check digit of full-length codes validated',
             'TAX1: Y→1, N→empty',
             'Dates: Normalized to YYYYMMDD',
             'SALE/TPR: Special pricing logic with quantity',
             'BOTTLE_DEPOSIT: Mapped from deposit file'
         ]
-    }
+    },
+
+    // What each rule does with a bad value: warn (keep it), blank or reject (see VALIDATION_ACTIONS)
+    validationPolicy: {
+        DEPARTMENT_PRESERVED: 'warn',
+        UNEXPECTED_TAX_VALUE: 'warn',
+        MISSING_DEPOSIT_MAPPING: 'warn',
+        INVALID_DATE: 'blank',
+        UNPARSEABLE_DATE: 'blank'
+    },
+
+    // Expected input columns, used for vendor detection and column validation
+    inputColumns: [
+        { name: 'Status' },
+        { name: 'Item', required: true },
+        { name: 'UPC', required: true },
+        { name: 'CaseUPC' },
+        { name: 'Description', required: true },
+        { name: 'Department' },
+        { name: 'MANUFACTURER' },
+        { name: 'REG_MULTIPLE' },
+        { name: 'REG_RETAIL', required: true },
+        { name: 'CASE_RETAIL' },
+        { name: 'PACK' },
+        { name: 'REGULARCOST' },
+        { name: 'TAX1' },
+        { name: 'TAX2' },
+        { name: 'TAX3' },
+        { name: 'FOOD_STAMP' },
+        { name: 'WIC' },
+        { name: 'BOTTLE_DEPOSIT' },
+        { name: 'CASE_DEPOSIT' },
+        { name: 'PRC_GRP' },
+        { name: 'SALE_MULTIPLE' },
+        { name: 'SALE_RETAIL' },
+        { name: 'SALE_COST' },
+        { name: 'SALE_START_DATE' },
+        { name: 'SALE_END_DATE' },
+        { name: 'TPR_MULTIPLE', aliases: ['TRP_MULTIPLE'] },
+        { name: 'TPR_RETAIL', aliases: ['TRP_RETAIL'] },
+        { name: 'TPR_COST', aliases: ['TRP_COST'] },
+        { name: 'TPR_START_DATE', aliases: ['TRP_START_DATE'] },
+        { name: 'TPR_END_DATE', aliases: ['TRP_END_DATE'] },
+        { name: 'BRAND' },
+        { name: 'ITEM_SIZE' },
+        { name: 'ITEM_UOM' },
+        { name: 'PBHN' },
+        { name: 'CLASS' }
+    ]
 };
 
 /**
@@ -43,7 +94,7 @@ export const agneConfig = {
  * @param {Object} row - Input row
  * @param {Object} depositMapping - Deposit mapping (UPC/Item -> DepositID)
  * @param {Object} options - Transformation options
- * @returns {{transformedRow: Object, warnings: string[]}}
+ * @returns {{transformedRow: Object, warnings: Object[]}}
  */
 export function transformRow(row, depositMapping = {}, options = {}) {
     const warnings = [];
@@ -58,9 +109,10 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     transformedRow['Vendor ID'] = '3';
     transformedRow['Product Code'] = getValue('Item') || '';
 
-    // 3. UPC - Remove one leading zero
+    // 3. UPC - Remove one leading zero; full-length codes have their check digit validated
     const upc = getValue('UPC');
     transformedRow.UPC = transformUPC(upc);
+    addWarning(warnings, validateGTIN(upc), { sourceColumn: 'UPC', outputColumn: 'UPC' });
 
     // 4. CaseUPC - Remove (skip)
 
@@ -73,7 +125,7 @@ export function transformRow(row, depositMapping = {}, options = {}) {
         options.originalData?.[transformedRow['Product Code']]?.Department
     );
     transformedRow['Department ID'] = deptResult.value;
-    if (deptResult.warning) warnings.push(deptResult.warning);
+    addWarning(warnings, deptResult.warning, { sourceColumn: 'Department', outputColumn: 'Department ID' });
 
     // 7. MANUFACTURER - Remove (skip)
     // 8. REG_MULTIPLE - Remove (skip)
@@ -92,7 +144,7 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     // 13. TAX1 - Transform
     const tax1Result = transformTAX1(getValue('TAX1'));
     transformedRow['Tax ID'] = tax1Result.value;
-    if (tax1Result.warning) warnings.push(tax1Result.warning);
+    addWarning(warnings, tax1Result.warning, { outputColumn: 'Tax ID' });
 
     // 14. TAX2 - Remove (skip)
     // 15. TAX3 - Remove (skip)
@@ -129,7 +181,11 @@ export function transformRow(row, depositMapping = {}, options = {}) {
         } else {
             transformedRow['Fee ID'] = '';
             if (itemKey) {
-                warnings.push(`No deposit mapping found for UPC/Item: ${itemKey}`);
+                warnings.push(createWarning('MISSING_DEPOSIT_MAPPING', `No deposit mapping found for UPC/Item: ${itemKey}`, {
+                    sourceColumn: 'BOTTLE_DEPOSIT',
+                    outputColumn: 'Fee ID',
+                    value: itemKey
+                }));
             }
         }
     }
@@ -171,12 +227,12 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     // 23. SALE_START_DATE - Keep and normalize
     const saleStartResult = normalizeDate(getValue('SALE_START_DATE'));
     transformedRow['Start Date'] = saleStartResult.value;
-    if (saleStartResult.warning) warnings.push(saleStartResult.warning);
+    addWarning(warnings, saleStartResult.warning, { sourceColumn: 'SALE_START_DATE', outputColumn: 'Start Date' });
 
     // 24. SALE_END_DATE - Keep and normalize
     const saleEndResult = normalizeDate(getValue('SALE_END_DATE'));
     transformedRow['End Date'] = saleEndResult.value;
-    if (saleEndResult.warning) warnings.push(saleEndResult.warning);
+    addWarning(warnings, saleEndResult.warning, { sourceColumn: 'SALE_END_DATE', outputColumn: 'End Date' });
 
     // 25. TPR_MULTIPLE and SPECIAL QUANTITY - Special logic
     const tprMultiple = parseNumeric(getValue('TPR_MULTIPLE') || getValue('TRP_MULTIPLE'));
@@ -212,12 +268,12 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     // 27. TPR_START_DATE - Keep and normalize
     const tprStartResult = normalizeDate(getValue('TPR_START_DATE') || getValue('TRP_START_DATE'));
     transformedRow['Start Date #2'] = tprStartResult.value;
-    if (tprStartResult.warning) warnings.push(tprStartResult.warning);
+    addWarning(warnings, tprStartResult.warning, { sourceColumn: 'TPR_START_DATE', outputColumn: 'Start Date #2' });
 
     // 28. TPR_END_DATE - Keep and normalize
     const tprEndResult = normalizeDate(getValue('TPR_END_DATE') || getValue('TRP_END_DATE'));
     transformedRow['End Date #2'] = tprEndResult.value;
-    if (tprEndResult.warning) warnings.push(tprEndResult.warning);
+    addWarning(warnings, tprEndResult.warning, { sourceColumn: 'TPR_END_DATE', outputColumn: 'End Date #2' });
 
     // 29-32. FUTURE_* - Remove (skip)
     // 33. BRAND - Remove (skip)
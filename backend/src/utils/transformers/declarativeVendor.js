@@ -0,0 +1,356 @@
+/**
+ * Declarative Vendor Transformers
+ * Builds vendor transformers from JSON/YAML definitions instead of hand-written modules
+ *
+ * Definition format:
+ * {
+ *   vendorId: 'ACME',
+ *   vendorName: 'Acme Distributors',
+ *   description: 'Weekly price file',
+ *   supportedFormats: ['csv', 'xlsx'],
+ *   defaultOutputFormat: 'xlsx',  // optional, see outputFormats.js
+ *   columns: [
+ *     { output: 'Vendor ID', constant: '12' },
+ *     { output: 'Product Code', source: ['Item', 'Item #'], transform: { name: 'padStart', length: 6 } },
+ *     { output: 'UPC', source: ['UPC', 'Barcode'], transform: { name: 'normalizeGTIN', format: 'UPC-A' }, required: true },
+ *     { output: 'Price', source: 'Retail', transform: 'formatPrice' }
+ *   ],
+ *   outputColumns: ['Vendor ID', 'Product Code', 'UPC', 'Price'],  // optional, defaults to columns order
+ *   validationPolicy: { INVALID_PRICE: 'reject' },  // optional, warning code -> warn | blank | reject
+ *   pricingRules: { minMarginPercent: 20, priceEndings: ['.99'] },  // optional, see DEFAULT_PRICING_RULES
+ *   dateRules: { maxDaysAhead: 90 },  // optional, see DEFAULT_DATE_RULES
+ *   comparisonColumns: { price: 'Retail' }  // optional, see priceChanges.js
+ * }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { OUTPUT_FORMATS, isOutputFormat } from '../outputFormats.js';
+import {
+    transformUPC,
+    normalizeGTIN,
+    GTIN_FORMATS,
+    transformTAX1,
+    parseNumeric,
+    normalizeDate,
+    formatPrice,
+    getColumnValue,
+    createWarning,
+    validateValidationPolicy,
+    validatePricingRules,
+    validateDateRules
+} from './helpers.js';
+
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Look up a deposit ID for a deposit amount or item key
+ * @param {string} value - Deposit amount or UPC/Item
+ * @param {Object} depositMapping - Deposit mapping
+ * @returns {string} - Deposit ID, or original value if not mapped
+ */
+function lookupDeposit(value, depositMapping = {}) {
+    if (!value) return '';
+    if (depositMapping[value]) return depositMapping[value];
+
+    const normalized = parseNumeric(value);
+    if (normalized !== null && depositMapping[normalized.toString()]) {
+        return depositMapping[normalized.toString()];
+    }
+
+    return value;
+}
+
+/**
+ * Transforms available to declarative definitions
+ * Each receives (value, options, context) and returns a string or {value, warning}, where
+ * warning is a structured warning from createWarning() or null
+ */
+const transformLibrary = {
+    trim: (value) => String(value).trim(),
+    uppercase: (value) => String(value).toUpperCase(),
+    lowercase: (value) => String(value).toLowerCase(),
+    transformUPC: (value) => transformUPC(value),
+    normalizeGTIN: (value, options) => normalizeGTIN(value, options),
+    transformTAX1: (value) => transformTAX1(value),
+    normalizeDate: (value) => normalizeDate(value),
+    parseNumeric: (value) => {
+        const numeric = parseNumeric(value);
+        return numeric === null ? '' : numeric.toString();
+    },
+    formatPrice: (value, options) => {
+        const formatted = formatPrice(value, options.decimals ?? 2);
+        return {
+            value: formatted,
+            warning: !formatted && value ? createWarning('INVALID_PRICE', `Invalid price: "${value}"`, { value }) : null
+        };
+    },
+    padStart: (value, options) => {
+        const str = String(value).trim();
+        if (options.digitsOnly !== false && !/^\d+$/.test(str)) return str;
+        return str.padStart(options.length || 0, options.char ?? '0');
+    },
+    stripNonDigits: (value) => String(value).replace(/\D/g, ''),
+    map: (value, options) => {
+        const key = String(value).trim();
+        return Object.prototype.hasOwnProperty.call(options.values || {}, key)
+            ? options.values[key]
+            : (options.fallback ?? value);
+    },
+    depositLookup: (value, options, context) => lookupDeposit(value, context.depositMapping)
+};
+
+/**
+ * Get names of all transforms usable in definitions
+ * @returns {string[]}
+ */
+export function getAvailableTransforms() {
+    return Object.keys(transformLibrary);
+}
+
+/**
+ * Normalize a column's transform declaration to a list of {name, options}
+ * @param {string|Object|Array} transform - Transform declaration
+ * @returns {Array<{name: string, options: Object}>}
+ */
+function normalizeTransforms(transform) {
+    if (!transform) return [];
+
+    const steps = Array.isArray(transform) ? transform : [transform];
+    return steps.map(step => {
+        if (typeof step === 'string') {
+            return { name: step, options: {} };
+        }
+        const { name, ...options } = step;
+        return { name, options };
+    });
+}
+
+/**
+ * Validate a vendor definition
+ * @param {Object} definition - Vendor definition
+ * @returns {string[]} - Validation errors (empty if valid)
+ */
+export function validateVendorDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+        return ['Definition must be an object'];
+    }
+
+    if (!definition.vendorId || !/^[A-Z0-9_]+$/.test(definition.vendorId)) {
+        errors.push('vendorId is required and must contain only A-Z, 0-9 and _');
+    }
+
+    if (definition.defaultOutputFormat !== undefined && !isOutputFormat(definition.defaultOutputFormat)) {
+        errors.push(`defaultOutputFormat must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+
+    if (definition.validationPolicy !== undefined) {
+        errors.push(...validateValidationPolicy(definition.validationPolicy));
+    }
+
+    if (definition.pricingRules !== undefined) {
+        errors.push(...validatePricingRules(definition.pricingRules));
+    }
+
+    if (definition.dateRules !== undefined) {
+        errors.push(...validateDateRules(definition.dateRules));
+    }
+
+    if (definition.comparisonColumns !== undefined &&
+        (!definition.comparisonColumns || typeof definition.comparisonColumns !== 'object' || Array.isArray(definition.comparisonColumns))) {
+        errors.push('comparisonColumns must be an object');
+    }
+
+    if (!Array.isArray(definition.columns) || definition.columns.length === 0) {
+        errors.push('columns must be a non-empty array');
+        return errors;
+    }
+
+    const outputs = new Set();
+    definition.columns.forEach((column, index) => {
+        const label = column?.output || `#${index + 1}`;
+
+        if (!column?.output) {
+            errors.push(`Column #${index + 1}: output is required`);
+        } else if (outputs.has(column.output)) {
+            errors.push(`Column "${column.output}": duplicate output column`);
+        } else {
+            outputs.add(column.output);
+        }
+
+        if (column?.constant === undefined && !column?.source) {
+            errors.push(`Column "${label}": either constant or source is required`);
+        }
+
+        normalizeTransforms(column?.transform).forEach(({ name, options }) => {
+            if (!transformLibrary[name]) {
+                errors.push(`Column "${label}": unknown transform "${name}"`);
+            } else if (name === 'normalizeGTIN' && options.format !== undefined && !GTIN_FORMATS[options.format]) {
+                errors.push(`Column "${label}": normalizeGTIN format must be one of: ${Object.keys(GTIN_FORMATS).join(', ')}`);
+            }
+        });
+    });
+
+    if (definition.outputColumns !== undefined) {
+        if (!Array.isArray(definition.outputColumns)) {
+            errors.push('outputColumns must be an array');
+        } else {
+            definition.outputColumns
+                .filter(name => !outputs.has(name))
+                .forEach(name => errors.push(`outputColumns: "${name}" is not defined in columns`));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Create a transformer module from a vendor definition
+ * The result has the same shape as the hand-written vendor modules
+ * @param {Object} definition - Vendor definition
+ * @returns {{vendorConfig: Object, definition: Object, transformRow: Function, getOutputColumns: Function}}
+ * @throws {Error} If the definition is invalid
+ */
+export function createDeclarativeTransformer(definition) {
+    const errors = validateVendorDefinition(definition);
+    if (errors.length > 0) {
+        throw new Error(`Invalid vendor definition "${definition?.vendorId || 'unknown'}": ${errors.join('; ')}`);
+    }
+
+    const columns = definition.columns.map(column => ({
+        ...column,
+        sources: column.source ? [].concat(column.source) : [],
+        steps: normalizeTransforms(column.transform)
+    }));
+
+    const outputColumns = definition.outputColumns || columns.map(column => column.output);
+
+    const vendorConfig = {
+        vendorId: definition.vendorId,
+        vendorName: definition.vendorName || definition.vendorId,
+        description: definition.description || 'Declarative vendor definition',
+        supportedFormats: definition.supportedFormats || ['csv', 'xlsx', 'xls'],
+        defaultOutputFormat: definition.defaultOutputFormat,
+        validationPolicy: definition.validationPolicy || {},
+        pricingRules: definition.pricingRules || {},
+        dateRules: definition.dateRules || {},
+        comparisonColumns: definition.comparisonColumns,
+        declarative: true,
+        inputColumns: columns
+            .filter(column => column.sources.length > 0)
+            .map(column => ({
+                name: column.sources[0],
+                aliases: column.sources.slice(1),
+                required: Boolean(column.required)
+            })),
+        transformationRules: definition.transformationRules || {
+            columnsKept: [...new Set(columns.flatMap(column => column.sources.slice(0, 1)))],
+            transformations: columns
+                .filter(column => column.steps.length > 0)
+                .map(column => `${column.output}: ${column.steps.map(step => step.name).join(' → ')}`)
+        }
+    };
+
+    function transformRow(row, depositMapping = {}, options = {}) {
+        const warnings = [];
+        const transformedRow = {};
+        const context = { row, depositMapping, options };
+
+        columns.forEach(column => {
+            if (column.constant !== undefined) {
+                transformedRow[column.output] = String(column.constant);
+                return;
+            }
+
+            let value;
+            let sourceColumn = null;
+            for (const source of column.sources) {
+                const candidate = getColumnValue(row, source);
+                if (candidate !== undefined && candidate !== null && String(candidate).trim() !== '') {
+                    value = candidate;
+                    sourceColumn = source;
+                    break;
+                }
+            }
+
+            if (value === undefined) {
+                transformedRow[column.output] = column.default !== undefined ? String(column.default) : '';
+                if (column.required) {
+                    warnings.push(createWarning(
+                        'MISSING_REQUIRED_VALUE',
+                        `Missing required value for ${column.output} (expected column: ${column.sources.join(' / ')})`,
+                        { sourceColumn: column.sources[0] || null, outputColumn: column.output }
+                    ));
+                }
+                return;
+            }
+
+            for (const step of column.steps) {
+                const result = transformLibrary[step.name](value, step.options, context);
+                if (result && typeof result === 'object') {
+                    value = result.value;
+                    if (result.warning) {
+                        warnings.push({ ...result.warning, sourceColumn, outputColumn: column.output });
+                    }
+                } else {
+                    value = result;
+                }
+                if (value === '' || value === null || value === undefined) break;
+            }
+
+            transformedRow[column.output] = value ?? '';
+        });
+
+        return { transformedRow, warnings };
+    }
+
+    function getOutputColumns() {
+        return [...outputColumns];
+    }
+
+    return { vendorConfig, definition, transformRow, getOutputColumns };
+}
+
+/**
+ * Parse a vendor definition file (JSON or YAML)
+ * @param {string} filePath - Definition file path
+ * @returns {Object} - Parsed definition
+ */
+export function parseVendorDefinitionFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.json') {
+        return JSON.parse(content);
+    }
+    return yaml.load(content);
+}
+
+/**
+ * Discover and build declarative transformers from a directory
+ * Invalid files are skipped with an error logged so one bad file does not block startup
+ * @param {string} dir - Directory containing .json/.yaml/.yml definitions
+ * @returns {Array<{file: string, transformer: Object}>}
+ */
+export function loadVendorDefinitionsFromDir(dir) {
+    if (!dir || !fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(file => DEFINITION_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort()
+        .flatMap(file => {
+            const filePath = path.join(dir, file);
+            try {
+                const transformer = createDeclarativeTransformer(parseVendorDefinitionFile(filePath));
+                return [{ file: filePath, transformer }];
+            } catch (error) {
+                console.error(`✗ Skipping vendor definition ${file}: ${error.message}`);
+                return [];
+            }
+        });
+}
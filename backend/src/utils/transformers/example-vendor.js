@@ -8,7 +8,14 @@
  * 3. Restart backend
  */
 
-import { getColumnValue, transformUPC, parseNumeric, normalizeDate } from './helpers.js';
+import {
+    getColumnValue,
+    normalizeGTIN,
+    parseNumeric,
+    normalizeDate,
+    createWarning,
+    addWarning
+} from './helpers.js';
 
 /**
  * Example Vendor Configuration
@@ -18,17 +25,39 @@ export const exampleVendorConfig = {
     vendorName: 'Example Vendor',
     description: 'Simple example transformation - keeps basic columns only',
     supportedFormats: ['csv', 'xlsx'],
+    // POS barcode format, see GTIN_FORMATS
+    gtinFormat: 'UPC-A',
 
     transformationRules: {
         columnsRemoved: [
             'All columns except Item, UPC, Description, Price, Quantity'
         ],
         transformations: [
-            'UPC: Remove one leading zero',
+            'UPC: Normalize to 12-digit UPC-A',
             'Price: Parse numeric values',
             'Date: Normalize to YYYYMMDD format',
             'Calculate: Total = Price × Quantity'
         ]
+    },
+
+    // What each rule does with a bad value: warn (keep it), blank or reject (see VALIDATION_ACTIONS)
+    validationPolicy: {
+        MISSING_REQUIRED_VALUE: 'reject',
+        INVALID_PRICE: 'blank',
+        INVALID_NUMBER: 'blank',
+        INVALID_DATE: 'blank',
+        UNPARSEABLE_DATE: 'blank'
+    },
+
+    // Pricing checks over DEFAULT_PRICING_RULES; the output has no cost column to check margins with
+    pricingRules: {
+        priceEndings: ['.99', '.49']
+    },
+
+    // Date checks over DEFAULT_DATE_RULES; EffectiveDate starts a price that has no end date
+    dateRules: {
+        maxDaysAhead: 180,
+        columns: { windows: [{ name: 'Price', start: 'EffectiveDate' }] }
     }
 };
 
@@ -37,7 +66,7 @@ export const exampleVendorConfig = {
  * @param {Object} row - Input row
  * @param {Object} depositMapping - Deposit mapping (not used in this example)
  * @param {Object} options - Transformation options
- * @returns {{transformedRow: Object, warnings: string[]}}
+ * @returns {{transformedRow: Object, warnings: Object[]}}
  */
 export function transformRow(row, depositMapping = {}, options = {}) {
     const warnings = [];
@@ -49,12 +78,14 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     // 1. Item - Keep as is
     transformedRow.Item = getValue('Item') || getValue('ItemCode') || '';
     if (!transformedRow.Item) {
-        warnings.push('Missing Item/ItemCode');
+        warnings.push(createWarning('MISSING_REQUIRED_VALUE', 'Missing Item/ItemCode', { outputColumn: 'Item' }));
     }
 
-    // 2. UPC - Transform (remove leading zero)
-    const upc = getValue('UPC') || getValue('Barcode');
-    transformedRow.UPC = transformUPC(upc);
+    // 2. UPC - Normalize to the POS barcode format
+    const upcValue = getValue('UPC') || getValue('Barcode');
+    const upc = normalizeGTIN(upcValue, { format: exampleVendorConfig.gtinFormat });
+    transformedRow.UPC = upc.value;
+    addWarning(warnings, upc.warning, { sourceColumn: 'UPC', outputColumn: 'UPC' });
 
     // 3. Description - Keep as is
     transformedRow.Description = getValue('Description') || getValue('Name') || '';
@@ -74,8 +105,20 @@ export function transformRow(row, depositMapping = {}, options = {}) {
         transformedRow.Total = (price * quantity).toFixed(2);
     } else {
         transformedRow.Total = '';
-        if (price === null) warnings.push(`Invalid price for item: ${transformedRow.Item}`);
-        if (quantity === null) warnings.push(`Invalid quantity for item: ${transformedRow.Item}`);
+        if (price === null) {
+            warnings.push(createWarning('INVALID_PRICE', `Invalid price for item: ${transformedRow.Item}`, {
+                sourceColumn: 'Price',
+                outputColumn: 'Total',
+                value: priceValue
+            }));
+        }
+        if (quantity === null) {
+            warnings.push(createWarning('INVALID_NUMBER', `Invalid quantity for item: ${transformedRow.Item}`, {
+                sourceColumn: 'Quantity',
+                outputColumn: 'Total',
+                value: qtyValue
+            }));
+        }
     }
 
     // 7. Date - Normalize if present
@@ -83,7 +126,7 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     if (dateValue) {
         const dateResult = normalizeDate(dateValue);
         transformedRow.EffectiveDate = dateResult.value;
-        if (dateResult.warning) warnings.push(dateResult.warning);
+        addWarning(warnings, dateResult.warning, { sourceColumn: 'Date', outputColumn: 'EffectiveDate' });
     } else {
         transformedRow.EffectiveDate = '';
     }
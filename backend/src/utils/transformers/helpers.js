@@ -3,6 +3,176 @@
  * These utilities are vendor-agnostic and can be reused
  */
 
+/**
+ * Warning severities, most serious first
+ */
+export const WARNING_SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Warning codes and their default severity
+ * error: the output value is missing or wrong; warning: the value was kept or guessed
+ * and needs checking; info: the value was deliberately changed
+ */
+export const WARNING_CODES = {
+    MISSING_REQUIRED_VALUE: 'error',
+    INVALID_PRICE: 'error',
+    INVALID_COST: 'error',
+    INVALID_NUMBER: 'error',
+    INVALID_UPC: 'error',
+    INVALID_CHECK_DIGIT: 'warning',
+    MISSING_CHECK_DIGIT: 'warning',
+    INVALID_DATE: 'warning',
+    UNPARSEABLE_DATE: 'warning',
+    UNEXPECTED_TAX_VALUE: 'warning',
+    MISSING_DEPOSIT_MAPPING: 'warning',
+    DEPARTMENT_PRESERVED: 'info',
+    // Pricing rules, see DEFAULT_PRICING_RULES
+    COST_ABOVE_RETAIL: 'warning',
+    NEGATIVE_MARGIN: 'warning',
+    SALE_ABOVE_REGULAR: 'warning',
+    LOW_MARGIN: 'warning',
+    PRICE_ENDING: 'info',
+    // Date rules, see DEFAULT_DATE_RULES
+    END_BEFORE_START: 'warning',
+    OVERLAPPING_SPECIALS: 'warning',
+    EXPIRED_SPECIAL: 'warning',
+    FUTURE_SPECIAL: 'info',
+    // Free-text warnings from transformers that don't use codes
+    TRANSFORM_WARNING: 'warning'
+};
+
+/**
+ * What a validation rule does with a value it flags
+ * warn: write the original value; blank: write an empty value; reject: leave the row out of the
+ * output and write it to the rejects file. The warning is recorded in every case
+ */
+export const VALIDATION_ACTIONS = ['warn', 'blank', 'reject'];
+
+/**
+ * Action of each warning code when a vendor's validation policy doesn't set one
+ * These match what the rules did before policies existed
+ */
+export const DEFAULT_VALIDATION_POLICY = {
+    MISSING_REQUIRED_VALUE: 'warn',
+    INVALID_PRICE: 'blank',
+    INVALID_COST: 'blank',
+    INVALID_NUMBER: 'blank',
+    INVALID_UPC: 'blank',
+    INVALID_CHECK_DIGIT: 'warn',
+    MISSING_CHECK_DIGIT: 'warn',
+    INVALID_DATE: 'blank',
+    UNPARSEABLE_DATE: 'blank',
+    UNEXPECTED_TAX_VALUE: 'warn',
+    MISSING_DEPOSIT_MAPPING: 'warn',
+    DEPARTMENT_PRESERVED: 'warn',
+    COST_ABOVE_RETAIL: 'warn',
+    NEGATIVE_MARGIN: 'warn',
+    SALE_ABOVE_REGULAR: 'warn',
+    LOW_MARGIN: 'warn',
+    PRICE_ENDING: 'warn',
+    END_BEFORE_START: 'warn',
+    OVERLAPPING_SPECIALS: 'warn',
+    EXPIRED_SPECIAL: 'warn',
+    FUTURE_SPECIAL: 'warn',
+    TRANSFORM_WARNING: 'warn'
+};
+
+/**
+ * Validate a validation policy (warning code -> action)
+ * @param {Object} policy - Validation policy
+ * @returns {string[]} - Validation errors (empty if valid)
+ */
+export function validateValidationPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['validationPolicy must be an object of warning code to action'];
+    }
+
+    return Object.entries(policy).flatMap(([code, action]) => {
+        const errors = [];
+        if (!WARNING_CODES[code]) {
+            errors.push(`validationPolicy: unknown warning code "${code}"`);
+        }
+        if (!VALIDATION_ACTIONS.includes(action)) {
+            errors.push(`validationPolicy: action for ${code} must be one of: ${VALIDATION_ACTIONS.join(', ')}`);
+        }
+        return errors;
+    });
+}
+
+/**
+ * Apply a validation policy to a transformed row
+ * Rules blank or keep values themselves according to DEFAULT_VALIDATION_POLICY; when the policy
+ * chooses another action, the warning's output column is blanked or given back its original value
+ * @param {{transformedRow: Object, warnings: Array}} result - Result of a vendor's transformRow
+ * @param {Object} policy - Warning code -> action, over DEFAULT_VALIDATION_POLICY
+ * @returns {{transformedRow: Object, warnings: Array, rejectReasons: string[]|null}} - rejectReasons is set
+ *   when the row must be rejected
+ */
+export function applyValidationPolicy(result, policy = {}) {
+    const transformedRow = { ...result.transformedRow };
+    const rejectReasons = [];
+
+    for (const warning of result.warnings || []) {
+        // Free-text warnings from transformers without codes
+        const { code, message, outputColumn, value } = typeof warning === 'string'
+            ? { code: 'TRANSFORM_WARNING', message: warning }
+            : warning;
+        const defaultAction = DEFAULT_VALIDATION_POLICY[code] || 'warn';
+        const action = policy[code] || defaultAction;
+
+        if (action === 'reject') {
+            rejectReasons.push(`${code}: ${message}`);
+        } else if (action !== defaultAction && outputColumn) {
+            if (action === 'blank') {
+                transformedRow[outputColumn] = '';
+            } else if (value !== null && value !== undefined) {
+                transformedRow[outputColumn] = value;
+            }
+        }
+    }
+
+    return {
+        ...result,
+        transformedRow,
+        rejectReasons: rejectReasons.length > 0 ? rejectReasons : null
+    };
+}
+
+/**
+ * Create a structured warning
+ * Row numbers (and the sheet for workbooks) are added by the file processor
+ * @param {string} code - One of WARNING_CODES
+ * @param {string} message - Human-readable description
+ * @param {Object} details
+ * @param {string} details.severity - Overrides the code's default severity
+ * @param {string} details.sourceColumn - Input column the value came from
+ * @param {string} details.outputColumn - Output column affected
+ * @param {*} details.value - Original value
+ * @returns {{code: string, severity: string, sourceColumn: string|null, outputColumn: string|null, value: string|null, message: string}}
+ */
+export function createWarning(code, message, { severity, sourceColumn = null, outputColumn = null, value = null } = {}) {
+    return {
+        code,
+        severity: severity || WARNING_CODES[code] || 'warning',
+        sourceColumn,
+        outputColumn,
+        value: value === null || value === undefined ? null : String(value),
+        message
+    };
+}
+
+/**
+ * Add a helper's warning to a row's warnings with the columns it applies to
+ * @param {Object[]} warnings - Row warnings
+ * @param {Object|null} warning - Warning from a helper (ignored when null)
+ * @param {Object} columns - { sourceColumn, outputColumn }
+ */
+export function addWarning(warnings, warning, columns = {}) {
+    if (warning) {
+        warnings.push({ ...warning, ...columns });
+    }
+}
+
 /**
  * Remove exactly one leading zero from UPC if present
  * @param {string} upc - UPC code
@@ -17,10 +187,234 @@ export function transformUPC(upc) {
     return upcStr;
 }
 
+/**
+ * Barcode types recognized by classifyGTIN
+ */
+export const GTIN_TYPES = ['UPC-A', 'UPC-E', 'EAN-8', 'EAN-13', 'GTIN-14'];
+
+/**
+ * Formats normalizeGTIN can write, with their length in digits (including the check digit)
+ * Shorter codes are padded with leading zeros
+ */
+export const GTIN_FORMATS = {
+    'UPC-A': 12,
+    'EAN-13': 13,
+    'GTIN-14': 14
+};
+
+/**
+ * Compute the GS1 check digit for a code
+ * @param {string} digits - Code without its check digit
+ * @returns {string} - Check digit
+ */
+export function computeCheckDigit(digits) {
+    let sum = 0;
+    // Weights alternate 3, 1, ... from the rightmost digit
+    for (let i = 0; i < digits.length; i++) {
+        const digit = Number(digits[digits.length - 1 - i]);
+        sum += i % 2 === 0 ? digit * 3 : digit;
+    }
+    return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Check whether a code's last digit is its GS1 check digit
+ * Leading zeros don't change the check digit, so this works for any GTIN length
+ * @param {string} code - Code including its check digit
+ * @returns {boolean}
+ */
+export function isValidCheckDigit(code) {
+    const str = String(code ?? '');
+    return /^\d{2,}$/.test(str) && computeCheckDigit(str.slice(0, -1)) === str.slice(-1);
+}
+
+/**
+ * Expand a UPC-E code to UPC-A
+ * @param {string} code - UPC-E: number system (0 or 1), six digits and, optionally, the check digit
+ * @returns {string|null} - 12-digit UPC-A, keeping the given check digit or computing a missing one;
+ *   null if the code isn't UPC-E
+ */
+export function expandUPCE(code) {
+    const digits = String(code ?? '').trim();
+    if (!/^[01]\d{6,7}$/.test(digits)) return null;
+
+    const [numberSystem, d1, d2, d3, d4, d5, d6] = digits;
+    let body;
+    switch (d6) {
+        case '0':
+        case '1':
+        case '2':
+            body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+            break;
+        case '3':
+            body = `${d1}${d2}${d3}00000${d4}${d5}`;
+            break;
+        case '4':
+            body = `${d1}${d2}${d3}${d4}00000${d5}`;
+            break;
+        default:
+            body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+    }
+
+    const upcA = `${numberSystem}${body}`;
+    return upcA + (digits.length === 8 ? digits[7] : computeCheckDigit(upcA));
+}
+
+/**
+ * Read the digits of a code, undoing Excel damage where possible
+ * @param {string|number} value - Code as read from the file
+ * @returns {{digits: string}|{error: string}}
+ */
+function readGTINDigits(value) {
+    const str = String(value).trim();
+
+    // Excel shows long numbers in scientific notation, e.g. 8.52735E+11; the digits it
+    // dropped are gone unless the check digit still matches
+    const scientific = str.match(/^(\d+)(?:\.(\d+))?e\+?(\d+)$/i);
+    if (scientific) {
+        const [, integer, fraction = '', exponent] = scientific;
+        if (fraction.length > Number(exponent)) {
+            return { error: `"${value}" is not a whole number` };
+        }
+        const digits = `${integer}${fraction}`.padEnd(integer.length + Number(exponent), '0');
+        return isValidCheckDigit(digits)
+            ? { digits }
+            : { error: `"${value}" was damaged by scientific notation; digits were lost` };
+    }
+
+    // Numbers saved with decimals, and codes written with spaces or dashes
+    const digits = str.replace(/\.0+$/, '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits)) {
+        return { error: `"${value}" is not a UPC, EAN or GTIN (contains non-digit characters)` };
+    }
+    return { digits };
+}
+
+/**
+ * Classify a UPC, EAN or GTIN
+ * Codes of 9 to 12 digits with a valid check digit are UPC-A codes that lost leading zeros;
+ * codes of 11 digits (7 for UPC-E) without a valid check digit are taken to be missing it
+ * @param {string|number} value - Code as read from the file
+ * @returns {{type: string|null, gtin: string|null, checkDigit: string|null, error: string|null}} - type is
+ *   one of GTIN_TYPES; gtin is the code as GTIN-14 (UPC-E expanded, a missing check digit added);
+ *   checkDigit is 'valid', 'invalid' or 'missing'; error says why the value isn't a code (type is null)
+ */
+export function classifyGTIN(value) {
+    const result = (type, gtin, checkDigit) => ({ type, gtin: gtin.padStart(14, '0'), checkDigit, error: null });
+
+    const read = readGTINDigits(value);
+    if (read.error) {
+        return { type: null, gtin: null, checkDigit: null, error: read.error };
+    }
+
+    const { digits } = read;
+    const length = digits.length;
+
+    if (length === 8 && isValidCheckDigit(expandUPCE(digits) || '')) {
+        return result('UPC-E', expandUPCE(digits), 'valid');
+    }
+    if (length === 7 && expandUPCE(digits)) {
+        return result('UPC-E', expandUPCE(digits), 'missing');
+    }
+
+    const typeByLength = length === 8 ? 'EAN-8' : length <= 12 ? 'UPC-A' : length === 13 ? 'EAN-13' : 'GTIN-14';
+    if (length >= 8 && length <= 14 && isValidCheckDigit(digits)) {
+        return result(typeByLength, digits, 'valid');
+    }
+    if (length === 11) {
+        return result('UPC-A', digits + computeCheckDigit(digits), 'missing');
+    }
+    if ([8, 12, 13, 14].includes(length)) {
+        return result(typeByLength, digits, 'invalid');
+    }
+
+    return {
+        type: null,
+        gtin: null,
+        checkDigit: null,
+        error: `"${value}" is not a UPC, EAN or GTIN (${length} digits)`
+    };
+}
+
+/**
+ * Warning for a classified code, or null if it's valid
+ * @param {*} value - Original value
+ * @param {Object} classification - Result of classifyGTIN
+ * @param {boolean} checkDigitAdded - Whether a missing check digit was added to the output
+ * @returns {Object|null}
+ */
+function gtinWarning(value, { type, gtin, checkDigit, error }, checkDigitAdded) {
+    if (error) {
+        return createWarning('INVALID_UPC', `Invalid UPC: ${error}`, { value });
+    }
+    if (checkDigit === 'invalid') {
+        const expected = computeCheckDigit(gtin.slice(0, -1));
+        return createWarning('INVALID_CHECK_DIGIT', `${type} "${value}" has check digit ${gtin.slice(-1)}, expected ${expected}`, { value });
+    }
+    if (checkDigit === 'missing') {
+        return createWarning(
+            'MISSING_CHECK_DIGIT',
+            checkDigitAdded
+                ? `${type} "${value}" has no check digit; added ${gtin.slice(-1)}`
+                : `${type} "${value}" has no check digit (expected ${gtin.slice(-1)})`,
+            { value }
+        );
+    }
+    return null;
+}
+
+/**
+ * Check the check digit of a UPC, EAN or GTIN without changing it
+ * For vendors that keep their own code format; values that aren't full-length codes
+ * (e.g. PLUs or item numbers) aren't flagged
+ * @param {string|number} value - Code as read from the file
+ * @returns {Object|null} - INVALID_CHECK_DIGIT warning, or null
+ */
+export function validateGTIN(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+
+    const classification = classifyGTIN(value);
+    return classification.checkDigit === 'invalid' ? gtinWarning(value, classification, false) : null;
+}
+
+/**
+ * Normalize a UPC, EAN or GTIN to a vendor's POS format
+ * UPC-E is expanded, lost leading zeros are restored and a missing check digit is added.
+ * Codes with an invalid check digit are kept as they are; codes that can't be read are blanked.
+ * Codes too long for the format (e.g. an EAN-13 not starting with 0 as UPC-A) keep their length
+ * @param {string|number} value - Code as read from the file
+ * @param {Object} options
+ * @param {string} options.format - One of GTIN_FORMATS (default GTIN-14)
+ * @param {boolean} options.checkDigit - Include the check digit (default true)
+ * @returns {{value: string, type: string|null, warning: Object|null}}
+ * @throws {Error} For an unknown format
+ */
+export function normalizeGTIN(value, { format = 'GTIN-14', checkDigit = true } = {}) {
+    if (!GTIN_FORMATS[format]) {
+        throw new Error(`Unknown GTIN format "${format}" (expected one of: ${Object.keys(GTIN_FORMATS).join(', ')})`);
+    }
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return { value: '', type: null, warning: null };
+    }
+
+    const classification = classifyGTIN(value);
+    const warning = gtinWarning(value, classification, checkDigit);
+    if (!classification.type) {
+        return { value: '', type: null, warning };
+    }
+
+    const code = classification.gtin.replace(/^0+/, '').padStart(GTIN_FORMATS[format], '0');
+    return {
+        value: checkDigit ? code : code.slice(0, -1),
+        type: classification.type,
+        warning
+    };
+}
+
 /**
  * Transform TAX1 values: Y→1, N→empty, others preserved with warning
  * @param {string} tax1 - TAX1 value
- * @returns {{value: string, warning: string|null}}
+ * @returns {{value: string, warning: Object|null}}
  */
 export function transformTAX1(tax1) {
     if (!tax1) return { value: '', warning: null };
@@ -34,7 +428,10 @@ export function transformTAX1(tax1) {
     } else {
         return {
             value: tax1,
-            warning: `TAX1 has unexpected value: "${tax1}" (expected Y or N)`
+            warning: createWarning('UNEXPECTED_TAX_VALUE', `TAX1 has unexpected value: "${tax1}" (expected Y or N)`, {
+                sourceColumn: 'TAX1',
+                value: tax1
+            })
         };
     }
 }
@@ -43,7 +440,7 @@ export function transformTAX1(tax1) {
  * Preserve original Department ID if incoming value differs
  * @param {string} incomingDept - Department from current file
  * @param {string} originalDept - Department from original source
- * @returns {{value: string, warning: string|null}}
+ * @returns {{value: string, warning: Object|null}}
  */
 export function preserveDepartmentID(incomingDept, originalDept) {
     // If no original data available, use incoming value
@@ -55,7 +452,11 @@ export function preserveDepartmentID(incomingDept, originalDept) {
     if (incomingDept !== originalDept) {
         return {
             value: originalDept,
-            warning: `Department ID changed from "${originalDept}" to "${incomingDept}" - using original value`
+            warning: createWarning(
+                'DEPARTMENT_PRESERVED',
+                `Department ID changed from "${originalDept}" to "${incomingDept}" - using original value`,
+                { value: incomingDept }
+            )
         };
     }
 
@@ -77,10 +478,187 @@ export function parseNumeric(value) {
     return isNaN(parsed) ? null : parsed;
 }
 
+/**
+ * Format numeric value to a fixed number of decimal places
+ * @param {string|number} value - Numeric value
+ * @param {number} decimals - Decimal places (default 2)
+ * @returns {string} - Formatted value, or empty string if not numeric
+ */
+export function formatPrice(value, decimals = 2) {
+    if (!value && value !== 0) return '';
+
+    const numeric = parseNumeric(value);
+    if (numeric === null) return '';
+
+    return numeric.toFixed(decimals);
+}
+
+/**
+ * Warning codes of the pricing rules
+ */
+export const PRICING_WARNING_CODES = ['COST_ABOVE_RETAIL', 'NEGATIVE_MARGIN', 'SALE_ABOVE_REGULAR', 'LOW_MARGIN', 'PRICE_ENDING'];
+
+/**
+ * Pricing rules checked on every transformed row, unless a vendor's pricingRules say otherwise
+ * costAboveRetail: regular cost above the regular price (COST_ABOVE_RETAIL)
+ * negativeMargin: a special's unit price below its cost, or the regular cost without one (NEGATIVE_MARGIN)
+ * saleAboveRegular: a special's unit price above the regular price (SALE_ABOVE_REGULAR)
+ * minMarginPercent / departmentMinMarginPercent: regular margin, as a percent of the price, below the
+ *   department's minimum or the general one (LOW_MARGIN); null and {} turn the check off
+ * priceEndings: endings regular and special prices must have, e.g. ['.99', '.49'] (PRICE_ENDING)
+ * columns: output columns read, overridden key by key. Multi-buy specials (quantity and group price)
+ *   are checked by their unit price
+ */
+export const DEFAULT_PRICING_RULES = {
+    costAboveRetail: true,
+    negativeMargin: true,
+    saleAboveRegular: true,
+    minMarginPercent: null,
+    departmentMinMarginPercent: {},
+    priceEndings: [],
+    columns: {
+        price: 'Price',
+        cost: 'Cost',
+        department: 'Department ID',
+        specials: [
+            { name: 'Sale', price: 'Special Price', quantity: 'Special Quantity', groupPrice: 'Special Group Price', cost: 'Special Cost' },
+            { name: 'TPR', price: 'Special Price #2', quantity: 'Special Quantity #2', groupPrice: 'Special Group Price #2', cost: 'Special Cost #2' }
+        ]
+    }
+};
+
+/**
+ * Validate pricing rules
+ * @param {Object} rules - Pricing rules, over DEFAULT_PRICING_RULES
+ * @returns {string[]} - Validation errors (empty if valid)
+ */
+export function validatePricingRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return ['pricingRules must be an object'];
+    }
+
+    const errors = [];
+    const isPercent = (value) => typeof value === 'number' && value >= 0 && value < 100;
+
+    for (const [key, value] of Object.entries(rules)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_PRICING_RULES, key)) {
+            errors.push(`pricingRules: unknown rule "${key}"`);
+        } else if (['costAboveRetail', 'negativeMargin', 'saleAboveRegular'].includes(key) && typeof value !== 'boolean') {
+            errors.push(`pricingRules: ${key} must be true or false`);
+        } else if (key === 'minMarginPercent' && value !== null && !isPercent(value)) {
+            errors.push('pricingRules: minMarginPercent must be a number from 0 to 99.99, or null');
+        } else if (key === 'departmentMinMarginPercent' &&
+            (!value || typeof value !== 'object' || Array.isArray(value) || !Object.values(value).every(isPercent))) {
+            errors.push('pricingRules: departmentMinMarginPercent must map department IDs to numbers from 0 to 99.99');
+        } else if (key === 'priceEndings' &&
+            (!Array.isArray(value) || !value.every(ending => typeof ending === 'string' && /^\.?\d{1,2}$/.test(ending)))) {
+            errors.push('pricingRules: priceEndings must be a list of endings such as ".99" or "9"');
+        } else if (key === 'columns' && (!value || typeof value !== 'object' || Array.isArray(value))) {
+            errors.push('pricingRules: columns must be an object');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check a transformed row against pricing rules and add a warning for each problem found
+ * Empty or non-numeric values are left to the rules that parse them
+ * @param {{transformedRow: Object, warnings: Array}} result - Result of a vendor's transformRow
+ * @param {Object} rules - Pricing rules, over DEFAULT_PRICING_RULES
+ * @returns {{transformedRow: Object, warnings: Array}}
+ */
+export function checkPricingRules(result, rules = {}) {
+    const {
+        costAboveRetail,
+        negativeMargin,
+        saleAboveRegular,
+        minMarginPercent,
+        departmentMinMarginPercent,
+        priceEndings
+    } = { ...DEFAULT_PRICING_RULES, ...rules };
+    // Columns are overridden key by key
+    const columns = { ...DEFAULT_PRICING_RULES.columns, ...rules.columns };
+    const row = result.transformedRow;
+    const found = [];
+
+    const numberIn = (column) => (column && row[column] !== undefined && row[column] !== ''
+        ? parseNumeric(row[column])
+        : null);
+    const flag = (code, message, column) => {
+        found.push(createWarning(code, message, { outputColumn: column, value: row[column] }));
+    };
+    const money = (value) => value.toFixed(2);
+
+    const price = numberIn(columns.price);
+    const cost = numberIn(columns.cost);
+    const pricedColumns = price !== null ? [columns.price] : [];
+
+    if (costAboveRetail && price !== null && cost !== null && cost > price) {
+        flag('COST_ABOVE_RETAIL', `Cost ${money(cost)} is above the retail price ${money(price)}`, columns.price);
+    }
+
+    const department = columns.department ? String(row[columns.department] ?? '').trim() : '';
+    const minimum = departmentMinMarginPercent?.[department] ?? minMarginPercent;
+    if (minimum !== null && minimum !== undefined && price > 0 && cost !== null && cost <= price) {
+        const margin = ((price - cost) / price) * 100;
+        if (margin < minimum) {
+            const scope = departmentMinMarginPercent?.[department] !== undefined ? ` for department ${department}` : '';
+            flag('LOW_MARGIN', `Margin ${margin.toFixed(1)}% is below the ${minimum}% minimum${scope}`, columns.price);
+        }
+    }
+
+    for (const special of columns.specials || []) {
+        const quantity = numberIn(special.quantity);
+        const groupPrice = numberIn(special.groupPrice);
+        const isMultiple = quantity > 1 && groupPrice !== null;
+        const column = isMultiple ? special.groupPrice : special.price;
+        const unitPrice = isMultiple ? groupPrice / quantity : numberIn(special.price);
+        if (unitPrice === null) continue;
+
+        pricedColumns.push(column);
+        const specialCost = numberIn(special.cost) ?? cost;
+        const label = `${special.name} price ${isMultiple ? `${quantity} for ${money(groupPrice)}` : money(unitPrice)}`;
+
+        if (negativeMargin && specialCost !== null && unitPrice < specialCost) {
+            flag('NEGATIVE_MARGIN', `${label} is below its cost ${money(specialCost)}`, column);
+        }
+        if (saleAboveRegular && price !== null && unitPrice > price) {
+            flag('SALE_ABOVE_REGULAR', `${label} is higher than the regular price ${money(price)}`, column);
+        }
+    }
+
+    if (priceEndings?.length > 0) {
+        for (const column of pricedColumns) {
+            const written = money(numberIn(column));
+            if (!priceEndings.some(ending => written.endsWith(ending))) {
+                flag('PRICE_ENDING', `Price ${written} doesn't end in ${priceEndings.join(' or ')}`, column);
+            }
+        }
+    }
+
+    return found.length > 0 ? { ...result, warnings: [...(result.warnings || []), ...found] } : result;
+}
+
+/**
+ * Check that a year, month and day form a real calendar date, e.g. no February 30th, and
+ * February 29th only in leap years
+ * @param {number|string} year - 4-digit year
+ * @param {number|string} month - Month, 1-12
+ * @param {number|string} day - Day of the month
+ * @returns {boolean}
+ */
+export function isCalendarDate(year, month, day) {
+    const [y, m, d] = [year, month, day].map(Number);
+    if (![y, m, d].every(Number.isInteger) || m < 1 || m > 12 || d < 1) return false;
+    // Day 0 of the next month is the last day of this one
+    return d <= new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
 /**
  * Normalize date to YYYYMMDD format
  * @param {string} dateStr - Date string
- * @returns {{value: string, warning: string|null}}
+ * @returns {{value: string, warning: Object|null}}
  */
 export function normalizeDate(dateStr) {
     if (!dateStr) return { value: '', warning: null };
@@ -136,14 +714,10 @@ export function normalizeDate(dateStr) {
             month = month.padStart(2, '0');
             day = day.padStart(2, '0');
 
-            // Basic validation
-            const monthNum = parseInt(month);
-            const dayNum = parseInt(day);
-
-            if (monthNum < 1 || monthNum > 12 || dayNum < 1 || dayNum > 31) {
+            if (!isCalendarDate(year, month, day)) {
                 return {
                     value: '',
-                    warning: `Invalid date: "${dateStr}"`
+                    warning: createWarning('INVALID_DATE', `Invalid date: "${dateStr}"`, { value: dateStr })
                 };
             }
 
@@ -154,10 +728,149 @@ export function normalizeDate(dateStr) {
 
     return {
         value: '',
-        warning: `Could not parse date: "${dateStr}"`
+        warning: createWarning('UNPARSEABLE_DATE', `Could not parse date: "${dateStr}"`, { value: dateStr })
     };
 }
 
+/**
+ * Output date formats the date rules can read, as the order of the year, month and day parts
+ */
+export const DATE_FORMATS = {
+    YYYYMMDD: { regex: /^(\d{4})(\d{2})(\d{2})$/, order: ['year', 'month', 'day'] },
+    'YYYY-MM-DD': { regex: /^(\d{4})-(\d{2})-(\d{2})$/, order: ['year', 'month', 'day'] },
+    'DD-MM-YYYY': { regex: /^(\d{2})-(\d{2})-(\d{4})$/, order: ['day', 'month', 'year'] },
+    'MM/DD/YYYY': { regex: /^(\d{2})\/(\d{2})\/(\d{4})$/, order: ['month', 'day', 'year'] }
+};
+
+/**
+ * Date rules checked on every transformed row
+ * Each window is a special's start and end date columns in the output. Specials are expired when
+ * they end before the transform date, and too far ahead when they start more than maxDaysAhead
+ * days after it (null turns that check off)
+ */
+export const DEFAULT_DATE_RULES = {
+    endBeforeStart: true,
+    overlappingSpecials: true,
+    expiredSpecials: true,
+    maxDaysAhead: 365,
+    columns: {
+        format: 'YYYYMMDD',
+        windows: [
+            { name: 'Sale', start: 'Start Date', end: 'End Date' },
+            { name: 'TPR', start: 'Start Date #2', end: 'End Date #2' }
+        ]
+    }
+};
+
+/**
+ * Validate date rules
+ * @param {Object} rules - Date rules, over DEFAULT_DATE_RULES
+ * @returns {string[]} - Validation errors (empty if valid)
+ */
+export function validateDateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return ['dateRules must be an object'];
+    }
+
+    const errors = [];
+
+    for (const [key, value] of Object.entries(rules)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_DATE_RULES, key)) {
+            errors.push(`dateRules: unknown rule "${key}"`);
+        } else if (['endBeforeStart', 'overlappingSpecials', 'expiredSpecials'].includes(key) && typeof value !== 'boolean') {
+            errors.push(`dateRules: ${key} must be true or false`);
+        } else if (key === 'maxDaysAhead' && value !== null && !(Number.isInteger(value) && value > 0)) {
+            errors.push('dateRules: maxDaysAhead must be a whole number of days above 0, or null');
+        } else if (key === 'columns') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push('dateRules: columns must be an object');
+            } else if (value.format !== undefined && !DATE_FORMATS[value.format]) {
+                errors.push(`dateRules: columns.format must be one of: ${Object.keys(DATE_FORMATS).join(', ')}`);
+            } else if (value.windows !== undefined && !Array.isArray(value.windows)) {
+                errors.push('dateRules: columns.windows must be a list of { name, start, end }');
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Get a date as a day number, for comparing and counting days
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {number}
+ */
+const toDayNumber = (year, month, day) => Date.UTC(year, month - 1, day) / 86400000;
+
+/**
+ * Check a transformed row's special dates against date rules and add a warning for each problem found
+ * Empty dates, and dates the vendor's rules couldn't read, are left to the rules that parse them
+ * @param {{transformedRow: Object, warnings: Array}} result - Result of a vendor's transformRow
+ * @param {Object} rules - Date rules, over DEFAULT_DATE_RULES
+ * @param {Date|string} transformDate - Date expired and future specials are measured from (default: today)
+ * @returns {{transformedRow: Object, warnings: Array}}
+ */
+export function checkDateRules(result, rules = {}, transformDate = null) {
+    const { endBeforeStart, overlappingSpecials, expiredSpecials, maxDaysAhead } = { ...DEFAULT_DATE_RULES, ...rules };
+    // Columns are overridden key by key
+    const { format, windows = [] } = { ...DEFAULT_DATE_RULES.columns, ...rules.columns };
+    const { regex, order } = DATE_FORMATS[format] || DATE_FORMATS.YYYYMMDD;
+    const row = result.transformedRow;
+    const found = [];
+
+    const dayIn = (column) => {
+        const match = column && row[column] ? String(row[column]).trim().match(regex) : null;
+        if (!match) return null;
+        const { year, month, day } = Object.fromEntries(order.map((part, i) => [part, Number(match[i + 1])]));
+        return isCalendarDate(year, month, day) ? toDayNumber(year, month, day) : null;
+    };
+    const flag = (code, message, column) => {
+        found.push(createWarning(code, message, { outputColumn: column, value: row[column] }));
+    };
+
+    const today = transformDate ? new Date(transformDate) : new Date();
+    const [year, month, day] = [today.getFullYear(), today.getMonth() + 1, today.getDate()];
+    const todayNumber = toDayNumber(year, month, day);
+    const todayText = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+    const ranges = [];
+    for (const window of windows) {
+        const start = dayIn(window.start);
+        const end = dayIn(window.end);
+
+        if (start !== null && end !== null && end < start) {
+            if (endBeforeStart) {
+                flag('END_BEFORE_START', `${window.name} ends ${row[window.end]}, before it starts ${row[window.start]}`, window.end);
+            }
+            continue;
+        }
+        if (expiredSpecials && end !== null && end < todayNumber) {
+            flag('EXPIRED_SPECIAL', `${window.name} ended ${row[window.end]}, before the transform date ${todayText}`, window.end);
+        }
+        if (maxDaysAhead && start !== null && start - todayNumber > maxDaysAhead) {
+            flag('FUTURE_SPECIAL', `${window.name} starts ${row[window.start]}, more than ${maxDaysAhead} days after the transform date ${todayText}`, window.start);
+        }
+        if (start !== null && end !== null) {
+            ranges.push({ window, start, end });
+        }
+    }
+
+    if (overlappingSpecials) {
+        ranges.forEach((first, i) => {
+            for (const second of ranges.slice(i + 1)) {
+                if (first.start <= second.end && second.start <= first.end) {
+                    const describe = ({ window }) => `${window.name} (${row[window.start]}-${row[window.end]})`;
+                    flag('OVERLAPPING_SPECIALS', `${describe(first)} overlaps ${describe(second)}`, second.window.start);
+                }
+            }
+        });
+    }
+
+    return found.length > 0 ? { ...result, warnings: [...(result.warnings || []), ...found] } : result;
+}
+
 /**
  * Get case-insensitive column value from row
  * @param {Object} row - Data row
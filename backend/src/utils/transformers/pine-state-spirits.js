@@ -5,7 +5,11 @@
 
 import {
     getColumnValue,
-    parseNumeric
+    formatPrice,
+    normalizeGTIN,
+    createWarning,
+    addWarning,
+    isCalendarDate
 } from './helpers.js';
 
 /**
@@ -16,6 +20,8 @@ export const pineStateSpiritConfig = {
     vendorName: 'Pine State Spirits – Monthly Specials',
     description: 'Pine State Spirits monthly specials transformation with UPC padding and price formatting',
     supportedFormats: ['csv', 'xlsx', 'xls'],
+    // POS barcode format, see GTIN_FORMATS
+    gtinFormat: 'EAN-13',
 
     transformationRules: {
         columnsRemoved: [
@@ -30,7 +36,7 @@ export const pineStateSpiritConfig = {
             'Unit'
         ],
         transformations: [
-            'UPC: Ensure 13 digits with leading zero padding',
+            'UPC: Normalized to 13 digits (EAN-13) with leading zeros; UPC-E expanded, check digit validated',
             'Effective Start/End: Convert to DD-MM-YYYY format',
             'Retail: Convert to numeric with 2 decimal places',
             'Sale Price: Convert to numeric with 2 decimal places',
@@ -38,46 +44,47 @@ export const pineStateSpiritConfig = {
             'Agency Sale Cost: Convert to numeric with 2 decimal places',
             'Special Pricing Method: Always set to "0"'
         ]
-    }
-};
-
-/**
- * Pad UPC to ensure it's 13 digits
- * @param {string|number} upc - UPC code
- * @returns {string} - 13-digit UPC with leading zeros if needed
- */
-function padUPC(upc) {
-    if (upc === null || upc === undefined || upc === '') return '';
-
-    let upcStr = String(upc).trim();
-
-    // Handle scientific notation (e.g. "8.52E+11")
-    if (/e/i.test(upcStr)) {
-        const num = parseFloat(upcStr);
-        if (!isNaN(num)) {
-            // Convert to string without scientific notation
-            upcStr = num.toLocaleString('fullwide', { useGrouping: false });
+    },
+
+    // What each rule does with a bad value: warn (keep it), blank or reject (see VALIDATION_ACTIONS)
+    validationPolicy: {
+        INVALID_UPC: 'blank',
+        UNPARSEABLE_DATE: 'blank',
+        INVALID_PRICE: 'blank',
+        INVALID_COST: 'blank'
+    },
+
+    // Specials run from Start Date to End Date, written as DD-MM-YYYY
+    dateRules: {
+        columns: {
+            format: 'DD-MM-YYYY',
+            windows: [{ name: 'Special', start: 'Start Date', end: 'End Date' }]
         }
-    }
-
-    // Remove non-digits
-    upcStr = upcStr.replace(/\D/g, '');
-
-    if (upcStr.length === 0) return '';
-
-    // If already 13 digits or more, return as is
-    if (upcStr.length >= 13) {
-        return upcStr;
-    }
-
-    // Pad with leading zeros to make it 13 digits
-    return upcStr.padStart(13, '0');
-}
+    },
+
+    // Expected input columns, used for vendor detection and column validation
+    inputColumns: [
+        { name: 'Item #', aliases: ['Item', 'ItemNumber', 'Item No', 'ItemNo'], required: true },
+        { name: 'Description', aliases: ['Desc'] },
+        { name: 'Size' },
+        { name: 'Unit' },
+        { name: 'UPC', aliases: ['UPC Code', 'UPC#', 'Code', 'Barcode', 'Bar Code', 'EAN', 'GTIN'], required: true },
+        { name: 'Proof' },
+        { name: 'Effective Start', aliases: ['EffectiveStart', 'Start Date'] },
+        { name: 'Effective End', aliases: ['EffectiveEnd', 'End Date'] },
+        { name: 'Retail', aliases: ['Retail Price'], required: true },
+        { name: 'Sale Price', aliases: ['SalePrice', 'Special Price'] },
+        { name: 'Retail Savings' },
+        { name: 'Agency Cost', aliases: ['AgencyCost', 'Cost'] },
+        { name: 'Agency Sale Cost', aliases: ['AgencySaleCost', 'Sale Cost'] },
+        { name: 'Agency Savings' }
+    ]
+};
 
 /**
  * Format date to DD-MM-YYYY
  * @param {string} dateStr - Date string in various formats
- * @returns {{value: string, warning: string|null}}
+ * @returns {{value: string, warning: Object|null}}
  */
 function formatDateDDMMYYYY(dateStr) {
     if (dateStr === null || dateStr === undefined) return { value: '', warning: null };
@@ -97,33 +104,37 @@ function formatDateDDMMYYYY(dateStr) {
 
     const pad2 = (v) => String(v).padStart(2, '0');
 
+    const toResult = (d, mo, y) => (isCalendarDate(y, mo, d)
+        ? { value: `${pad2(d)}-${pad2(mo)}-${y}`, warning: null }
+        : { value: '', warning: createWarning('INVALID_DATE', `Invalid date: "${raw}"`, { value: raw }) });
+
     // Try explicit formats in safe order:
     // 1) YYYYMMDD (compact)
     let m = raw.match(/^(\d{4})(\d{2})(\d{2})$/);
     if (m) {
         const [, y, mo, d] = m;
-        return { value: `${pad2(d)}-${pad2(mo)}-${y}`, warning: null };
+        return toResult(d, mo, y);
     }
 
     // 2) YYYY-MM-DD
     m = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
     if (m) {
         const [, y, mo, d] = m;
-        return { value: `${pad2(d)}-${pad2(mo)}-${y}`, warning: null };
+        return toResult(d, mo, y);
     }
 
     // 3) DD-MM-YYYY or D-M-YYYY
     m = raw.match(/^(\d{1,2})-(\d{1,2})-(\d{4})$/);
     if (m) {
         const [, d, mo, y] = m;
-        return { value: `${pad2(d)}-${pad2(mo)}-${y}`, warning: null };
+        return toResult(d, mo, y);
     }
 
     // 4) DD/MM/YYYY or D/M/YYYY
     m = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
     if (m) {
         const [, d, mo, y] = m;
-        return { value: `${pad2(d)}-${pad2(mo)}-${y}`, warning: null };
+        return toResult(d, mo, y);
     }
 
     // 5) DD-MM-YY or D-M-YY  (two-digit year) -> DMY
@@ -131,15 +142,15 @@ function formatDateDDMMYYYY(dateStr) {
     if (m) {
         const [, d, mo, yy] = m;
         const y = toFourDigitYear(yy);
-        if (!y) return { value: '', warning: `Could not parse date: "${raw}"` };
-        return { value: `${pad2(d)}-${pad2(mo)}-${y}`, warning: null };
+        if (!y) return { value: '', warning: createWarning('UNPARSEABLE_DATE', `Could not parse date: "${raw}"`, { value: raw }) };
+        return toResult(d, mo, y);
     }
 
     // 6) MM/DD/YYYY or M/D/YYYY  -> MDY
     m = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
     if (m) {
         const [, mo, d, y] = m;
-        return { value: `${pad2(d)}-${pad2(mo)}-${y}`, warning: null };
+        return toResult(d, mo, y);
     }
 
     // 7) MM/DD/YY or M/D/YY  -> MDY with 2-digit year
@@ -147,35 +158,21 @@ function formatDateDDMMYYYY(dateStr) {
     if (m) {
         const [, mo, d, yy] = m;
         const y = toFourDigitYear(yy);
-        if (!y) return { value: '', warning: `Could not parse date: "${raw}"` };
-        return { value: `${pad2(d)}-${pad2(mo)}-${y}`, warning: null };
+        if (!y) return { value: '', warning: createWarning('UNPARSEABLE_DATE', `Could not parse date: "${raw}"`, { value: raw }) };
+        return toResult(d, mo, y);
     }
 
     // If nothing matched, fail gracefully
-    return { value: '', warning: `Could not parse date: "${raw}"` };
+    return { value: '', warning: createWarning('UNPARSEABLE_DATE', `Could not parse date: "${raw}"`, { value: raw }) };
 }
 
 
-/**
- * Format numeric value to 2 decimal places
- * @param {string|number} value - Numeric value
- * @returns {string} - Formatted value with 2 decimal places
- */
-function formatPrice(value) {
-    if (!value && value !== 0) return '';
-
-    const numeric = parseNumeric(value);
-    if (numeric === null) return '';
-
-    return numeric.toFixed(2);
-}
-
 /**
  * Transform row according to Pine State Spirits rules
  * @param {Object} row - Input row
  * @param {Object} depositMapping - Deposit mapping (not used for this vendor)
  * @param {Object} options - Transformation options
- * @returns {{transformedRow: Object, warnings: string[]}}
+ * @returns {{transformedRow: Object, warnings: Object[]}}
  */
 export function transformRow(row, depositMapping = {}, options = {}) {
     const warnings = [];
@@ -224,7 +221,7 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     // 4. Unit - REMOVED (Ignored per requirements)
     // transformedRow['Unit'] = getValue('Unit') || getValue('UOM') || '';
 
-    // 5. UPC - Ensure 13 digits with leading zero padding (map multiple column names)
+    // 5. UPC - Normalize to the POS barcode format (map multiple column names)
     (function setUPC() {
         const upcRaw =
             getValue('UPC') ||
@@ -238,17 +235,9 @@ export function transformRow(row, depositMapping = {}, options = {}) {
             getValue('Upc') ||
             '';
 
-        transformedRow['UPC'] = padUPC(upcRaw);
-
-        if (!upcRaw || String(upcRaw).trim() === '') {
-            // optional: warn only if you want to log missing UPCs
-            // warnings.push(`Missing UPC for item: ${transformedRow['Product Code']}`);
-        } else {
-            // If padUPC returned empty string, push a warning
-            if (!transformedRow['UPC']) {
-                warnings.push(`Could not normalize UPC for item: ${transformedRow['Product Code']} (original: "${upcRaw}")`);
-            }
-        }
+        const upc = normalizeGTIN(upcRaw, { format: pineStateSpiritConfig.gtinFormat });
+        transformedRow['UPC'] = upc.value;
+        addWarning(warnings, upc.warning, { sourceColumn: 'UPC', outputColumn: 'UPC' });
     })();
 
     // 6. Proof - Remove (skip)
@@ -257,19 +246,23 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     const effectiveStart = getValue('Effective Start') || getValue('EffectiveStart') || getValue('Start Date');
     const startResult = formatDateDDMMYYYY(effectiveStart);
     transformedRow['Start Date'] = startResult.value;
-    if (startResult.warning) warnings.push(startResult.warning);
+    addWarning(warnings, startResult.warning, { sourceColumn: 'Effective Start', outputColumn: 'Start Date' });
 
     // 8. Effective End - Convert to DD-MM-YYYY
     const effectiveEnd = getValue('Effective End') || getValue('EffectiveEnd') || getValue('End Date');
     const endResult = formatDateDDMMYYYY(effectiveEnd);
     transformedRow['End Date'] = endResult.value;
-    if (endResult.warning) warnings.push(endResult.warning);
+    addWarning(warnings, endResult.warning, { sourceColumn: 'Effective End', outputColumn: 'End Date' });
 
     // 9. Retail - Convert to numeric with 2 decimal places
     const retail = getValue('Retail') || getValue('Retail Price');
     transformedRow['Price'] = formatPrice(retail);
     if (!transformedRow['Price'] && retail) {
-        warnings.push(`Invalid retail price for item: ${transformedRow['Product Code']}`);
+        warnings.push(createWarning('INVALID_PRICE', `Invalid retail price for item: ${transformedRow['Product Code']}`, {
+            sourceColumn: 'Retail',
+            outputColumn: 'Price',
+            value: retail
+        }));
     }
 
     // 10. Special Pricing Method - Always "0"
@@ -279,7 +272,11 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     const salePrice = getValue('Sale Price') || getValue('SalePrice') || getValue('Special Price');
     transformedRow['Special Price'] = formatPrice(salePrice);
     if (!transformedRow['Special Price'] && salePrice) {
-        warnings.push(`Invalid sale price for item: ${transformedRow['Product Code']}`);
+        warnings.push(createWarning('INVALID_PRICE', `Invalid sale price for item: ${transformedRow['Product Code']}`, {
+            sourceColumn: 'Sale Price',
+            outputColumn: 'Special Price',
+            value: salePrice
+        }));
     }
 
     // 12. Retail Savings - Remove (skip)
@@ -288,14 +285,22 @@ export function transformRow(row, depositMapping = {}, options = {}) {
     const agencyCost = getValue('Agency Cost') || getValue('AgencyCost') || getValue('Cost');
     transformedRow['Cost'] = formatPrice(agencyCost);
     if (!transformedRow['Cost'] && agencyCost) {
-        warnings.push(`Invalid agency cost for item: ${transformedRow['Product Code']}`);
+        warnings.push(createWarning('INVALID_COST', `Invalid agency cost for item: ${transformedRow['Product Code']}`, {
+            sourceColumn: 'Agency Cost',
+            outputColumn: 'Cost',
+            value: agencyCost
+        }));
     }
 
     // 14. Agency Sale Cost - Convert to numeric with 2 decimal places
     const agencySaleCost = getValue('Agency Sale Cost') || getValue('AgencySaleCost') || getValue('Sale Cost');
     transformedRow['Special Cost'] = formatPrice(agencySaleCost);
     if (!transformedRow['Special Cost'] && agencySaleCost) {
-        warnings.push(`Invalid agency sale cost for item: ${transformedRow['Product Code']}`);
+        warnings.push(createWarning('INVALID_COST', `Invalid agency sale cost for item: ${transformedRow['Product Code']}`, {
+            sourceColumn: 'Agency Sale Cost',
+            outputColumn: 'Special Cost',
+            value: agencySaleCost
+        }));
     }
 
     // 15. Agency Savings - Remove (skip)
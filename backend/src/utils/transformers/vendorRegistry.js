@@ -2,10 +2,23 @@
  * Vendor Registry
  * Central registry for all supported vendor transformers
  * Add new vendors here to make them available in the system
+ * Declarative vendor definitions are also discovered from VENDOR_DEFINITIONS_DIR: server.js calls
+ * loadVendorDefinitions() once at startup, and worker threads receive them from the pool as definitions
  */
 
+import path from 'path';
 import * as agneTransformer from './agne.js';
 import * as pineStateSpiritTransformer from './pine-state-spirits.js';
+import { loadVendorDefinitionsFromDir } from './declarativeVendor.js';
+import { DEFAULT_OUTPUT_FORMAT } from '../outputFormats.js';
+import {
+    DEFAULT_VALIDATION_POLICY,
+    validateValidationPolicy,
+    DEFAULT_PRICING_RULES,
+    validatePricingRules,
+    DEFAULT_DATE_RULES,
+    validateDateRules
+} from './helpers.js';
 
 /**
  * Registry of all available vendor transformers
@@ -20,6 +33,81 @@ const vendorRegistry = {
     // VENDOR_Y: vendorYTransformer,
 };
 
+/**
+ * Vendor IDs implemented as code modules (cannot be replaced by definitions)
+ */
+const builtinVendorIds = new Set(Object.keys(vendorRegistry));
+
+/**
+ * Get directory scanned for declarative vendor definitions
+ * @returns {string}
+ */
+export function getVendorDefinitionsDir() {
+    return process.env.VENDOR_DEFINITIONS_DIR || path.join(process.cwd(), 'vendor-definitions');
+}
+
+/**
+ * Register a vendor transformer at runtime
+ * @param {string} vendorId - Vendor identifier
+ * @param {Object} transformer - Object exporting a *Config, transformRow, getOutputColumns
+ * @throws {Error} If vendorId belongs to a built-in code vendor
+ */
+export function registerVendor(vendorId, transformer) {
+    if (builtinVendorIds.has(vendorId)) {
+        throw new Error(`Vendor "${vendorId}" is a built-in vendor and cannot be replaced`);
+    }
+    vendorRegistry[vendorId] = transformer;
+}
+
+/**
+ * Remove a runtime-registered vendor from the registry
+ * @param {string} vendorId - Vendor identifier
+ * @returns {boolean} True if the vendor was removed
+ * @throws {Error} If vendorId belongs to a built-in code vendor
+ */
+export function unregisterVendor(vendorId) {
+    if (builtinVendorIds.has(vendorId)) {
+        throw new Error(`Vendor "${vendorId}" is a built-in vendor and cannot be removed`);
+    }
+    if (!(vendorId in vendorRegistry)) return false;
+    delete vendorRegistry[vendorId];
+    return true;
+}
+
+/**
+ * Check if vendor is implemented as a built-in code module
+ * @param {string} vendorId - Vendor identifier
+ * @returns {boolean}
+ */
+export function isBuiltinVendor(vendorId) {
+    return builtinVendorIds.has(vendorId);
+}
+
+/**
+ * Load declarative vendor definitions from a directory into the registry
+ * @param {string} dir - Definitions directory (defaults to VENDOR_DEFINITIONS_DIR)
+ * @returns {string[]} - Vendor IDs that were registered
+ */
+export function loadVendorDefinitions(dir = getVendorDefinitionsDir()) {
+    const registered = [];
+
+    loadVendorDefinitionsFromDir(dir).forEach(({ file, transformer }) => {
+        const { vendorId } = transformer.vendorConfig;
+        try {
+            registerVendor(vendorId, transformer);
+            registered.push(vendorId);
+        } catch (error) {
+            console.error(`✗ Skipping vendor definition ${path.basename(file)}: ${error.message}`);
+        }
+    });
+
+    if (registered.length > 0) {
+        console.log(`✓ Loaded vendor definitions: ${registered.join(', ')}`);
+    }
+
+    return registered;
+}
+
 /**
  * Get list of all available vendors
  * @returns {Array} Array of vendor configurations
@@ -36,11 +124,34 @@ export function getAvailableVendors() {
             vendorName: config?.vendorName || vendorId,
             description: config?.description || 'No description available',
             supportedFormats: config?.supportedFormats || ['csv'],
-            transformationRules: config?.transformationRules || {}
+            defaultOutputFormat: getVendorOutputFormat(vendorId),
+            validationPolicy: getVendorValidationPolicy(vendorId),
+            pricingRules: getVendorPricingRules(vendorId),
+            dateRules: getVendorDateRules(vendorId),
+            transformationRules: config?.transformationRules || {},
+            declarative: Boolean(config?.declarative),
+            builtin: builtinVendorIds.has(vendorId)
         };
     });
 }
 
+/**
+ * Get expected input columns for a vendor
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Array<{name: string, aliases: string[], required: boolean}>}
+ */
+export function getVendorInputColumns(vendorId) {
+    const vendor = getVendorTransformer(vendorId);
+    const configKey = Object.keys(vendor).find(key => key.endsWith('Config'));
+    const inputColumns = (configKey && vendor[configKey].inputColumns) || [];
+
+    return inputColumns.map(column => ({
+        name: column.name,
+        aliases: column.aliases || [],
+        required: Boolean(column.required)
+    }));
+}
+
 /**
  * Get transformer for a specific vendor
  * @param {string} vendorId - Vendor identifier
@@ -74,9 +185,120 @@ export function getDefaultVendor() {
     return 'AGNE';
 }
 
+/**
+ * Get the output format used when a transform does not choose one
+ * Reads DEFAULT_OUTPUT_FORMAT_<VENDOR_ID>, then the vendor's defaultOutputFormat, then DEFAULT_OUTPUT_FORMAT
+ * @param {string} vendorId - Vendor identifier
+ * @returns {string} Output format
+ */
+export function getVendorOutputFormat(vendorId) {
+    const vendorKey = `DEFAULT_OUTPUT_FORMAT_${String(vendorId || '').toUpperCase()}`;
+    const vendor = vendorRegistry[vendorId] || {};
+    const configKey = Object.keys(vendor).find(key => key.endsWith('Config'));
+
+    return process.env[vendorKey] ||
+        (configKey && vendor[configKey].defaultOutputFormat) ||
+        process.env.DEFAULT_OUTPUT_FORMAT ||
+        DEFAULT_OUTPUT_FORMAT;
+}
+
+/**
+ * Get the action of each warning code for a vendor: warn, blank or reject
+ * VALIDATION_POLICY_<VENDOR_ID> (e.g. "INVALID_DATE=reject,INVALID_PRICE=reject") overrides the
+ * vendor's validationPolicy, which overrides DEFAULT_VALIDATION_POLICY; invalid entries are ignored
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Object} Warning code -> action
+ */
+export function getVendorValidationPolicy(vendorId) {
+    const vendorKey = `VALIDATION_POLICY_${String(vendorId || '').toUpperCase()}`;
+    const vendor = vendorRegistry[vendorId] || {};
+    const configKey = Object.keys(vendor).find(key => key.endsWith('Config'));
+
+    const envPolicy = Object.fromEntries(
+        String(process.env[vendorKey] || '')
+            .split(',')
+            .map(entry => entry.split('=').map(part => part.trim()))
+            .filter(([code, action]) => code && validateValidationPolicy({ [code]: action }).length === 0)
+    );
+
+    return {
+        ...DEFAULT_VALIDATION_POLICY,
+        ...(configKey && vendor[configKey].validationPolicy),
+        ...envPolicy
+    };
+}
+
+/**
+ * Resolve a vendor's row rules: an environment variable (JSON) overrides the vendor config's rules,
+ * which override the defaults. Invalid JSON or rules in the environment are ignored
+ * @param {string} vendorId - Vendor identifier
+ * @param {string} configKey - Rules key in the vendor config, e.g. 'pricingRules'
+ * @param {string} envPrefix - Environment variable prefix, e.g. 'PRICING_RULES'
+ * @param {Object} defaults - Default rules, with a columns object merged key by key
+ * @param {Function} validate - Returns the validation errors of rules
+ * @returns {Object} Rules
+ */
+function resolveVendorRules(vendorId, configKey, envPrefix, defaults, validate) {
+    const vendorKey = `${envPrefix}_${String(vendorId || '').toUpperCase()}`;
+    const vendor = vendorRegistry[vendorId] || {};
+    const vendorConfigKey = Object.keys(vendor).find(key => key.endsWith('Config'));
+    const configRules = (vendorConfigKey && vendor[vendorConfigKey][configKey]) || {};
+
+    let envRules = {};
+    if (process.env[vendorKey]) {
+        try {
+            envRules = JSON.parse(process.env[vendorKey]);
+        } catch {
+            envRules = null;
+        }
+        if (!envRules || validate(envRules).length > 0) {
+            console.warn(`Ignoring invalid ${vendorKey}`);
+            envRules = {};
+        }
+    }
+
+    return {
+        ...defaults,
+        ...configRules,
+        ...envRules,
+        columns: { ...defaults.columns, ...configRules.columns, ...envRules.columns }
+    };
+}
+
+/**
+ * Get the pricing rules checked on a vendor's rows
+ * PRICING_RULES_<VENDOR_ID> (JSON, e.g. '{"minMarginPercent":25,"priceEndings":[".99"]}') overrides the
+ * vendor's pricingRules, which override DEFAULT_PRICING_RULES; invalid JSON or rules are ignored
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Object} Pricing rules
+ */
+export function getVendorPricingRules(vendorId) {
+    return resolveVendorRules(vendorId, 'pricingRules', 'PRICING_RULES', DEFAULT_PRICING_RULES, validatePricingRules);
+}
+
+/**
+ * Get the date rules checked on a vendor's rows
+ * DATE_RULES_<VENDOR_ID> (JSON, e.g. '{"maxDaysAhead":90,"expiredSpecials":false}') overrides the
+ * vendor's dateRules, which override DEFAULT_DATE_RULES; invalid JSON or rules are ignored
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Object} Date rules
+ */
+export function getVendorDateRules(vendorId) {
+    return resolveVendorRules(vendorId, 'dateRules', 'DATE_RULES', DEFAULT_DATE_RULES, validateDateRules);
+}
+
 export default {
     getAvailableVendors,
     getVendorTransformer,
     isVendorSupported,
-    getDefaultVendor
+    getDefaultVendor,
+    getVendorOutputFormat,
+    getVendorValidationPolicy,
+    getVendorPricingRules,
+    getVendorDateRules,
+    registerVendor,
+    unregisterVendor,
+    isBuiltinVendor,
+    getVendorInputColumns,
+    loadVendorDefinitions
 };
@@ -0,0 +1,145 @@
+/**
+ * Vendor detection from uploaded file headers
+ * Scores header rows against each registered vendor's expected input columns
+ */
+
+import { getAvailableVendors, getVendorInputColumns } from './transformers/vendorRegistry.js';
+
+/**
+ * Normalize a column name for comparison (case, spacing and punctuation insensitive)
+ * @param {string} name - Column name
+ * @returns {string}
+ */
+function normalizeColumnName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9#]/g, '');
+}
+
+/**
+ * Get minimum confidence required to use a detected vendor automatically
+ * @returns {number}
+ */
+export function getMinDetectionConfidence() {
+    const value = parseFloat(process.env.VENDOR_DETECTION_MIN_CONFIDENCE);
+    return isNaN(value) ? 0.5 : value;
+}
+
+/**
+ * Match header columns against a vendor's expected input columns
+ * @param {string} vendorId - Vendor identifier
+ * @param {string[]} columns - Header row of the uploaded file
+ * @returns {{matchedColumns: string[], unmatchedColumns: string[], missingRequired: string[], expectedCount: number}}
+ */
+export function matchVendorColumns(vendorId, columns) {
+    const expected = getVendorInputColumns(vendorId);
+    const headerByName = new Map(columns.map(column => [normalizeColumnName(column), column]));
+    const recognized = new Set();
+    const matchedColumns = [];
+    const missingRequired = [];
+
+    expected.forEach(column => {
+        const header = [column.name, ...column.aliases]
+            .map(normalizeColumnName)
+            .find(name => headerByName.has(name));
+
+        if (header) {
+            matchedColumns.push(column.name);
+            recognized.add(headerByName.get(header));
+        } else if (column.required) {
+            missingRequired.push(column.name);
+        }
+    });
+
+    return {
+        matchedColumns,
+        unmatchedColumns: columns.filter(column => !recognized.has(column)),
+        missingRequired,
+        expectedCount: expected.length
+    };
+}
+
+/**
+ * Rank registered vendors by how well they match a header row
+ * Confidence combines how much of the vendor's layout is present with how much
+ * of the file the vendor explains, halved when required columns are missing
+ * @param {string[]} columns - Header row of the uploaded file
+ * @returns {Array<{vendorId: string, vendorName: string, confidence: number, matchedColumns: string[], missingRequired: string[]}>}
+ */
+export function detectVendor(columns = []) {
+    if (columns.length === 0) return [];
+
+    return getAvailableVendors()
+        .map(vendor => {
+            const match = matchVendorColumns(vendor.vendorId, columns);
+            if (match.expectedCount === 0) {
+                return { vendor, match, confidence: 0 };
+            }
+
+            const coverage = match.matchedColumns.length / match.expectedCount;
+            const precision = (columns.length - match.unmatchedColumns.length) / columns.length;
+            let confidence = coverage + precision > 0
+                ? (2 * coverage * precision) / (coverage + precision)
+                : 0;
+
+            if (match.missingRequired.length > 0) {
+                confidence /= 2;
+            }
+
+            return { vendor, match, confidence };
+        })
+        .sort((a, b) => b.confidence - a.confidence)
+        .map(({ vendor, match, confidence }) => ({
+            vendorId: vendor.vendorId,
+            vendorName: vendor.vendorName,
+            confidence: Math.round(confidence * 100) / 100,
+            matchedColumns: match.matchedColumns,
+            missingRequired: match.missingRequired
+        }));
+}
+
+/**
+ * Build warnings about the chosen vendor not fitting the header row
+ * @param {string} vendorId - Chosen vendor
+ * @param {string[]} columns - Header row of the uploaded file
+ * @param {Array} suggestions - Result of detectVendor(columns)
+ * @returns {string[]}
+ */
+export function getVendorColumnWarnings(vendorId, columns, suggestions = detectVendor(columns)) {
+    const warnings = [];
+    const { missingRequired } = matchVendorColumns(vendorId, columns);
+
+    if (missingRequired.length > 0) {
+        warnings.push(`File is missing required ${vendorId} columns: ${missingRequired.join(', ')}`);
+    }
+
+    const best = suggestions[0];
+    const chosen = suggestions.find(s => s.vendorId === vendorId);
+    if (best && best.vendorId !== vendorId && best.confidence >= getMinDetectionConfidence() &&
+        best.confidence > (chosen?.confidence || 0)) {
+        warnings.push(`File headers look like ${best.vendorName} (${Math.round(best.confidence * 100)}% match), not ${vendorId}`);
+    }
+
+    return warnings;
+}
+
+/**
+ * Pick the sheet of a workbook that best matches a registered vendor
+ * Cover sheets and notes rarely match, so this skips past them; ties go to the earlier sheet
+ * @param {Array<{name: string, columns: string[]}>} sheets - Sheets with their header rows
+ * @returns {string|null} - Sheet name, or null for a workbook without sheets
+ */
+export function detectVendorSheet(sheets = []) {
+    let best = null;
+    let bestConfidence = -1;
+
+    sheets.forEach(sheet => {
+        if (!sheet.columns || sheet.columns.length === 0) return;
+
+        const confidence = detectVendor(sheet.columns)[0]?.confidence || 0;
+        if (confidence > bestConfidence) {
+            best = sheet;
+            bestConfidence = confidence;
+        }
+    });
+
+    return (best || sheets[0])?.name ?? null;
+}
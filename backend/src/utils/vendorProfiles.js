@@ -0,0 +1,197 @@
+/**
+ * Vendor profile persistence
+ * Stores declarative vendor definitions edited through the API and keeps the vendor registry in sync
+ */
+
+import { vendorProfileRepository } from './repositories.js';
+import { createDeclarativeTransformer, validateVendorDefinition } from './transformers/declarativeVendor.js';
+import {
+    getVendorTransformer,
+    registerVendor,
+    unregisterVendor,
+    isBuiltinVendor,
+    isVendorSupported
+} from './transformers/vendorRegistry.js';
+
+/**
+ * Extract the declarative definition fields from a stored profile
+ * @param {Object} profile - VendorProfile record
+ * @returns {Object} - Vendor definition
+ */
+export function toDefinition(profile) {
+    const definition = {
+        vendorId: profile.vendorId,
+        vendorName: profile.vendorName,
+        description: profile.description || '',
+        supportedFormats: profile.supportedFormats?.length ? [...profile.supportedFormats] : ['csv', 'xlsx', 'xls'],
+        columns: profile.columns || []
+    };
+
+    if (profile.outputColumns?.length) {
+        definition.outputColumns = [...profile.outputColumns];
+    }
+
+    if (profile.defaultOutputFormat) {
+        definition.defaultOutputFormat = profile.defaultOutputFormat;
+    }
+
+    if (profile.validationPolicy && Object.keys(profile.validationPolicy).length > 0) {
+        definition.validationPolicy = { ...profile.validationPolicy };
+    }
+
+    if (profile.pricingRules && Object.keys(profile.pricingRules).length > 0) {
+        definition.pricingRules = { ...profile.pricingRules };
+    }
+
+    if (profile.dateRules && Object.keys(profile.dateRules).length > 0) {
+        definition.dateRules = { ...profile.dateRules };
+    }
+
+    if (profile.comparisonColumns && Object.keys(profile.comparisonColumns).length > 0) {
+        definition.comparisonColumns = { ...profile.comparisonColumns };
+    }
+
+    return definition;
+}
+
+/**
+ * Build an editable definition from any registered vendor
+ * Declarative vendors return their definition; code vendors return a clone template
+ * with one column per output column and constants detected from an empty row
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Object} - Vendor definition
+ */
+export function getVendorDefinition(vendorId) {
+    const transformer = getVendorTransformer(vendorId);
+    if (transformer.definition) {
+        return transformer.definition;
+    }
+
+    const configKey = Object.keys(transformer).find(key => key.endsWith('Config'));
+    const config = configKey ? transformer[configKey] : {};
+    const { transformedRow } = transformer.transformRow({}, {}, {});
+
+    return {
+        vendorId,
+        vendorName: config.vendorName || vendorId,
+        description: config.description || '',
+        supportedFormats: config.supportedFormats || ['csv'],
+        ...(config.defaultOutputFormat && { defaultOutputFormat: config.defaultOutputFormat }),
+        ...(config.validationPolicy && { validationPolicy: { ...config.validationPolicy } }),
+        ...(config.pricingRules && { pricingRules: { ...config.pricingRules } }),
+        ...(config.dateRules && { dateRules: { ...config.dateRules } }),
+        ...(config.comparisonColumns && { comparisonColumns: { ...config.comparisonColumns } }),
+        columns: transformer.getOutputColumns().map(output => (
+            transformedRow[output]
+                ? { output, constant: transformedRow[output] }
+                : { output, source: [output] }
+        ))
+    };
+}
+
+/**
+ * Find a stored vendor profile
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Promise<Object|null>}
+ */
+export async function findVendorProfile(vendorId) {
+    return vendorProfileRepository.findById(vendorId);
+}
+
+/**
+ * Validate, persist and register a vendor profile
+ * @param {Object} definition - Vendor definition
+ * @param {Object} options
+ * @param {boolean} options.isNew - Fail if the vendor already exists
+ * @returns {Promise<Object>} - Saved definition
+ * @throws {Error} With status 400 (invalid), 403 (built-in), 404 (missing) or 409 (exists)
+ */
+export async function saveVendorProfile(definition, { isNew }) {
+    const fail = (status, message, details) => {
+        const error = new Error(message);
+        error.status = status;
+        if (details) error.details = details;
+        throw error;
+    };
+
+    if (isBuiltinVendor(definition.vendorId)) {
+        fail(403, `Vendor "${definition.vendorId}" is a built-in vendor and is read-only`);
+    }
+
+    const errors = validateVendorDefinition(definition);
+    if (errors.length > 0) {
+        fail(400, 'Invalid vendor definition', errors);
+    }
+
+    const existing = await findVendorProfile(definition.vendorId);
+    if (isNew && (existing || isVendorSupported(definition.vendorId))) {
+        fail(409, `Vendor "${definition.vendorId}" already exists`);
+    }
+    if (!isNew && !existing && !isVendorSupported(definition.vendorId)) {
+        fail(404, `Vendor "${definition.vendorId}" not found`);
+    }
+
+    const transformer = createDeclarativeTransformer(definition);
+    const fields = {
+        ...toDefinition({ ...definition, vendorName: transformer.vendorConfig.vendorName }),
+        outputColumns: definition.outputColumns || [],
+        defaultOutputFormat: definition.defaultOutputFormat || null,
+        validationPolicy: definition.validationPolicy || {},
+        pricingRules: definition.pricingRules || {},
+        dateRules: definition.dateRules || {},
+        comparisonColumns: definition.comparisonColumns || {},
+        updatedAt: new Date()
+    };
+
+    if (existing) {
+        await vendorProfileRepository.updateById(definition.vendorId, fields);
+    } else {
+        await vendorProfileRepository.create({ ...fields, createdAt: new Date() });
+    }
+
+    registerVendor(definition.vendorId, transformer);
+    return transformer.definition;
+}
+
+/**
+ * Delete a vendor profile and remove it from the registry
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Promise<boolean>} - True if a profile or registered vendor was removed
+ * @throws {Error} With status 403 for built-in vendors
+ */
+export async function deleteVendorProfile(vendorId) {
+    if (isBuiltinVendor(vendorId)) {
+        const error = new Error(`Vendor "${vendorId}" is a built-in vendor and is read-only`);
+        error.status = 403;
+        throw error;
+    }
+
+    const deleted = await vendorProfileRepository.deleteById(vendorId);
+    const unregistered = unregisterVendor(vendorId);
+    return deleted || unregistered;
+}
+
+/**
+ * Register all stored vendor profiles
+ * Called once at startup after the database connection is attempted
+ * @returns {Promise<string[]>} - Vendor IDs that were registered
+ */
+export async function loadVendorProfiles() {
+    const profiles = await vendorProfileRepository.find({}, { sort: { vendorId: 1 } });
+
+    const registered = [];
+    profiles.forEach(profile => {
+        try {
+            registerVendor(profile.vendorId, createDeclarativeTransformer(toDefinition(profile)));
+            registered.push(profile.vendorId);
+        } catch (error) {
+            console.error(`✗ Skipping vendor profile ${profile.vendorId}: ${error.message}`);
+        }
+    });
+
+    if (registered.length > 0) {
+        console.log(`✓ Loaded vendor profiles: ${registered.join(', ')}`);
+    }
+
+    return registered;
+}
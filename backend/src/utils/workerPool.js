@@ -0,0 +1,161 @@
+/**
+ * Worker thread pool
+ * Runs tasks on a fixed number of worker_threads. A task may carry a context (e.g. a deposit
+ * mapping) that is sent to each worker once per context key and reused until it is released
+ */
+
+import { Worker, parentPort } from 'worker_threads';
+
+/**
+ * Create a pool of workers running a worker script
+ * Workers are started on first use and don't keep the process alive while idle
+ * @param {URL|string} workerFile - Worker script; it must call serveWorkerTasks()
+ * @param {Object} options
+ * @param {number} options.size - Number of workers
+ * @param {Object} options.workerData - Passed to each worker
+ * @returns {{size: number, run: Function, release: Function, destroy: Function}}
+ */
+export function createWorkerPool(workerFile, { size, workerData = null }) {
+    const workers = [];
+    const idle = [];
+    const queue = [];
+    let nextTaskId = 0;
+
+    function spawn() {
+        const worker = new Worker(workerFile, { workerData });
+        const slot = { worker, contexts: new Set(), task: null };
+
+        worker.on('message', ({ id, result, error }) => {
+            const { task } = slot;
+            if (!task || task.id !== id) return;
+
+            slot.task = null;
+            if (error) {
+                const taskError = new Error(error.message);
+                taskError.stack = error.stack;
+                task.reject(taskError);
+            } else {
+                task.resolve(result);
+            }
+            release(slot);
+        });
+
+        // A crashed worker fails its current task and is replaced on demand
+        const fail = (error) => {
+            const index = workers.indexOf(slot);
+            if (index < 0) return;
+
+            workers.splice(index, 1);
+            const idleIndex = idle.indexOf(slot);
+            if (idleIndex >= 0) idle.splice(idleIndex, 1);
+
+            if (slot.task) {
+                slot.task.reject(error);
+                slot.task = null;
+            }
+            dispatch();
+        };
+        worker.on('error', fail);
+        worker.on('exit', (code) => fail(new Error(`Worker stopped with exit code ${code}`)));
+
+        worker.unref();
+        workers.push(slot);
+        return slot;
+    }
+
+    function release(slot) {
+        slot.worker.unref();
+        idle.push(slot);
+        dispatch();
+    }
+
+    function dispatch() {
+        while (queue.length > 0) {
+            let slot = idle.shift();
+            if (!slot) {
+                if (workers.length >= size) return;
+                slot = spawn();
+            }
+
+            const task = queue.shift();
+            slot.task = task;
+            slot.worker.ref();
+
+            const message = { id: task.id, contextKey: task.contextKey, payload: task.payload };
+            if (task.contextKey && !slot.contexts.has(task.contextKey)) {
+                message.context = task.context;
+                slot.contexts.add(task.contextKey);
+            }
+            slot.worker.postMessage(message);
+        }
+    }
+
+    return {
+        size,
+
+        /**
+         * Run a task on the next free worker
+         * @param {*} payload - Task input (structured-cloned to the worker)
+         * @param {Object} options
+         * @param {string} options.contextKey - Identifies the context; workers keep it until released
+         * @param {*} options.context - Sent to a worker the first time it runs a task with this key
+         * @returns {Promise<*>} - The worker handler's result
+         */
+        run(payload, { contextKey = null, context = null } = {}) {
+            return new Promise((resolve, reject) => {
+                queue.push({ id: nextTaskId++, payload, contextKey, context, resolve, reject });
+                dispatch();
+            });
+        },
+
+        /**
+         * Drop a context from every worker
+         * @param {string} contextKey - Context key
+         */
+        release(contextKey) {
+            for (const slot of workers) {
+                if (slot.contexts.delete(contextKey)) {
+                    slot.worker.postMessage({ release: contextKey });
+                }
+            }
+        },
+
+        /**
+         * Stop all workers; queued tasks are rejected
+         * @returns {Promise<void>}
+         */
+        async destroy() {
+            queue.splice(0).forEach(task => task.reject(new Error('Worker pool destroyed')));
+            const stopping = workers.splice(0).map(slot => slot.worker.terminate());
+            idle.length = 0;
+            await Promise.all(stopping);
+        }
+    };
+}
+
+/**
+ * Handle pool tasks inside a worker
+ * @param {Function} handler - (payload, context) => result; context is the object sent with the
+ *   task's context key, and the handler may cache values on it
+ */
+export function serveWorkerTasks(handler) {
+    const contexts = new Map();
+
+    parentPort.on('message', async (message) => {
+        if (message.release) {
+            contexts.delete(message.release);
+            return;
+        }
+
+        const { id, contextKey, context, payload } = message;
+        try {
+            if (contextKey && context !== undefined) {
+                contexts.set(contextKey, context);
+            }
+            const result = await handler(payload, contextKey ? contexts.get(contextKey) : null);
+            parentPort.postMessage({ id, result });
+        } catch (error) {
+            parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+        }
+    });
+}
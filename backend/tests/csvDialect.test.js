@@ -0,0 +1,87 @@
+/**
+ * Unit tests for CSV dialect sniffing
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import iconv from 'iconv-lite';
+import { sniffCSVDialect, validateCSVDialect } from '../src/utils/csvDialect.js';
+import { parseFile, streamProcessFile } from '../src/utils/fileProcessor.js';
+
+let tmpDir;
+
+function writeFile(filename, content) {
+    const filePath = path.join(tmpDir, filename);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-dialect-'));
+});
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('sniffCSVDialect', () => {
+    test.each([
+        ['comma', 'Code,Name,Price\nA1,"Widget, large",1.99\n', ','],
+        ['semicolon', 'Code;Name;Price\nA1;Widget;1,99\nA2;Gadget;2,50\n', ';'],
+        ['tab', 'Code\tName\tPrice\nA1\tWidget, large\t1.99\n', '\t'],
+        ['pipe', 'Price List\nCode|Name|Price\nA1|Widget|1.99\nA2|Gadget|2.50\n', '|']
+    ])('detects %s delimiters', async (name, content, delimiter) => {
+        const dialect = await sniffCSVDialect(writeFile(`${name}.csv`, content));
+        expect(dialect).toEqual({ delimiter, quote: '"', encoding: 'utf-8', bom: false });
+    });
+
+    test('detects a UTF-8 byte order mark', async () => {
+        const dialect = await sniffCSVDialect(writeFile('bom.csv', '﻿Code,Name\nA1,Crème\n'));
+        expect(dialect).toMatchObject({ encoding: 'utf-8', bom: true });
+    });
+
+    test('reads files that are not valid UTF-8 as Windows-1252', async () => {
+        const filePath = writeFile('legacy.csv', iconv.encode('Code;Name\nA1;Crème brûlée\n', 'windows-1252'));
+        expect(await sniffCSVDialect(filePath)).toEqual({
+            delimiter: ';',
+            quote: '"',
+            encoding: 'windows-1252',
+            bom: false
+        });
+    });
+
+    test('detects single quotes around values', async () => {
+        const filePath = writeFile('single.csv', "Code,Name\n'A1','Widget, large'\n'A2','Gadget'\n");
+        expect((await sniffCSVDialect(filePath)).quote).toBe("'");
+    });
+});
+
+describe('validateCSVDialect', () => {
+    test('accepts supported settings and nulls', () => {
+        expect(validateCSVDialect({ delimiter: '\t', quote: null, encoding: 'iso-8859-1' })).toEqual([]);
+    });
+
+    test('rejects unsupported settings', () => {
+        expect(validateCSVDialect({ delimiter: ':', quote: '`', encoding: 'ebcdic' })).toHaveLength(3);
+    });
+});
+
+describe('CSV input with a sniffed dialect', () => {
+    test('decodes Windows-1252 text in previews and output', async () => {
+        const inputPath = writeFile('specials.csv', iconv.encode('Code;Name;Price\nA1;Crème;1,99\n', 'windows-1252'));
+        const outputPath = path.join(tmpDir, 'specials-out.csv');
+
+        expect(await parseFile(inputPath)).toEqual([{ Code: 'A1', Name: 'Crème', Price: '1,99' }]);
+
+        await streamProcessFile(inputPath, outputPath, (row) => ({ transformedRow: { Name: row.Name }, warnings: [] }));
+        expect(fs.readFileSync(outputPath, 'utf8')).toBe('﻿Name\nCrème\n');
+    });
+
+    test('honors an overridden dialect', async () => {
+        const inputPath = writeFile('override.txt', 'Code;Name\nA1;Widget\n');
+        const csvDialect = { delimiter: ',', quote: '"', encoding: 'utf-8', bom: false };
+
+        expect(await parseFile(inputPath, 0, { csvDialect })).toEqual([{ 'Code;Name': 'A1;Widget' }]);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for date rules
+ */
+
+import { checkDateRules, validateDateRules, isCalendarDate, normalizeDate } from '../src/utils/transformers/helpers.js';
+import { transformRow, getVendorDateRules } from '../src/utils/transformer.js';
+
+const TRANSFORM_DATE = new Date(2025, 5, 15); // 15 June 2025
+const check = (transformedRow, rules) => checkDateRules({ transformedRow, warnings: [] }, rules, TRANSFORM_DATE).warnings;
+const codes = (warnings) => warnings.map(warning => warning.code);
+
+describe('calendar dates', () => {
+    test('knows month lengths and leap years', () => {
+        expect(isCalendarDate(2024, 2, 29)).toBe(true);
+        expect(isCalendarDate(2025, 2, 29)).toBe(false);
+        expect(isCalendarDate(1900, 2, 29)).toBe(false);
+        expect(isCalendarDate(2000, 2, 29)).toBe(true);
+        expect(isCalendarDate(2025, 4, 31)).toBe(false);
+        expect(isCalendarDate(2025, 13, 1)).toBe(false);
+    });
+
+    test('normalizeDate rejects days a month doesn\'t have', () => {
+        expect(normalizeDate('02/31/2025')).toMatchObject({ value: '', warning: { code: 'INVALID_DATE' } });
+        expect(normalizeDate('2024-02-29')).toEqual({ value: '20240229', warning: null });
+    });
+});
+
+describe('checkDateRules', () => {
+    test('passes specials running around the transform date', () => {
+        expect(check({ 'Start Date': '20250601', 'End Date': '20250630', 'Start Date #2': '20250701', 'End Date #2': '20250715' })).toEqual([]);
+    });
+
+    test('flags an end date before the start date', () => {
+        expect(check({ 'Start Date': '20250620', 'End Date': '20250610' })).toEqual([
+            expect.objectContaining({
+                code: 'END_BEFORE_START',
+                severity: 'warning',
+                outputColumn: 'End Date',
+                value: '20250610',
+                message: 'Sale ends 20250610, before it starts 20250620'
+            })
+        ]);
+    });
+
+    test('flags sale and TPR windows that overlap', () => {
+        const warnings = check({ 'Start Date': '20250601', 'End Date': '20250620', 'Start Date #2': '20250620', 'End Date #2': '20250630' });
+        expect(warnings).toEqual([
+            expect.objectContaining({
+                code: 'OVERLAPPING_SPECIALS',
+                outputColumn: 'Start Date #2',
+                message: 'Sale (20250601-20250620) overlaps TPR (20250620-20250630)'
+            })
+        ]);
+    });
+
+    test('flags expired specials and specials too far ahead', () => {
+        expect(check({ 'Start Date': '20250501', 'End Date': '20250614' })[0]).toMatchObject({
+            code: 'EXPIRED_SPECIAL',
+            message: 'Sale ended 20250614, before the transform date 2025-06-15'
+        });
+        expect(check({ 'Start Date #2': '20260701', 'End Date #2': '20260731' })[0]).toMatchObject({
+            code: 'FUTURE_SPECIAL',
+            severity: 'info',
+            outputColumn: 'Start Date #2',
+            message: 'TPR starts 20260701, more than 365 days after the transform date 2025-06-15'
+        });
+        expect(check({ 'Start Date': '20250801' }, { maxDaysAhead: 30 })[0].code).toBe('FUTURE_SPECIAL');
+    });
+
+    test('can turn rules off and read other formats', () => {
+        const row = { 'Start Date': '20250620', 'End Date': '20250610' };
+        expect(check(row, { endBeforeStart: false })).toEqual([]);
+        expect(check({ 'End Date': '20250101' }, { expiredSpecials: false })).toEqual([]);
+
+        const pine = { columns: { format: 'DD-MM-YYYY', windows: [{ name: 'Special', start: 'Start Date', end: 'End Date' }] } };
+        expect(codes(check({ 'Start Date': '01-05-2025', 'End Date': '31-05-2025' }, pine))).toEqual(['EXPIRED_SPECIAL']);
+        // Dates in another format, empty or impossible dates are left to the date parsers
+        expect(check({ 'Start Date': '20250501', 'End Date': '31-02-2025' }, pine)).toEqual([]);
+    });
+});
+
+describe('validateDateRules', () => {
+    test('reports invalid rules', () => {
+        expect(validateDateRules({ maxDaysAhead: null, columns: { format: 'MM/DD/YYYY' } })).toEqual([]);
+        expect(validateDateRules({
+            grace: 3,
+            expiredSpecials: 'no',
+            maxDaysAhead: 1.5,
+            columns: { format: 'DD.MM.YYYY' }
+        })).toEqual([
+            'dateRules: unknown rule "grace"',
+            'dateRules: expiredSpecials must be true or false',
+            'dateRules: maxDaysAhead must be a whole number of days above 0, or null',
+            'dateRules: columns.format must be one of: YYYYMMDD, YYYY-MM-DD, DD-MM-YYYY, MM/DD/YYYY'
+        ]);
+    });
+});
+
+describe('vendor date rules', () => {
+    afterEach(() => {
+        delete process.env.DATE_RULES_AGNE;
+    });
+
+    test('are checked against the transform date and follow the validation policy', () => {
+        const row = { Item: '100', UPC: '012345678905', REG_RETAIL: '10.00', SALE_START_DATE: '2025-06-01', SALE_END_DATE: '2025-06-10' };
+
+        const { warnings } = transformRow(row, {}, { vendorId: 'AGNE', transformDate: TRANSFORM_DATE });
+        expect(codes(warnings)).toContain('EXPIRED_SPECIAL');
+        expect(codes(transformRow(row, {}, { vendorId: 'AGNE', transformDate: new Date(2025, 5, 5) }).warnings))
+            .not.toContain('EXPIRED_SPECIAL');
+
+        const rejected = transformRow(row, {}, {
+            vendorId: 'AGNE',
+            transformDate: TRANSFORM_DATE,
+            validationPolicy: { EXPIRED_SPECIAL: 'reject' }
+        });
+        expect(rejected.rejectReasons).toEqual(['EXPIRED_SPECIAL: Sale ended 20250610, before the transform date 2025-06-15']);
+    });
+
+    test('are set per vendor in its config and the environment', () => {
+        expect(getVendorDateRules('PINE_STATE_SPIRITS').columns.format).toBe('DD-MM-YYYY');
+
+        process.env.DATE_RULES_AGNE = '{"maxDaysAhead":90}';
+        expect(getVendorDateRules('AGNE')).toMatchObject({ maxDaysAhead: 90, expiredSpecials: true, columns: { format: 'YYYYMMDD' } });
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * Unit tests for declarative vendor definitions
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    createDeclarativeTransformer,
+    validateVendorDefinition,
+    loadVendorDefinitionsFromDir
+} from '../src/utils/transformers/declarativeVendor.js';
+import { applyValidationPolicy } from '../src/utils/transformers/helpers.js';
+import {
+    getVendorTransformer,
+    getVendorOutputFormat,
+    getVendorValidationPolicy,
+    loadVendorDefinitions,
+    isVendorSupported
+} from '../src/utils/transformers/vendorRegistry.js';
+
+const definition = {
+    vendorId: 'ACME',
+    vendorName: 'Acme Distributors',
+    columns: [
+        { output: 'Vendor ID', constant: '12' },
+        { output: 'Product Code', source: ['Item #', 'Item'], transform: { name: 'padStart', length: 6 }, required: true },
+        { output: 'UPC', source: ['UPC', 'Barcode'], transform: 'transformUPC' },
+        { output: 'Price', source: 'Retail', transform: 'formatPrice' },
+        { output: 'Tax ID', source: 'TAX1', transform: 'transformTAX1' },
+        { output: 'Fee ID', source: 'BOTTLE_DEPOSIT', transform: 'depositLookup' },
+        { output: 'Start Date', source: 'Start', transform: ['trim', 'normalizeDate'] }
+    ],
+    outputColumns: ['Vendor ID', 'Product Code', 'UPC', 'Price', 'Tax ID', 'Fee ID', 'Start Date']
+};
+
+describe('createDeclarativeTransformer', () => {
+    const transformer = createDeclarativeTransformer(definition);
+
+    test('applies constants, aliases and helper transforms', () => {
+        const { transformedRow, warnings } = transformer.transformRow({
+            item: '165',
+            barcode: '0123456789',
+            Retail: '$4.5',
+            TAX1: 'Y',
+            BOTTLE_DEPOSIT: '0.05',
+            Start: ' 12/01/2025 '
+        }, { '0.05': '23' });
+
+        expect(transformedRow).toEqual({
+            'Vendor ID': '12',
+            'Product Code': '000165',
+            'UPC': '123456789',
+            'Price': '4.50',
+            'Tax ID': '1',
+            'Fee ID': '23',
+            'Start Date': '20251201'
+        });
+        expect(warnings).toEqual([]);
+    });
+
+    test('collects warnings from helpers and required columns', () => {
+        const { transformedRow, warnings } = transformer.transformRow({ Retail: 'abc', TAX1: 'X' });
+
+        expect(transformedRow['Product Code']).toBe('');
+        expect(transformedRow.Price).toBe('');
+        expect(warnings).toHaveLength(3);
+        expect(warnings[0]).toMatchObject({ code: 'MISSING_REQUIRED_VALUE', severity: 'error', outputColumn: 'Product Code' });
+        expect(warnings[0].message).toContain('Product Code');
+        expect(warnings[1]).toMatchObject({ code: 'INVALID_PRICE', sourceColumn: 'Retail', outputColumn: 'Price', value: 'abc' });
+    });
+
+    test('exposes config and output columns like code vendors', () => {
+        expect(transformer.vendorConfig.vendorId).toBe('ACME');
+        expect(transformer.vendorConfig.declarative).toBe(true);
+        expect(transformer.getOutputColumns()).toEqual(definition.outputColumns);
+    });
+});
+
+describe('validateVendorDefinition', () => {
+    test('accepts a valid definition', () => {
+        expect(validateVendorDefinition(definition)).toEqual([]);
+    });
+
+    test('reports unknown transforms and undefined output columns', () => {
+        const errors = validateVendorDefinition({
+            vendorId: 'bad id',
+            columns: [{ output: 'UPC', source: 'UPC', transform: 'nope' }],
+            outputColumns: ['UPC', 'Missing']
+        });
+
+        expect(errors).toHaveLength(3);
+    });
+
+    test('checks the default output format', () => {
+        expect(validateVendorDefinition({ ...definition, defaultOutputFormat: 'xlsx' })).toEqual([]);
+        expect(validateVendorDefinition({ ...definition, defaultOutputFormat: 'pdf' })).toEqual([
+            'defaultOutputFormat must be one of: csv, xlsx, tsv, fixed-width, jsonl'
+        ]);
+    });
+});
+
+describe('getVendorOutputFormat', () => {
+    afterEach(() => {
+        delete process.env.DEFAULT_OUTPUT_FORMAT_AGNE;
+    });
+
+    test('uses the vendor environment override, then the vendor default', () => {
+        expect(getVendorOutputFormat('AGNE')).toBe('csv');
+        process.env.DEFAULT_OUTPUT_FORMAT_AGNE = 'xlsx';
+        expect(getVendorOutputFormat('AGNE')).toBe('xlsx');
+    });
+});
+
+describe('validation policy', () => {
+    const transformer = createDeclarativeTransformer(definition);
+    const badRow = { Item: '1', Retail: 'abc', TAX1: 'X', Start: '99/99/2025' };
+
+    afterEach(() => {
+        delete process.env.VALIDATION_POLICY_AGNE;
+    });
+
+    test('keeps the rules\' own behaviour by default', () => {
+        const result = applyValidationPolicy(transformer.transformRow(badRow));
+
+        expect(result.transformedRow).toMatchObject({ Price: '', 'Tax ID': 'X', 'Start Date': '' });
+        expect(result.rejectReasons).toBeNull();
+        expect(result.warnings).toHaveLength(3);
+    });
+
+    test('keeps, blanks or rejects flagged values', () => {
+        const kept = applyValidationPolicy(transformer.transformRow(badRow), { INVALID_PRICE: 'warn', UNEXPECTED_TAX_VALUE: 'blank' });
+        expect(kept.transformedRow).toMatchObject({ Price: 'abc', 'Tax ID': '' });
+
+        const rejected = applyValidationPolicy(transformer.transformRow(badRow), { INVALID_DATE: 'reject' });
+        expect(rejected.rejectReasons).toEqual(['INVALID_DATE: Invalid date: "99/99/2025"']);
+    });
+
+    test('validates the policy of a definition', () => {
+        expect(validateVendorDefinition({ ...definition, validationPolicy: { INVALID_PRICE: 'reject' } })).toEqual([]);
+        expect(validateVendorDefinition({ ...definition, validationPolicy: { NOPE: 'drop' } })).toEqual([
+            'validationPolicy: unknown warning code "NOPE"',
+            'validationPolicy: action for NOPE must be one of: warn, blank, reject'
+        ]);
+    });
+
+    test('reads a vendor\'s policy with the environment override', () => {
+        expect(getVendorValidationPolicy('AGNE')).toMatchObject({ INVALID_DATE: 'blank', UNEXPECTED_TAX_VALUE: 'warn' });
+        process.env.VALIDATION_POLICY_AGNE = 'INVALID_DATE=reject, UNEXPECTED_TAX_VALUE=nope';
+        expect(getVendorValidationPolicy('AGNE')).toMatchObject({ INVALID_DATE: 'reject', UNEXPECTED_TAX_VALUE: 'warn' });
+    });
+});
+
+describe('vendor definition discovery', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vendor-defs-'));
+        fs.writeFileSync(path.join(dir, 'acme.json'), JSON.stringify(definition));
+        fs.writeFileSync(path.join(dir, 'yaml-vendor.yaml'), [
+            'vendorId: YAML_VENDOR',
+            'columns:',
+            '  - output: UPC',
+            '    source: [UPC, Barcode]'
+        ].join('\n'));
+        fs.writeFileSync(path.join(dir, 'agne.json'), JSON.stringify({ ...definition, vendorId: 'AGNE' }));
+        fs.writeFileSync(path.join(dir, 'broken.yml'), 'vendorId: BROKEN\n');
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('loads JSON and YAML definitions and skips invalid files', () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(loadVendorDefinitionsFromDir(dir).map(d => d.transformer.vendorConfig.vendorId))
+            .toEqual(['ACME', 'AGNE', 'YAML_VENDOR']);
+        spy.mockRestore();
+    });
+
+    test('registers definitions without replacing built-in vendors', () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        expect(loadVendorDefinitions(dir)).toEqual(['ACME', 'YAML_VENDOR']);
+        expect(isVendorSupported('YAML_VENDOR')).toBe(true);
+        expect(getVendorTransformer('AGNE').agneConfig).toBeDefined();
+
+        spy.mockRestore();
+        log.mockRestore();
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for deposit map resolution
+ */
+
+import {
+    buildDepositMappings,
+    toMappingObject,
+    resolveDepositMapping
+} from '../src/utils/depositMapping.js';
+
+const storedMaps = {
+    'map-1': {
+        depositMapId: 'map-1',
+        filename: 'custom.csv',
+        mappings: new Map([['0.05', '99']])
+    },
+    'map-agne': {
+        depositMapId: 'map-agne',
+        filename: 'agne-default.csv',
+        mappings: { '0.05': '42' }
+    }
+};
+
+const findDepositMap = async (id) => storedMaps[id] || null;
+
+describe('buildDepositMappings', () => {
+    test('maps amounts to IDs in normalized and original form', () => {
+        const mappings = buildDepositMappings([{ Id: '23', Name: 'Bottle', Amount: '.05' }]);
+        expect(mappings.get('0.05')).toBe('23');
+        expect(mappings.get('.05')).toBe('23');
+    });
+
+    test('supports legacy UPC/Item format', () => {
+        const mappings = buildDepositMappings([{ UPC: '12345', Item: 'Beer', DepositID: '26' }]);
+        expect(mappings.get('12345')).toBe('26');
+        expect(mappings.get('Beer')).toBe('26');
+    });
+});
+
+describe('toMappingObject', () => {
+    test('converts Map and object mappings to plain objects', () => {
+        expect(toMappingObject(new Map([['a', '1']]))).toEqual({ a: '1' });
+        expect(toMappingObject({ a: '1' })).toEqual({ a: '1' });
+        expect(toMappingObject(undefined)).toEqual({});
+    });
+});
+
+describe('resolveDepositMapping', () => {
+    afterEach(() => {
+        delete process.env.DEFAULT_DEPOSIT_MAP_AGNE;
+        delete process.env.DEFAULT_DEPOSIT_MAP;
+    });
+
+    test('uses the selected deposit map', async () => {
+        const result = await resolveDepositMapping({ depositMapId: 'map-1', vendorId: 'AGNE', findDepositMap });
+        expect(result.depositMapId).toBe('map-1');
+        expect(result.depositMapSource).toBe('selected');
+        expect(result.depositMapping).toEqual({ '0.05': '99' });
+    });
+
+    test('rejects an unknown selected deposit map with status 404', async () => {
+        await expect(resolveDepositMapping({ depositMapId: 'missing', vendorId: 'AGNE', findDepositMap }))
+            .rejects.toMatchObject({ status: 404 });
+    });
+
+    test('falls back to the vendor default deposit map', async () => {
+        process.env.DEFAULT_DEPOSIT_MAP_AGNE = 'map-agne';
+        const result = await resolveDepositMapping({ depositMapId: null, vendorId: 'AGNE', findDepositMap });
+        expect(result.depositMapId).toBe('map-agne');
+        expect(result.depositMapSource).toBe('vendor-default');
+        expect(result.depositMapping['0.05']).toBe('42');
+    });
+
+    test('falls back to the built-in mapping file', async () => {
+        const result = await resolveDepositMapping({ depositMapId: null, vendorId: 'AGNE', findDepositMap });
+        expect(result.depositMapId).toBeNull();
+        expect(result.depositMapSource).toBe('builtin');
+        expect(result.depositMapFilename).toBe('deposit-mapping.csv');
+        expect(Object.keys(result.depositMapping).length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for the Excel readers
+ * The XLSX reader calls internal exceljs methods, so these tests also guard the pinned exceljs
+ * version: they fail when an upgrade renames or changes those internals
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import defaultNumFormats from 'exceljs/lib/xlsx/defaultnumformats.js';
+import XLSX from 'xlsx';
+import { openExcelRawRows, listExcelSheets } from '../src/utils/excelStream.js';
+
+let tmpDir;
+
+const readValues = async (filePath, sheetName) => {
+    const { rows } = await openExcelRawRows(filePath, { sheetName });
+    const values = [];
+    for await (const row of rows) {
+        values.push([row.rowNumber, row.values]);
+    }
+    return values;
+};
+
+beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-stream-'));
+});
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('exceljs internals used by the XLSX reader', () => {
+    test('are still there', () => {
+        const reader = new ExcelJS.stream.xlsx.WorkbookReader(null, {});
+
+        for (const method of ['_parseWorkbook', '_parseStyles', '_parseSharedStrings', '_parseWorksheet']) {
+            expect(typeof reader[method]).toBe('function');
+        }
+        expect(defaultNumFormats[14]).toEqual(expect.objectContaining({ f: expect.any(String) }));
+    });
+
+    test('read shared strings, styles, formulas and dates from an exceljs workbook', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Prices');
+        sheet.addRow(['Item', 'Retail', 'Start', 'Total']);
+        sheet.addRow(['Gin', 11.5, new Date(Date.UTC(2025, 0, 15)), { formula: 'B2*2', result: 23 }]);
+        sheet.getCell('B2').numFmt = '0.00';
+        sheet.getCell('C2').numFmt = 'mm-dd-yy';
+        sheet.addRow([]);
+        sheet.addRow([{ richText: [{ text: 'Rum ' }, { text: 'Dark', font: { bold: true } }] }, true]);
+
+        const filePath = path.join(tmpDir, 'prices.xlsx');
+        await workbook.xlsx.writeFile(filePath);
+
+        // mm-dd-yy is built-in format 14, which sheet_to_json writes as m/d/yy
+        expect(await readValues(filePath, 'Prices')).toEqual([
+            [1, ['Item', 'Retail', 'Start', 'Total']],
+            [2, ['Gin', '11.50', '1/15/25', '23']],
+            [4, ['Rum Dark', 'TRUE']]
+        ]);
+    });
+});
+
+describe('XLS reader', () => {
+    test('rereads a workbook that changed since it was kept', async () => {
+        const filePath = path.join(tmpDir, 'items.xls');
+        const write = (rows, mtime) => {
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Items');
+            XLSX.writeFile(workbook, filePath, { bookType: 'xls' });
+            fs.utimesSync(filePath, mtime, mtime);
+        };
+
+        write([['Item'], ['A1']], new Date(Date.UTC(2025, 0, 1)));
+        expect(await listExcelSheets(filePath)).toEqual([{ name: 'Items', rowCount: 1, firstRow: 1, lastRow: 2 }]);
+        expect(await readValues(filePath, 'Items')).toEqual([[1, ['Item']], [2, ['A1']]]);
+
+        write([['Item'], ['A1'], ['B2']], new Date(Date.UTC(2025, 0, 2)));
+        expect(await readValues(filePath, 'Items')).toEqual([[1, ['Item']], [2, ['A1']], [3, ['B2']]]);
+    });
+});
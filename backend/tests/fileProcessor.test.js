@@ -0,0 +1,353 @@
+/**
+ * Unit tests for streaming file processing
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import XLSX from 'xlsx';
+import {
+    parseExcelFile,
+    streamProcessFile,
+    getExcelSheetPreviews,
+    createOutputWriter,
+    readProcessedRows
+} from '../src/utils/fileProcessor.js';
+import { countXLSXRows, listExcelSheets } from '../src/utils/excelStream.js';
+import { dedupeHeaders } from '../src/utils/headerRow.js';
+
+let tmpDir;
+
+const sheetRows = [
+    ['Item', 'UPC', 'Item', 'Start', 'Retail'],
+    ['A1', '012345678905', 'dup', new Date(Date.UTC(2024, 0, 15)), 3.5],
+    ['', '', '', '', ''],
+    ['B2', 12345, 'x', '', 1234.5]
+];
+
+function writeWorkbook(filename, bookType) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetRows, { cellDates: true }), 'Items');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Item', 'Retail'], ['C3', 7]]), 'Other & More');
+
+    const filePath = path.join(tmpDir, filename);
+    XLSX.writeFile(workbook, filePath, { bookType });
+    return filePath;
+}
+
+beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-processor-'));
+});
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('dedupeHeaders', () => {
+    test('suffixes duplicates and names empty headers like sheet_to_json', () => {
+        expect(dedupeHeaders(['A', 'A', '', 'A_1', ''])).toEqual(['A', 'A_1', '__EMPTY', 'A_1_1', '__EMPTY_1']);
+    });
+});
+
+describe.each([
+    ['xlsx', 'items.xlsx'],
+    ['xls', 'items.xls']
+])('%s input', (bookType, filename) => {
+    let filePath;
+
+    beforeAll(() => {
+        filePath = writeWorkbook(filename, bookType);
+    });
+
+    test('reads formatted rows from the first sheet, skipping blank rows', async () => {
+        const rows = await parseExcelFile(filePath);
+        expect(rows).toEqual([
+            { Item: 'A1', UPC: '012345678905', Item_1: 'dup', Start: '1/15/24', Retail: '3.5' },
+            { Item: 'B2', UPC: '12345', Item_1: 'x', Start: '', Retail: '1234.5' }
+        ]);
+    });
+
+    test('stops reading at the limit', async () => {
+        const rows = await parseExcelFile(filePath, 1);
+        expect(rows).toHaveLength(1);
+        expect(rows[0].Item).toBe('A1');
+    });
+
+    test('writes transformed rows and reports progress against the total', async () => {
+        const outputPath = path.join(tmpDir, `${bookType}-output.csv`);
+        const progress = [];
+
+        const result = await streamProcessFile(
+            filePath,
+            outputPath,
+            (row) => ({ transformedRow: { Code: row.Item, Price: row.Retail }, warnings: ['checked'] }),
+            (processed, total) => progress.push([processed, total])
+        );
+
+        expect(result).toEqual({
+            processed: 2,
+            rejected: 0,
+            warningCount: 2,
+            warnings: [1, 2].map(row => ({
+                row,
+                code: 'TRANSFORM_WARNING',
+                severity: 'warning',
+                sourceColumn: null,
+                outputColumn: null,
+                value: null,
+                message: 'checked'
+            }))
+        });
+        expect(progress).toEqual([[1, 3], [2, 3]]);
+        expect(fs.readFileSync(outputPath, 'utf8')).toBe('﻿Code,Price\nA1,3.5\nB2,1234.5\n');
+    });
+});
+
+describe.each(['xlsx', 'xls'])('%s worksheet selection', (bookType) => {
+    let filePath;
+
+    beforeAll(() => {
+        filePath = writeWorkbook(`sheets.${bookType}`, bookType);
+    });
+
+    test('lists sheets in workbook order with row counts', async () => {
+        expect(await listExcelSheets(filePath)).toEqual([
+            { name: 'Items', rowCount: 3, firstRow: 1, lastRow: 4 },
+            { name: 'Other & More', rowCount: 1, firstRow: 1, lastRow: 2 }
+        ]);
+    });
+
+    test('previews each sheet', async () => {
+        const [, other] = await getExcelSheetPreviews(filePath, 5);
+        expect(other).toEqual({
+            name: 'Other & More',
+            rowCount: 1,
+            headerRow: 1,
+            rawRows: [
+                { rowNumber: 1, values: ['Item', 'Retail'] },
+                { rowNumber: 2, values: ['C3', '7'] }
+            ],
+            columns: ['Item', 'Retail'],
+            preview: [{ Item: 'C3', Retail: '7' }]
+        });
+    });
+
+    test('reads a named sheet', async () => {
+        const rows = await parseExcelFile(filePath, 0, { sheetName: 'Other & More' });
+        expect(rows).toEqual([{ Item: 'C3', Retail: '7' }]);
+    });
+
+    test('concatenates selected sheets with a source sheet column', async () => {
+        const outputPath = path.join(tmpDir, `${bookType}-sheets.csv`);
+        const progress = [];
+
+        const result = await streamProcessFile(
+            filePath,
+            outputPath,
+            (row) => ({ transformedRow: { Code: row.Item }, warnings: row.Item === 'C3' ? ['check'] : [] }),
+            (processed, total) => progress.push([processed, total]),
+            { sheetNames: ['Other & More', 'Items'], includeSourceSheet: true }
+        );
+
+        expect(result.warnings).toEqual([
+            expect.objectContaining({ row: 1, sheet: 'Other & More', code: 'TRANSFORM_WARNING', message: 'check' })
+        ]);
+        expect(progress.map(([, total]) => total)).toEqual([4, 4, 4]);
+        expect(fs.readFileSync(outputPath, 'utf8')).toBe(
+            '﻿Code,Source Sheet\nC3,Other & More\nA1,Items\nB2,Items\n'
+        );
+    });
+
+    test('reads rows back by the row numbers used in warnings', async () => {
+        const rows = await readProcessedRows(filePath, [3, 1], { sheetNames: ['Other & More', 'Items'] });
+
+        expect(rows.map(({ row, sheet, values }) => [row, sheet, values.Item])).toEqual([
+            [1, 'Other & More', 'C3'],
+            [3, 'Items', 'B2']
+        ]);
+    });
+
+    test('rejects unknown sheet names', async () => {
+        await expect(streamProcessFile(filePath, path.join(tmpDir, 'missing.csv'), () => ({}), null, {
+            sheetNames: ['Nope']
+        })).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('countXLSXRows', () => {
+    test('reads the row count from the sheet dimensions', async () => {
+        const filePath = writeWorkbook('count.xlsx', 'xlsx');
+        expect(await countXLSXRows(filePath)).toBe(3);
+    });
+});
+
+describe('CSV input', () => {
+    test('streams rows to the output and reports the line count as total', async () => {
+        const inputPath = path.join(tmpDir, 'items.csv');
+        const outputPath = path.join(tmpDir, 'csv-output.csv');
+        fs.writeFileSync(inputPath, 'Item,Retail\nA1,"1,000"\n,\nB2,2\n');
+        const progress = [];
+
+        const result = await streamProcessFile(
+            inputPath,
+            outputPath,
+            (row) => ({ transformedRow: { Code: row.Item, Price: row.Retail }, warnings: [] }),
+            (processed, total) => progress.push([processed, total])
+        );
+
+        expect(result.processed).toBe(2);
+        expect(progress).toEqual([[1, 3], [2, 3]]);
+        expect(fs.readFileSync(outputPath, 'utf8')).toBe('﻿Code,Price\nA1,"1,000"\nB2,2\n');
+    });
+
+    test('hands warnings to onWarnings instead of returning them', async () => {
+        const inputPath = path.join(tmpDir, 'warned.csv');
+        const outputPath = path.join(tmpDir, 'warned-output.csv');
+        fs.writeFileSync(inputPath, 'Item\nA1\nB2\n');
+        const received = [];
+
+        const result = await streamProcessFile(
+            inputPath,
+            outputPath,
+            (row) => ({
+                transformedRow: { Code: row.Item },
+                warnings: row.Item === 'B2' ? [{ code: 'INVALID_UPC', severity: 'error', message: 'bad' }] : []
+            }),
+            null,
+            { onWarnings: async (warnings) => received.push(...warnings) }
+        );
+
+        expect(result).toEqual({ processed: 2, rejected: 0, warnings: [], warningCount: 1 });
+        expect(received).toEqual([{ row: 2, code: 'INVALID_UPC', severity: 'error', message: 'bad' }]);
+    });
+});
+
+describe('rejected rows', () => {
+    const transform = (row) => ({
+        transformedRow: { Code: row.Item },
+        warnings: row.Retail === 'x' ? [{ code: 'INVALID_PRICE', severity: 'error', message: 'bad price' }] : [],
+        rejectReasons: row.Retail === 'x' ? ['INVALID_PRICE: bad price'] : null
+    });
+
+    test('writes rejected rows with their reasons to the rejects file', async () => {
+        const inputPath = path.join(tmpDir, 'rejects.csv');
+        const outputPath = path.join(tmpDir, 'rejects-output.csv');
+        const rejectsPath = path.join(tmpDir, 'rejects-rejected.csv');
+        fs.writeFileSync(inputPath, 'Item,Retail\nA1,1\nB2,x\nC3,3\n');
+
+        const result = await streamProcessFile(inputPath, outputPath, transform, null, { rejectsPath });
+
+        expect(result).toMatchObject({ processed: 3, rejected: 1, warningCount: 1 });
+        expect(fs.readFileSync(outputPath, 'utf8')).toBe('\ufeffCode\nA1\nC3\n');
+        expect(fs.readFileSync(rejectsPath, 'utf8')).toBe(
+            '\ufeffRow,Item,Retail,Reject Reason\n2,B2,x,INVALID_PRICE: bad price\n'
+        );
+    });
+
+    test('creates no rejects file when nothing is rejected', async () => {
+        const inputPath = path.join(tmpDir, 'clean.csv');
+        const rejectsPath = path.join(tmpDir, 'clean-rejected.csv');
+        fs.writeFileSync(inputPath, 'Item,Retail\nA1,1\n');
+
+        await streamProcessFile(inputPath, path.join(tmpDir, 'clean-output.csv'), transform, null, { rejectsPath });
+
+        expect(fs.existsSync(rejectsPath)).toBe(false);
+    });
+
+    test('fails past the error threshold and keeps what was found', async () => {
+        const inputPath = path.join(tmpDir, 'strict.csv');
+        const rejectsPath = path.join(tmpDir, 'strict-rejected.csv');
+        fs.writeFileSync(inputPath, 'Item,Retail\nA1,x\nB2,x\nC3,x\n');
+        const received = [];
+
+        await expect(streamProcessFile(inputPath, path.join(tmpDir, 'strict-output.csv'), transform, null, {
+            rejectsPath,
+            errorThreshold: 1,
+            onWarnings: async (warnings) => received.push(...warnings)
+        })).rejects.toMatchObject({
+            code: 'ERROR_THRESHOLD_EXCEEDED',
+            retryable: false,
+            processed: 2,
+            rejected: 2,
+            warningCount: 2
+        });
+
+        expect(received.map(warning => warning.row)).toEqual([1, 2]);
+        expect(fs.readFileSync(rejectsPath, 'utf8').trim().split('\n')).toHaveLength(3);
+    });
+});
+
+describe('item snapshots', () => {
+    test('keeps the snapshot columns of each written row', async () => {
+        const inputPath = path.join(tmpDir, 'snapshot.csv');
+        const snapshotPath = path.join(tmpDir, 'snapshot.jsonl');
+        fs.writeFileSync(inputPath, 'Item,Retail,Note\nA1,1,x\nB2,2,y\n');
+
+        await streamProcessFile(inputPath, path.join(tmpDir, 'snapshot-output.csv'), (row) => ({
+            transformedRow: { Code: row.Item, Price: row.Retail, Note: row.Note },
+            warnings: []
+        }), null, { snapshotPath, snapshotColumns: ['Code', 'Price', 'Cost'] });
+
+        expect(fs.readFileSync(snapshotPath, 'utf8').trim().split('\n').map(line => JSON.parse(line))).toEqual([
+            { Code: 'A1', Price: '1' },
+            { Code: 'B2', Price: '2' }
+        ]);
+    });
+});
+
+describe('output formats', () => {
+    const rows = [
+        { UPC: '012345678905', Description: 'Gin,\tdry', Price: '10.50' },
+        { UPC: '000165', Description: 'Rum', Price: '9' }
+    ];
+
+    async function writeRows(format, filename) {
+        const outputPath = path.join(tmpDir, filename);
+        const writer = createOutputWriter(outputPath, format);
+        for (const row of rows) {
+            await writer.write(row);
+        }
+        await writer.end();
+        return outputPath;
+    }
+
+    test('writes tab-delimited text', async () => {
+        const outputPath = await writeRows('tsv', 'out.tsv');
+        expect(fs.readFileSync(outputPath, 'utf8')).toBe(
+            '﻿UPC\tDescription\tPrice\n012345678905\tGin, dry\t10.50\n000165\tRum\t9\n'
+        );
+    });
+
+    test('pads fixed-width columns to their longest value', async () => {
+        const outputPath = await writeRows('fixed-width', 'out.txt');
+        expect(fs.readFileSync(outputPath, 'utf8')).toBe(
+            'UPC          Description Price\n' +
+            '012345678905 Gin, dry    10.50\n' +
+            '000165       Rum         9    \n'
+        );
+        expect(fs.existsSync(`${outputPath}.spool`)).toBe(false);
+    });
+
+    test('writes one JSON object per line', async () => {
+        const outputPath = await writeRows('jsonl', 'out.jsonl');
+        const lines = fs.readFileSync(outputPath, 'utf8').trim().split('\n');
+        expect(lines.map(line => JSON.parse(line))).toEqual([
+            { UPC: '012345678905', Description: 'Gin,\tdry', Price: '10.50' },
+            { UPC: '000165', Description: 'Rum', Price: '9' }
+        ]);
+    });
+
+    test('writes XLSX with text UPCs and numeric prices', async () => {
+        const outputPath = await writeRows('xlsx', 'out.xlsx');
+        const sheet = XLSX.readFile(outputPath).Sheets.Export;
+
+        expect(sheet.A2).toMatchObject({ t: 's', v: '012345678905' });
+        expect(sheet.A3).toMatchObject({ t: 's', v: '000165' });
+        expect(sheet.C2).toMatchObject({ t: 'n', v: 10.5, w: '10.50' });
+        expect(sheet.C3).toMatchObject({ t: 'n', v: 9 });
+    });
+
+    test('rejects unsupported formats', () => {
+        expect(() => createOutputWriter(path.join(tmpDir, 'out.pdf'), 'pdf')).toThrow('Unsupported output format: pdf');
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * Unit tests for file retention (without MongoDB)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { memoryStore } from '../src/utils/memoryStore.js';
+import { planRetention, sweepFiles, getStorageReport } from '../src/utils/fileRetention.js';
+
+const NOW = new Date('2025-06-30T12:00:00.000Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+const POLICY = {
+    maxAgeDays: null,
+    maxPerVendor: null,
+    maxDiskMb: null,
+    deleteOrphans: false,
+    orphanGraceMinutes: 60,
+    sweepIntervalMinutes: 60
+};
+
+const ids = (records, field) => records.map(record => record[field]);
+
+let tmpDir;
+
+/**
+ * Write a file of a given size into the temporary upload directory
+ * @returns {string} - Absolute path
+ */
+function writeFile(name, bytes, modifiedAt = daysAgo(10)) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, Buffer.alloc(bytes));
+    fs.utimesSync(filePath, modifiedAt, modifiedAt);
+    return filePath;
+}
+
+const listed = (...filePaths) => filePaths.map(filePath => ({
+    path: filePath,
+    bytes: fs.statSync(filePath).size,
+    modifiedAt: fs.statSync(filePath).mtime,
+    nested: false
+}));
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-retention-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('planRetention', () => {
+    const upload = (uploadId, age) => ({ uploadId, originalPath: path.join(tmpDir, `${uploadId}.csv`), createdAt: daysAgo(age) });
+    const transform = (transformId, uploadId, age, extra = {}) => ({
+        transformId,
+        uploadId,
+        vendorId: 'AGNE',
+        status: 'completed',
+        outputPath: path.join(tmpDir, `export_${transformId}.csv`),
+        createdAt: daysAgo(age),
+        ...extra
+    });
+
+    test('expires finished transforms by age and deletes uploads left without transforms', () => {
+        const records = {
+            uploads: [upload('u-old', 40), upload('u-shared', 40), upload('u-idle', 50), upload('u-new', 1)],
+            transforms: [
+                transform('t-old', 'u-old', 40),
+                transform('t-shared-old', 'u-shared', 40),
+                transform('t-shared-new', 'u-shared', 2),
+                transform('t-running', 'u-new', 45, { status: 'processing' })
+            ],
+            depositMaps: []
+        };
+
+        const plan = planRetention(records, [], { ...POLICY, maxAgeDays: 30 }, NOW);
+
+        expect(ids(plan.transforms, 'transformId')).toEqual(['t-old', 't-shared-old']);
+        // u-shared is still used by t-shared-new; u-idle never had a transform but is old
+        expect(ids(plan.uploads, 'uploadId')).toEqual(['u-old', 'u-idle']);
+    });
+
+    test('keeps the newest transforms of each vendor', () => {
+        const records = {
+            uploads: [upload('u1', 3)],
+            transforms: [
+                transform('agne-1', 'u1', 3),
+                transform('agne-2', 'u1', 2),
+                transform('agne-3', 'u1', 1),
+                transform('pine-1', 'u1', 5, { vendorId: 'PINE' })
+            ],
+            depositMaps: []
+        };
+
+        const plan = planRetention(records, [], { ...POLICY, maxPerVendor: 2 }, NOW);
+
+        expect(ids(plan.transforms, 'transformId')).toEqual(['agne-1']);
+        expect(plan.uploads).toEqual([]);
+    });
+
+    test('deletes the oldest transforms until the disk limit is met', () => {
+        const files = listed(
+            writeFile('u1.csv', 300 * 1024),
+            writeFile('export_t1.csv', 400 * 1024),
+            writeFile('u2.csv', 300 * 1024),
+            writeFile('export_t2.csv', 400 * 1024)
+        );
+        const records = {
+            uploads: [upload('u1', 20), upload('u2', 10)],
+            transforms: [transform('t1', 'u1', 20), transform('t2', 'u2', 10)],
+            depositMaps: []
+        };
+
+        const plan = planRetention(records, files, { ...POLICY, maxDiskMb: 1 }, NOW);
+
+        expect(ids(plan.transforms, 'transformId')).toEqual(['t1']);
+        expect(ids(plan.uploads, 'uploadId')).toEqual(['u1']);
+        expect(plan.freedBytes).toBe(700 * 1024);
+    });
+
+    test('keeps deposit maps that are in use or configured as defaults', () => {
+        process.env.DEFAULT_DEPOSIT_MAP_AGNE = 'map-default';
+        const records = {
+            uploads: [upload('u1', 1)],
+            transforms: [transform('t1', 'u1', 1, { depositMapId: 'map-used' })],
+            depositMaps: ['map-old', 'map-used', 'map-default', 'map-new'].map((depositMapId, index) => ({
+                depositMapId,
+                createdAt: daysAgo(index === 3 ? 1 : 60)
+            }))
+        };
+
+        try {
+            const plan = planRetention(records, [], { ...POLICY, maxAgeDays: 30 }, NOW);
+            expect(ids(plan.depositMaps, 'depositMapId')).toEqual(['map-old']);
+        } finally {
+            delete process.env.DEFAULT_DEPOSIT_MAP_AGNE;
+        }
+    });
+
+    test('only deletes orphan files older than the grace period', () => {
+        const files = listed(
+            writeFile('u1.csv', 10),
+            writeFile('stale.csv', 10, daysAgo(1)),
+            writeFile('uploading.csv', 10, new Date(NOW.getTime() - 5 * 60 * 1000))
+        );
+        const records = { uploads: [upload('u1', 1)], transforms: [], depositMaps: [] };
+
+        expect(planRetention(records, files, POLICY, NOW).orphanFiles).toEqual([]);
+        expect(planRetention(records, files, { ...POLICY, deleteOrphans: true }, NOW).orphanFiles)
+            .toEqual([path.join(tmpDir, 'stale.csv')]);
+    });
+});
+
+describe('sweepFiles', () => {
+    const saveRecords = () => {
+        const oldUpload = writeFile('retention-old.csv', 100);
+        const oldOutput = writeFile('export_retention-old.csv', 200);
+        memoryStore.save('Upload', { uploadId: 'retention-u-old', vendorId: 'AGNE', originalPath: oldUpload, createdAt: daysAgo(40) });
+        memoryStore.save('Transform', {
+            transformId: 'retention-t-old',
+            uploadId: 'retention-u-old',
+            vendorId: 'AGNE',
+            status: 'completed',
+            outputPath: oldOutput,
+            createdAt: daysAgo(40)
+        });
+        writeFile('orphan.csv', 50, daysAgo(2));
+        return { oldUpload, oldOutput };
+    };
+
+    beforeEach(() => {
+        process.env.UPLOAD_DIR = tmpDir;
+        process.env.RETENTION_MAX_AGE_DAYS = '30';
+        process.env.RETENTION_DELETE_ORPHANS = 'true';
+    });
+
+    afterEach(() => {
+        delete process.env.UPLOAD_DIR;
+        delete process.env.RETENTION_MAX_AGE_DAYS;
+        delete process.env.RETENTION_DELETE_ORPHANS;
+        memoryStore.deleteOne('Transform', { transformId: 'retention-t-old' });
+        memoryStore.deleteOne('Upload', { uploadId: 'retention-u-old' });
+    });
+
+    test('reports without deleting on a dry run', async () => {
+        const { oldUpload, oldOutput } = saveRecords();
+
+        const result = await sweepFiles({ dryRun: true, now: NOW });
+
+        expect(result).toMatchObject({ dryRun: true, transforms: 1, uploads: 1, orphanFiles: 1, freedBytes: 350 });
+        expect(fs.existsSync(oldUpload)).toBe(true);
+        expect(fs.existsSync(oldOutput)).toBe(true);
+    });
+
+    test('deletes expired records, their files and orphan files', async () => {
+        const { oldUpload, oldOutput } = saveRecords();
+
+        const result = await sweepFiles({ now: NOW });
+
+        expect(result).toMatchObject({ dryRun: false, transforms: 1, uploads: 1, orphanFiles: 1 });
+        expect(fs.readdirSync(tmpDir)).toEqual([]);
+        expect(fs.existsSync(oldUpload) || fs.existsSync(oldOutput)).toBe(false);
+        expect(memoryStore.findOne('Transform', { transformId: 'retention-t-old' })).toBeNull();
+        expect(memoryStore.findOne('Upload', { uploadId: 'retention-u-old' })).toBeNull();
+
+        const report = await getStorageReport();
+        expect(report.totalBytes).toBe(0);
+        expect(report.lastSweep).toMatchObject({ transforms: 1, freedBytes: 350 });
+    });
+});
+
+describe('getStorageReport', () => {
+    beforeEach(() => {
+        process.env.UPLOAD_DIR = tmpDir;
+    });
+
+    afterEach(() => {
+        delete process.env.UPLOAD_DIR;
+        memoryStore.deleteOne('Upload', { uploadId: 'report-upload' });
+    });
+
+    test('sums files by kind and vendor', async () => {
+        const originalPath = writeFile('report.csv', 120);
+        memoryStore.save('Upload', { uploadId: 'report-upload', vendorId: 'PINE', originalPath, createdAt: daysAgo(1) });
+        writeFile('leftover.csv', 30);
+        fs.mkdirSync(path.join(tmpDir, 'catalog'));
+        fs.writeFileSync(path.join(tmpDir, 'catalog', 'AGNE.json'), '[]');
+
+        const report = await getStorageReport();
+
+        expect(report.totalBytes).toBe(152);
+        expect(report.byKind.upload).toEqual({ files: 1, bytes: 120 });
+        expect(report.byKind.orphan).toEqual({ files: 1, bytes: 30 });
+        expect(report.byKind.other).toEqual({ files: 1, bytes: 2 });
+        expect(report.byVendor.find(vendor => vendor.vendorId === 'PINE')).toEqual({
+            vendorId: 'PINE',
+            uploads: 1,
+            transforms: 0,
+            bytes: 120
+        });
+        expect(report.orphans).toEqual([expect.objectContaining({ file: 'leftover.csv', bytes: 30 })]);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for UPC/EAN/GTIN classification and normalization
+ */
+
+import {
+    computeCheckDigit,
+    isValidCheckDigit,
+    expandUPCE,
+    classifyGTIN,
+    normalizeGTIN,
+    validateGTIN
+} from '../src/utils/transformers/helpers.js';
+import { validateVendorDefinition } from '../src/utils/transformers/declarativeVendor.js';
+import { transformRow as transformPineStateRow } from '../src/utils/transformers/pine-state-spirits.js';
+
+describe('check digits', () => {
+    test('computes and validates GS1 check digits of any length', () => {
+        expect(computeCheckDigit('03600029145')).toBe('2');
+        expect(isValidCheckDigit('036000291452')).toBe(true);
+        expect(isValidCheckDigit('36000291452')).toBe(true);
+        expect(isValidCheckDigit('4006381333931')).toBe(true);
+        expect(isValidCheckDigit('036000291453')).toBe(false);
+        expect(isValidCheckDigit('')).toBe(false);
+    });
+
+    test('expands UPC-E to UPC-A', () => {
+        expect(expandUPCE('01234565')).toBe('012345000065');
+        expect(expandUPCE('0123456')).toBe('012345000065');
+        expect(expandUPCE('04252614')).toBe('042100005264');
+        expect(expandUPCE('12345678901')).toBeNull();
+    });
+});
+
+describe('classifyGTIN', () => {
+    test('recognizes each barcode type', () => {
+        expect(classifyGTIN('036000291452')).toMatchObject({ type: 'UPC-A', gtin: '00036000291452', checkDigit: 'valid' });
+        expect(classifyGTIN('01234565')).toMatchObject({ type: 'UPC-E', gtin: '00012345000065', checkDigit: 'valid' });
+        expect(classifyGTIN('96385074')).toMatchObject({ type: 'EAN-8', gtin: '00000096385074', checkDigit: 'valid' });
+        expect(classifyGTIN('4006381333931')).toMatchObject({ type: 'EAN-13', checkDigit: 'valid' });
+        expect(classifyGTIN('10012345678902')).toMatchObject({ type: 'GTIN-14', checkDigit: 'valid' });
+    });
+
+    test('repairs lost leading zeros, separators and scientific notation', () => {
+        expect(classifyGTIN('36000291452')).toMatchObject({ type: 'UPC-A', gtin: '00036000291452' });
+        expect(classifyGTIN(' 0 36000-29145 2 ')).toMatchObject({ type: 'UPC-A', gtin: '00036000291452' });
+        expect(classifyGTIN('3.6000291452E+10')).toMatchObject({ type: 'UPC-A', gtin: '00036000291452' });
+        expect(classifyGTIN('8.52735E+11').error).toMatch(/scientific notation/);
+    });
+
+    test('tells missing check digits from wrong ones', () => {
+        expect(classifyGTIN('12345678901')).toMatchObject({ type: 'UPC-A', gtin: '00123456789012', checkDigit: 'missing' });
+        expect(classifyGTIN('0123456')).toMatchObject({ type: 'UPC-E', checkDigit: 'missing' });
+        expect(classifyGTIN('036000291453')).toMatchObject({ type: 'UPC-A', checkDigit: 'invalid' });
+        expect(classifyGTIN('12345')).toMatchObject({ type: null, gtin: null });
+        expect(classifyGTIN('ABC123').error).toMatch(/non-digit/);
+    });
+});
+
+describe('normalizeGTIN', () => {
+    test('writes codes in the chosen format', () => {
+        expect(normalizeGTIN('036000291452', { format: 'EAN-13' })).toEqual({ value: '0036000291452', type: 'UPC-A', warning: null });
+        expect(normalizeGTIN('01234565', { format: 'UPC-A' }).value).toBe('012345000065');
+        expect(normalizeGTIN('36000291452').value).toBe('00036000291452');
+        expect(normalizeGTIN('036000291452', { format: 'UPC-A', checkDigit: false }).value).toBe('03600029145');
+        // Too long for the format: left as it is
+        expect(normalizeGTIN('4006381333931', { format: 'UPC-A' }).value).toBe('4006381333931');
+        expect(normalizeGTIN('', { format: 'UPC-A' })).toEqual({ value: '', type: null, warning: null });
+        expect(() => normalizeGTIN('036000291452', { format: 'UPC-B' })).toThrow(/Unknown GTIN format/);
+    });
+
+    test('warns about invalid codes', () => {
+        const added = normalizeGTIN('12345678901', { format: 'UPC-A' });
+        expect(added.value).toBe('123456789012');
+        expect(added.warning).toMatchObject({ code: 'MISSING_CHECK_DIGIT', severity: 'warning', value: '12345678901' });
+        expect(added.warning.message).toMatch(/added 2/);
+
+        const wrong = normalizeGTIN('036000291453', { format: 'UPC-A' });
+        expect(wrong.value).toBe('036000291453');
+        expect(wrong.warning).toMatchObject({ code: 'INVALID_CHECK_DIGIT' });
+        expect(wrong.warning.message).toMatch(/expected 2/);
+
+        expect(normalizeGTIN('12345', { format: 'UPC-A' })).toMatchObject({
+            value: '',
+            warning: { code: 'INVALID_UPC', severity: 'error' }
+        });
+    });
+
+    test('validateGTIN only flags wrong check digits of full-length codes', () => {
+        expect(validateGTIN('036000291453')).toMatchObject({ code: 'INVALID_CHECK_DIGIT' });
+        expect(validateGTIN('036000291452')).toBeNull();
+        expect(validateGTIN('012345')).toBeNull();
+        expect(validateGTIN('')).toBeNull();
+    });
+});
+
+describe('vendor barcode formats', () => {
+    test('Pine State Spirits writes EAN-13', () => {
+        const { transformedRow, warnings } = transformPineStateRow({ 'Item #': '165', UPC: '01234565' });
+        expect(transformedRow.UPC).toBe('0012345000065');
+        expect(warnings.filter(warning => warning.outputColumn === 'UPC')).toEqual([]);
+    });
+
+    test('checks the normalizeGTIN format of declarative columns', () => {
+        const errors = validateVendorDefinition({
+            vendorId: 'ACME',
+            columns: [{ output: 'UPC', source: 'UPC', transform: { name: 'normalizeGTIN', format: 'UPC-12' } }]
+        });
+        expect(errors).toEqual(['Column "UPC": normalizeGTIN format must be one of: UPC-A, EAN-13, GTIN-14']);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for header row detection
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectHeaderRow, rowsToObjects } from '../src/utils/headerRow.js';
+import { parseFile, readRawRows, streamProcessFile } from '../src/utils/fileProcessor.js';
+
+const toRawRows = (rows) => rows.map((values, index) => ({ rowNumber: index + 1, values }));
+
+async function collect(iterable) {
+    const rows = [];
+    for await (const row of iterable) rows.push(row);
+    return rows;
+}
+
+describe('detectHeaderRow', () => {
+    test('skips a title and banner above the header', () => {
+        const rows = toRawRows([
+            ['ACME Distributors Price List', '', ''],
+            [''],
+            ['Effective for December', '', ''],
+            ['Code', 'Name', 'Price'],
+            ['A1', 'Widget', '1.99'],
+            ['A2', 'Gadget', '2.50']
+        ]);
+        expect(detectHeaderRow(rows)).toBe(4);
+    });
+
+    test('prefers a row matching a registered vendor', () => {
+        const rows = toRawRows([
+            ['Vendor', 'Pine State'],
+            ['Item #', 'Description', 'Size', 'UPC', 'Retail', 'Sale Price'],
+            ['165', 'GIN', '375ML', '012345678905', '10.50', '9.99']
+        ]);
+        expect(detectHeaderRow(rows)).toBe(2);
+    });
+
+    test('does not treat numeric rows as a header', () => {
+        const rows = toRawRows([
+            ['2025', '12', '01'],
+            ['Code', 'Name', 'Price'],
+            ['A1', 'Widget', '1.99']
+        ]);
+        expect(detectHeaderRow(rows)).toBe(2);
+    });
+
+    test('returns null when there are no rows', () => {
+        expect(detectHeaderRow(toRawRows([['', ''], []]))).toBeNull();
+    });
+});
+
+describe('rowsToObjects', () => {
+    test('keys rows by the header row and skips blank rows', async () => {
+        const rows = toRawRows([
+            ['Title'],
+            ['Code', 'Price', 'Code'],
+            ['A1', '1.99', 'x'],
+            ['', '', ''],
+            ['A2']
+        ]);
+
+        expect(await collect(rowsToObjects(rows, 2))).toEqual([
+            { Code: 'A1', Price: '1.99', Code_1: 'x' },
+            { Code: 'A2', Price: '', Code_1: '' }
+        ]);
+    });
+
+    test('uses the first non-blank row without a header row', async () => {
+        const rows = toRawRows([[''], ['Code'], ['A1']]);
+        expect(await collect(rowsToObjects(rows))).toEqual([{ Code: 'A1' }]);
+    });
+});
+
+describe('CSV files with banner rows', () => {
+    let tmpDir;
+    let filePath;
+
+    beforeAll(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'header-row-'));
+        filePath = path.join(tmpDir, 'banner.csv');
+        fs.writeFileSync(filePath, 'Monthly Specials,,\n,,\nCode,Name,Price\nA1,Widget,1.99\nA2,Gadget,2.50\n');
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('reads raw top rows with their row numbers', async () => {
+        const rows = await readRawRows(filePath, { limit: 3 });
+        expect(rows).toEqual([
+            { rowNumber: 1, values: ['Monthly Specials', '', ''] },
+            { rowNumber: 2, values: ['', '', ''] },
+            { rowNumber: 3, values: ['Code', 'Name', 'Price'] }
+        ]);
+    });
+
+    test('parses with an explicit or detected header row', async () => {
+        const expected = [
+            { Code: 'A1', Name: 'Widget', Price: '1.99' },
+            { Code: 'A2', Name: 'Gadget', Price: '2.50' }
+        ];
+        expect(await parseFile(filePath, 0, { headerRow: 3 })).toEqual(expected);
+        expect(await parseFile(filePath, 0, { headerRow: 'auto' })).toEqual(expected);
+    });
+
+    test('streams from the header row and counts only rows below it', async () => {
+        const progress = [];
+        const outputPath = path.join(tmpDir, 'out.csv');
+
+        const result = await streamProcessFile(
+            filePath,
+            outputPath,
+            (row) => ({ transformedRow: { Code: row.Code }, warnings: [] }),
+            (processed, total) => progress.push(total),
+            { headerRow: 3 }
+        );
+
+        expect(result.processed).toBe(2);
+        expect(progress).toEqual([2, 2]);
+        expect(fs.readFileSync(outputPath, 'utf8')).toBe('﻿Code\nA1\nA2\n');
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the item master catalog (memory store, without MongoDB)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    updateCatalogFromTransform,
+    getOriginalData,
+    findCatalogItems,
+    summarizeCatalog
+} from '../src/utils/itemCatalog.js';
+import { memoryStore } from '../src/utils/memoryStore.js';
+import { transformRow } from '../src/utils/transformer.js';
+
+let tmpDir;
+let storeFile;
+
+function writeSnapshot(filename, items) {
+    const filePath = path.join(tmpDir, filename);
+    fs.writeFileSync(filePath, items.map(item => JSON.stringify(item)).join('\n') + '\n');
+    return filePath;
+}
+
+beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'item-catalog-'));
+    storeFile = path.join(tmpDir, 'memory-store.ndjson');
+    memoryStore.open(storeFile);
+});
+
+afterAll(() => {
+    memoryStore.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('item catalog', () => {
+    test('adds and updates items from completed transforms', async () => {
+        const first = await updateCatalogFromTransform({
+            vendorId: 'AGNE',
+            transformId: 't1',
+            snapshotPath: writeSnapshot('first.jsonl', [
+                { 'Product Code': '100', UPC: '03600029145', Description: 'Gin', 'Department ID': '5', Price: '10.00' },
+                { 'Product Code': '', UPC: '04006381333', Description: 'Rum', 'Department ID': '', Price: '8.00' },
+                { 'Product Code': '100', UPC: '03600029145', Description: 'Gin (duplicate)', 'Department ID': '9', Price: '1.00' }
+            ])
+        });
+        expect(first).toEqual({ items: 2, added: 2 });
+
+        const second = await updateCatalogFromTransform({
+            vendorId: 'AGNE',
+            transformId: 't2',
+            snapshotPath: writeSnapshot('second.jsonl', [
+                { 'Product Code': '100', UPC: '03600029145', Description: 'Gin', 'Department ID': '5', Price: '11.00', Cost: '' }
+            ])
+        });
+        expect(second).toEqual({ items: 1, added: 0 });
+
+        const { items, total } = await findCatalogItems({ vendorId: 'AGNE' });
+        expect(total).toBe(2);
+        expect(items.find(item => item.productCode === '100')).toMatchObject({
+            itemKey: 'code:100',
+            description: 'Gin',
+            departmentId: '5',
+            price: '11.00',
+            timesSeen: 2,
+            lastTransformId: 't2'
+        });
+        expect(items.find(item => item.itemKey === 'upc:04006381333')).toMatchObject({ description: 'Rum', timesSeen: 1 });
+
+        // Kept in the memory store file for restarts without MongoDB
+        memoryStore.close();
+        memoryStore.open(storeFile);
+        expect(await summarizeCatalog()).toEqual([{ vendorId: 'AGNE', itemCount: 2, lastSeenAt: expect.any(Date) }]);
+        expect((await findCatalogItems({ vendorId: 'AGNE' })).items[1]).toMatchObject({ timesSeen: 2, firstSeenAt: expect.any(Date) });
+    });
+
+    test('searches product codes, UPCs and descriptions', async () => {
+        expect((await findCatalogItems({ vendorId: 'AGNE', search: 'rum' })).items.map(item => item.description)).toEqual(['Rum']);
+        expect((await findCatalogItems({ vendorId: 'AGNE', search: '0360' })).total).toBe(1);
+        expect((await findCatalogItems({ vendorId: 'AGNE', search: 'vodka' })).total).toBe(0);
+        expect(await findCatalogItems({ vendorId: '../AGNE' })).toEqual({ items: [], total: 0 });
+    });
+
+    test('feeds catalog departments to department preservation', async () => {
+        const originalData = await getOriginalData('AGNE');
+        expect(originalData).toEqual({ 100: { Department: '5' } });
+
+        const { transformedRow, warnings } = transformRow(
+            { Item: '100', UPC: '003600029145', Department: '7' },
+            {},
+            { vendorId: 'AGNE', originalData }
+        );
+        expect(transformedRow['Department ID']).toBe('5');
+        expect(warnings).toEqual(expect.arrayContaining([
+            expect.objectContaining({ code: 'DEPARTMENT_PRESERVED', outputColumn: 'Department ID', value: '7' })
+        ]));
+    });
+
+    test('skips transforms without an item snapshot', async () => {
+        expect(await updateCatalogFromTransform({ vendorId: 'AGNE', transformId: 't3', snapshotPath: null })).toBeNull();
+    });
+});
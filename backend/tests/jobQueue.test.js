@@ -0,0 +1,224 @@
+/**
+ * Unit tests for the background job queue
+ */
+
+import { jest } from '@jest/globals';
+import { createJobQueue } from '../src/utils/jobQueue.js';
+
+/**
+ * In-memory store adapter with the same contract as the transform store
+ */
+function createFakeStore(initialJobs = []) {
+    const jobs = new Map(initialJobs.map(job => [job.jobId, { ...job }]));
+    let created = 0;
+
+    return {
+        jobs,
+        async create(job) {
+            const saved = { attempts: 0, status: 'queued', runAfter: null, createdAt: created++, ...job };
+            jobs.set(job.jobId, saved);
+            return { ...saved };
+        },
+        async findOne(jobId) {
+            return jobs.has(jobId) ? { ...jobs.get(jobId) } : null;
+        },
+        async findByStatus(status) {
+            return [...jobs.values()].filter(job => job.status === status).map(job => ({ ...job }));
+        },
+        async claimNext(now) {
+            const job = [...jobs.values()]
+                .filter(j => j.status === 'queued' && (!j.runAfter || j.runAfter <= now))
+                .sort((a, b) => a.createdAt - b.createdAt)[0];
+            if (!job) return null;
+            Object.assign(job, { status: 'processing', attempts: job.attempts + 1 });
+            return { ...job };
+        },
+        async update(jobId, fields, expectedStatus) {
+            const job = jobs.get(jobId);
+            if (!job || (expectedStatus && job.status !== expectedStatus)) return false;
+            Object.assign(job, fields);
+            return true;
+        }
+    };
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('createJobQueue', () => {
+    let queue;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await queue?.stop();
+        queue = null;
+        jest.restoreAllMocks();
+    });
+
+    test('runs no more jobs at once than the concurrency limit', async () => {
+        const store = createFakeStore();
+        const gates = {};
+        let active = 0;
+        let maxActive = 0;
+
+        queue = createJobQueue({
+            name: 'test',
+            idField: 'jobId',
+            store,
+            concurrency: 2,
+            run: async (job) => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                await gates[job.jobId].promise;
+                active--;
+                return { result: job.jobId };
+            }
+        });
+
+        for (const jobId of ['a', 'b', 'c']) {
+            gates[jobId] = deferred();
+            await queue.enqueue({ jobId });
+        }
+        await settle();
+
+        expect(store.jobs.get('c').status).toBe('queued');
+        expect(maxActive).toBe(2);
+
+        Object.values(gates).forEach(gate => gate.resolve());
+        await settle();
+
+        expect([...store.jobs.values()].map(job => job.status)).toEqual(['completed', 'completed', 'completed']);
+        expect(store.jobs.get('c').result).toBe('c');
+        expect(maxActive).toBe(2);
+    });
+
+    test('retries a failing job until maxAttempts, then marks it failed', async () => {
+        const store = createFakeStore();
+        const run = jest.fn().mockRejectedValue(new Error('disk full'));
+
+        queue = createJobQueue({ name: 'test', idField: 'jobId', store, run, maxAttempts: 2, retryDelayMs: 60000 });
+        await queue.enqueue({ jobId: 'a' });
+        await settle();
+
+        expect(store.jobs.get('a')).toMatchObject({ status: 'queued', attempts: 1, error: 'disk full' });
+        expect(store.jobs.get('a').runAfter.getTime()).toBeGreaterThan(Date.now());
+
+        // The retry runs once it is due
+        store.jobs.get('a').runAfter = new Date();
+        await queue.start();
+        await settle();
+
+        expect(run).toHaveBeenCalledTimes(2);
+        expect(store.jobs.get('a')).toMatchObject({ status: 'failed', attempts: 2, error: 'disk full' });
+    });
+
+    test('fails a job without retrying when the error is not retryable', async () => {
+        const store = createFakeStore();
+        const run = jest.fn().mockRejectedValue(Object.assign(new Error('too many errors'), { retryable: false }));
+
+        queue = createJobQueue({ name: 'test', idField: 'jobId', store, run, maxAttempts: 3 });
+        await queue.enqueue({ jobId: 'a' });
+        await settle();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(store.jobs.get('a')).toMatchObject({ status: 'failed', attempts: 1, error: 'too many errors' });
+    });
+
+    test('cancels queued and running jobs', async () => {
+        const store = createFakeStore();
+        let sawAbort = false;
+
+        queue = createJobQueue({
+            name: 'test',
+            idField: 'jobId',
+            store,
+            concurrency: 1,
+            run: (job, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => {
+                    sawAbort = true;
+                    reject(new Error('aborted'));
+                });
+            })
+        });
+
+        await queue.enqueue({ jobId: 'running' });
+        await queue.enqueue({ jobId: 'waiting' });
+        await settle();
+
+        expect(queue.isRunning('running')).toBe(true);
+
+        expect(await queue.cancel('waiting')).toBe('cancelled');
+        expect(store.jobs.get('waiting').status).toBe('cancelled');
+
+        expect(await queue.cancel('running')).toBe('cancelled');
+        expect(sawAbort).toBe(true);
+        expect(store.jobs.get('running')).toMatchObject({ status: 'cancelled', attempts: 1 });
+
+        expect(await queue.cancel('running')).toBeNull();
+    });
+
+    test('reports the status of a job that finished before the abort took effect', async () => {
+        const store = createFakeStore();
+        const finish = deferred();
+
+        queue = createJobQueue({
+            name: 'test',
+            idField: 'jobId',
+            store,
+            run: () => finish.promise
+        });
+
+        await queue.enqueue({ jobId: 'a' });
+        await settle();
+
+        // The run ignores the abort and completes
+        finish.resolve({ rowsProcessed: 10 });
+        expect(await queue.cancel('a')).toBe('completed');
+        expect(store.jobs.get('a').status).toBe('completed');
+    });
+
+    test('retries failed and cancelled jobs only', async () => {
+        const store = createFakeStore([
+            { jobId: 'failed', status: 'failed', attempts: 3, error: 'boom', createdAt: 0 },
+            { jobId: 'done', status: 'completed', attempts: 1, createdAt: 1 }
+        ]);
+        const run = jest.fn().mockResolvedValue({});
+
+        queue = createJobQueue({ name: 'test', idField: 'jobId', store, run });
+
+        expect(await queue.retry('done')).toBe(false);
+        expect(await queue.retry('failed')).toBe(true);
+        await settle();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(store.jobs.get('failed')).toMatchObject({ status: 'completed', attempts: 1, error: null });
+    });
+
+    test('recovers jobs left processing by a previous process on start', async () => {
+        const store = createFakeStore([
+            { jobId: 'retryable', status: 'processing', attempts: 1, createdAt: 0 },
+            { jobId: 'exhausted', status: 'processing', attempts: 3, createdAt: 1 }
+        ]);
+        const run = jest.fn().mockResolvedValue({});
+
+        queue = createJobQueue({ name: 'test', idField: 'jobId', store, run, maxAttempts: 3 });
+        await queue.start();
+        await settle();
+
+        expect(store.jobs.get('retryable')).toMatchObject({ status: 'completed', attempts: 2 });
+        expect(store.jobs.get('exhausted')).toMatchObject({
+            status: 'failed',
+            error: 'Interrupted by a server restart'
+        });
+        expect(run).toHaveBeenCalledTimes(1);
+    });
+});
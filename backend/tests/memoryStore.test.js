@@ -0,0 +1,114 @@
+/**
+ * Unit tests for the file-backed memory store
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { memoryStore } from '../src/utils/memoryStore.js';
+
+let tmpDir;
+let storeFile;
+
+const readLines = () => fs.readFileSync(storeFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-store-'));
+    storeFile = path.join(tmpDir, 'store', 'memory-store.ndjson');
+});
+
+afterEach(() => {
+    memoryStore.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('memoryStore file', () => {
+    test('reads back saved, updated and deleted records after a restart', () => {
+        expect(memoryStore.open(storeFile)).toBe(0);
+
+        memoryStore.save('Upload', { uploadId: 'u1', filename: 'weekly.csv', createdAt: new Date('2025-05-01T00:00:00.000Z') });
+        memoryStore.save('Transform', { transformId: 't1', uploadId: 'u1', status: 'queued', createdAt: new Date('2025-05-01T00:00:00.000Z') });
+        memoryStore.save('Transform', { transformId: 't1', status: 'completed', completedAt: new Date('2025-05-01T00:01:00.000Z') });
+        memoryStore.save('Transform', { transformId: 't2', uploadId: 'u1', status: 'failed' });
+        memoryStore.deleteOne('Transform', { transformId: 't2' });
+        memoryStore.save('DepositMap', { depositMapId: 'd1', mappings: new Map([['0.05', '1']]) });
+        memoryStore.close();
+
+        // Not written once closed
+        memoryStore.save('Upload', { uploadId: 'u2', filename: 'lost.csv' });
+
+        expect(memoryStore.open(storeFile)).toBe(3);
+        expect(memoryStore.findOne('Upload', { uploadId: 'u2' })).toBeNull();
+        expect(memoryStore.find('Transform').map(record => record.transformId)).toEqual(['t1']);
+
+        const transform = memoryStore.findOne('Transform', { transformId: 't1' });
+        expect(transform).toMatchObject({ uploadId: 'u1', status: 'completed' });
+        expect(transform.completedAt).toEqual(new Date('2025-05-01T00:01:00.000Z'));
+        expect(memoryStore.findOne('DepositMap', { depositMapId: 'd1' }).mappings).toEqual({ '0.05': '1' });
+    });
+
+    test('appends pushed items without rewriting the list', () => {
+        memoryStore.open(storeFile);
+
+        memoryStore.push('TransformWarnings', 't1', 'warnings', [{ row: 1 }, { row: 2 }]);
+        memoryStore.push('TransformWarnings', 't1', 'warnings', [{ row: 3 }]);
+
+        expect(readLines().map(line => line.items)).toEqual([[{ row: 1 }, { row: 2 }], [{ row: 3 }]]);
+
+        memoryStore.close();
+        memoryStore.open(storeFile);
+        expect(memoryStore.findOne('TransformWarnings', { transformId: 't1' }).warnings)
+            .toEqual([{ row: 1 }, { row: 2 }, { row: 3 }]);
+    });
+
+    test('replaces listed items by key and reads their dates back', () => {
+        memoryStore.open(storeFile);
+        const seenAt = new Date('2025-05-01T00:00:00.000Z');
+
+        memoryStore.upsertItems('CatalogItems', 'AGNE', 'items', 'itemKey', [
+            { itemKey: 'code:1', timesSeen: 1, lastSeenAt: seenAt },
+            { itemKey: 'code:2', timesSeen: 1, lastSeenAt: seenAt }
+        ]);
+        memoryStore.upsertItems('CatalogItems', 'AGNE', 'items', 'itemKey', [{ itemKey: 'code:2', timesSeen: 2, lastSeenAt: seenAt }]);
+
+        expect(readLines().map(line => line.items.length)).toEqual([2, 1]);
+
+        memoryStore.close();
+        memoryStore.open(storeFile);
+        expect(memoryStore.findOne('CatalogItems', { vendorId: 'AGNE' }).items).toEqual([
+            { itemKey: 'code:1', timesSeen: 1, lastSeenAt: seenAt },
+            { itemKey: 'code:2', timesSeen: 2, lastSeenAt: seenAt }
+        ]);
+    });
+
+    test('compacts the file to one line per record when opened', () => {
+        memoryStore.open(storeFile);
+        for (let i = 1; i <= 5; i++) {
+            memoryStore.save('Transform', { transformId: 't1', rowsProcessed: i * 100 });
+        }
+        memoryStore.close();
+        expect(readLines()).toHaveLength(5);
+
+        memoryStore.open(storeFile);
+        expect(readLines()).toEqual([
+            { op: 'put', model: 'Transform', record: { transformId: 't1', rowsProcessed: 500 } }
+        ]);
+    });
+
+    test('skips a line cut off by a crash', () => {
+        fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+        fs.writeFileSync(storeFile, [
+            JSON.stringify({ op: 'put', model: 'Upload', record: { uploadId: 'u1', filename: 'a.csv' } }),
+            '{"op":"put","model":"Upload","record":{"uploadId":"u2"'
+        ].join('\n'));
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        try {
+            expect(memoryStore.open(storeFile)).toBe(1);
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('skipped 1 unreadable line'));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
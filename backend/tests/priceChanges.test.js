@@ -0,0 +1,169 @@
+/**
+ * Unit tests for price-change reports
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    DEFAULT_COMPARISON_COLUMNS,
+    compareSnapshots,
+    findPreviousTransform,
+    getComparisonColumns,
+    getSnapshotColumns
+} from '../src/utils/priceChanges.js';
+import { transformRepository } from '../src/utils/repositories.js';
+
+let tmpDir;
+
+function writeSnapshot(filename, items) {
+    const filePath = path.join(tmpDir, filename);
+    fs.writeFileSync(filePath, items.map(item => JSON.stringify(item)).join('\n') + '\n');
+    return filePath;
+}
+
+beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-changes-'));
+});
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('comparison columns', () => {
+    test('lists every compared column once', () => {
+        const columns = getSnapshotColumns(DEFAULT_COMPARISON_COLUMNS);
+        expect(columns).toEqual(expect.arrayContaining(['Product Code', 'UPC', 'Price', 'Cost', 'Department ID', 'Special Price #2', 'End Date']));
+        expect(new Set(columns).size).toBe(columns.length);
+        expect(columns).not.toContain('Sale');
+    });
+
+    test('falls back to the defaults for vendors without comparisonColumns', () => {
+        expect(getComparisonColumns('UNKNOWN')).toEqual(DEFAULT_COMPARISON_COLUMNS);
+    });
+});
+
+describe('compareSnapshots', () => {
+    test('reports new and discontinued items and price, cost and department changes', async () => {
+        const previousPath = writeSnapshot('previous.jsonl', [
+            { 'Product Code': '100', Description: 'Gin', Price: '10.00', Cost: '6.00', 'Department ID': '1' },
+            { 'Product Code': '200', Description: 'Rum', Price: '8.00', Cost: '5.00', 'Department ID': '1' },
+            { 'Product Code': '300', Description: 'Vodka', Price: '12.00', Cost: '7', 'Department ID': '2' }
+        ]);
+        const currentPath = writeSnapshot('current.jsonl', [
+            { 'Product Code': '100', Description: 'Gin', Price: '11.00', Cost: '6', 'Department ID': '1' },
+            { 'Product Code': '300', Description: 'Vodka', Price: '12', Cost: '7.50', 'Department ID': '3' },
+            { 'Product Code': '400', Description: 'Whiskey', Price: '30.00', Cost: '20.00', 'Department ID': '1' }
+        ]);
+
+        const report = await compareSnapshots(previousPath, currentPath, DEFAULT_COMPARISON_COLUMNS);
+
+        expect(report).toMatchObject({ previousItems: 3, currentItems: 3 });
+        expect(report.summary).toEqual({
+            NEW_ITEM: 1,
+            DISCONTINUED_ITEM: 1,
+            PRICE_CHANGE: 1,
+            COST_CHANGE: 1,
+            DEPARTMENT_CHANGE: 1,
+            NEW_SPECIAL: 0,
+            ENDED_SPECIAL: 0
+        });
+        expect(report.changes.map(change => [change.type, change.productCode])).toEqual([
+            ['NEW_ITEM', '400'],
+            ['DISCONTINUED_ITEM', '200'],
+            ['PRICE_CHANGE', '100'],
+            ['COST_CHANGE', '300'],
+            ['DEPARTMENT_CHANGE', '300']
+        ]);
+        expect(report.changes[2]).toMatchObject({
+            field: 'Price',
+            oldValue: '10.00',
+            newValue: '11.00',
+            difference: 1,
+            percentChange: 10
+        });
+    });
+
+    test('reports specials that start, change or end', async () => {
+        const sale = { 'Special Price': '9.00', 'Start Date': '20250101', 'End Date': '20250131' };
+        const previousPath = writeSnapshot('specials-previous.jsonl', [
+            { 'Product Code': '100', Price: '10.00', ...sale },
+            { 'Product Code': '200', Price: '10.00', ...sale },
+            { 'Product Code': '300', Price: '10.00' }
+        ]);
+        const currentPath = writeSnapshot('specials-current.jsonl', [
+            { 'Product Code': '100', Price: '10.00', ...sale },
+            { 'Product Code': '200', Price: '10.00', 'Special Quantity': '2', 'Special Group Price': '18.00', 'Special Price': '9.00', 'Start Date': '20250201', 'End Date': '20250228' },
+            { 'Product Code': '300', Price: '10.00', 'Special Price #2': '8.50' }
+        ]);
+        const endedPath = writeSnapshot('specials-ended.jsonl', [
+            { 'Product Code': '100', Price: '10.00' }
+        ]);
+
+        const report = await compareSnapshots(previousPath, currentPath, DEFAULT_COMPARISON_COLUMNS);
+        expect(report.changes).toEqual([
+            expect.objectContaining({
+                type: 'NEW_SPECIAL',
+                productCode: '200',
+                field: 'Sale',
+                oldValue: '9.00 (20250101-20250131)',
+                newValue: '2 for 18.00 (20250201-20250228)'
+            }),
+            expect.objectContaining({ type: 'NEW_SPECIAL', productCode: '300', field: 'TPR', oldValue: null, newValue: '8.50' })
+        ]);
+
+        const ended = await compareSnapshots(previousPath, endedPath, DEFAULT_COMPARISON_COLUMNS);
+        expect(ended.summary).toMatchObject({ DISCONTINUED_ITEM: 2, ENDED_SPECIAL: 1 });
+        expect(ended.changes.find(change => change.type === 'ENDED_SPECIAL')).toMatchObject({
+            productCode: '100',
+            field: 'Sale',
+            oldValue: '9.00 (20250101-20250131)'
+        });
+    });
+
+    test('matches items without a product code by UPC', async () => {
+        const previousPath = writeSnapshot('upc-previous.jsonl', [{ UPC: '036000291452', Price: '1.50' }]);
+        const currentPath = writeSnapshot('upc-current.jsonl', [
+            { UPC: '036000291452', Price: '1.5' },
+            { UPC: '036000291452', Price: '9.99' }
+        ]);
+
+        const report = await compareSnapshots(previousPath, currentPath, DEFAULT_COMPARISON_COLUMNS);
+        expect(report.changes).toEqual([]);
+        expect(report.currentItems).toBe(1);
+    });
+});
+
+describe('findPreviousTransform', () => {
+    const runs = [];
+
+    const createRun = async (transformId, uploadId, day, snapshotPath) => {
+        runs.push(transformId);
+        return transformRepository.create({
+            transformId,
+            uploadId,
+            outputPath: `/tmp/export_${transformId}.csv`,
+            vendorId: 'PREVIOUS_TEST',
+            status: 'completed',
+            snapshotPath,
+            createdAt: new Date(Date.UTC(2025, 5, day))
+        });
+    };
+
+    afterEach(async () => {
+        for (const transformId of runs.splice(0)) {
+            await transformRepository.deleteById(transformId);
+        }
+    });
+
+    test('skips re-runs of the same upload and transforms whose snapshot was deleted', async () => {
+        const snapshot = writeSnapshot('previous-run.jsonl', [{ 'Product Code': '100', Price: '1.00' }]);
+        await createRun('prev-other', 'upload-a', 1, snapshot);
+        await createRun('prev-deleted', 'upload-b', 2, path.join(tmpDir, 'deleted.jsonl'));
+        await createRun('prev-original', 'upload-c', 3, snapshot);
+        const rerun = await createRun('prev-rerun', 'upload-c', 4, snapshot);
+
+        expect((await findPreviousTransform(rerun)).transformId).toBe('prev-other');
+        expect(await findPreviousTransform(await transformRepository.findById('prev-other'))).toBeNull();
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for pricing rules
+ */
+
+import { checkPricingRules, validatePricingRules } from '../src/utils/transformers/helpers.js';
+import { transformRow, getVendorPricingRules } from '../src/utils/transformer.js';
+
+const check = (transformedRow, rules) => checkPricingRules({ transformedRow, warnings: [] }, rules).warnings;
+const codes = (warnings) => warnings.map(warning => warning.code);
+
+describe('checkPricingRules', () => {
+    test('flags cost above retail, sale below cost and sale above the regular price', () => {
+        expect(check({ Price: '10.00', Cost: '12.00' })).toEqual([
+            expect.objectContaining({
+                code: 'COST_ABOVE_RETAIL',
+                severity: 'warning',
+                outputColumn: 'Price',
+                value: '10.00',
+                message: 'Cost 12.00 is above the retail price 10.00'
+            })
+        ]);
+
+        const warnings = check({
+            Price: '10.00',
+            Cost: '6.00',
+            'Special Price': '5.50',
+            'Special Cost': '6.00',
+            'Special Price #2': '11.00'
+        });
+        expect(codes(warnings)).toEqual(['NEGATIVE_MARGIN', 'SALE_ABOVE_REGULAR']);
+        expect(warnings[0]).toMatchObject({ outputColumn: 'Special Price', message: 'Sale price 5.50 is below its cost 6.00' });
+        expect(warnings[1]).toMatchObject({ outputColumn: 'Special Price #2', message: 'TPR price 11.00 is higher than the regular price 10.00' });
+    });
+
+    test('checks multi-buy specials by their unit price', () => {
+        // AGNE writes the regular price to Special Price for "2 for" specials
+        const row = { Price: '10.00', Cost: '6.00', 'Special Price': '10.00', 'Special Quantity': '2', 'Special Group Price': '11.00' };
+        expect(check(row)).toEqual([
+            expect.objectContaining({ code: 'NEGATIVE_MARGIN', outputColumn: 'Special Group Price', message: 'Sale price 2 for 11.00 is below its cost 6.00' })
+        ]);
+        expect(check({ ...row, 'Special Group Price': '18.00' })).toEqual([]);
+    });
+
+    test('checks margins against department minimums', () => {
+        const rules = { minMarginPercent: 20, departmentMinMarginPercent: { 5: 40 } };
+        expect(check({ Price: '10.00', Cost: '7.00', 'Department ID': '1' }, rules)).toEqual([]);
+        expect(check({ Price: '10.00', Cost: '8.50', 'Department ID': '1' }, rules)[0].message)
+            .toBe('Margin 15.0% is below the 20% minimum');
+        expect(check({ Price: '10.00', Cost: '7.00', 'Department ID': '5' }, rules)[0].message)
+            .toBe('Margin 30.0% is below the 40% minimum for department 5');
+        // Without a minimum there is no margin check
+        expect(check({ Price: '10.00', Cost: '9.90' })).toEqual([]);
+    });
+
+    test('checks price endings of regular and special prices', () => {
+        const warnings = check(
+            { Price: '10.99', 'Special Price': '9.25', 'Special Price #2': '8.49' },
+            { priceEndings: ['.99', '.49'] }
+        );
+        expect(warnings).toEqual([
+            expect.objectContaining({ code: 'PRICE_ENDING', severity: 'info', outputColumn: 'Special Price', message: "Price 9.25 doesn't end in .99 or .49" })
+        ]);
+    });
+
+    test('can turn rules off and read other columns', () => {
+        expect(check({ Price: '10.00', Cost: '12.00' }, { costAboveRetail: false })).toEqual([]);
+        expect(codes(check({ Retail: '10.00', Cost: '12.00' }, { columns: { price: 'Retail' } }))).toEqual(['COST_ABOVE_RETAIL']);
+        // Empty and unparseable values are left to the price rules
+        expect(check({ Price: '', Cost: '12.00', 'Special Price': 'abc' })).toEqual([]);
+    });
+});
+
+describe('validatePricingRules', () => {
+    test('reports invalid rules', () => {
+        expect(validatePricingRules({ minMarginPercent: 25, priceEndings: ['.99', '9'] })).toEqual([]);
+        expect(validatePricingRules({
+            maxMargin: 50,
+            costAboveRetail: 'yes',
+            minMarginPercent: 150,
+            departmentMinMarginPercent: { 5: '30' },
+            priceEndings: '.99'
+        })).toEqual([
+            'pricingRules: unknown rule "maxMargin"',
+            'pricingRules: costAboveRetail must be true or false',
+            'pricingRules: minMarginPercent must be a number from 0 to 99.99, or null',
+            'pricingRules: departmentMinMarginPercent must map department IDs to numbers from 0 to 99.99',
+            'pricingRules: priceEndings must be a list of endings such as ".99" or "9"'
+        ]);
+    });
+});
+
+describe('vendor pricing rules', () => {
+    afterEach(() => {
+        delete process.env.PRICING_RULES_AGNE;
+    });
+
+    test('are checked on transformed rows and follow the validation policy', () => {
+        const row = { Item: '100', UPC: '012345678905', REG_RETAIL: '10.00', REGULARCOST: '12.00' };
+
+        const { warnings, rejectReasons } = transformRow(row, {}, { vendorId: 'AGNE' });
+        expect(codes(warnings)).toContain('COST_ABOVE_RETAIL');
+        expect(rejectReasons).toBeNull();
+
+        const rejected = transformRow(row, {}, {
+            vendorId: 'AGNE',
+            validationPolicy: { COST_ABOVE_RETAIL: 'reject' }
+        });
+        expect(rejected.rejectReasons).toEqual(['COST_ABOVE_RETAIL: Cost 12.00 is above the retail price 10.00']);
+    });
+
+    test('can be set per vendor in the environment', () => {
+        process.env.PRICING_RULES_AGNE = '{"minMarginPercent":25,"columns":{"cost":"Unit Cost"}}';
+        expect(getVendorPricingRules('AGNE')).toMatchObject({
+            costAboveRetail: true,
+            minMarginPercent: 25,
+            columns: { price: 'Price', cost: 'Unit Cost' }
+        });
+
+        process.env.PRICING_RULES_AGNE = '{"minMarginPercent":"high"}';
+        expect(getVendorPricingRules('AGNE').minMarginPercent).toBeNull();
+    });
+});
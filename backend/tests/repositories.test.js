@@ -0,0 +1,327 @@
+/**
+ * Contract tests for the record and list repositories
+ * The same suite runs against the memory store and, when MONGODB_TEST_URI is set, against MongoDB
+ * (the database it names is dropped afterwards). Without it the MongoDB half is reported as skipped
+ */
+
+import mongoose from 'mongoose';
+import {
+    transformRepository,
+    depositMapRepository,
+    uploadRepository,
+    vendorProfileRepository,
+    transformWarningRepository,
+    catalogItemRepository
+} from '../src/utils/repositories.js';
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+
+if (!MONGODB_TEST_URI) {
+    console.warn('Repository contract tests against MongoDB skipped: set MONGODB_TEST_URI to run them');
+}
+
+const at = (minute) => new Date(Date.UTC(2025, 5, 1, 12, minute));
+
+const transform = (transformId, minute, extra = {}) => ({
+    transformId,
+    uploadId: 'contract-upload',
+    outputPath: `/tmp/export_${transformId}.csv`,
+    vendorId: 'AGNE',
+    status: 'completed',
+    createdAt: at(minute),
+    ...extra
+});
+
+const upload = (uploadId, filename) => ({
+    uploadId,
+    filename,
+    originalPath: `/tmp/${filename}`,
+    fileType: 'csv',
+    fileSize: 10
+});
+
+const warning = (row, code, severity = 'warning') => ({ row, code, severity, message: `${code} on row ${row}` });
+
+const ids = (records) => records.map(record => record.transformId);
+
+describe.each([
+    ['memory store', null, true],
+    [MONGODB_TEST_URI ? 'MongoDB' : 'MongoDB (skipped, MONGODB_TEST_URI is not set)', MONGODB_TEST_URI, Boolean(MONGODB_TEST_URI)]
+])('repository contract: %s', (backend, mongoUri, runsHere) => {
+    const contractTest = runsHere ? test : test.skip;
+    const created = [];
+
+    const createTransforms = async (...records) => {
+        for (const record of records) {
+            created.push([transformRepository, record.transformId]);
+            await transformRepository.create(record);
+        }
+    };
+
+    beforeAll(async () => {
+        if (mongoUri) await mongoose.connect(mongoUri);
+    });
+
+    afterAll(async () => {
+        if (mongoUri) {
+            await mongoose.connection.dropDatabase();
+            await mongoose.disconnect();
+        }
+    });
+
+    afterEach(async () => {
+        for (const [repository, id] of created.splice(0)) {
+            await repository.deleteById(id);
+        }
+    });
+
+    contractTest('creates records with schema defaults and returns plain copies', async () => {
+        created.push([transformRepository, 'c-defaults']);
+        const record = await transformRepository.create(transform('c-defaults', 0, { status: undefined }));
+
+        expect(record).toMatchObject({ transformId: 'c-defaults', status: 'queued', attempts: 0, rerunOf: null });
+        expect(record).not.toHaveProperty('_id');
+        expect(record).not.toHaveProperty('__v');
+
+        record.status = 'changed';
+        expect((await transformRepository.findById('c-defaults')).status).toBe('queued');
+    });
+
+    contractTest('rejects records the schema does not allow', async () => {
+        await expect(transformRepository.create({ transformId: 'c-invalid' })).rejects.toThrow(/validation failed/);
+        await expect(transformRepository.findById('c-invalid')).resolves.toBeNull();
+    });
+
+    contractTest('queries with operators and null matching missing fields', async () => {
+        await createTransforms(
+            transform('c-q1', 1, { status: 'failed' }),
+            transform('c-q2', 2, { rerunOf: 'c-q1' }),
+            transform('c-q3', 3, { vendorId: 'PINE', runAfter: at(30) }),
+            transform('c-q4', 4, { status: 'queued' })
+        );
+        const query = (filter) => transformRepository.find({ uploadId: 'contract-upload', ...filter }, { sort: { createdAt: 1 } });
+
+        expect(ids(await query({ status: { $in: ['failed', 'queued'] } }))).toEqual(['c-q1', 'c-q4']);
+        expect(ids(await query({ status: { $ne: 'completed' }, vendorId: 'AGNE' }))).toEqual(['c-q1', 'c-q4']);
+        expect(ids(await query({ rerunOf: null }))).toEqual(['c-q1', 'c-q3', 'c-q4']);
+        expect(ids(await query({ createdAt: { $gt: at(1), $lte: at(3) } }))).toEqual(['c-q2', 'c-q3']);
+        expect(ids(await query({ $or: [{ runAfter: null }, { runAfter: { $lte: at(10) } }], status: 'completed' })))
+            .toEqual(['c-q2']);
+        expect(await transformRepository.count({ uploadId: 'contract-upload', vendorId: 'AGNE' })).toBe(3);
+        expect(await transformRepository.exists({ uploadId: 'contract-upload', status: 'cancelled' })).toBe(false);
+    });
+
+    contractTest('sorts newest first by default, breaks ties by ID and pages with skip and limit', async () => {
+        await createTransforms(
+            transform('c-s2', 5),
+            transform('c-s1', 5),
+            transform('c-s3', 7),
+            transform('c-s4', 1)
+        );
+        const query = { uploadId: 'contract-upload' };
+
+        expect(ids(await transformRepository.find(query))).toEqual(['c-s3', 'c-s1', 'c-s2', 'c-s4']);
+        expect(ids(await transformRepository.find(query, { sort: { createdAt: 1 }, skip: 1, limit: 2 })))
+            .toEqual(['c-s1', 'c-s2']);
+        expect(ids(await transformRepository.find(query, { skip: 3, limit: 10 }))).toEqual(['c-s4']);
+        expect((await transformRepository.findOne(query, { sort: { createdAt: 1 } })).transformId).toBe('c-s4');
+    });
+
+    contractTest('returns only projected fields and the ID', async () => {
+        await createTransforms(transform('c-p1', 0));
+
+        const [record] = await transformRepository.find({ transformId: 'c-p1' }, { projection: ['status', 'createdAt'] });
+
+        expect(record).toEqual({ transformId: 'c-p1', status: 'completed', createdAt: at(0) });
+    });
+
+    contractTest('updates the first matching record, with increments and casting', async () => {
+        await createTransforms(
+            transform('c-u1', 1, { status: 'queued', updatedAt: at(1) }),
+            transform('c-u2', 2, { status: 'queued' })
+        );
+
+        const claimed = await transformRepository.updateOne(
+            { uploadId: 'contract-upload', status: 'queued' },
+            { status: 'processing', startedAt: '2025-06-01T13:00:00.000Z', error: undefined },
+            { sort: { createdAt: 1 }, increment: { attempts: 1 } }
+        );
+
+        expect(claimed).toMatchObject({ transformId: 'c-u1', status: 'processing', attempts: 1, startedAt: at(60) });
+        expect(claimed.updatedAt.getTime()).toBeGreaterThan(at(1).getTime());
+        expect(await transformRepository.updateOne({ transformId: 'c-u1', status: 'queued' }, { status: 'failed' }))
+            .toBeNull();
+        await expect(transformRepository.updateById('c-u2', { status: 'unknown' })).rejects.toThrow(/validation failed/);
+        expect((await transformRepository.findById('c-u2')).status).toBe('queued');
+        expect(await transformRepository.updateById('c-missing', { status: 'failed' })).toBeNull();
+    });
+
+    contractTest('queries with $and, $nor, $regex and dotted paths', async () => {
+        await createTransforms(
+            transform('c-o1', 1, { error: 'Sheet "Prices" is EMPTY' }),
+            transform('c-o2', 2, { status: 'failed', error: 'Missing column' }),
+            transform('c-o3', 3, { vendorId: 'PINE' })
+        );
+        const query = (filter) => transformRepository.find({ uploadId: 'contract-upload', ...filter }, { sort: { createdAt: 1 } });
+
+        expect(ids(await query({ $and: [{ vendorId: 'AGNE' }, { status: 'completed' }] }))).toEqual(['c-o1']);
+        expect(ids(await query({ $nor: [{ vendorId: 'PINE' }, { status: 'failed' }] }))).toEqual(['c-o1']);
+        expect(ids(await query({ error: { $regex: 'empty', $options: 'i' } }))).toEqual(['c-o1']);
+        expect(ids(await query({ error: { $regex: '^Missing' } }))).toEqual(['c-o2']);
+
+        created.push([vendorProfileRepository, 'C-VENDOR']);
+        await vendorProfileRepository.create({
+            vendorId: 'C-VENDOR',
+            vendorName: 'Contract Vendor',
+            validationPolicy: { INVALID_PRICE: 'reject' }
+        });
+        expect(await vendorProfileRepository.count({ 'validationPolicy.INVALID_PRICE': 'reject' })).toBe(1);
+        expect(await vendorProfileRepository.count({ 'validationPolicy.INVALID_PRICE': 'warn' })).toBe(0);
+    });
+
+    contractTest('joins fields of another repository\'s records and filters on them', async () => {
+        created.push([uploadRepository, 'c-join-a'], [uploadRepository, 'c-join-b']);
+        await uploadRepository.create(upload('c-join-a', 'Weekly Prices.csv'));
+        await uploadRepository.create(upload('c-join-b', 'deposits.csv'));
+        await createTransforms(
+            transform('c-j1', 1, { uploadId: 'c-join-a' }),
+            transform('c-j2', 2, { uploadId: 'c-join-b' }),
+            transform('c-j3', 3, { uploadId: 'c-join-missing' })
+        );
+        const query = { transformId: { $in: ['c-j1', 'c-j2', 'c-j3'] } };
+        const join = { from: uploadRepository, localField: 'uploadId', fields: ['filename'] };
+
+        const records = await transformRepository.find(query, { sort: { createdAt: 1 }, join });
+        expect(records.map(record => [record.transformId, record.filename])).toEqual([
+            ['c-j1', 'Weekly Prices.csv'],
+            ['c-j2', 'deposits.csv'],
+            ['c-j3', undefined]
+        ]);
+        expect(records[0]).toMatchObject({ status: 'completed', createdAt: at(1) });
+
+        const searched = await transformRepository.find(query, {
+            join: { ...join, query: { filename: { $regex: 'prices', $options: 'i' } } }
+        });
+        expect(searched.map(record => [record.transformId, record.filename])).toEqual([['c-j1', 'Weekly Prices.csv']]);
+        expect(ids(await transformRepository.find(query, { sort: { createdAt: 1 }, skip: 1, limit: 1, join }))).toEqual(['c-j2']);
+    });
+
+    contractTest('finds, updates and deletes vendor profiles by vendor ID', async () => {
+        created.push([vendorProfileRepository, 'C-B'], [vendorProfileRepository, 'C-A']);
+        await vendorProfileRepository.create({ vendorId: 'C-B', vendorName: 'Vendor B' });
+        await vendorProfileRepository.create({ vendorId: 'C-A', vendorName: 'Vendor A', columns: [{ name: 'Item' }] });
+
+        const profiles = await vendorProfileRepository.find({ vendorId: { $regex: '^C-' } }, { sort: { vendorId: 1 } });
+        expect(profiles.map(profile => profile.vendorId)).toEqual(['C-A', 'C-B']);
+        expect(profiles[1]).toMatchObject({ columns: [], description: '', defaultOutputFormat: null });
+
+        expect(await vendorProfileRepository.updateById('C-B', { vendorName: 'Vendor B2' }))
+            .toMatchObject({ vendorId: 'C-B', vendorName: 'Vendor B2' });
+        expect(await vendorProfileRepository.deleteById('C-A')).toBe(true);
+        expect(await vendorProfileRepository.findById('C-A')).toBeNull();
+    });
+
+    contractTest('returns deposit map mappings as a plain object', async () => {
+        created.push([depositMapRepository, 'c-map']);
+        await depositMapRepository.create({
+            depositMapId: 'c-map',
+            filename: 'deposits.csv',
+            filePath: '/tmp/deposits.csv',
+            mappings: new Map([['0.05', '1'], ['0.10', '2']]),
+            totalMappings: 2
+        });
+
+        expect((await depositMapRepository.findById('c-map')).mappings).toEqual({ '0.05': '1', '0.10': '2' });
+    });
+
+    contractTest('deletes records by ID', async () => {
+        await uploadRepository.create({
+            uploadId: 'c-upload',
+            filename: 'weekly.csv',
+            originalPath: '/tmp/weekly.csv',
+            fileType: 'csv',
+            fileSize: 10
+        });
+
+        expect(await uploadRepository.deleteById('c-upload')).toBe(true);
+        expect(await uploadRepository.deleteById('c-upload')).toBe(false);
+        expect(await uploadRepository.findById('c-upload')).toBeNull();
+    });
+
+    describe('list repositories', () => {
+        afterEach(async () => {
+            await transformWarningRepository.deleteAll('c-list');
+            await transformWarningRepository.deleteAll('c-list-other');
+            await catalogItemRepository.deleteAll('C-CATALOG');
+        });
+
+        contractTest('finds a parent\'s items in sort order, ties in the order they were added', async () => {
+            await transformWarningRepository.append('c-list', [
+                warning(3, 'INVALID_PRICE', 'error'),
+                warning(1, 'MISSING_UPC'),
+                warning(3, 'MISSING_UPC')
+            ]);
+            await transformWarningRepository.append('c-list', [warning(2, 'INVALID_PRICE', 'error')]);
+            await transformWarningRepository.append('c-list-other', [warning(1, 'MISSING_UPC')]);
+            const rows = (items) => items.map(item => [item.row, item.code]);
+
+            expect(rows(await transformWarningRepository.find('c-list', {}, { sort: { row: 1 } }))).toEqual([
+                [1, 'MISSING_UPC'],
+                [2, 'INVALID_PRICE'],
+                [3, 'INVALID_PRICE'],
+                [3, 'MISSING_UPC']
+            ]);
+            expect(rows(await transformWarningRepository.find('c-list', { severity: 'error' }, { sort: { row: 1 }, skip: 1, limit: 5 })))
+                .toEqual([[3, 'INVALID_PRICE']]);
+
+            const iterated = [];
+            for await (const item of transformWarningRepository.iterate('c-list', { code: 'MISSING_UPC' }, { sort: { row: 1 } })) {
+                iterated.push(item);
+            }
+            expect(rows(iterated)).toEqual([[1, 'MISSING_UPC'], [3, 'MISSING_UPC']]);
+            expect(iterated[0]).not.toHaveProperty('transformId');
+            expect(iterated[0]).not.toHaveProperty('_id');
+        });
+
+        contractTest('counts a parent\'s items, in total and per field values', async () => {
+            await transformWarningRepository.append('c-list', [
+                warning(1, 'INVALID_PRICE', 'error'),
+                warning(2, 'INVALID_PRICE', 'error'),
+                warning(2, 'MISSING_UPC')
+            ]);
+
+            expect(await transformWarningRepository.count('c-list')).toBe(3);
+            expect(await transformWarningRepository.count('c-list', { code: { $in: ['MISSING_UPC'] } })).toBe(1);
+            expect(await transformWarningRepository.count('c-list-other')).toBe(0);
+
+            const groups = await transformWarningRepository.countBy('c-list', ['code', 'severity']);
+            expect(groups.sort((a, b) => a.code.localeCompare(b.code))).toEqual([
+                { code: 'INVALID_PRICE', severity: 'error', count: 2 },
+                { code: 'MISSING_UPC', severity: 'warning', count: 1 }
+            ]);
+
+            await transformWarningRepository.deleteAll('c-list');
+            expect(await transformWarningRepository.find('c-list')).toEqual([]);
+        });
+
+        contractTest('upserts items by key with schema defaults, set-on-insert fields and increments', async () => {
+            const seenAt = at(0);
+            const later = at(30);
+
+            expect(await catalogItemRepository.upsert('C-CATALOG', [
+                { key: 'code:1', set: { productCode: '1', description: 'Gin' }, setOnInsert: { firstSeenAt: seenAt }, increment: { timesSeen: 1 } },
+                { key: 'code:2', set: { productCode: '2' }, setOnInsert: { firstSeenAt: seenAt }, increment: { timesSeen: 1 } }
+            ])).toBe(2);
+            expect(await catalogItemRepository.upsert('C-CATALOG', [
+                { key: 'code:2', set: { price: '9.99', lastSeenAt: later }, setOnInsert: { firstSeenAt: later }, increment: { timesSeen: 2 } }
+            ])).toBe(0);
+
+            const items = await catalogItemRepository.find('C-CATALOG', {}, { sort: { productCode: 1 } });
+            expect(items).toEqual([
+                expect.objectContaining({ itemKey: 'code:1', description: 'Gin', upc: '', price: '', timesSeen: 1, firstSeenAt: seenAt }),
+                expect.objectContaining({ itemKey: 'code:2', price: '9.99', timesSeen: 3, firstSeenAt: seenAt, lastSeenAt: later })
+            ]);
+            expect(await catalogItemRepository.listParents()).toEqual(['C-CATALOG']);
+        });
+    });
+});
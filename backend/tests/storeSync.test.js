@@ -0,0 +1,145 @@
+/**
+ * Tests for moving records kept without MongoDB into MongoDB once it connects
+ * Runs only when MONGODB_TEST_URI is set (the database it names is dropped afterwards); otherwise
+ * the tests are reported as skipped
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import { CatalogItem, Transform } from '../src/models/models.js';
+import { updateCatalogFromTransform, findCatalogItems, getOriginalData } from '../src/utils/itemCatalog.js';
+import { memoryStore } from '../src/utils/memoryStore.js';
+import { transformRepository } from '../src/utils/repositories.js';
+import { syncMemoryStoreToMongo } from '../src/utils/storeSync.js';
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const mongoTest = MONGODB_TEST_URI ? test : test.skip;
+
+if (!MONGODB_TEST_URI) {
+    console.warn('Memory store to MongoDB migration tests skipped: set MONGODB_TEST_URI to run them');
+}
+
+let tmpDir;
+
+beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-sync-'));
+    process.env.CATALOG_DIR = path.join(tmpDir, 'catalog');
+});
+
+afterAll(async () => {
+    if (mongoose.connection.readyState === 1) {
+        await mongoose.connection.dropDatabase();
+        await mongoose.disconnect();
+    }
+    delete process.env.CATALOG_DIR;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe(MONGODB_TEST_URI ? 'syncMemoryStoreToMongo' : 'syncMemoryStoreToMongo (skipped, MONGODB_TEST_URI is not set)', () => {
+    mongoTest('keeps the later copy of records on both sides', async () => {
+        const transform = (transformId, status) => ({
+            transformId,
+            uploadId: 'sync-upload',
+            outputPath: `/tmp/export_${transformId}.csv`,
+            vendorId: 'AGNE',
+            status
+        });
+
+        // Changed offline after MongoDB's copy was written
+        await transformRepository.create(transform('sync-offline', 'processing'));
+        await transformRepository.updateById('sync-offline', { status: 'completed', rowsProcessed: 40 });
+        // Changed in MongoDB after the offline copy was written
+        await transformRepository.create(transform('sync-online', 'queued'));
+        // Only in the memory store
+        await transformRepository.create(transform('sync-new', 'failed'));
+
+        await mongoose.connect(MONGODB_TEST_URI);
+        const earlier = new Date(Date.now() - 60000);
+        const later = new Date(Date.now() + 60000);
+        await Transform.create({ ...transform('sync-offline', 'processing'), rowsProcessed: 10, updatedAt: earlier });
+        await Transform.create({ ...transform('sync-online', 'cancelled'), updatedAt: later });
+
+        const added = await syncMemoryStoreToMongo();
+
+        expect(added.Transform).toBe(1);
+        expect(memoryStore.find('Transform')).toEqual([]);
+        expect(await transformRepository.findById('sync-offline')).toMatchObject({ status: 'completed', rowsProcessed: 40 });
+        expect(await transformRepository.findById('sync-online')).toMatchObject({ status: 'cancelled', updatedAt: later });
+        expect(await transformRepository.findById('sync-new')).toMatchObject({ status: 'failed' });
+
+        await Transform.deleteMany({ uploadId: 'sync-upload' });
+        await mongoose.disconnect();
+    });
+
+    mongoTest('adds the item catalogs kept without MongoDB to CatalogItem', async () => {
+        const snapshotPath = path.join(tmpDir, 'offline.jsonl');
+        fs.writeFileSync(snapshotPath, [
+            { 'Product Code': '100', UPC: '03600029145', Description: 'Gin', 'Department ID': '5', Price: '11.00' },
+            { 'Product Code': '200', UPC: '', Description: 'Rum', 'Department ID': '7', Price: '8.00' }
+        ].map(item => JSON.stringify(item)).join('\n') + '\n');
+
+        // Completed while MongoDB was unavailable, so it only reaches the memory store
+        await updateCatalogFromTransform({ vendorId: 'AGNE', transformId: 't-offline', snapshotPath });
+
+        // Left by an earlier version that kept catalogs in CATALOG_DIR
+        fs.mkdirSync(process.env.CATALOG_DIR, { recursive: true });
+        fs.writeFileSync(path.join(process.env.CATALOG_DIR, 'PINE.json'), JSON.stringify([{
+            vendorId: 'PINE',
+            itemKey: 'code:300',
+            productCode: '300',
+            upc: '',
+            description: 'Vodka',
+            departmentId: '2',
+            firstSeenAt: '2025-03-01T00:00:00.000Z',
+            lastSeenAt: '2025-03-01T00:00:00.000Z',
+            timesSeen: 4,
+            lastTransformId: 't-legacy'
+        }]));
+
+        await mongoose.connect(MONGODB_TEST_URI);
+        const firstSeenAt = new Date(Date.UTC(2025, 0, 1));
+        await CatalogItem.create({
+            vendorId: 'AGNE',
+            itemKey: 'code:100',
+            productCode: '100',
+            upc: '03600029145',
+            description: 'Gin',
+            departmentId: '3',
+            price: '10.00',
+            firstSeenAt,
+            lastSeenAt: firstSeenAt,
+            timesSeen: 2,
+            lastTransformId: 't-online'
+        });
+
+        const added = await syncMemoryStoreToMongo();
+
+        expect(added.CatalogItem).toBe(2);
+        expect(memoryStore.find('CatalogItems')).toEqual([]);
+        expect(fs.existsSync(path.join(process.env.CATALOG_DIR, 'PINE.json'))).toBe(false);
+
+        const { items, total } = await findCatalogItems({ vendorId: 'AGNE' });
+        expect(total).toBe(2);
+        expect(items[0]).toMatchObject({
+            itemKey: 'code:100',
+            departmentId: '5',
+            price: '11.00',
+            timesSeen: 3,
+            firstSeenAt,
+            lastTransformId: 't-offline'
+        });
+        expect(items[1]).toMatchObject({ itemKey: 'code:200', description: 'Rum', timesSeen: 1 });
+        expect(await getOriginalData('AGNE')).toEqual({ 100: { Department: '5' }, 200: { Department: '7' } });
+        expect((await findCatalogItems({ vendorId: 'PINE' })).items).toEqual([expect.objectContaining({
+            description: 'Vodka',
+            timesSeen: 4,
+            firstSeenAt: new Date('2025-03-01T00:00:00.000Z')
+        })]);
+
+        // Nothing is left to move a second time
+        expect((await syncMemoryStoreToMongo()).CatalogItem).toBe(0);
+        expect((await findCatalogItems({ vendorId: 'AGNE' })).items[0].timesSeen).toBe(3);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for live transform progress events
+ */
+
+import {
+    getTransformProgress,
+    isEventBehind,
+    publishTransformUpdate,
+    subscribeTransformEvents
+} from '../src/utils/transformEvents.js';
+
+describe('getTransformProgress', () => {
+    test('estimates time remaining from the rate so far', () => {
+        const now = new Date('2026-01-01T00:00:10Z');
+        const progress = getTransformProgress({
+            status: 'processing',
+            rowsProcessed: 2500,
+            totalRows: 10000,
+            startedAt: new Date('2026-01-01T00:00:00Z')
+        }, now);
+
+        expect(progress).toEqual({ percent: 25, etaSeconds: 30 });
+    });
+
+    test('reports nothing while the total is unknown', () => {
+        expect(getTransformProgress({ status: 'processing', rowsProcessed: 10, totalRows: null }))
+            .toEqual({ percent: null, etaSeconds: null });
+    });
+
+    test('reports completed transforms as done', () => {
+        expect(getTransformProgress({ status: 'completed', rowsProcessed: 9, totalRows: 10 }))
+            .toEqual({ percent: 100, etaSeconds: 0 });
+    });
+});
+
+describe('publishTransformUpdate', () => {
+    test('merges changes into full snapshots for subscribers of that transform', () => {
+        const events = [];
+        const unsubscribe = subscribeTransformEvents(event => events.push(event), 't1');
+
+        publishTransformUpdate('t1', { status: 'processing', attempts: 1, startedAt: new Date(), warnings: [] });
+        publishTransformUpdate('t2', { status: 'processing' });
+        publishTransformUpdate('t1', { rowsProcessed: 500, totalRows: 1000, warningCount: 3 });
+        publishTransformUpdate('t1', { status: 'completed', rowsProcessed: 1000, totalRows: 1000, warnings: ['a', 'b', 'c', 'd'] });
+        unsubscribe();
+        publishTransformUpdate('t1', { status: 'queued' });
+
+        expect(events.map(e => e.transformId)).toEqual(['t1', 't1', 't1']);
+        expect(events[1]).toMatchObject({ status: 'processing', attempts: 1, rowsProcessed: 500, percent: 50, warningCount: 3 });
+        expect(events[2]).toMatchObject({ status: 'completed', percent: 100, warningCount: 4 });
+    });
+});
+
+describe('isEventBehind', () => {
+    const snapshot = { status: 'processing', attempts: 2, rowsProcessed: 3000 };
+
+    test('drops events from earlier attempts or with fewer rows processed', () => {
+        expect(isEventBehind({ status: 'processing', attempts: 1, rowsProcessed: 9000 }, snapshot)).toBe(true);
+        expect(isEventBehind({ status: 'processing', attempts: 2, rowsProcessed: 2000 }, snapshot)).toBe(true);
+        expect(isEventBehind({ status: 'processing', attempts: 2, rowsProcessed: 3000 }, snapshot)).toBe(false);
+        expect(isEventBehind({ status: 'completed', attempts: 2, rowsProcessed: 5000 }, snapshot)).toBe(false);
+        expect(isEventBehind({ status: 'processing', attempts: 3, rowsProcessed: 0 }, snapshot)).toBe(false);
+    });
+
+    test('drops unfinished events once the snapshot has finished', () => {
+        const finished = { status: 'failed', attempts: 2, rowsProcessed: 3000 };
+        expect(isEventBehind({ status: 'processing', attempts: 2, rowsProcessed: 4000 }, finished)).toBe(true);
+        expect(isEventBehind({ status: 'failed', attempts: 2, rowsProcessed: 3000 }, finished)).toBe(false);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for history search and paging
+ */
+
+import { memoryStore } from '../src/utils/memoryStore.js';
+import { findHistory, encodeHistoryCursor, decodeHistoryCursor } from '../src/utils/transformHistory.js';
+
+const ids = (page) => page.transforms.map(transform => transform.transformId);
+
+const UPLOADS = [
+    { uploadId: 'history-upload-1', filename: 'AGNE Weekly 2025-03-03.csv' },
+    { uploadId: 'history-upload-2', filename: 'pine-specials-march.xlsx' }
+];
+
+// Two transforms share a creation time, so paging has to break the tie by ID
+const TRANSFORMS = [
+    { transformId: 'history-a', uploadId: 'history-upload-1', vendorId: 'AGNE', status: 'completed', warningCount: 3, createdAt: '2025-03-01T10:00:00.000Z' },
+    { transformId: 'history-b', uploadId: 'history-upload-2', vendorId: 'PINE', status: 'failed', warningCount: 0, createdAt: '2025-03-02T10:00:00.000Z' },
+    { transformId: 'history-c', uploadId: 'history-upload-1', vendorId: 'AGNE', status: 'completed', warningCount: 0, createdAt: '2025-03-03T10:00:00.000Z' },
+    { transformId: 'history-d', uploadId: 'history-upload-2', vendorId: 'PINE', status: 'completed', warningCount: 1, createdAt: '2025-03-03T10:00:00.000Z' },
+    { transformId: 'history-e', uploadId: 'history-upload-gone', vendorId: 'AGNE', status: 'cancelled', warningCount: 0, createdAt: '2025-03-04T10:00:00.000Z' }
+];
+
+beforeEach(() => {
+    for (const upload of UPLOADS) memoryStore.save('Upload', upload);
+    for (const transform of TRANSFORMS) {
+        memoryStore.save('Transform', { ...transform, createdAt: new Date(transform.createdAt) });
+    }
+});
+
+afterEach(() => {
+    for (const { uploadId } of UPLOADS) memoryStore.deleteOne('Upload', { uploadId });
+    for (const { transformId } of TRANSFORMS) memoryStore.deleteOne('Transform', { transformId });
+});
+
+describe('findHistory', () => {
+    test('lists transforms newest first with their upload filename', async () => {
+        const page = await findHistory();
+
+        expect(ids(page)).toEqual(['history-e', 'history-d', 'history-c', 'history-b', 'history-a']);
+        expect(page.transforms[1].filename).toBe('pine-specials-march.xlsx');
+        expect(page.transforms[0].filename).toBeUndefined();
+        expect(page.nextCursor).toBeNull();
+    });
+
+    test('pages with a cursor without skipping transforms created at the same time', async () => {
+        const first = await findHistory({}, { limit: 2 });
+        expect(ids(first)).toEqual(['history-e', 'history-d']);
+
+        const second = await findHistory({}, { cursor: first.nextCursor, limit: 2 });
+        expect(ids(second)).toEqual(['history-c', 'history-b']);
+
+        const third = await findHistory({}, { cursor: second.nextCursor, limit: 2 });
+        expect(ids(third)).toEqual(['history-a']);
+        expect(third.nextCursor).toBeNull();
+    });
+
+    test('filters by vendor, status, filename, date range and warnings', async () => {
+        expect(ids(await findHistory({ vendorId: 'PINE' }))).toEqual(['history-d', 'history-b']);
+        expect(ids(await findHistory({ statuses: ['failed', 'cancelled'] }))).toEqual(['history-e', 'history-b']);
+        expect(ids(await findHistory({ search: 'agne weekly' }))).toEqual(['history-c', 'history-a']);
+        expect(ids(await findHistory({
+            from: new Date('2025-03-02T00:00:00.000Z'),
+            to: new Date('2025-03-03T23:59:59.999Z')
+        }))).toEqual(['history-d', 'history-c', 'history-b']);
+        expect(ids(await findHistory({ hasWarnings: true }))).toEqual(['history-d', 'history-a']);
+        expect(ids(await findHistory({ vendorId: 'AGNE', hasWarnings: false }))).toEqual(['history-e', 'history-c']);
+    });
+
+    test('counts free-text warnings of old transforms', async () => {
+        memoryStore.save('Transform', { transformId: 'history-a', warningCount: undefined, warnings: ['Row 2: Invalid UPC'] });
+
+        expect(ids(await findHistory({ hasWarnings: true }))).toEqual(['history-d', 'history-a']);
+    });
+
+    test('rejects malformed cursors', async () => {
+        await expect(findHistory({}, { cursor: 'not-a-cursor' })).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('history cursors', () => {
+    test('round-trip the position of a transform', () => {
+        const position = decodeHistoryCursor(encodeHistoryCursor(TRANSFORMS[2]));
+
+        expect(position.transformId).toBe('history-c');
+        expect(position.createdAt.toISOString()).toBe('2025-03-03T10:00:00.000Z');
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for re-run lineage
+ */
+
+import { memoryStore } from '../src/utils/memoryStore.js';
+import { getTransformLineage, countReruns } from '../src/utils/transformJobs.js';
+
+const ids = (records) => records.map(record => record.transformId);
+
+// first -> second -> third -> fourth, and first -> sibling
+const RUNS = [
+    { transformId: 'lineage-first', rerunOf: null, createdAt: '2025-06-01T00:00:00.000Z' },
+    { transformId: 'lineage-second', rerunOf: 'lineage-first', createdAt: '2025-06-02T00:00:00.000Z' },
+    { transformId: 'lineage-sibling', rerunOf: 'lineage-first', createdAt: '2025-06-03T00:00:00.000Z' },
+    { transformId: 'lineage-third', rerunOf: 'lineage-second', createdAt: '2025-06-04T00:00:00.000Z' },
+    { transformId: 'lineage-fourth', rerunOf: 'lineage-third', createdAt: '2025-06-05T00:00:00.000Z' }
+];
+
+const findRun = (transformId) => memoryStore.findOne('Transform', { transformId });
+
+beforeEach(() => {
+    for (const run of RUNS) {
+        memoryStore.save('Transform', { ...run, uploadId: 'lineage-upload', status: 'completed' });
+    }
+});
+
+afterEach(() => {
+    for (const { transformId } of RUNS) {
+        memoryStore.deleteOne('Transform', { transformId });
+    }
+});
+
+describe('getTransformLineage', () => {
+    test('lists the runs a transform re-ran, then its re-runs by generation', async () => {
+        expect(ids(await getTransformLineage(findRun('lineage-second'))))
+            .toEqual(['lineage-first', 'lineage-second', 'lineage-third', 'lineage-fourth']);
+
+        expect(ids(await getTransformLineage(findRun('lineage-first'))))
+            .toEqual(['lineage-first', 'lineage-second', 'lineage-sibling', 'lineage-third', 'lineage-fourth']);
+    });
+
+    test('stops at deleted runs', async () => {
+        memoryStore.deleteOne('Transform', { transformId: 'lineage-second' });
+
+        const lineage = await getTransformLineage(findRun('lineage-third'));
+        expect(ids(lineage)).toEqual(['lineage-third', 'lineage-fourth']);
+        // The link to the deleted run is kept
+        expect(lineage[0].rerunOf).toBe('lineage-second');
+    });
+});
+
+describe('countReruns', () => {
+    test('counts direct re-runs of the listed transforms', async () => {
+        expect(await countReruns(['lineage-first', 'lineage-fourth', 'lineage-third']))
+            .toEqual({ 'lineage-first': 2, 'lineage-third': 1 });
+    });
+});
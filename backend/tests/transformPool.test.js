@@ -0,0 +1,118 @@
+/**
+ * Unit tests for transforming rows on worker threads
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { streamProcessFile } from '../src/utils/fileProcessor.js';
+import { transformRow } from '../src/utils/transformer.js';
+import { registerVendor, unregisterVendor } from '../src/utils/transformers/vendorRegistry.js';
+import { createDeclarativeTransformer } from '../src/utils/transformers/declarativeVendor.js';
+import { createPooledTransform, closeTransformPool } from '../src/utils/transformPool.js';
+
+const depositMapping = { '0.1': '23', '0.05': '24' };
+let tmpDir;
+let inputPath;
+
+beforeAll(() => {
+    process.env.TRANSFORM_WORKERS = '2';
+    process.env.TRANSFORM_BATCH_SIZE = '7';
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transform-pool-'));
+
+    // Enough rows for several batches per worker, with warnings scattered through them
+    const lines = ['Item,UPC,Description,TAX1,BOTTLE_DEPOSIT,REG_RETAIL'];
+    for (let i = 1; i <= 100; i++) {
+        const tax = i % 9 === 0 ? 'maybe' : 'Y';
+        const deposit = i % 4 === 0 ? '0.10' : '';
+        lines.push(`${i},${String(i).padStart(11, '0')},Item ${i},${tax},${deposit},${i}.99`);
+    }
+    inputPath = path.join(tmpDir, 'input.csv');
+    fs.writeFileSync(inputPath, lines.join('\n'));
+});
+
+afterAll(async () => {
+    await closeTransformPool();
+    delete process.env.TRANSFORM_WORKERS;
+    delete process.env.TRANSFORM_BATCH_SIZE;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Transform the input on the main thread and on the pool
+ */
+async function transformBothWays(vendorId, name) {
+    const mainPath = path.join(tmpDir, `${name}-main.csv`);
+    const pooledPath = path.join(tmpDir, `${name}-pooled.csv`);
+
+    const main = await streamProcessFile(
+        inputPath,
+        mainPath,
+        (row) => transformRow(row, depositMapping, { vendorId })
+    );
+
+    const pooled = createPooledTransform(vendorId, depositMapping);
+    expect(pooled).not.toBeNull();
+    let progress = 0;
+    let result;
+    try {
+        result = await streamProcessFile(inputPath, pooledPath, () => {
+            throw new Error('transformFn should not be called when transformBatch is given');
+        }, (processed) => {
+            expect(processed).toBe(progress + 1);
+            progress = processed;
+        }, {
+            transformBatch: pooled.transformBatch,
+            parallelism: pooled.parallelism
+        });
+    } finally {
+        pooled.close();
+    }
+
+    return {
+        main,
+        pooled: result,
+        mainOutput: fs.readFileSync(mainPath, 'utf8'),
+        pooledOutput: fs.readFileSync(pooledPath, 'utf8')
+    };
+}
+
+describe('createPooledTransform', () => {
+    test('matches main-thread output, order and warning row numbers', async () => {
+        const { main, pooled, mainOutput, pooledOutput } = await transformBothWays('AGNE', 'agne');
+
+        expect(pooled.processed).toBe(100);
+        expect(pooledOutput).toBe(mainOutput);
+        expect(pooled.warnings).toEqual(main.warnings);
+        expect(pooled.warnings.length).toBeGreaterThan(0);
+    });
+
+    test('runs declarative vendors registered on the main thread', async () => {
+        registerVendor('POOL_TEST', createDeclarativeTransformer({
+            vendorId: 'POOL_TEST',
+            vendorName: 'Pool Test',
+            columns: [
+                { output: 'Code', source: 'Item', transform: { name: 'padStart', length: 6 } },
+                { output: 'Fee ID', source: 'BOTTLE_DEPOSIT', transform: 'depositLookup' }
+            ]
+        }));
+
+        try {
+            const { pooled, mainOutput, pooledOutput } = await transformBothWays('POOL_TEST', 'declarative');
+            expect(pooledOutput).toBe(mainOutput);
+            expect(pooledOutput.split('\n')[4]).toBe('000004,23');
+            expect(pooled.processed).toBe(100);
+        } finally {
+            unregisterVendor('POOL_TEST');
+        }
+    });
+
+    test('returns null when workers are disabled', () => {
+        process.env.TRANSFORM_WORKERS = '0';
+        try {
+            expect(createPooledTransform('AGNE', {})).toBeNull();
+        } finally {
+            process.env.TRANSFORM_WORKERS = '2';
+        }
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for transform warning storage (in-memory store, no MongoDB connection)
+ */
+
+import { createWarning } from '../src/utils/transformers/helpers.js';
+import {
+    summarizeWarnings,
+    saveTransformWarnings,
+    findTransformWarnings,
+    deleteTransformWarnings,
+    getWarningTotals,
+    groupTransformWarnings,
+    iterateTransformWarnings
+} from '../src/utils/transformWarnings.js';
+
+const rowWarning = (row, code, message) => ({ row, ...createWarning(code, message) });
+
+describe('createWarning', () => {
+    test('uses the code\'s default severity and stringifies the value', () => {
+        expect(createWarning('INVALID_PRICE', 'Invalid price', { value: 4, outputColumn: 'Price' })).toEqual({
+            code: 'INVALID_PRICE',
+            severity: 'error',
+            sourceColumn: null,
+            outputColumn: 'Price',
+            value: '4',
+            message: 'Invalid price'
+        });
+        expect(createWarning('INVALID_PRICE', 'Invalid price', { severity: 'info' }).severity).toBe('info');
+    });
+});
+
+describe('transform warning storage', () => {
+    const transform = { transformId: 'warnings-test', warnings: [], warningSummary: { bySeverity: {}, byCode: {} } };
+
+    afterEach(() => deleteTransformWarnings(transform.transformId));
+
+    test('appends warnings and pages through them with filters', async () => {
+        await saveTransformWarnings(transform.transformId, [
+            rowWarning(1, 'INVALID_PRICE', 'a'),
+            rowWarning(2, 'UNPARSEABLE_DATE', 'b')
+        ]);
+        await saveTransformWarnings(transform.transformId, [
+            rowWarning(3, 'INVALID_PRICE', 'c'),
+            rowWarning(4, 'DEPARTMENT_PRESERVED', 'd')
+        ]);
+
+        const all = await findTransformWarnings(transform, { page: 2, limit: 3 });
+        expect(all.total).toBe(4);
+        expect(all.warnings.map(w => w.message)).toEqual(['d']);
+
+        const prices = await findTransformWarnings(transform, { codes: ['INVALID_PRICE'] });
+        expect(prices.warnings.map(w => w.row)).toEqual([1, 3]);
+
+        const notErrors = await findTransformWarnings(transform, { severities: ['warning', 'info'] });
+        expect(notErrors.warnings.map(w => w.code)).toEqual(['UNPARSEABLE_DATE', 'DEPARTMENT_PRESERVED']);
+
+        await deleteTransformWarnings(transform.transformId);
+        expect((await findTransformWarnings(transform)).total).toBe(0);
+    });
+
+    test('groups warnings by code and iterates a filtered set', async () => {
+        await saveTransformWarnings(transform.transformId, [
+            rowWarning(1, 'UNPARSEABLE_DATE', 'a'),
+            rowWarning(2, 'INVALID_PRICE', 'b'),
+            rowWarning(3, 'UNPARSEABLE_DATE', 'c'),
+            rowWarning(4, 'DEPARTMENT_PRESERVED', 'd')
+        ]);
+
+        expect(await groupTransformWarnings(transform)).toEqual([
+            { code: 'INVALID_PRICE', severity: 'error', count: 1 },
+            { code: 'UNPARSEABLE_DATE', severity: 'warning', count: 2 },
+            { code: 'DEPARTMENT_PRESERVED', severity: 'info', count: 1 }
+        ]);
+
+        const rows = [];
+        for await (const warning of iterateTransformWarnings(transform, { codes: ['UNPARSEABLE_DATE'] })) {
+            rows.push(warning.row);
+        }
+        expect(rows).toEqual([1, 3]);
+    });
+
+    test('summarizes warnings by severity and code', () => {
+        const summary = summarizeWarnings([
+            rowWarning(1, 'INVALID_PRICE', 'a'),
+            rowWarning(2, 'INVALID_PRICE', 'b'),
+            rowWarning(2, 'UNPARSEABLE_DATE', 'c')
+        ]);
+
+        expect(summary).toEqual({
+            bySeverity: { error: 2, warning: 1 },
+            byCode: { INVALID_PRICE: 2, UNPARSEABLE_DATE: 1 }
+        });
+    });
+
+    test('reads free-text warnings of older transforms', async () => {
+        const legacy = { transformId: 'legacy', warningSummary: null, warnings: ['Row 7: Invalid price', 'odd'] };
+
+        const { warnings, total } = await findTransformWarnings(legacy);
+        expect(total).toBe(2);
+        expect(warnings[0]).toMatchObject({ row: 7, code: 'TRANSFORM_WARNING', message: 'Invalid price' });
+        expect(warnings[1]).toMatchObject({ row: null, message: 'odd' });
+        expect(getWarningTotals(legacy)).toEqual({
+            warningCount: 2,
+            warningSummary: { bySeverity: { warning: 2 }, byCode: { TRANSFORM_WARNING: 2 } }
+        });
+    });
+});
@@ -57,7 +57,8 @@ describe('transformTAX1', () => {
     test('preserves unexpected values with warning', () => {
         const result = transformTAX1('X');
         expect(result.value).toBe('X');
-        expect(result.warning).toContain('unexpected value');
+        expect(result.warning).toMatchObject({ code: 'UNEXPECTED_TAX_VALUE', severity: 'warning', value: 'X' });
+        expect(result.warning.message).toContain('unexpected value');
     });
 
     test('handles empty value', () => {
@@ -128,7 +129,8 @@ describe('normalizeDate', () => {
     test('handles invalid date with warning', () => {
         const result = normalizeDate('invalid');
         expect(result.value).toBe('');
-        expect(result.warning).toContain('Could not parse date');
+        expect(result.warning).toMatchObject({ code: 'UNPARSEABLE_DATE', value: 'invalid' });
+        expect(result.warning.message).toContain('Could not parse date');
     });
 
     test('handles empty date', () => {
@@ -255,7 +257,7 @@ describe('transformRow', () => {
         const { transformedRow, warnings } = transformRow(inputRow, {});
 
         expect(transformedRow.BOTTLE_DEPOSIT).toBe('');
-        expect(warnings.some(w => w.includes('No deposit mapping'))).toBe(true);
+        expect(warnings.some(w => w.code === 'MISSING_DEPOSIT_MAPPING' && w.message.includes('No deposit mapping'))).toBe(true);
     });
 
     test('replaces deposit amount with ID from mapping', () => {
@@ -419,7 +421,7 @@ describe('transformRow', () => {
         const { transformedRow, warnings } = transformRow(inputRow, {}, options);
 
         expect(transformedRow.Department).toBe('Snacks'); // Should use original
-        expect(warnings.some(w => w.includes('Department ID changed'))).toBe(true);
+        expect(warnings.some(w => w.outputColumn === 'Department ID' && w.message.includes('Department ID changed'))).toBe(true);
     });
 });
 
@@ -428,9 +430,10 @@ describe('preserveDepartmentID', () => {
         const result = preserveDepartmentID('Beverages', 'Snacks');
 
         expect(result.value).toBe('Snacks');
-        expect(result.warning).toContain('Department ID changed');
-        expect(result.warning).toContain('Snacks');
-        expect(result.warning).toContain('Beverages');
+        expect(result.warning).toMatchObject({ code: 'DEPARTMENT_PRESERVED', severity: 'info', value: 'Beverages' });
+        expect(result.warning.message).toContain('Department ID changed');
+        expect(result.warning.message).toContain('Snacks');
+        expect(result.warning.message).toContain('Beverages');
     });
 
     test('uses incoming value when no original provided', () => {
@@ -451,7 +454,7 @@ describe('preserveDepartmentID', () => {
         const result = preserveDepartmentID('', 'Snacks');
 
         expect(result.value).toBe('Snacks');
-        expect(result.warning).toContain('Department ID changed');
+        expect(result.warning.message).toContain('Department ID changed');
     });
 });
 
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for vendor detection from header rows
+ */
+
+import {
+    detectVendor,
+    detectVendorSheet,
+    matchVendorColumns,
+    getVendorColumnWarnings
+} from '../src/utils/vendorDetection.js';
+
+const agneHeaders = [
+    'Status', 'Item', 'UPC', 'CaseUPC', 'Description', 'Department', 'MANUFACTURER', 'REG_MULTIPLE',
+    'REG_RETAIL', 'CASE_RETAIL', 'PACK', 'REGULARCOST', 'TAX1', 'TAX2', 'TAX3', 'FOOD_STAMP', 'WIC',
+    'BOTTLE_DEPOSIT', 'CASE_DEPOSIT', 'PRC_GRP', 'SALE_MULTIPLE', 'SALE_RETAIL', 'SALE_COST',
+    'SALE_START_DATE', 'SALE_END_DATE', 'TPR_MULTIPLE', 'TPR_RETAIL', 'TPR_COST', 'TPR_START_DATE',
+    'TPR_END_DATE', 'FUTURE_RETAIL', 'FUTURE_COST', 'FUTURE_ACTIVE_DATE', 'FUTURE_MULTIPLE', 'BRAND',
+    'ITEM_SIZE', 'ITEM_UOM', 'PBHN', 'CLASS'
+];
+
+const pineStateHeaders = [
+    'Item #', 'Description', 'Size', 'Unit', 'UPC', 'Proof', 'Effective Start', 'Effective End',
+    'Retail', 'Sale Price', 'Retail Savings', 'Agency Cost', 'Agency Sale Cost', 'Agency Savings'
+];
+
+describe('detectVendor', () => {
+    test('ranks AGNE first for an AGNE header row', () => {
+        const [best, second] = detectVendor(agneHeaders);
+        expect(best.vendorId).toBe('AGNE');
+        expect(best.confidence).toBeGreaterThan(0.9);
+        expect(best.confidence).toBeGreaterThan(second.confidence);
+    });
+
+    test('ranks Pine State first for a Pine State header row', () => {
+        const [best] = detectVendor(pineStateHeaders);
+        expect(best.vendorId).toBe('PINE_STATE_SPIRITS');
+        expect(best.missingRequired).toEqual([]);
+    });
+
+    test('matches columns case- and punctuation-insensitively', () => {
+        const { missingRequired } = matchVendorColumns('PINE_STATE_SPIRITS', ['item#', 'upc', 'RETAIL PRICE']);
+        expect(missingRequired).toEqual([]);
+    });
+
+    test('returns no suggestions for an empty header row', () => {
+        expect(detectVendor([])).toEqual([]);
+    });
+});
+
+describe('getVendorColumnWarnings', () => {
+    test('warns about missing required columns and a better match', () => {
+        const warnings = getVendorColumnWarnings('AGNE', pineStateHeaders);
+        expect(warnings).toHaveLength(2);
+        expect(warnings[0]).toContain('REG_RETAIL');
+        expect(warnings[1]).toContain('Pine State Spirits');
+    });
+
+    test('returns no warnings when the vendor fits', () => {
+        expect(getVendorColumnWarnings('AGNE', agneHeaders)).toEqual([]);
+    });
+});
+
+describe('detectVendorSheet', () => {
+    test('skips a cover sheet in favour of the vendor data sheet', () => {
+        const sheets = [
+            { name: 'Cover', columns: ['Price List', '__EMPTY'] },
+            { name: 'Empty', columns: [] },
+            { name: 'Spirits', columns: pineStateHeaders }
+        ];
+        expect(detectVendorSheet(sheets)).toBe('Spirits');
+    });
+
+    test('falls back to the first sheet when nothing has a header row', () => {
+        expect(detectVendorSheet([{ name: 'A', columns: [] }, { name: 'B', columns: [] }])).toBe('A');
+        expect(detectVendorSheet([])).toBeNull();
+    });
+});
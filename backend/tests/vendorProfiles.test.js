@@ -0,0 +1,85 @@
+/**
+ * Unit tests for vendor profile persistence (memory store fallback)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    saveVendorProfile,
+    deleteVendorProfile,
+    findVendorProfile,
+    getVendorDefinition,
+    loadVendorProfiles
+} from '../src/utils/vendorProfiles.js';
+import { isVendorSupported, transformRow } from '../src/utils/transformer.js';
+import { unregisterVendor } from '../src/utils/transformers/vendorRegistry.js';
+import { getComparisonColumns } from '../src/utils/priceChanges.js';
+import { memoryStore } from '../src/utils/memoryStore.js';
+
+const definition = {
+    vendorId: 'PROFILE_TEST',
+    vendorName: 'Profile Test',
+    columns: [
+        { output: 'Vendor ID', constant: '7' },
+        { output: 'UPC', source: ['UPC'], transform: 'transformUPC' }
+    ]
+};
+
+describe('vendor profiles', () => {
+    test('creates, updates and deletes a profile', async () => {
+        await saveVendorProfile(definition, { isNew: true });
+        expect(isVendorSupported('PROFILE_TEST')).toBe(true);
+        expect(transformRow({ UPC: '0123' }, {}, { vendorId: 'PROFILE_TEST' }).transformedRow)
+            .toEqual({ 'Vendor ID': '7', UPC: '123' });
+
+        await expect(saveVendorProfile(definition, { isNew: true })).rejects.toMatchObject({ status: 409 });
+
+        await saveVendorProfile({ ...definition, vendorName: 'Renamed' }, { isNew: false });
+        expect((await findVendorProfile('PROFILE_TEST')).vendorName).toBe('Renamed');
+
+        expect(await deleteVendorProfile('PROFILE_TEST')).toBe(true);
+        expect(isVendorSupported('PROFILE_TEST')).toBe(false);
+        expect(await findVendorProfile('PROFILE_TEST')).toBeNull();
+    });
+
+    test('keeps comparison columns across a restart', async () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vendor-profiles-'));
+        const storeFile = path.join(tmpDir, 'memory-store.ndjson');
+        memoryStore.open(storeFile);
+
+        try {
+            await saveVendorProfile({ ...definition, comparisonColumns: { price: 'Retail', specials: [] } }, { isNew: true });
+
+            memoryStore.close();
+            unregisterVendor('PROFILE_TEST');
+            memoryStore.open(storeFile);
+            expect(await loadVendorProfiles()).toEqual(['PROFILE_TEST']);
+
+            expect((await findVendorProfile('PROFILE_TEST')).comparisonColumns).toEqual({ price: 'Retail', specials: [] });
+            expect(getVendorDefinition('PROFILE_TEST').comparisonColumns).toEqual({ price: 'Retail', specials: [] });
+            expect(getComparisonColumns('PROFILE_TEST')).toMatchObject({ price: 'Retail', specials: [], cost: 'Cost' });
+        } finally {
+            await deleteVendorProfile('PROFILE_TEST');
+            memoryStore.close();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    test('rejects invalid definitions with details', async () => {
+        await expect(saveVendorProfile({ vendorId: 'BAD', columns: [] }, { isNew: true }))
+            .rejects.toMatchObject({ status: 400, details: expect.any(Array) });
+    });
+
+    test('keeps built-in vendors read-only', async () => {
+        await expect(saveVendorProfile({ ...definition, vendorId: 'AGNE' }, { isNew: false }))
+            .rejects.toMatchObject({ status: 403 });
+        await expect(deleteVendorProfile('AGNE')).rejects.toMatchObject({ status: 403 });
+    });
+
+    test('builds a clone template for built-in vendors', () => {
+        const template = getVendorDefinition('AGNE');
+        expect(template.columns[0]).toEqual({ output: 'Vendor ID', constant: '3' });
+        expect(template.columns.find(c => c.output === 'UPC')).toEqual({ output: 'UPC', source: ['UPC'] });
+    });
+});
@@ -8,8 +8,12 @@ import Navbar from './components/Navbar';
 import UploadPage from './pages/UploadPage';
 import PreviewPage from './pages/PreviewPage';
 import TransformPage from './pages/TransformPage';
+import WarningsPage from './pages/WarningsPage';
+import ChangesPage from './pages/ChangesPage';
 import DepositMapPage from './pages/DepositMapPage';
+import VendorsPage from './pages/VendorsPage';
 import HistoryPage from './pages/HistoryPage';
+import CatalogPage from './pages/CatalogPage';
 
 function App() {
   return (
@@ -22,8 +26,12 @@ function App() {
             <Route path="/" element={<UploadPage />} />
             <Route path="/preview/:uploadId" element={<PreviewPage />} />
             <Route path="/transform/:transformId" element={<TransformPage />} />
+            <Route path="/transform/:transformId/warnings" element={<WarningsPage />} />
+            <Route path="/transform/:transformId/changes" element={<ChangesPage />} />
             <Route path="/deposit-map" element={<DepositMapPage />} />
+            <Route path="/vendors" element={<VendorsPage />} />
             <Route path="/history" element={<HistoryPage />} />
+            <Route path="/catalog" element={<CatalogPage />} />
           </Routes>
         </main>
 
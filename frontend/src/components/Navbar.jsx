@@ -51,6 +51,20 @@ const Navbar = () => {
                             Deposit Map
                         </Link>
 
+                        <Link
+                            to="/vendors"
+                            className={`btn btn-sm ${isActive('/vendors') ? 'btn-primary' : 'btn-secondary'}`}
+                        >
+                            Vendors
+                        </Link>
+
+                        <Link
+                            to="/catalog"
+                            className={`btn btn-sm ${isActive('/catalog') ? 'btn-primary' : 'btn-secondary'}`}
+                        >
+                            Catalog
+                        </Link>
+
                         <Link
                             to="/history"
                             className={`btn btn-sm ${isActive('/history') ? 'btn-primary' : 'btn-secondary'}`}
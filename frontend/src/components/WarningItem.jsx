@@ -0,0 +1,35 @@
+/**
+ * Warning Item Component
+ * One structured transform warning with its severity, code, row and columns
+ */
+
+const SEVERITY_ALERTS = {
+    error: 'alert-error',
+    warning: 'alert-warning',
+    info: 'alert-info'
+};
+
+const WarningItem = ({ warning }) => {
+    const location = [
+        warning.row ? `Row ${warning.row}` : null,
+        warning.sheet ? `sheet "${warning.sheet}"` : null,
+        warning.sourceColumn && warning.outputColumn && warning.sourceColumn !== warning.outputColumn
+            ? `${warning.sourceColumn} → ${warning.outputColumn}`
+            : warning.outputColumn || warning.sourceColumn
+    ].filter(Boolean).join(' · ');
+
+    return (
+        <div
+            className={`alert ${SEVERITY_ALERTS[warning.severity] || 'alert-warning'}`}
+            style={{ marginBottom: 'var(--space-sm)' }}
+        >
+            <div className="flex" style={{ gap: 'var(--space-sm)', flexWrap: 'wrap', alignItems: 'baseline' }}>
+                <code>{warning.code}</code>
+                {location && <span className="text-tertiary">{location}</span>}
+            </div>
+            <div>{warning.message}</div>
+        </div>
+    );
+};
+
+export default WarningItem;
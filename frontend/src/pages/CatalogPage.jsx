@@ -0,0 +1,196 @@
+/**
+ * Item Catalog Page
+ * Browses and searches the item master built from completed transformations,
+ * one vendor at a time
+ */
+
+import { useState, useEffect } from 'react';
+import { getCatalog, getCatalogItems } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+/**
+ * Get a readable error message from a failed request
+ * @param {Error} err - Axios error
+ * @param {string} fallback - Message when the server gave none
+ * @returns {string}
+ */
+const getErrorMessage = (err, fallback) => err.response?.data?.error || fallback;
+
+const CatalogPage = () => {
+    const [catalog, setCatalog] = useState(null);
+    const [vendorId, setVendorId] = useState('');
+    const [searchInput, setSearchInput] = useState('');
+    const [search, setSearch] = useState('');
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    // The first vendor is shown until another is chosen
+    const selectedVendor = vendorId || catalog?.vendors[0]?.vendorId || '';
+    const requestKey = `${selectedVendor}|${search}|${page}`;
+    const loading = !error && (!catalog || (selectedVendor !== '' && result?.key !== requestKey));
+
+    useEffect(() => {
+        let cancelled = false;
+
+        getCatalog()
+            .then(data => {
+                if (!cancelled) setCatalog(data);
+            })
+            .catch(err => {
+                if (!cancelled) setError(getErrorMessage(err, 'Failed to load the catalog'));
+            });
+
+        return () => { cancelled = true; };
+    }, []);
+
+    useEffect(() => {
+        if (!selectedVendor) return undefined;
+        let cancelled = false;
+
+        getCatalogItems(selectedVendor, { search, page, limit: PAGE_SIZE })
+            .then(data => {
+                if (!cancelled) setResult({ ...data, key: `${selectedVendor}|${search}|${page}` });
+            })
+            .catch(err => {
+                if (!cancelled) setError(getErrorMessage(err, 'Failed to load catalog items'));
+            });
+
+        return () => { cancelled = true; };
+    }, [selectedVendor, search, page]);
+
+    const handleVendorChange = (nextVendorId) => {
+        setVendorId(nextVendorId);
+        setPage(1);
+        setError(null);
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setSearch(searchInput.trim());
+        setPage(1);
+        setError(null);
+    };
+
+    const vendors = catalog?.vendors || [];
+    const totalPages = result?.totalPages || 1;
+    const items = result?.items || [];
+
+    return (
+        <div className="container section">
+            <div className="mb-xl">
+                <h2>Item Catalog</h2>
+                <p className="text-secondary">
+                    Items from completed transformations. Departments here are kept when a vendor file changes them
+                </p>
+            </div>
+
+            {error && (
+                <div className="alert alert-error mb-lg">
+                    <strong>Error:</strong> {error}
+                </div>
+            )}
+
+            {catalog && vendors.length === 0 ? (
+                <div className="card text-center">
+                    <p className="text-secondary">
+                        The catalog is empty. Items are added when a transformation completes.
+                    </p>
+                </div>
+            ) : (
+                <div className="card">
+                    <div className="card-header flex-between" style={{ gap: 'var(--space-md)', flexWrap: 'wrap' }}>
+                        <div className="flex" style={{ gap: 'var(--space-sm)', alignItems: 'center' }}>
+                            <select
+                                className="form-select"
+                                style={{ width: 'auto' }}
+                                value={selectedVendor}
+                                onChange={(e) => handleVendorChange(e.target.value)}
+                            >
+                                {vendors.map(vendor => (
+                                    <option key={vendor.vendorId} value={vendor.vendorId}>
+                                        {vendor.vendorId} ({vendor.itemCount.toLocaleString()} items)
+                                    </option>
+                                ))}
+                            </select>
+                            <form className="flex" style={{ gap: 'var(--space-sm)' }} onSubmit={handleSearch}>
+                                <input
+                                    className="form-input"
+                                    type="search"
+                                    placeholder="Product code, UPC or description"
+                                    value={searchInput}
+                                    onChange={(e) => setSearchInput(e.target.value)}
+                                />
+                                <button className="btn btn-sm btn-secondary" type="submit">
+                                    🔍 Search
+                                </button>
+                            </form>
+                        </div>
+                        <div className="flex" style={{ gap: 'var(--space-sm)', alignItems: 'center' }}>
+                            <span className="text-secondary">
+                                {result ? `${result.total.toLocaleString()} items` : ''}
+                            </span>
+                            <button
+                                className="btn btn-sm btn-secondary"
+                                onClick={() => setPage(page - 1)}
+                                disabled={page <= 1 || loading}
+                            >
+                                ← Prev
+                            </button>
+                            <span className="text-secondary">Page {page} of {totalPages}</span>
+                            <button
+                                className="btn btn-sm btn-secondary"
+                                onClick={() => setPage(page + 1)}
+                                disabled={page >= totalPages || loading}
+                            >
+                                Next →
+                            </button>
+                        </div>
+                    </div>
+
+                    {loading ? (
+                        <div className="text-center">
+                            <div className="spinner"></div>
+                        </div>
+                    ) : items.length === 0 ? (
+                        <p className="text-secondary">No items match this search.</p>
+                    ) : (
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>Product Code</th>
+                                        <th>UPC</th>
+                                        <th>Description</th>
+                                        <th>Department</th>
+                                        <th>Price</th>
+                                        <th>Cost</th>
+                                        <th>Seen</th>
+                                        <th>Last Seen</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {items.map(item => (
+                                        <tr key={item.itemKey}>
+                                            <td>{item.productCode || '-'}</td>
+                                            <td style={{ fontFamily: 'monospace' }}>{item.upc || '-'}</td>
+                                            <td>{item.description || '-'}</td>
+                                            <td>{item.departmentId || '-'}</td>
+                                            <td>{item.price || '-'}</td>
+                                            <td>{item.cost || '-'}</td>
+                                            <td>{item.timesSeen}×</td>
+                                            <td>{new Date(item.lastSeenAt).toLocaleDateString()}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CatalogPage;
@@ -0,0 +1,247 @@
+/**
+ * Price Changes Page
+ * Compares a transformation with the vendor's previous one: new and discontinued items,
+ * price, cost and department changes, and specials that started or ended
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { getTransformChanges, getChangesExportUrl } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const CHANGE_LABELS = {
+    NEW_ITEM: 'New items',
+    DISCONTINUED_ITEM: 'Discontinued items',
+    PRICE_CHANGE: 'Price changes',
+    COST_CHANGE: 'Cost changes',
+    DEPARTMENT_CHANGE: 'Department changes',
+    NEW_SPECIAL: 'New specials',
+    ENDED_SPECIAL: 'Ended specials'
+};
+
+const CHANGE_BADGES = {
+    NEW_ITEM: 'badge-success',
+    DISCONTINUED_ITEM: 'badge-error',
+    PRICE_CHANGE: 'badge-warning',
+    COST_CHANGE: 'badge-warning',
+    DEPARTMENT_CHANGE: 'badge-info',
+    NEW_SPECIAL: 'badge-primary',
+    ENDED_SPECIAL: 'badge-info'
+};
+
+/**
+ * Get a readable error message from a failed request
+ * @param {Error} err - Axios error
+ * @param {string} fallback - Message when the server gave none
+ * @returns {string}
+ */
+const getErrorMessage = (err, fallback) => err.response?.data?.error || fallback;
+
+/**
+ * Format a numeric difference with its sign and percentage
+ * @param {Object} change - Change entry
+ * @returns {string}
+ */
+const formatDifference = (change) => {
+    if (change.difference === null || change.difference === undefined) return '-';
+    const sign = change.difference > 0 ? '+' : '';
+    const percent = change.percentChange !== null && change.percentChange !== undefined
+        ? ` (${sign}${change.percentChange}%)`
+        : '';
+    return `${sign}${change.difference}${percent}`;
+};
+
+const ChangesPage = () => {
+    const { transformId } = useParams();
+    const navigate = useNavigate();
+    const [type, setType] = useState('');
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    const requestKey = `${page}|${type}`;
+    const loading = !error && result?.key !== requestKey;
+
+    useEffect(() => {
+        let cancelled = false;
+
+        getTransformChanges(transformId, { page, limit: PAGE_SIZE, type })
+            .then(data => {
+                if (!cancelled) setResult({ ...data, key: `${page}|${type}` });
+            })
+            .catch(err => {
+                if (!cancelled) setError(getErrorMessage(err, 'Failed to load price changes'));
+            });
+
+        return () => { cancelled = true; };
+    }, [transformId, page, type]);
+
+    const applyFilter = (nextType) => {
+        setType(nextType);
+        setPage(1);
+        setError(null);
+    };
+
+    const summary = result?.summary || {};
+    const totalChanges = Object.values(summary).reduce((sum, count) => sum + count, 0);
+    const totalPages = result?.totalPages || 1;
+    const changes = result?.changes || [];
+
+    return (
+        <div className="container section">
+            <div className="flex-between mb-xl">
+                <div>
+                    <h2>Price Changes</h2>
+                    <p className="text-secondary">
+                        {result
+                            ? `${totalChanges.toLocaleString()} changes since ${result.previous.filename}` +
+                              (result.previous.completedAt ? ` (${new Date(result.previous.completedAt).toLocaleDateString()})` : '')
+                            : error ? 'No report' : 'Comparing with the previous file...'}
+                        {' • '}
+                        <span style={{ fontFamily: 'monospace' }}>{transformId.substring(0, 8)}...</span>
+                    </p>
+                </div>
+                <div className="flex" style={{ gap: 'var(--space-sm)' }}>
+                    <button className="btn btn-secondary" onClick={() => navigate(`/transform/${transformId}`)}>
+                        ← Back to Transform
+                    </button>
+                    {result && (
+                        <a
+                            className="btn btn-primary"
+                            href={getChangesExportUrl(transformId, { type })}
+                            download
+                        >
+                            ⬇️ Export CSV
+                        </a>
+                    )}
+                </div>
+            </div>
+
+            {error && (
+                <div className="alert alert-error mb-lg">
+                    <strong>Error:</strong> {error}
+                </div>
+            )}
+
+            {result && (
+                <>
+                    {/* Summary */}
+                    <div className="card mb-xl">
+                        <div className="card-header">
+                            <h4 className="card-title">Summary</h4>
+                            <p className="card-subtitle">
+                                {result.previousItems.toLocaleString()} items before,
+                                {' '}{result.currentItems.toLocaleString()} items now. Select a type to list only its changes
+                            </p>
+                        </div>
+
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>Change</th>
+                                        <th>Count</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    <tr
+                                        onClick={() => applyFilter('')}
+                                        style={{ cursor: 'pointer', fontWeight: type === '' ? 'bold' : undefined }}
+                                    >
+                                        <td>All changes</td>
+                                        <td>{totalChanges.toLocaleString()}</td>
+                                    </tr>
+                                    {Object.entries(CHANGE_LABELS).map(([changeType, label]) => (
+                                        <tr
+                                            key={changeType}
+                                            onClick={() => applyFilter(changeType === type ? '' : changeType)}
+                                            style={{ cursor: 'pointer', fontWeight: changeType === type ? 'bold' : undefined }}
+                                        >
+                                            <td>
+                                                <span className={`badge ${CHANGE_BADGES[changeType]}`}>{label}</span>
+                                            </td>
+                                            <td>{(summary[changeType] || 0).toLocaleString()}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    {/* Change list */}
+                    <div className="card">
+                        <div className="card-header flex-between">
+                            <div>
+                                <h4 className="card-title">{CHANGE_LABELS[type] || 'All changes'}</h4>
+                                <p className="card-subtitle">{result.total.toLocaleString()} matching changes</p>
+                            </div>
+                            <div className="flex" style={{ gap: 'var(--space-sm)', alignItems: 'center' }}>
+                                <button
+                                    className="btn btn-sm btn-secondary"
+                                    onClick={() => setPage(page - 1)}
+                                    disabled={page <= 1 || loading}
+                                >
+                                    ← Prev
+                                </button>
+                                <span className="text-secondary">Page {page} of {totalPages}</span>
+                                <button
+                                    className="btn btn-sm btn-secondary"
+                                    onClick={() => setPage(page + 1)}
+                                    disabled={page >= totalPages || loading}
+                                >
+                                    Next →
+                                </button>
+                            </div>
+                        </div>
+
+                        {loading ? (
+                            <div className="text-center">
+                                <div className="spinner"></div>
+                            </div>
+                        ) : changes.length === 0 ? (
+                            <p className="text-secondary">No changes of this type.</p>
+                        ) : (
+                            <div className="table-container">
+                                <table className="table">
+                                    <thead>
+                                        <tr>
+                                            <th>Change</th>
+                                            <th>Product Code</th>
+                                            <th>UPC</th>
+                                            <th>Description</th>
+                                            <th>Field</th>
+                                            <th>Old</th>
+                                            <th>New</th>
+                                            <th>Difference</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {changes.map((change, idx) => (
+                                            <tr key={`${change.type}-${change.productCode || change.upc}-${idx}`}>
+                                                <td>
+                                                    <span className={`badge ${CHANGE_BADGES[change.type] || 'badge-info'}`}>
+                                                        {CHANGE_LABELS[change.type] || change.type}
+                                                    </span>
+                                                </td>
+                                                <td>{change.productCode || '-'}</td>
+                                                <td>{change.upc || '-'}</td>
+                                                <td>{change.description || '-'}</td>
+                                                <td>{change.field || '-'}</td>
+                                                <td>{change.oldValue || '-'}</td>
+                                                <td>{change.newValue || '-'}</td>
+                                                <td>{formatDifference(change)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ChangesPage;
@@ -3,9 +3,60 @@
  * Shows transformation history with re-run and download options
  */
 
-import { useState, useEffect } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { getHistory, deleteTransform, getDownloadUrl } from '../services/api';
+import {
+    getHistory,
+    deleteTransform,
+    getDownloadUrl,
+    subscribeAllTransformProgress,
+    rerunTransform,
+    getTransformLineage,
+    getVendors,
+    getDepositMaps
+} from '../services/api';
+
+// History reload interval while transforms are running and the event stream is unavailable
+const POLL_INTERVAL_MS = 5000;
+
+// Transformations per page, and the most a reload fetches to keep the pages already shown
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    processing: 'Processing',
+    completed: 'Completed',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+const emptyFilters = { vendorId: '', status: '', search: '', from: '', to: '', hasWarnings: '' };
+
+/**
+ * Convert the filter form to history query parameters
+ * Dates are whole days in the browser's time zone
+ * @param {Object} filters - Filter form values
+ * @returns {Object}
+ */
+const toHistoryQuery = (filters) => ({
+    ...filters,
+    from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+    to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : ''
+});
+
+// Deposit map choices of a re-run besides the uploaded maps
+const SAME_DEPOSIT_MAP = '';
+const VENDOR_DEFAULT_DEPOSIT_MAP = 'vendor-default';
+
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+/**
+ * Shorten a transform ID for display
+ * @param {string} transformId - Transform ID
+ * @returns {string}
+ */
+const shortId = (transformId) => `${transformId.substring(0, 8)}...`;
 
 const HistoryPage = () => {
     const navigate = useNavigate();
@@ -13,24 +64,146 @@ const HistoryPage = () => {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [deleting, setDeleting] = useState(null);
+    const [live, setLive] = useState(true);
+    const [rerunItem, setRerunItem] = useState(null);
+    const [rerunOptions, setRerunOptions] = useState({ vendorId: '', depositMapId: SAME_DEPOSIT_MAP });
+    const [depositMaps, setDepositMaps] = useState(null);
+    const [rerunning, setRerunning] = useState(false);
+    const [rerunError, setRerunError] = useState(null);
+    const [lineage, setLineage] = useState(null);
+    const [vendors, setVendors] = useState([]);
+    const [filters, setFilters] = useState(emptyFilters);
+    const [searchInput, setSearchInput] = useState('');
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const historyRef = useRef(history);
+    const filtersRef = useRef(filters);
+    // Bumped by every reload, so responses for older filters are dropped
+    const requestRef = useRef(0);
 
     useEffect(() => {
         loadHistory();
     }, []);
 
-    const loadHistory = async () => {
+    useEffect(() => {
+        let cancelled = false;
+
+        getVendors()
+            .then(data => {
+                if (!cancelled) setVendors(data.vendors || []);
+            })
+            .catch(err => console.error('Failed to load vendors:', err));
+
+        return () => { cancelled = true; };
+    }, []);
+
+    useEffect(() => {
+        historyRef.current = history;
+    }, [history]);
+
+    // Apply pushed progress to the listed transforms; unknown transforms were started elsewhere
+    useEffect(() => {
+        if (!live) return;
+
+        return subscribeAllTransformProgress(
+            (event) => {
+                if (!historyRef.current.some(item => item.transformId === event.transformId)) {
+                    loadHistory(false, true);
+                    return;
+                }
+                setHistory(prev => prev.map(item => (
+                    item.transformId === event.transformId
+                        ? {
+                            ...item,
+                            status: event.status,
+                            rowsProcessed: event.rowsProcessed,
+                            warningCount: event.warningCount,
+                            rejectedCount: event.rejectedCount,
+                            percent: event.percent,
+                            completedAt: event.completedAt || item.completedAt
+                        }
+                        : item
+                )));
+            },
+            () => setLive(false)
+        );
+    }, [live]);
+
+    // Without the event stream, reload while anything is still running
+    const hasActive = history.some(item => ACTIVE_STATUSES.includes(item.status));
+    useEffect(() => {
+        if (live || !hasActive) return;
+
+        const interval = setInterval(() => loadHistory(false, true), POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [live, hasActive]);
+
+    /**
+     * Load the first page of history for the current filters
+     * @param {boolean} showSpinner - Replace the page with a spinner while loading
+     * @param {boolean} keepLoaded - Reload as many transformations as are shown, so pages loaded
+     *   with "Load more" stay
+     */
+    const loadHistory = async (showSpinner = true, keepLoaded = false) => {
+        const request = ++requestRef.current;
+        const limit = keepLoaded
+            ? Math.min(Math.max(historyRef.current.length, PAGE_SIZE), MAX_PAGE_SIZE)
+            : PAGE_SIZE;
+
         try {
-            setLoading(true);
-            const data = await getHistory();
-            setHistory(data);
+            if (showSpinner) setLoading(true);
+            const data = await getHistory(toHistoryQuery(filtersRef.current), { limit });
+            if (request !== requestRef.current) return;
+            setHistory(data.transforms);
+            setNextCursor(data.nextCursor);
+            setError(null);
         } catch (err) {
             console.error('History error:', err);
-            setError(err.response?.data?.error || 'Failed to load history');
+            if (request === requestRef.current) {
+                setError(err.response?.data?.error || 'Failed to load history');
+            }
         } finally {
             setLoading(false);
         }
     };
 
+    const loadMore = async () => {
+        const request = requestRef.current;
+
+        try {
+            setLoadingMore(true);
+            const data = await getHistory(toHistoryQuery(filtersRef.current), { cursor: nextCursor, limit: PAGE_SIZE });
+            if (request !== requestRef.current) return;
+            setHistory(prev => [
+                ...prev,
+                ...data.transforms.filter(item => !prev.some(shown => shown.transformId === item.transformId))
+            ]);
+            setNextCursor(data.nextCursor);
+        } catch (err) {
+            console.error('History error:', err);
+            setError(err.response?.data?.error || 'Failed to load more history');
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    const applyFilters = (nextFilters) => {
+        filtersRef.current = nextFilters;
+        setFilters(nextFilters);
+        setLineage(null);
+        loadHistory(false);
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        applyFilters({ ...filters, search: searchInput.trim() });
+    };
+
+    const clearFilters = () => {
+        setSearchInput('');
+        applyFilters(emptyFilters);
+    };
+
     const handleDelete = async (transformId) => {
         if (!confirm('Are you sure you want to delete this transformation?')) {
             return;
@@ -48,14 +221,73 @@ const HistoryPage = () => {
         }
     };
 
+    const openRerun = async (item) => {
+        setRerunItem(item);
+        setRerunOptions({ vendorId: item.vendorId, depositMapId: SAME_DEPOSIT_MAP });
+        setRerunError(null);
+
+        if (!depositMaps) {
+            try {
+                setDepositMaps(await getDepositMaps());
+            } catch (err) {
+                console.error('Re-run options error:', err);
+                setRerunError(err.response?.data?.error || 'Failed to load deposit maps');
+            }
+        }
+    };
+
+    const handleRerun = async () => {
+        const options = {};
+        if (rerunOptions.vendorId !== rerunItem.vendorId) {
+            options.vendorId = rerunOptions.vendorId;
+        }
+        if (rerunOptions.depositMapId === VENDOR_DEFAULT_DEPOSIT_MAP) {
+            options.depositMapId = null;
+        } else if (rerunOptions.depositMapId !== SAME_DEPOSIT_MAP) {
+            options.depositMapId = rerunOptions.depositMapId;
+        }
+
+        try {
+            setRerunning(true);
+            setRerunError(null);
+            const result = await rerunTransform(rerunItem.transformId, options);
+            navigate(`/transform/${result.transformId}`);
+        } catch (err) {
+            console.error('Re-run error:', err);
+            setRerunError(err.response?.data?.error || 'Failed to re-run transformation');
+            setRerunning(false);
+        }
+    };
+
+    const toggleLineage = async (transformId) => {
+        if (lineage?.transformId === transformId) {
+            setLineage(null);
+            return;
+        }
+
+        setLineage({ transformId, entries: null, error: null });
+        try {
+            const data = await getTransformLineage(transformId);
+            setLineage(current => (current?.transformId === transformId ? { ...current, entries: data.lineage } : current));
+        } catch (err) {
+            console.error('Lineage error:', err);
+            const error = err.response?.data?.error || 'Failed to load lineage';
+            setLineage(current => (current?.transformId === transformId ? { ...current, error } : current));
+        }
+    };
+
     const handleDownload = (transformId) => {
         window.location.href = getDownloadUrl(transformId);
     };
 
     const getStatusBadge = (status) => {
         switch (status) {
+            case 'queued':
+                return <span className="badge badge-primary">Queued</span>;
             case 'processing':
                 return <span className="badge badge-info">Processing</span>;
+            case 'cancelled':
+                return <span className="badge badge-warning">Cancelled</span>;
             case 'completed':
                 return <span className="badge badge-success">Completed</span>;
             case 'failed':
@@ -65,6 +297,8 @@ const HistoryPage = () => {
         }
     };
 
+    const hasFilters = Object.values(filters).some(Boolean);
+
     if (loading) {
         return (
             <div className="container section flex-center">
@@ -96,7 +330,152 @@ const HistoryPage = () => {
                 </div>
             )}
 
-            {history.length === 0 ? (
+            {rerunItem && (
+                <div className="card mb-xl">
+                    <div className="card-header">
+                        <h4 className="card-title">Re-run {rerunItem.filename}</h4>
+                        <p className="card-subtitle">
+                            Transforms the original upload again with the current vendor rules, deposit maps and item catalog.
+                            {' '}Re-running <span style={{ fontFamily: 'monospace' }}>{shortId(rerunItem.transformId)}</span>
+                        </p>
+                    </div>
+
+                    {rerunError && (
+                        <div className="alert alert-error mb-lg">
+                            <strong>Error:</strong> {rerunError}
+                        </div>
+                    )}
+
+                    <div className="grid grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Vendor</label>
+                            <select
+                                className="form-select"
+                                value={rerunOptions.vendorId}
+                                onChange={(e) => setRerunOptions({ ...rerunOptions, vendorId: e.target.value })}
+                            >
+                                {(vendors.length > 0 ? vendors : [{ vendorId: rerunItem.vendorId }]).map(vendor => (
+                                    <option key={vendor.vendorId} value={vendor.vendorId}>
+                                        {vendor.vendorName ? `${vendor.vendorName} (${vendor.vendorId})` : vendor.vendorId}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Deposit Map</label>
+                            <select
+                                className="form-select"
+                                value={rerunOptions.depositMapId}
+                                onChange={(e) => setRerunOptions({ ...rerunOptions, depositMapId: e.target.value })}
+                                disabled={!depositMaps}
+                            >
+                                <option value={SAME_DEPOSIT_MAP}>
+                                    Same as before{rerunItem.depositMapFilename ? ` (${rerunItem.depositMapFilename})` : ''}
+                                </option>
+                                <option value={VENDOR_DEFAULT_DEPOSIT_MAP}>Vendor default</option>
+                                {(depositMaps || []).map(map => (
+                                    <option key={map.depositMapId} value={map.depositMapId}>{map.filename}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div className="flex" style={{ gap: 'var(--space-sm)' }}>
+                        <button
+                            className="btn btn-primary"
+                            onClick={handleRerun}
+                            disabled={rerunning || !depositMaps}
+                        >
+                            {rerunning ? 'Starting...' : '🔁 Start Re-run'}
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => setRerunItem(null)} disabled={rerunning}>
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="card mb-lg">
+                <div className="flex" style={{ gap: 'var(--space-sm)', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+                    <form className="flex" style={{ gap: 'var(--space-sm)' }} onSubmit={handleSearch}>
+                        <input
+                            className="form-input"
+                            type="search"
+                            placeholder="Filename"
+                            value={searchInput}
+                            onChange={(e) => setSearchInput(e.target.value)}
+                        />
+                        <button className="btn btn-sm btn-secondary" type="submit">
+                            🔍 Search
+                        </button>
+                    </form>
+                    <select
+                        className="form-select"
+                        style={{ width: 'auto' }}
+                        value={filters.vendorId}
+                        onChange={(e) => applyFilters({ ...filters, vendorId: e.target.value })}
+                    >
+                        <option value="">All vendors</option>
+                        {vendors.map(vendor => (
+                            <option key={vendor.vendorId} value={vendor.vendorId}>{vendor.vendorId}</option>
+                        ))}
+                    </select>
+                    <select
+                        className="form-select"
+                        style={{ width: 'auto' }}
+                        value={filters.status}
+                        onChange={(e) => applyFilters({ ...filters, status: e.target.value })}
+                    >
+                        <option value="">All statuses</option>
+                        {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                            <option key={status} value={status}>{label}</option>
+                        ))}
+                    </select>
+                    <select
+                        className="form-select"
+                        style={{ width: 'auto' }}
+                        value={filters.hasWarnings}
+                        onChange={(e) => applyFilters({ ...filters, hasWarnings: e.target.value })}
+                    >
+                        <option value="">With or without warnings</option>
+                        <option value="true">With warnings</option>
+                        <option value="false">Without warnings</option>
+                    </select>
+                    <label className="text-secondary">
+                        From{' '}
+                        <input
+                            className="form-input"
+                            type="date"
+                            style={{ width: 'auto' }}
+                            value={filters.from}
+                            max={filters.to || undefined}
+                            onChange={(e) => applyFilters({ ...filters, from: e.target.value })}
+                        />
+                    </label>
+                    <label className="text-secondary">
+                        To{' '}
+                        <input
+                            className="form-input"
+                            type="date"
+                            style={{ width: 'auto' }}
+                            value={filters.to}
+                            min={filters.from || undefined}
+                            onChange={(e) => applyFilters({ ...filters, to: e.target.value })}
+                        />
+                    </label>
+                    {hasFilters && (
+                        <button className="btn btn-sm btn-secondary" onClick={clearFilters}>
+                            Clear filters
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {history.length === 0 && hasFilters ? (
+                <div className="card text-center">
+                    <p className="text-secondary">No transformations match these filters.</p>
+                </div>
+            ) : history.length === 0 ? (
                 <div className="card text-center">
                     <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>📋</div>
                     <h3>No Transformations Yet</h3>
@@ -124,7 +503,8 @@ const HistoryPage = () => {
                             </thead>
                             <tbody>
                                 {history.map((item) => (
-                                    <tr key={item.transformId}>
+                                    <Fragment key={item.transformId}>
+                                    <tr>
                                         <td>
                                             <strong>{item.filename}</strong>
                                             <br />
@@ -133,19 +513,60 @@ const HistoryPage = () => {
                                                 color: 'var(--color-text-tertiary)',
                                                 fontFamily: 'monospace'
                                             }}>
-                                                {item.transformId.substring(0, 8)}...
+                                                {shortId(item.transformId)}
                                             </span>
+                                            {item.rerunOf && (
+                                                <>
+                                                    <br />
+                                                    <span style={{
+                                                        fontSize: 'var(--font-size-xs)',
+                                                        color: 'var(--color-text-tertiary)'
+                                                    }}>
+                                                        🔁 Re-run of <span style={{ fontFamily: 'monospace' }}>{shortId(item.rerunOf)}</span>
+                                                    </span>
+                                                </>
+                                            )}
+                                            {item.depositMapFilename && (
+                                                <>
+                                                    <br />
+                                                    <span style={{
+                                                        fontSize: 'var(--font-size-xs)',
+                                                        color: 'var(--color-text-tertiary)'
+                                                    }}>
+                                                        Deposit map: {item.depositMapFilename}
+                                                    </span>
+                                                </>
+                                            )}
                                         </td>
                                         <td>{getStatusBadge(item.status)}</td>
-                                        <td>{item.rowsProcessed?.toLocaleString() || '-'}</td>
+                                        <td>
+                                            {item.rowsProcessed?.toLocaleString() || '-'}
+                                            {item.status === 'processing' && item.percent != null && (
+                                                <span className="text-tertiary"> ({item.percent}%)</span>
+                                            )}
+                                        </td>
                                         <td>
                                             {item.warningCount > 0 ? (
-                                                <span className="badge badge-warning">
+                                                <span
+                                                    className="badge badge-warning"
+                                                    style={{ cursor: 'pointer' }}
+                                                    title="Explore warnings"
+                                                    onClick={() => navigate(`/transform/${item.transformId}/warnings`)}
+                                                >
                                                     {item.warningCount}
                                                 </span>
                                             ) : (
                                                 <span className="badge badge-success">0</span>
                                             )}
+                                            {item.rejectedCount > 0 && (
+                                                <span
+                                                    className="badge badge-error"
+                                                    style={{ marginLeft: '0.5rem' }}
+                                                    title="Rows rejected by the validation policy"
+                                                >
+                                                    {item.rejectedCount} rejected
+                                                </span>
+                                            )}
                                         </td>
                                         <td>{new Date(item.createdAt).toLocaleDateString()}</td>
                                         <td>
@@ -172,6 +593,26 @@ const HistoryPage = () => {
                                                     👁️ View
                                                 </button>
 
+                                                {!ACTIVE_STATUSES.includes(item.status) && (
+                                                    <button
+                                                        className="btn btn-sm btn-secondary"
+                                                        onClick={() => openRerun(item)}
+                                                        title="Transform the original upload again with the current rules"
+                                                    >
+                                                        🔁 Re-run
+                                                    </button>
+                                                )}
+
+                                                {(item.rerunOf || item.rerunCount > 0) && (
+                                                    <button
+                                                        className="btn btn-sm btn-secondary"
+                                                        onClick={() => toggleLineage(item.transformId)}
+                                                        title="Show earlier runs and re-runs"
+                                                    >
+                                                        🔗 Lineage
+                                                    </button>
+                                                )}
+
                                                 <button
                                                     className="btn btn-sm btn-error"
                                                     onClick={() => handleDelete(item.transformId)}
@@ -182,10 +623,67 @@ const HistoryPage = () => {
                                             </div>
                                         </td>
                                     </tr>
+                                    {lineage?.transformId === item.transformId && (
+                                        <tr>
+                                            <td colSpan={7}>
+                                                {lineage.error ? (
+                                                    <p className="text-error">{lineage.error}</p>
+                                                ) : !lineage.entries ? (
+                                                    <div className="spinner"></div>
+                                                ) : (
+                                                    <ol style={{ margin: 0, paddingLeft: 'var(--space-lg)' }}>
+                                                        {lineage.entries[0]?.rerunOf && (
+                                                            <li className="text-tertiary">
+                                                                Earlier runs before{' '}
+                                                                <span style={{ fontFamily: 'monospace' }}>{shortId(lineage.entries[0].rerunOf)}</span>
+                                                                {' '}were deleted
+                                                            </li>
+                                                        )}
+                                                        {lineage.entries.map(entry => (
+                                                            <li
+                                                                key={entry.transformId}
+                                                                style={{ fontWeight: entry.transformId === item.transformId ? 'bold' : undefined }}
+                                                            >
+                                                                <a
+                                                                    href={`/transform/${entry.transformId}`}
+                                                                    onClick={(e) => {
+                                                                        e.preventDefault();
+                                                                        navigate(`/transform/${entry.transformId}`);
+                                                                    }}
+                                                                    style={{ fontFamily: 'monospace' }}
+                                                                >
+                                                                    {shortId(entry.transformId)}
+                                                                </a>
+                                                                {' '}{getStatusBadge(entry.status)}
+                                                                {' '}{entry.vendorId}
+                                                                {entry.depositMapFilename && ` • ${entry.depositMapFilename}`}
+                                                                {` • ${(entry.rowsProcessed || 0).toLocaleString()} rows, ${entry.warningCount.toLocaleString()} warnings`}
+                                                                {` • ${new Date(entry.createdAt).toLocaleString()}`}
+                                                                {entry.rerunOf && (
+                                                                    <span className="text-tertiary">
+                                                                        {' '}(re-run of {shortId(entry.rerunOf)})
+                                                                    </span>
+                                                                )}
+                                                            </li>
+                                                        ))}
+                                                    </ol>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    )}
+                                    </Fragment>
                                 ))}
                             </tbody>
                         </table>
                     </div>
+
+                    {nextCursor && (
+                        <div className="text-center mt-lg">
+                            <button className="btn btn-secondary" onClick={loadMore} disabled={loadingMore}>
+                                {loadingMore ? 'Loading...' : 'Load more'}
+                            </button>
+                        </div>
+                    )}
                 </div>
             )}
         </div>
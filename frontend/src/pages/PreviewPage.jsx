@@ -5,7 +5,35 @@
 
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getPreview, startTransform, getDepositMaps } from '../services/api';
+import {
+    getPreview,
+    startTransform,
+    getDepositMaps,
+    getVendors,
+    updateUploadSheets,
+    updateUploadHeader,
+    updateUploadCSVOptions
+} from '../services/api';
+
+const DELIMITER_OPTIONS = [
+    { value: ',', label: 'Comma (,)' },
+    { value: ';', label: 'Semicolon (;)' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe (|)' }
+];
+
+const QUOTE_OPTIONS = [
+    { value: '"', label: 'Double quote (")' },
+    { value: "'", label: "Single quote (')" }
+];
+
+const ENCODING_OPTIONS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'windows-1252', label: 'Windows-1252' },
+    { value: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' }
+];
 
 const PreviewPage = () => {
     const { uploadId } = useParams();
@@ -17,10 +45,21 @@ const PreviewPage = () => {
     const [selectedDepositMap, setSelectedDepositMap] = useState('');
     const [transforming, setTransforming] = useState(false);
     const [error, setError] = useState(null);
+    const [viewedSheet, setViewedSheet] = useState(null);
+    const [updatingSheets, setUpdatingSheets] = useState(false);
+    const [updatingHeader, setUpdatingHeader] = useState(false);
+    const [updatingDialect, setUpdatingDialect] = useState(false);
+    const [includeSourceSheet, setIncludeSourceSheet] = useState(false);
+    const [vendors, setVendors] = useState([]);
+    const [outputFormats, setOutputFormats] = useState([]);
+    const [outputFormat, setOutputFormat] = useState('');
+    const [strict, setStrict] = useState(false);
+    const [errorThreshold, setErrorThreshold] = useState('0');
 
     useEffect(() => {
         loadPreview();
         loadDepositMaps();
+        loadOutputFormats();
     }, [uploadId]);
 
     const loadPreview = async () => {
@@ -28,6 +67,7 @@ const PreviewPage = () => {
             setLoading(true);
             const data = await getPreview(uploadId);
             setPreview(data);
+            setViewedSheet(data.selectedSheets?.[0] || null);
         } catch (err) {
             console.error('Preview error:', err);
             setError(err.response?.data?.error || 'Failed to load preview');
@@ -45,6 +85,77 @@ const PreviewPage = () => {
         }
     };
 
+    const loadOutputFormats = async () => {
+        try {
+            const data = await getVendors();
+            setVendors(data.vendors || []);
+            setOutputFormats(data.outputFormats || []);
+        } catch (err) {
+            console.error('Failed to load output formats:', err);
+        }
+    };
+
+    const handleToggleSheet = async (sheetName) => {
+        const selected = preview.selectedSheets.includes(sheetName)
+            ? preview.selectedSheets.filter(name => name !== sheetName)
+            : [...preview.selectedSheets, sheetName];
+
+        if (selected.length === 0) {
+            return;
+        }
+
+        // Keep workbook order
+        const ordered = preview.sheets.map(sheet => sheet.name).filter(name => selected.includes(name));
+
+        try {
+            setUpdatingSheets(true);
+            setError(null);
+            const data = await updateUploadSheets(uploadId, ordered);
+            setPreview(current => ({ ...current, ...data }));
+            if (!ordered.includes(viewedSheet)) {
+                setViewedSheet(ordered[0]);
+            }
+        } catch (err) {
+            console.error('Sheet selection error:', err);
+            setError(err.response?.data?.error || 'Failed to update sheet selection');
+        } finally {
+            setUpdatingSheets(false);
+        }
+    };
+
+    const handleCSVOptions = async (options) => {
+        try {
+            setUpdatingDialect(true);
+            setError(null);
+            const data = await updateUploadCSVOptions(uploadId, options);
+            setPreview(current => ({ ...current, ...data }));
+        } catch (err) {
+            console.error('CSV options error:', err);
+            setError(err.response?.data?.error || 'Failed to update file format');
+        } finally {
+            setUpdatingDialect(false);
+        }
+    };
+
+    const handleDialectChange = (field, value) => {
+        const { delimiter, quote, encoding } = preview.csvDialect;
+        handleCSVOptions({ delimiter, quote, encoding, [field]: value });
+    };
+
+    const handleHeaderRow = async (headerRow) => {
+        try {
+            setUpdatingHeader(true);
+            setError(null);
+            const data = await updateUploadHeader(uploadId, headerRow, viewedSheet);
+            setPreview(current => ({ ...current, ...data }));
+        } catch (err) {
+            console.error('Header row error:', err);
+            setError(err.response?.data?.error || 'Failed to update header row');
+        } finally {
+            setUpdatingHeader(false);
+        }
+    };
+
     const handleTransform = async () => {
         try {
             setTransforming(true);
@@ -53,7 +164,12 @@ const PreviewPage = () => {
             const response = await startTransform(
                 uploadId,
                 selectedDepositMap || null,
-                'csv'
+                outputFormat || null,
+                {
+                    includeSourceSheet: preview.selectedSheets?.length > 0 && includeSourceSheet,
+                    strict,
+                    ...(strict && { errorThreshold: Number(errorThreshold) })
+                }
             );
 
             // Navigate to transform status page
@@ -93,6 +209,19 @@ const PreviewPage = () => {
         col => !preview.outputColumns.includes(col)
     );
 
+    // Excel workbooks can preview any sheet; CSV files have a single table
+    const sheets = preview.sheets || [];
+    const tableSheet = sheets.find(sheet => sheet.name === viewedSheet);
+    const tableColumns = tableSheet ? tableSheet.columns : preview.columns;
+    const tableRows = tableSheet ? tableSheet.preview : preview.preview;
+    const removedTableColumns = tableColumns.filter(col => !preview.outputColumns.includes(col));
+    const vendorOutputFormat = vendors.find(v => v.vendorId === preview.vendorId)?.defaultOutputFormat;
+    const vendorOutputLabel = outputFormats.find(f => f.format === vendorOutputFormat)?.label;
+    const rawRows = (tableSheet ? tableSheet.rawRows : preview.rawRows) || [];
+    const headerRow = tableSheet ? tableSheet.headerRow : preview.headerRow;
+    const headerRowSource = tableSheet ? tableSheet.headerRowSource : preview.headerRowSource;
+    const rawWidth = Math.min(8, Math.max(0, ...rawRows.map(row => row.values.length)));
+
     return (
         <div className="container section">
             <div className="flex-between mb-xl">
@@ -113,6 +242,174 @@ const PreviewPage = () => {
                 </div>
             )}
 
+            {preview.columnWarnings?.length > 0 && (
+                <div className="alert alert-warning mb-lg">
+                    <strong>Vendor {preview.vendorId}:</strong>
+                    <ul style={{ margin: '0.5rem 0 0' }}>
+                        {preview.columnWarnings.map((warning, idx) => <li key={idx}>{warning}</li>)}
+                    </ul>
+                </div>
+            )}
+
+            {/* Sheet Selection */}
+            {sheets.length > 1 && (
+                <div className="card mb-xl">
+                    <h4>Worksheets ({sheets.length})</h4>
+                    <p className="text-secondary mb-md">
+                        Choose the sheets to transform. Rows of all selected sheets are combined into one output file
+                    </p>
+
+                    <div className="table-container">
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>Transform</th>
+                                    <th>Sheet</th>
+                                    <th>Rows</th>
+                                    <th>Columns</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {sheets.map(sheet => (
+                                    <tr key={sheet.name}>
+                                        <td>
+                                            <input
+                                                type="checkbox"
+                                                checked={preview.selectedSheets.includes(sheet.name)}
+                                                onChange={() => handleToggleSheet(sheet.name)}
+                                                disabled={updatingSheets || sheet.columns.length === 0}
+                                            />
+                                        </td>
+                                        <td>{sheet.name}</td>
+                                        <td>{sheet.rowCount ?? '-'}</td>
+                                        <td>{sheet.columns.length}</td>
+                                        <td>
+                                            <button
+                                                className="btn btn-secondary btn-sm"
+                                                onClick={() => setViewedSheet(sheet.name)}
+                                                disabled={sheet.name === viewedSheet}
+                                            >
+                                                {sheet.name === viewedSheet ? 'Previewing' : 'Preview'}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <label className="flex mt-md" style={{ gap: '0.5rem', alignItems: 'center' }}>
+                        <input
+                            type="checkbox"
+                            checked={includeSourceSheet}
+                            onChange={(e) => setIncludeSourceSheet(e.target.checked)}
+                        />
+                        Add a &quot;Source Sheet&quot; column with the sheet each row came from
+                    </label>
+                </div>
+            )}
+
+            {/* CSV File Format */}
+            {preview.csvDialect && (
+                <div className="card mb-xl">
+                    <div className="flex-between">
+                        <div>
+                            <h4>File Format</h4>
+                            <p className="text-secondary">
+                                {preview.csvDialectSource === 'selected' ? 'Set manually' : 'Detected from the file'}
+                                {preview.csvDialect.bom && ' (starts with a byte order mark)'}. Change these if the preview looks garbled
+                            </p>
+                        </div>
+                        <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => handleCSVOptions({})}
+                            disabled={updatingDialect}
+                        >
+                            Auto-detect
+                        </button>
+                    </div>
+
+                    <div className="grid grid-3 mt-md">
+                        {[
+                            { field: 'delimiter', label: 'Delimiter', options: DELIMITER_OPTIONS },
+                            { field: 'quote', label: 'Quote character', options: QUOTE_OPTIONS },
+                            { field: 'encoding', label: 'Encoding', options: ENCODING_OPTIONS }
+                        ].map(({ field, label, options }) => (
+                            <div className="form-group" key={field}>
+                                <label className="form-label">{label}</label>
+                                <select
+                                    className="form-select"
+                                    value={preview.csvDialect[field]}
+                                    onChange={(e) => handleDialectChange(field, e.target.value)}
+                                    disabled={updatingDialect}
+                                >
+                                    {options.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Header Row */}
+            {rawRows.length > 0 && (
+                <div className="card mb-xl">
+                    <div className="flex-between">
+                        <div>
+                            <h4>Header Row</h4>
+                            <p className="text-secondary">
+                                Column names are read from row {headerRow ?? '-'}
+                                {headerRowSource && ` (${headerRowSource})`}. Rows above it are skipped
+                            </p>
+                        </div>
+                        <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => handleHeaderRow(null)}
+                            disabled={updatingHeader}
+                        >
+                            Auto-detect
+                        </button>
+                    </div>
+
+                    <div className="table-container mt-md">
+                        <table className="table">
+                            <tbody>
+                                {rawRows.map(row => (
+                                    <tr
+                                        key={row.rowNumber}
+                                        style={{
+                                            fontWeight: row.rowNumber === headerRow ? 'var(--font-weight-bold)' : 'normal',
+                                            opacity: headerRow && row.rowNumber < headerRow ? 0.5 : 1
+                                        }}
+                                    >
+                                        <td className="text-tertiary">{row.rowNumber}</td>
+                                        {Array.from({ length: rawWidth }, (_, idx) => (
+                                            <td key={idx}>{row.values[idx] || ''}</td>
+                                        ))}
+                                        <td>
+                                            {row.rowNumber === headerRow ? (
+                                                <span className="badge badge-primary">Header</span>
+                                            ) : (
+                                                <button
+                                                    className="btn btn-secondary btn-sm"
+                                                    onClick={() => handleHeaderRow(row.rowNumber)}
+                                                    disabled={updatingHeader}
+                                                >
+                                                    Use as header
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
             {/* Column Summary */}
             <div className="grid grid-2 mb-xl">
                 <div className="card">
@@ -145,7 +442,7 @@ const PreviewPage = () => {
             <div className="card mb-xl">
                 <h4>Bottle Deposit Mapping (Optional)</h4>
                 <p className="text-secondary mb-md">
-                    Select a deposit mapping file to populate BOTTLE_DEPOSIT values
+                    Select a deposit mapping file to populate BOTTLE_DEPOSIT values. If none is selected, the vendor's default mapping is used
                 </p>
 
                 <div className="flex" style={{ gap: '1rem', alignItems: 'center' }}>
@@ -155,7 +452,7 @@ const PreviewPage = () => {
                         onChange={(e) => setSelectedDepositMap(e.target.value)}
                         style={{ flex: 1 }}
                     >
-                        <option value="">No deposit mapping</option>
+                        <option value="">Vendor default mapping</option>
                         {depositMaps.map(map => (
                             <option key={map.depositMapId} value={map.depositMapId}>
                                 {map.filename} ({map.totalMappings} mappings)
@@ -172,10 +469,63 @@ const PreviewPage = () => {
                 </div>
             </div>
 
+            {/* Output Format */}
+            <div className="card mb-xl">
+                <h4>Output Format</h4>
+                <p className="text-secondary mb-md">
+                    XLSX output keeps UPC and code columns as text so leading zeros are preserved
+                </p>
+
+                <select
+                    className="form-select"
+                    value={outputFormat}
+                    onChange={(e) => setOutputFormat(e.target.value)}
+                >
+                    <option value="">Vendor default{vendorOutputLabel ? ` (${vendorOutputLabel})` : ''}</option>
+                    {outputFormats.map(({ format, label }) => (
+                        <option key={format} value={format}>{label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {/* Validation */}
+            <div className="card mb-xl">
+                <h4>Validation</h4>
+                <p className="text-secondary mb-md">
+                    Rows rejected by the vendor&apos;s validation policy are left out of the output and can be downloaded separately
+                </p>
+
+                <label className="flex" style={{ gap: '0.5rem', alignItems: 'center' }}>
+                    <input
+                        type="checkbox"
+                        checked={strict}
+                        onChange={(e) => setStrict(e.target.checked)}
+                    />
+                    Strict mode: fail the transformation when too many rows are rejected or have errors
+                </label>
+
+                {strict && (
+                    <div className="form-group mt-md">
+                        <label className="form-label">Rows with errors allowed</label>
+                        <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            className="form-input"
+                            style={{ maxWidth: '12rem' }}
+                            value={errorThreshold}
+                            onChange={(e) => setErrorThreshold(e.target.value)}
+                        />
+                    </div>
+                )}
+            </div>
+
             {/* Preview Table */}
             <div className="card mb-xl">
                 <div className="card-header">
-                    <h4 className="card-title">Data Preview (First {preview.preview.length} Rows)</h4>
+                    <h4 className="card-title">
+                        Data Preview (First {tableRows.length} Rows{tableSheet && sheets.length > 1 ? ` of "${tableSheet.name}"` : ''})
+                    </h4>
                     <p className="card-subtitle">
                         Showing original data before transformation
                     </p>
@@ -185,42 +535,42 @@ const PreviewPage = () => {
                     <table className="table">
                         <thead>
                             <tr>
-                                {preview.columns.slice(0, 10).map(col => (
+                                {tableColumns.slice(0, 10).map(col => (
                                     <th key={col}>
                                         {col}
-                                        {removedColumns.includes(col) && (
+                                        {removedTableColumns.includes(col) && (
                                             <span className="badge badge-error ml-sm" style={{ marginLeft: '0.5rem' }}>
                                                 Removed
                                             </span>
                                         )}
                                     </th>
                                 ))}
-                                {preview.columns.length > 10 && (
-                                    <th>... +{preview.columns.length - 10} more</th>
+                                {tableColumns.length > 10 && (
+                                    <th>... +{tableColumns.length - 10} more</th>
                                 )}
                             </tr>
                         </thead>
                         <tbody>
-                            {preview.preview.slice(0, 10).map((row, idx) => (
+                            {tableRows.slice(0, 10).map((row, idx) => (
                                 <tr key={idx}>
-                                    {preview.columns.slice(0, 10).map(col => (
+                                    {tableColumns.slice(0, 10).map(col => (
                                         <td key={col} style={{
-                                            textDecoration: removedColumns.includes(col) ? 'line-through' : 'none',
-                                            opacity: removedColumns.includes(col) ? 0.5 : 1
+                                            textDecoration: removedTableColumns.includes(col) ? 'line-through' : 'none',
+                                            opacity: removedTableColumns.includes(col) ? 0.5 : 1
                                         }}>
                                             {row[col] || '-'}
                                         </td>
                                     ))}
-                                    {preview.columns.length > 10 && <td>...</td>}
+                                    {tableColumns.length > 10 && <td>...</td>}
                                 </tr>
                             ))}
                         </tbody>
                     </table>
                 </div>
 
-                {preview.preview.length > 10 && (
+                {tableRows.length > 10 && (
                     <p className="text-secondary text-center mt-md">
-                        ... and {preview.preview.length - 10} more rows in preview
+                        ... and {tableRows.length - 10} more rows in preview
                     </p>
                 )}
             </div>
@@ -5,7 +5,40 @@
 
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getTransformStatus, getDownloadUrl } from '../services/api';
+import {
+    getTransformStatus,
+    getDownloadUrl,
+    cancelTransform,
+    retryTransform,
+    subscribeTransformProgress
+} from '../services/api';
+import WarningItem from '../components/WarningItem';
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const PRICING_LABELS = {
+    COST_ABOVE_RETAIL: 'Cost above retail',
+    NEGATIVE_MARGIN: 'Sale price below cost',
+    SALE_ABOVE_REGULAR: 'Sale price above regular',
+    LOW_MARGIN: 'Margin below minimum',
+    PRICE_ENDING: 'Off-pattern price ending'
+};
+
+const SEVERITY_BADGES = {
+    error: 'badge-error',
+    warning: 'badge-warning',
+    info: 'badge-info'
+};
+
+/**
+ * Format a number of seconds as e.g. "2m 05s"
+ * @param {number} seconds - Seconds
+ * @returns {string}
+ */
+const formatDuration = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+};
 
 const TransformPage = () => {
     const { transformId } = useParams();
@@ -14,21 +47,39 @@ const TransformPage = () => {
     const [status, setStatus] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [polling, setPolling] = useState(true);
+    // Follow progress until the transform finishes: pushed over SSE, or polled if the stream fails
+    const [watching, setWatching] = useState(true);
+    const [live, setLive] = useState(true);
+    const [actionError, setActionError] = useState(null);
+    const [actionPending, setActionPending] = useState(false);
 
     useEffect(() => {
         loadStatus();
     }, [transformId]);
 
     useEffect(() => {
-        if (!polling) return;
+        if (!watching) return;
+
+        if (live) {
+            return subscribeTransformProgress(
+                transformId,
+                (event) => {
+                    setStatus(prev => (prev ? { ...prev, ...event } : prev));
+                    if (FINISHED_STATUSES.includes(event.status)) {
+                        setWatching(false);
+                        loadStatus(); // Full warning list and final details
+                    }
+                },
+                () => setLive(false)
+            );
+        }
 
         const interval = setInterval(() => {
             loadStatus();
         }, 2000); // Poll every 2 seconds
 
         return () => clearInterval(interval);
-    }, [polling, transformId]);
+    }, [watching, live, transformId]);
 
     const loadStatus = async () => {
         try {
@@ -36,20 +87,49 @@ const TransformPage = () => {
             setStatus(data);
             setLoading(false);
 
-            // Stop polling if completed or failed
-            if (data.status === 'completed' || data.status === 'failed') {
-                setPolling(false);
+            // Stop following progress once the transform has finished
+            if (FINISHED_STATUSES.includes(data.status)) {
+                setWatching(false);
             }
         } catch (err) {
             console.error('Status error:', err);
             setError(err.response?.data?.error || 'Failed to load status');
             setLoading(false);
-            setPolling(false);
+            setWatching(false);
         }
     };
 
-    const handleDownload = () => {
-        window.location.href = getDownloadUrl(transformId);
+    const handleDownload = (part = null) => {
+        window.location.href = getDownloadUrl(transformId, part);
+    };
+
+    const handleCancel = async () => {
+        setActionPending(true);
+        setActionError(null);
+        try {
+            await cancelTransform(transformId);
+            await loadStatus();
+        } catch (err) {
+            console.error('Cancel error:', err);
+            setActionError(err.response?.data?.error || 'Failed to cancel transformation');
+        } finally {
+            setActionPending(false);
+        }
+    };
+
+    const handleRetry = async () => {
+        setActionPending(true);
+        setActionError(null);
+        try {
+            await retryTransform(transformId);
+            await loadStatus();
+            setWatching(true);
+        } catch (err) {
+            console.error('Retry error:', err);
+            setActionError(err.response?.data?.error || 'Failed to retry transformation');
+        } finally {
+            setActionPending(false);
+        }
     };
 
     if (loading) {
@@ -76,14 +156,21 @@ const TransformPage = () => {
         );
     }
 
+    const warningCount = status.warningCount ?? status.warnings?.length ?? 0;
+    const pricingCount = Object.values(status.pricingSummary || {}).reduce((sum, count) => sum + count, 0);
+
     const getStatusBadge = () => {
         switch (status.status) {
+            case 'queued':
+                return <span className="badge badge-primary">Queued</span>;
             case 'processing':
                 return <span className="badge badge-info">Processing</span>;
             case 'completed':
                 return <span className="badge badge-success">Completed</span>;
             case 'failed':
                 return <span className="badge badge-error">Failed</span>;
+            case 'cancelled':
+                return <span className="badge badge-warning">Cancelled</span>;
             default:
                 return <span className="badge badge-primary">{status.status}</span>;
         }
@@ -91,12 +178,16 @@ const TransformPage = () => {
 
     const getStatusIcon = () => {
         switch (status.status) {
+            case 'queued':
+                return '🕒';
             case 'processing':
                 return '⏳';
             case 'completed':
                 return '✅';
             case 'failed':
                 return '❌';
+            case 'cancelled':
+                return '⛔';
             default:
                 return '📊';
         }
@@ -108,7 +199,12 @@ const TransformPage = () => {
                 <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>
                     {getStatusIcon()}
                 </div>
-                <h1>Transformation {status.status === 'completed' ? 'Complete' : 'In Progress'}</h1>
+                <h1>Transformation {{
+                    queued: 'Queued',
+                    completed: 'Complete',
+                    failed: 'Failed',
+                    cancelled: 'Cancelled'
+                }[status.status] || 'In Progress'}</h1>
                 {getStatusBadge()}
             </div>
 
@@ -140,16 +236,80 @@ const TransformPage = () => {
 
                     <div>
                         <p className="text-tertiary">Warnings</p>
-                        <p className={status.warnings?.length > 0 ? 'text-warning' : 'text-success'} style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'var(--font-weight-bold)' }}>
-                            {status.warnings?.length || 0}
+                        <p className={warningCount > 0 ? 'text-warning' : 'text-success'} style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'var(--font-weight-bold)' }}>
+                            {warningCount.toLocaleString()}
                         </p>
                     </div>
 
+                    {(status.rejectedCount > 0 || status.strict) && (
+                        <div>
+                            <p className="text-tertiary">Rejected Rows</p>
+                            <p className={status.rejectedCount > 0 ? 'text-error' : 'text-success'} style={{ fontSize: 'var(--font-size-2xl)', fontWeight: 'var(--font-weight-bold)' }}>
+                                {(status.rejectedCount || 0).toLocaleString()}
+                            </p>
+                            {status.strict && (
+                                <p className="text-tertiary" style={{ fontSize: 'var(--font-size-sm)' }}>
+                                    Strict mode: fails above {status.errorThreshold.toLocaleString()} rows with errors
+                                </p>
+                            )}
+                        </div>
+                    )}
+
+                    <div>
+                        <p className="text-tertiary">Deposit Map</p>
+                        <p>
+                            {status.depositMapFilename || 'None'}
+                            {status.depositMapSource && status.depositMapSource !== 'none' && (
+                                <span className="badge badge-primary" style={{ marginLeft: '0.5rem' }}>
+                                    {status.depositMapSource}
+                                </span>
+                            )}
+                        </p>
+                        {status.depositMapId && (
+                            <p style={{ fontFamily: 'monospace', fontSize: 'var(--font-size-xs)' }} className="text-tertiary">
+                                {status.depositMapId}
+                            </p>
+                        )}
+                    </div>
+
+                    <div>
+                        <p className="text-tertiary">Output Format</p>
+                        <p>{(status.outputFormat || 'csv').toUpperCase()}</p>
+                    </div>
+
+                    {status.sheetNames?.length > 0 && (
+                        <div>
+                            <p className="text-tertiary">Sheets</p>
+                            <p>
+                                {status.sheetNames.join(', ')}
+                                {status.includeSourceSheet && (
+                                    <span className="badge badge-primary" style={{ marginLeft: '0.5rem' }}>
+                                        Source Sheet column
+                                    </span>
+                                )}
+                            </p>
+                        </div>
+                    )}
+
                     <div>
-                        <p className="text-tertiary">Started At</p>
+                        <p className="text-tertiary">Queued At</p>
                         <p>{new Date(status.createdAt).toLocaleString()}</p>
                     </div>
 
+                    {status.startedAt && (
+                        <div>
+                            <p className="text-tertiary">Started At</p>
+                            <p>{new Date(status.startedAt).toLocaleString()}</p>
+                        </div>
+                    )}
+
+                    {status.attempts > 1 && (
+                        <div>
+                            <p className="text-tertiary">Attempts</p>
+                            <p>{status.attempts}</p>
+                        </div>
+                    )}
+
                     {status.completedAt && (
                         <div>
                             <p className="text-tertiary">Completed At</p>
@@ -161,49 +321,106 @@ const TransformPage = () => {
                 {status.status === 'processing' && (
                     <div className="mt-lg">
                         <div className="progress">
-                            <div className="progress-bar" style={{ width: '100%' }}></div>
+                            <div
+                                className="progress-bar"
+                                style={{ width: status.percent != null ? `${status.percent}%` : '100%' }}
+                            ></div>
                         </div>
                         <p className="text-center text-secondary mt-sm">
-                            Processing... This may take a few moments for large files
+                            {status.totalRows
+                                ? `Processing... ${status.rowsProcessed.toLocaleString()} of ${status.totalRows.toLocaleString()} rows (${status.percent}%)`
+                                : 'Processing... This may take a few moments for large files'}
+                            {status.etaSeconds != null && ` · about ${formatDuration(status.etaSeconds)} left`}
                         </p>
                     </div>
                 )}
 
-                {status.error && (
+                {status.error && status.status !== 'cancelled' && (
+                    <div className={`alert ${status.status === 'failed' ? 'alert-error' : 'alert-warning'} mt-lg`}>
+                        <strong>{status.status === 'failed' ? 'Error' : 'Last attempt failed'}:</strong> {status.error}
+                    </div>
+                )}
+
+                {actionError && (
                     <div className="alert alert-error mt-lg">
-                        <strong>Error:</strong> {status.error}
+                        <strong>Error:</strong> {actionError}
                     </div>
                 )}
             </div>
 
+            {/* Pricing Checks */}
+            {pricingCount > 0 && (
+                <div className="card mb-xl">
+                    <div className="card-header">
+                        <h4 className="card-title">
+                            Pricing Checks ({pricingCount.toLocaleString()})
+                        </h4>
+                        <p className="card-subtitle">
+                            Prices and margins flagged by the vendor's pricing rules. Explore the warnings to see the rows
+                        </p>
+                    </div>
+
+                    <div className="table-container">
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>Check</th>
+                                    <th>Warnings</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {Object.entries(PRICING_LABELS).map(([code, label]) => (
+                                    <tr key={code}>
+                                        <td>{label} <code>{code}</code></td>
+                                        <td>{(status.pricingSummary[code] || 0).toLocaleString()}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
             {/* Warnings */}
             {status.warnings && status.warnings.length > 0 && (
                 <div className="card mb-xl">
                     <div className="card-header">
                         <h4 className="card-title">
-                            Warnings ({status.warnings.length})
+                            Warnings ({warningCount.toLocaleString()})
                         </h4>
                         <p className="card-subtitle">
                             Review these warnings to ensure data quality
                         </p>
+                        {status.warningSummary && (
+                            <div className="flex mt-sm" style={{ gap: 'var(--space-sm)', flexWrap: 'wrap' }}>
+                                {Object.entries(status.warningSummary.bySeverity).map(([severity, count]) => (
+                                    <span key={severity} className={`badge ${SEVERITY_BADGES[severity] || 'badge-warning'}`}>
+                                        {count.toLocaleString()} {severity}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
                     </div>
 
                     <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
-                        {status.warnings.slice(0, 50).map((warning, idx) => (
-                            <div
-                                key={idx}
-                                className="alert alert-warning"
-                                style={{ marginBottom: 'var(--space-sm)' }}
-                            >
-                                {warning}
-                            </div>
+                        {status.warnings.map((warning, idx) => (
+                            <WarningItem key={idx} warning={warning} />
                         ))}
-                        {status.warnings.length > 50 && (
+                        {warningCount > status.warnings.length && (
                             <p className="text-secondary text-center mt-md">
-                                ... and {status.warnings.length - 50} more warnings
+                                ... and {(warningCount - status.warnings.length).toLocaleString()} more warnings
                             </p>
                         )}
                     </div>
+
+                    <div className="text-center mt-md">
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => navigate(`/transform/${transformId}/warnings`)}
+                        >
+                            🔍 Explore Warnings
+                        </button>
+                    </div>
                 </div>
             )}
 
@@ -213,14 +430,24 @@ const TransformPage = () => {
                     <>
                         <h3>🎉 Your file is ready!</h3>
                         <p className="text-secondary mb-lg">
-                            Download the transformed CSV file below
+                            Download the transformed {(status.outputFormat || 'csv').toUpperCase()} file below
                         </p>
 
                         <div className="flex-center" style={{ gap: '1rem', flexWrap: 'wrap' }}>
-                            <button className="btn btn-primary btn-lg" onClick={handleDownload}>
+                            <button className="btn btn-primary btn-lg" onClick={() => handleDownload()}>
                                 ⬇️ Download Transformed File
                             </button>
 
+                            {status.rejectedCount > 0 && (
+                                <button className="btn btn-secondary" onClick={() => handleDownload('rejects')}>
+                                    ⬇️ Download Rejected Rows ({status.rejectedCount.toLocaleString()})
+                                </button>
+                            )}
+
+                            <button className="btn btn-secondary" onClick={() => navigate(`/transform/${transformId}/changes`)}>
+                                📈 Price Changes
+                            </button>
+
                             <button className="btn btn-secondary" onClick={() => navigate('/')}>
                                 Upload Another File
                             </button>
@@ -230,24 +457,44 @@ const TransformPage = () => {
                             </button>
                         </div>
                     </>
-                ) : status.status === 'failed' ? (
+                ) : status.status === 'failed' || status.status === 'cancelled' ? (
                     <>
-                        <h3>Transformation Failed</h3>
+                        <h3>Transformation {status.status === 'failed' ? 'Failed' : 'Cancelled'}</h3>
                         <p className="text-secondary mb-lg">
-                            Please try again or contact support if the issue persists
+                            {status.status === 'failed'
+                                ? 'Please try again or contact support if the issue persists'
+                                : 'No file was produced. Retry to run the transformation again'}
                         </p>
 
-                        <button className="btn btn-secondary" onClick={() => navigate('/')}>
-                            ← Back to Upload
-                        </button>
+                        <div className="flex-center" style={{ gap: '1rem', flexWrap: 'wrap' }}>
+                            <button className="btn btn-primary" onClick={handleRetry} disabled={actionPending}>
+                                {actionPending ? 'Queueing...' : '🔁 Retry'}
+                            </button>
+
+                            {status.status === 'failed' && status.rejectedCount > 0 && (
+                                <button className="btn btn-secondary" onClick={() => handleDownload('rejects')}>
+                                    ⬇️ Download Rejected Rows ({status.rejectedCount.toLocaleString()})
+                                </button>
+                            )}
+
+                            <button className="btn btn-secondary" onClick={() => navigate('/')}>
+                                ← Back to Upload
+                            </button>
+                        </div>
                     </>
                 ) : (
                     <>
-                        <h3>Processing Your File</h3>
+                        <h3>{status.status === 'queued' ? 'Waiting in Queue' : 'Processing Your File'}</h3>
                         <p className="text-secondary">
-                            Please wait while we transform your data...
+                            {status.status === 'queued'
+                                ? 'Your file will be transformed as soon as a slot is free...'
+                                : 'Please wait while we transform your data...'}
                         </p>
                         <div className="spinner spinner-lg" style={{ margin: '2rem auto' }}></div>
+
+                        <button className="btn btn-secondary" onClick={handleCancel} disabled={actionPending}>
+                            {actionPending ? 'Cancelling...' : 'Cancel Transformation'}
+                        </button>
                     </>
                 )}
             </div>
@@ -6,7 +6,7 @@
 import { useState, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
-import { uploadFile, getVendors } from '../services/api';
+import { uploadFile, getVendors, updateUploadVendor } from '../services/api';
 
 const UploadPage = () => {
     const navigate = useNavigate();
@@ -15,6 +15,7 @@ const UploadPage = () => {
     const [vendors, setVendors] = useState([]);
     const [selectedVendor, setSelectedVendor] = useState('');
     const [loadingVendors, setLoadingVendors] = useState(true);
+    const [uploadResult, setUploadResult] = useState(null);
 
     // Load available vendors on mount
     useEffect(() => {
@@ -22,7 +23,6 @@ const UploadPage = () => {
             try {
                 const data = await getVendors();
                 setVendors(data.vendors || []);
-                setSelectedVendor(data.defaultVendor || 'AGNE');
             } catch (err) {
                 console.error('Failed to load vendors:', err);
                 setError('Failed to load vendor list');
@@ -40,11 +40,20 @@ const UploadPage = () => {
         const file = acceptedFiles[0];
         setUploading(true);
         setError(null);
+        setUploadResult(null);
 
         try {
-            const response = await uploadFile(file, selectedVendor);
-            // Navigate to preview page with uploadId
-            navigate(`/preview/${response.uploadId}`);
+            const response = await uploadFile(file, selectedVendor || null);
+
+            // Go straight to preview when the vendor fits the file
+            if (!response.columnWarnings || response.columnWarnings.length === 0) {
+                navigate(`/preview/${response.uploadId}`);
+                return;
+            }
+
+            // Otherwise pre-select the vendor used and let the user confirm or change it
+            setSelectedVendor(response.vendorId);
+            setUploadResult(response);
         } catch (err) {
             console.error('Upload error:', err);
             setError(err.response?.data?.error || 'Failed to upload file');
@@ -57,6 +66,8 @@ const UploadPage = () => {
         onDrop,
         accept: {
             'text/csv': ['.csv'],
+            'text/tab-separated-values': ['.tsv'],
+            'text/plain': ['.txt'],
             'application/vnd.ms-excel': ['.xls'],
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
         },
@@ -64,6 +75,20 @@ const UploadPage = () => {
         disabled: uploading,
     });
 
+    const handleVendorChange = async (vendorId) => {
+        setSelectedVendor(vendorId);
+
+        if (!uploadResult || !vendorId) return;
+
+        try {
+            const response = await updateUploadVendor(uploadResult.uploadId, vendorId);
+            setUploadResult({ ...uploadResult, ...response });
+        } catch (err) {
+            console.error('Vendor update error:', err);
+            setError(err.response?.data?.error || 'Failed to change vendor');
+        }
+    };
+
     // Get current vendor config for display
     const currentVendor = vendors.find(v => v.vendorId === selectedVendor);
 
@@ -96,7 +121,7 @@ const UploadPage = () => {
                                 <select
                                     id="vendor-select"
                                     value={selectedVendor}
-                                    onChange={(e) => setSelectedVendor(e.target.value)}
+                                    onChange={(e) => handleVendorChange(e.target.value)}
                                     disabled={uploading}
                                     style={{
                                         width: '100%',
@@ -109,6 +134,9 @@ const UploadPage = () => {
                                         cursor: 'pointer'
                                     }}
                                 >
+                                    {!uploadResult && (
+                                        <option value="">Auto-detect from file headers</option>
+                                    )}
                                     {vendors.map(vendor => (
                                         <option key={vendor.vendorId} value={vendor.vendorId}>
                                             {vendor.vendorName} - {vendor.description}
@@ -134,6 +162,61 @@ const UploadPage = () => {
                 </div>
             </div>
 
+            {/* Vendor Detection Result */}
+            {uploadResult && (
+                <div className="card card-elevated mb-lg">
+                    <div className="card-header">
+                        <h3 className="card-title">Check Vendor for {uploadResult.filename}</h3>
+                        <p className="card-subtitle">
+                            {uploadResult.vendorSource === 'detected'
+                                ? 'Vendor was detected from the file headers'
+                                : 'The selected vendor may not match this file'}
+                        </p>
+                    </div>
+
+                    {uploadResult.columnWarnings.map((warning, idx) => (
+                        <div key={idx} className="alert alert-warning" style={{ marginBottom: 'var(--space-sm)' }}>
+                            {warning}
+                        </div>
+                    ))}
+
+                    {uploadResult.vendorSuggestions?.length > 0 && (
+                        <div className="mt-md">
+                            <h5>Header Match</h5>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                                {uploadResult.vendorSuggestions.map(suggestion => (
+                                    <button
+                                        key={suggestion.vendorId}
+                                        className={`btn btn-sm ${suggestion.vendorId === selectedVendor ? 'btn-primary' : 'btn-secondary'}`}
+                                        onClick={() => handleVendorChange(suggestion.vendorId)}
+                                    >
+                                        {suggestion.vendorName} ({Math.round(suggestion.confidence * 100)}%)
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="flex mt-lg" style={{ gap: '1rem' }}>
+                        <button
+                            className="btn btn-primary"
+                            onClick={() => navigate(`/preview/${uploadResult.uploadId}`)}
+                        >
+                            Continue to Preview →
+                        </button>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => {
+                                setUploadResult(null);
+                                setSelectedVendor('');
+                            }}
+                        >
+                            Upload Different File
+                        </button>
+                    </div>
+                </div>
+            )}
+
             {/* File Upload */}
             <div className="card card-elevated">
                 <div
@@ -159,7 +242,7 @@ const UploadPage = () => {
                                     : 'Drag & drop a file here, or click to select'}
                             </div>
                             <div className="dropzone-hint">
-                                Supports CSV, XLS, and XLSX files (max 100MB)
+                                Supports CSV, TSV, TXT, XLS, and XLSX files (max 100MB)
                             </div>
                         </>
                     )}
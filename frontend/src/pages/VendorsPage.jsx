@@ -0,0 +1,910 @@
+/**
+ * Vendor Management Page
+ * Create, edit, clone and test declarative vendor profiles
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    getVendors,
+    getVendor,
+    createVendor,
+    updateVendor,
+    deleteVendor,
+    testVendorProfile,
+    uploadFile
+} from '../services/api';
+import WarningItem from '../components/WarningItem';
+
+// Warning codes and what their rules do unless a vendor's validation policy says otherwise
+const DEFAULT_VALIDATION_POLICY = {
+    MISSING_REQUIRED_VALUE: 'warn',
+    INVALID_PRICE: 'blank',
+    INVALID_COST: 'blank',
+    INVALID_NUMBER: 'blank',
+    INVALID_UPC: 'blank',
+    INVALID_CHECK_DIGIT: 'warn',
+    MISSING_CHECK_DIGIT: 'warn',
+    INVALID_DATE: 'blank',
+    UNPARSEABLE_DATE: 'blank',
+    UNEXPECTED_TAX_VALUE: 'warn',
+    MISSING_DEPOSIT_MAPPING: 'warn',
+    DEPARTMENT_PRESERVED: 'warn',
+    COST_ABOVE_RETAIL: 'warn',
+    NEGATIVE_MARGIN: 'warn',
+    SALE_ABOVE_REGULAR: 'warn',
+    LOW_MARGIN: 'warn',
+    PRICE_ENDING: 'warn',
+    END_BEFORE_START: 'warn',
+    OVERLAPPING_SPECIALS: 'warn',
+    EXPIRED_SPECIAL: 'warn',
+    FUTURE_SPECIAL: 'warn',
+    TRANSFORM_WARNING: 'warn'
+};
+
+const VALIDATION_ACTIONS = {
+    warn: 'Keep value, warn',
+    blank: 'Blank value, warn',
+    reject: 'Reject row'
+};
+
+// Pricing checks that can be switched off, all on by default
+const PRICING_CHECKS = {
+    costAboveRetail: 'Cost above retail',
+    negativeMargin: 'Sale price below cost',
+    saleAboveRegular: 'Sale price above the regular price'
+};
+
+const emptyPricingRules = {
+    costAboveRetail: true,
+    negativeMargin: true,
+    saleAboveRegular: true,
+    minMarginPercent: '',
+    departmentMinMarginPercent: '',
+    priceEndings: '',
+    columns: null
+};
+
+// Special date checks that can be switched off, all on by default
+const DATE_CHECKS = {
+    endBeforeStart: 'End date before start date',
+    overlappingSpecials: 'Sale and TPR overlap',
+    expiredSpecials: 'Already expired'
+};
+
+const DEFAULT_MAX_DAYS_AHEAD = 365;
+
+const emptyDateRules = {
+    endBeforeStart: true,
+    overlappingSpecials: true,
+    expiredSpecials: true,
+    maxDaysAhead: String(DEFAULT_MAX_DAYS_AHEAD),
+    columns: null
+};
+
+const emptyForm = {
+    vendorId: '',
+    vendorName: '',
+    description: '',
+    supportedFormats: 'csv, xlsx, xls',
+    defaultOutputFormat: '',
+    validationPolicy: {},
+    pricingRules: emptyPricingRules,
+    dateRules: emptyDateRules,
+    columns: []
+};
+
+// Convert a definition column to editable form fields
+const toFormColumn = (column) => ({
+    output: column.output || '',
+    constant: column.constant !== undefined ? String(column.constant) : '',
+    isConstant: column.constant !== undefined,
+    source: [].concat(column.source || []).join(', '),
+    transform: column.transform === undefined
+        ? ''
+        : typeof column.transform === 'string' ? column.transform : JSON.stringify(column.transform),
+    defaultValue: column.default !== undefined ? String(column.default) : '',
+    required: Boolean(column.required)
+});
+
+// Convert editable form fields back to a definition column
+const toDefinitionColumn = (column) => {
+    if (column.isConstant) {
+        return { output: column.output.trim(), constant: column.constant };
+    }
+
+    const result = {
+        output: column.output.trim(),
+        source: column.source.split(',').map(s => s.trim()).filter(Boolean)
+    };
+
+    const transform = column.transform.trim();
+    if (transform) {
+        // Accept a bare transform name or JSON for options/pipelines
+        result.transform = /^[[{]/.test(transform) ? JSON.parse(transform) : transform;
+    }
+    if (column.defaultValue !== '') result.default = column.defaultValue;
+    if (column.required) result.required = true;
+
+    return result;
+};
+
+// Convert definition pricing rules to editable form fields, e.g. department minimums as "5=30, 7=25"
+const toFormPricingRules = (rules = {}) => ({
+    ...emptyPricingRules,
+    ...Object.fromEntries(Object.keys(PRICING_CHECKS).map(check => [check, rules[check] !== false])),
+    minMarginPercent: rules.minMarginPercent !== null && rules.minMarginPercent !== undefined
+        ? String(rules.minMarginPercent)
+        : '',
+    departmentMinMarginPercent: Object.entries(rules.departmentMinMarginPercent || {})
+        .map(([department, percent]) => `${department}=${percent}`)
+        .join(', '),
+    priceEndings: (rules.priceEndings || []).join(', '),
+    columns: rules.columns || null
+});
+
+// Convert editable form fields back to definition pricing rules, leaving out defaults
+const toDefinitionPricingRules = (form) => {
+    const rules = {};
+
+    for (const check of Object.keys(PRICING_CHECKS)) {
+        if (!form[check]) rules[check] = false;
+    }
+    if (form.minMarginPercent.trim() !== '') {
+        rules.minMarginPercent = Number(form.minMarginPercent);
+    }
+
+    const departments = form.departmentMinMarginPercent.split(',').map(s => s.trim()).filter(Boolean);
+    if (departments.length > 0) {
+        rules.departmentMinMarginPercent = Object.fromEntries(departments.map(entry => {
+            const [department, percent] = entry.split('=').map(s => s.trim());
+            return [department, percent === undefined || percent === '' ? NaN : Number(percent)];
+        }));
+    }
+
+    const endings = form.priceEndings.split(',').map(s => s.trim()).filter(Boolean);
+    if (endings.length > 0) rules.priceEndings = endings;
+    if (form.columns) rules.columns = form.columns;
+
+    return rules;
+};
+
+// Convert definition date rules to editable form fields; an empty maximum turns the check off
+const toFormDateRules = (rules = {}) => ({
+    ...emptyDateRules,
+    ...Object.fromEntries(Object.keys(DATE_CHECKS).map(check => [check, rules[check] !== false])),
+    maxDaysAhead: rules.maxDaysAhead === null
+        ? ''
+        : String(rules.maxDaysAhead ?? DEFAULT_MAX_DAYS_AHEAD),
+    columns: rules.columns || null
+});
+
+// Convert editable form fields back to definition date rules, leaving out defaults
+const toDefinitionDateRules = (form) => {
+    const rules = {};
+
+    for (const check of Object.keys(DATE_CHECKS)) {
+        if (!form[check]) rules[check] = false;
+    }
+
+    const maxDaysAhead = form.maxDaysAhead.trim();
+    if (maxDaysAhead === '') {
+        rules.maxDaysAhead = null;
+    } else if (Number(maxDaysAhead) !== DEFAULT_MAX_DAYS_AHEAD) {
+        rules.maxDaysAhead = Number(maxDaysAhead);
+    }
+    if (form.columns) rules.columns = form.columns;
+
+    return rules;
+};
+
+const toForm = (definition) => ({
+    vendorId: definition.vendorId || '',
+    vendorName: definition.vendorName || '',
+    description: definition.description || '',
+    supportedFormats: (definition.supportedFormats || []).join(', '),
+    defaultOutputFormat: definition.defaultOutputFormat || '',
+    validationPolicy: { ...definition.validationPolicy },
+    pricingRules: toFormPricingRules(definition.pricingRules),
+    dateRules: toFormDateRules(definition.dateRules),
+    columns: (definition.columns || []).map(toFormColumn)
+});
+
+const VendorsPage = () => {
+    const navigate = useNavigate();
+
+    const [vendors, setVendors] = useState([]);
+    const [availableTransforms, setAvailableTransforms] = useState([]);
+    const [outputFormats, setOutputFormats] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedVendor, setSelectedVendor] = useState(null);
+    const [form, setForm] = useState(emptyForm);
+    const [isNew, setIsNew] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [errorDetails, setErrorDetails] = useState([]);
+    const [success, setSuccess] = useState(null);
+    const [testUpload, setTestUpload] = useState(null);
+    const [testResult, setTestResult] = useState(null);
+    const [testing, setTesting] = useState(false);
+
+    const readOnly = Boolean(selectedVendor?.readOnly) && !isNew;
+
+    const refreshVendors = async () => {
+        const data = await getVendors();
+        setVendors(data.vendors || []);
+        setAvailableTransforms(data.availableTransforms || []);
+        setOutputFormats(data.outputFormats || []);
+    };
+
+    useEffect(() => {
+        const loadVendors = async () => {
+            try {
+                await refreshVendors();
+            } catch (err) {
+                console.error('Failed to load vendors:', err);
+                setError('Failed to load vendor list');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadVendors();
+    }, []);
+
+    const showError = (err, fallback) => {
+        setError(err.response?.data?.error || err.message || fallback);
+        setErrorDetails(err.response?.data?.details || []);
+    };
+
+    const clearMessages = () => {
+        setError(null);
+        setErrorDetails([]);
+        setSuccess(null);
+    };
+
+    const handleSelect = async (vendorId) => {
+        clearMessages();
+        setTestResult(null);
+        try {
+            const data = await getVendor(vendorId);
+            setSelectedVendor(data);
+            setForm(toForm(data.definition));
+            setIsNew(false);
+        } catch (err) {
+            console.error('Vendor load error:', err);
+            showError(err, 'Failed to load vendor');
+        }
+    };
+
+    const handleNew = () => {
+        clearMessages();
+        setTestResult(null);
+        setSelectedVendor(null);
+        setForm({ ...emptyForm, columns: [toFormColumn({ output: 'Vendor ID', constant: '' })] });
+        setIsNew(true);
+    };
+
+    const handleClone = () => {
+        clearMessages();
+        setForm({
+            ...form,
+            vendorId: `${form.vendorId}_COPY`,
+            vendorName: `${form.vendorName} (Copy)`
+        });
+        setIsNew(true);
+    };
+
+    const updateField = (field, value) => {
+        setForm({ ...form, [field]: value });
+    };
+
+    const updatePolicy = (code, action) => {
+        const validationPolicy = { ...form.validationPolicy };
+        if (action) {
+            validationPolicy[code] = action;
+        } else {
+            delete validationPolicy[code];
+        }
+        setForm({ ...form, validationPolicy });
+    };
+
+    const updatePricingRule = (rule, value) => {
+        setForm({ ...form, pricingRules: { ...form.pricingRules, [rule]: value } });
+    };
+
+    const updateDateRule = (rule, value) => {
+        setForm({ ...form, dateRules: { ...form.dateRules, [rule]: value } });
+    };
+
+    const updateColumn = (index, field, value) => {
+        const columns = form.columns.map((column, i) => (
+            i === index ? { ...column, [field]: value } : column
+        ));
+        setForm({ ...form, columns });
+    };
+
+    const moveColumn = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= form.columns.length) return;
+
+        const columns = [...form.columns];
+        [columns[index], columns[target]] = [columns[target], columns[index]];
+        setForm({ ...form, columns });
+    };
+
+    const removeColumn = (index) => {
+        setForm({ ...form, columns: form.columns.filter((_, i) => i !== index) });
+    };
+
+    const addColumn = () => {
+        setForm({ ...form, columns: [...form.columns, toFormColumn({ output: '', source: [] })] });
+    };
+
+    const buildDefinition = () => {
+        const columns = form.columns.map(toDefinitionColumn);
+        const pricingRules = toDefinitionPricingRules(form.pricingRules);
+        const dateRules = toDefinitionDateRules(form.dateRules);
+        return {
+            vendorName: form.vendorName.trim(),
+            description: form.description.trim(),
+            supportedFormats: form.supportedFormats.split(',').map(s => s.trim()).filter(Boolean),
+            ...(form.defaultOutputFormat && { defaultOutputFormat: form.defaultOutputFormat }),
+            ...(Object.keys(form.validationPolicy).length > 0 && { validationPolicy: form.validationPolicy }),
+            ...(Object.keys(pricingRules).length > 0 && { pricingRules }),
+            ...(Object.keys(dateRules).length > 0 && { dateRules }),
+            columns,
+            outputColumns: columns.map(column => column.output)
+        };
+    };
+
+    const handleSave = async () => {
+        clearMessages();
+        const vendorId = form.vendorId.trim().toUpperCase();
+
+        try {
+            setSaving(true);
+            const definition = buildDefinition();
+            if (isNew) {
+                await createVendor(vendorId, definition);
+            } else {
+                await updateVendor(vendorId, definition);
+            }
+            await refreshVendors();
+            await handleSelect(vendorId);
+            setSuccess(`Vendor ${vendorId} saved`);
+        } catch (err) {
+            console.error('Vendor save error:', err);
+            showError(err, 'Failed to save vendor');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!confirm(`Are you sure you want to delete vendor ${form.vendorId}?`)) {
+            return;
+        }
+
+        clearMessages();
+        try {
+            await deleteVendor(form.vendorId);
+            await refreshVendors();
+            setSelectedVendor(null);
+            setForm(emptyForm);
+            setSuccess(`Vendor ${form.vendorId} deleted`);
+        } catch (err) {
+            console.error('Vendor delete error:', err);
+            showError(err, 'Failed to delete vendor');
+        }
+    };
+
+    const handleTestFile = async (event) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        clearMessages();
+        try {
+            setTesting(true);
+            const response = await uploadFile(file);
+            setTestUpload({ uploadId: response.uploadId, filename: response.filename });
+            setTestResult(null);
+        } catch (err) {
+            console.error('Test upload error:', err);
+            showError(err, 'Failed to upload test file');
+        } finally {
+            setTesting(false);
+        }
+    };
+
+    const handleTest = async () => {
+        clearMessages();
+        try {
+            setTesting(true);
+            const vendorId = form.vendorId.trim().toUpperCase() || 'DRAFT';
+            const result = await testVendorProfile(vendorId, buildDefinition(), testUpload.uploadId);
+            setTestResult(result);
+        } catch (err) {
+            console.error('Vendor test error:', err);
+            showError(err, 'Failed to test vendor profile');
+        } finally {
+            setTesting(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="container section flex-center">
+                <div className="text-center">
+                    <div className="spinner spinner-lg"></div>
+                    <p className="mt-lg text-secondary">Loading vendors...</p>
+                </div>
+            </div>
+        );
+    }
+
+    const editing = isNew || selectedVendor;
+
+    return (
+        <div className="container section">
+            <div className="flex-between mb-xl">
+                <div>
+                    <h2>Vendor Profiles</h2>
+                    <p className="text-secondary">
+                        Define column mappings for new vendors without a code deploy
+                    </p>
+                </div>
+                <button className="btn btn-secondary" onClick={() => navigate(-1)}>
+                    ← Back
+                </button>
+            </div>
+
+            {error && (
+                <div className="alert alert-error mb-lg">
+                    <strong>Error:</strong> {error}
+                    {errorDetails.length > 0 && (
+                        <ul style={{ margin: '0.5rem 0 0' }}>
+                            {errorDetails.map((detail, idx) => <li key={idx}>{detail}</li>)}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {success && (
+                <div className="alert alert-success mb-lg">
+                    <strong>Success!</strong> {success}
+                </div>
+            )}
+
+            <div className="grid" style={{ gridTemplateColumns: '280px 1fr', alignItems: 'start' }}>
+                {/* Vendor List */}
+                <div className="card">
+                    <div className="card-header">
+                        <h4 className="card-title">Vendors ({vendors.length})</h4>
+                    </div>
+
+                    <div className="flex-col" style={{ display: 'flex', gap: '0.5rem' }}>
+                        {vendors.map(vendor => (
+                            <button
+                                key={vendor.vendorId}
+                                className={`btn btn-sm ${selectedVendor?.vendorId === vendor.vendorId && !isNew ? 'btn-primary' : 'btn-secondary'}`}
+                                onClick={() => handleSelect(vendor.vendorId)}
+                                style={{ justifyContent: 'space-between' }}
+                            >
+                                <span>{vendor.vendorName}</span>
+                                {vendor.builtin && <span className="badge badge-info">Built-in</span>}
+                            </button>
+                        ))}
+                    </div>
+
+                    <button className="btn btn-primary mt-lg" onClick={handleNew} style={{ width: '100%' }}>
+                        + New Vendor
+                    </button>
+                </div>
+
+                {/* Editor */}
+                {!editing ? (
+                    <div className="card text-center">
+                        <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🏢</div>
+                        <h3>Select a Vendor</h3>
+                        <p className="text-secondary">
+                            Pick a vendor to edit, clone a built-in vendor, or create a new profile
+                        </p>
+                    </div>
+                ) : (
+                    <div>
+                        <div className="card mb-xl">
+                            <div className="card-header flex-between">
+                                <h4 className="card-title">
+                                    {isNew ? 'New Vendor' : form.vendorName}
+                                    {readOnly && <span className="badge badge-info" style={{ marginLeft: '0.5rem' }}>Read-only</span>}
+                                </h4>
+                                {readOnly && (
+                                    <button className="btn btn-sm btn-secondary" onClick={handleClone}>
+                                        Clone
+                                    </button>
+                                )}
+                            </div>
+
+                            {readOnly && (
+                                <div className="alert alert-info mb-lg">
+                                    Built-in vendors are implemented in code. Clone this vendor to start a profile from its output columns.
+                                </div>
+                            )}
+
+                            <div className="grid grid-2">
+                                <div className="form-group">
+                                    <label className="form-label">Vendor ID</label>
+                                    <input
+                                        className="form-input"
+                                        value={form.vendorId}
+                                        onChange={(e) => updateField('vendorId', e.target.value.toUpperCase())}
+                                        disabled={!isNew}
+                                        placeholder="ACME_DISTRIBUTORS"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Vendor Name</label>
+                                    <input
+                                        className="form-input"
+                                        value={form.vendorName}
+                                        onChange={(e) => updateField('vendorName', e.target.value)}
+                                        disabled={readOnly}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Description</label>
+                                    <input
+                                        className="form-input"
+                                        value={form.description}
+                                        onChange={(e) => updateField('description', e.target.value)}
+                                        disabled={readOnly}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Supported Formats</label>
+                                    <input
+                                        className="form-input"
+                                        value={form.supportedFormats}
+                                        onChange={(e) => updateField('supportedFormats', e.target.value)}
+                                        disabled={readOnly}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Default Output Format</label>
+                                    <select
+                                        className="form-select"
+                                        value={form.defaultOutputFormat}
+                                        onChange={(e) => updateField('defaultOutputFormat', e.target.value)}
+                                        disabled={readOnly}
+                                    >
+                                        <option value="">System default</option>
+                                        {outputFormats.map(({ format, label }) => (
+                                            <option key={format} value={format}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+                        </div>
+
+                        {/* Validation Policy */}
+                        <div className="card mb-xl">
+                            <div className="card-header">
+                                <h4 className="card-title">Validation Policy</h4>
+                                <p className="card-subtitle">
+                                    What happens to a row when a rule flags one of its values. Rejected rows are written to a separate rejects file
+                                </p>
+                            </div>
+                            <div className="table-container">
+                                <table className="table">
+                                    <thead>
+                                        <tr>
+                                            <th>Warning Code</th>
+                                            <th>Action</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {Object.entries(DEFAULT_VALIDATION_POLICY).map(([code, defaultAction]) => (
+                                            <tr key={code}>
+                                                <td><code>{code}</code></td>
+                                                <td>
+                                                    <select
+                                                        className="form-select"
+                                                        value={form.validationPolicy[code] || ''}
+                                                        onChange={(e) => updatePolicy(code, e.target.value)}
+                                                        disabled={readOnly}
+                                                    >
+                                                        <option value="">Default ({VALIDATION_ACTIONS[defaultAction]})</option>
+                                                        {Object.entries(VALIDATION_ACTIONS).map(([action, label]) => (
+                                                            <option key={action} value={action}>{label}</option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+
+                        {/* Pricing Rules */}
+                        <div className="card mb-xl">
+                            <div className="card-header">
+                                <h4 className="card-title">Pricing Rules</h4>
+                                <p className="card-subtitle">
+                                    Margin and price checks run on every output row. Their warnings follow the validation policy above
+                                </p>
+                            </div>
+                            <div className="flex mb-lg" style={{ gap: 'var(--space-lg)', flexWrap: 'wrap' }}>
+                                {Object.entries(PRICING_CHECKS).map(([check, label]) => (
+                                    <label key={check} className="flex" style={{ gap: 'var(--space-xs)', alignItems: 'center' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={form.pricingRules[check]}
+                                            onChange={(e) => updatePricingRule(check, e.target.checked)}
+                                            disabled={readOnly}
+                                        />
+                                        {label}
+                                    </label>
+                                ))}
+                            </div>
+                            <div className="grid grid-2">
+                                <div className="form-group">
+                                    <label className="form-label">Minimum Margin %</label>
+                                    <input
+                                        className="form-input"
+                                        type="number"
+                                        min="0"
+                                        max="99.99"
+                                        step="0.01"
+                                        value={form.pricingRules.minMarginPercent}
+                                        onChange={(e) => updatePricingRule('minMarginPercent', e.target.value)}
+                                        disabled={readOnly}
+                                        placeholder="No minimum"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Department Minimums (department=%)</label>
+                                    <input
+                                        className="form-input"
+                                        value={form.pricingRules.departmentMinMarginPercent}
+                                        onChange={(e) => updatePricingRule('departmentMinMarginPercent', e.target.value)}
+                                        disabled={readOnly}
+                                        placeholder="5=30, 7=25"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Price Endings</label>
+                                    <input
+                                        className="form-input"
+                                        value={form.pricingRules.priceEndings}
+                                        onChange={(e) => updatePricingRule('priceEndings', e.target.value)}
+                                        disabled={readOnly}
+                                        placeholder=".99, .49"
+                                    />
+                                </div>
+                            </div>
+                        </div>
+
+                        {/* Date Rules */}
+                        <div className="card mb-xl">
+                            <div className="card-header">
+                                <h4 className="card-title">Date Rules</h4>
+                                <p className="card-subtitle">
+                                    Special start and end date checks, measured from the day a transformation is requested
+                                </p>
+                            </div>
+                            <div className="flex mb-lg" style={{ gap: 'var(--space-lg)', flexWrap: 'wrap' }}>
+                                {Object.entries(DATE_CHECKS).map(([check, label]) => (
+                                    <label key={check} className="flex" style={{ gap: 'var(--space-xs)', alignItems: 'center' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={form.dateRules[check]}
+                                            onChange={(e) => updateDateRule(check, e.target.checked)}
+                                            disabled={readOnly}
+                                        />
+                                        {label}
+                                    </label>
+                                ))}
+                            </div>
+                            <div className="grid grid-2">
+                                <div className="form-group">
+                                    <label className="form-label">Maximum Days Ahead</label>
+                                    <input
+                                        className="form-input"
+                                        type="number"
+                                        min="1"
+                                        step="1"
+                                        value={form.dateRules.maxDaysAhead}
+                                        onChange={(e) => updateDateRule('maxDaysAhead', e.target.value)}
+                                        disabled={readOnly}
+                                        placeholder="No limit"
+                                    />
+                                </div>
+                            </div>
+                        </div>
+
+                        {/* Column Mappings */}
+                        <div className="card mb-xl">
+                            <div className="card-header">
+                                <h4 className="card-title">Column Mappings ({form.columns.length})</h4>
+                                <p className="card-subtitle">
+                                    Rows are written in this order. Sources are comma-separated aliases; transforms accept a name or JSON, e.g. {'{"name":"padStart","length":6}'}
+                                </p>
+                            </div>
+
+                            <datalist id="vendor-transforms">
+                                {availableTransforms.map(name => <option key={name} value={name} />)}
+                            </datalist>
+
+                            <div className="table-container">
+                                <table className="table">
+                                    <thead>
+                                        <tr>
+                                            <th>Output Column</th>
+                                            <th>Constant?</th>
+                                            <th>Source Columns / Constant</th>
+                                            <th>Transform</th>
+                                            <th>Default</th>
+                                            <th>Required</th>
+                                            {!readOnly && <th>Order</th>}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {form.columns.map((column, idx) => (
+                                            <tr key={idx}>
+                                                <td>
+                                                    <input
+                                                        className="form-input"
+                                                        value={column.output}
+                                                        onChange={(e) => updateColumn(idx, 'output', e.target.value)}
+                                                        disabled={readOnly}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={column.isConstant}
+                                                        onChange={(e) => updateColumn(idx, 'isConstant', e.target.checked)}
+                                                        disabled={readOnly}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        className="form-input"
+                                                        value={column.isConstant ? column.constant : column.source}
+                                                        onChange={(e) => updateColumn(idx, column.isConstant ? 'constant' : 'source', e.target.value)}
+                                                        disabled={readOnly}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        className="form-input"
+                                                        list="vendor-transforms"
+                                                        value={column.transform}
+                                                        onChange={(e) => updateColumn(idx, 'transform', e.target.value)}
+                                                        disabled={readOnly || column.isConstant}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        className="form-input"
+                                                        value={column.defaultValue}
+                                                        onChange={(e) => updateColumn(idx, 'defaultValue', e.target.value)}
+                                                        disabled={readOnly || column.isConstant}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={column.required}
+                                                        onChange={(e) => updateColumn(idx, 'required', e.target.checked)}
+                                                        disabled={readOnly || column.isConstant}
+                                                    />
+                                                </td>
+                                                {!readOnly && (
+                                                    <td>
+                                                        <div style={{ display: 'flex', gap: '0.25rem' }}>
+                                                            <button className="btn btn-sm btn-secondary" onClick={() => moveColumn(idx, -1)}>↑</button>
+                                                            <button className="btn btn-sm btn-secondary" onClick={() => moveColumn(idx, 1)}>↓</button>
+                                                            <button className="btn btn-sm btn-error" onClick={() => removeColumn(idx)}>✕</button>
+                                                        </div>
+                                                    </td>
+                                                )}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            {!readOnly && (
+                                <button className="btn btn-secondary mt-md" onClick={addColumn}>
+                                    + Add Column
+                                </button>
+                            )}
+                        </div>
+
+                        {/* Test Against File */}
+                        {!readOnly && (
+                            <div className="card mb-xl">
+                                <div className="card-header">
+                                    <h4 className="card-title">Test Profile</h4>
+                                    <p className="card-subtitle">
+                                        Upload a sample file and run this profile against its preview before saving
+                                    </p>
+                                </div>
+
+                                <div className="flex" style={{ gap: '1rem', alignItems: 'center' }}>
+                                    <input type="file" accept=".csv,.tsv,.txt,.xlsx,.xls" onChange={handleTestFile} disabled={testing} />
+                                    {testUpload && <span className="text-secondary">{testUpload.filename}</span>}
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={handleTest}
+                                        disabled={!testUpload || testing}
+                                    >
+                                        {testing ? 'Testing...' : '▶ Run Test'}
+                                    </button>
+                                </div>
+
+                                {testResult && (
+                                    <div className="mt-lg">
+                                        <div className="table-container">
+                                            <table className="table">
+                                                <thead>
+                                                    <tr>
+                                                        {testResult.outputColumns.map(col => <th key={col}>{col}</th>)}
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {testResult.rows.slice(0, 10).map((row, idx) => (
+                                                        <tr key={idx}>
+                                                            {testResult.outputColumns.map(col => (
+                                                                <td key={col}>{row[col] || '-'}</td>
+                                                            ))}
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+
+                                        {testResult.rejected?.length > 0 && (
+                                            <div className="alert alert-error mt-md">
+                                                <strong>{testResult.rejected.length} preview rows would be rejected:</strong>
+                                                {testResult.rejected.slice(0, 10).map(({ row, reasons }) => (
+                                                    <div key={row}>Row {row}: {reasons.join('; ')}</div>
+                                                ))}
+                                            </div>
+                                        )}
+
+                                        {testResult.warnings.length > 0 && (
+                                            <div className="mt-md" style={{ maxHeight: '200px', overflowY: 'auto' }}>
+                                                {testResult.warnings.slice(0, 20).map((warning, idx) => (
+                                                    <WarningItem key={idx} warning={warning} />
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {!readOnly && (
+                            <div className="flex" style={{ gap: '1rem' }}>
+                                <button className="btn btn-primary" onClick={handleSave} disabled={saving || !form.vendorId}>
+                                    {saving ? 'Saving...' : isNew ? 'Create Vendor' : 'Save Changes'}
+                                </button>
+                                {!isNew && (
+                                    <button className="btn btn-error" onClick={handleDelete}>
+                                        Delete Vendor
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VendorsPage;
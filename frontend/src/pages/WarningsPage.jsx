@@ -0,0 +1,366 @@
+/**
+ * Warnings Explorer Page
+ * Groups a transformation's warnings by type, pages through them, shows the affected
+ * rows with their original and transformed values, and exports the filtered set as CSV
+ */
+
+import { Fragment, useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+    getTransformWarnings,
+    getTransformWarningGroups,
+    getTransformRows,
+    getWarningsExportUrl
+} from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const SEVERITY_BADGES = {
+    error: 'badge-error',
+    warning: 'badge-warning',
+    info: 'badge-info'
+};
+
+/**
+ * Get a readable error message from a failed request
+ * @param {Error} err - Axios error
+ * @param {string} fallback - Message when the server gave none
+ * @returns {string}
+ */
+const getErrorMessage = (err, fallback) => err.response?.data?.error || fallback;
+
+const WarningsPage = () => {
+    const { transformId } = useParams();
+    const navigate = useNavigate();
+    const [groups, setGroups] = useState(null);
+    const [code, setCode] = useState('');
+    const [severity, setSeverity] = useState('');
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [inspected, setInspected] = useState(null);
+    const [rowDetails, setRowDetails] = useState({});
+
+    const requestKey = `${page}|${code}|${severity}`;
+    const loading = !error && result?.key !== requestKey;
+
+    useEffect(() => {
+        let cancelled = false;
+
+        getTransformWarningGroups(transformId)
+            .then(data => {
+                if (!cancelled) setGroups(data);
+            })
+            .catch(err => {
+                if (!cancelled) setError(getErrorMessage(err, 'Failed to load warnings'));
+            });
+
+        return () => { cancelled = true; };
+    }, [transformId]);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        getTransformWarnings(transformId, { page, limit: PAGE_SIZE, code, severity })
+            .then(data => {
+                if (!cancelled) setResult({ ...data, key: `${page}|${code}|${severity}` });
+            })
+            .catch(err => {
+                if (!cancelled) setError(getErrorMessage(err, 'Failed to load warnings'));
+            });
+
+        return () => { cancelled = true; };
+    }, [transformId, page, code, severity]);
+
+    const applyFilter = (nextCode, nextSeverity) => {
+        setCode(nextCode);
+        setSeverity(nextSeverity);
+        setPage(1);
+        setInspected(null);
+        setError(null);
+    };
+
+    const changePage = (nextPage) => {
+        setPage(nextPage);
+        setInspected(null);
+    };
+
+    const handleInspect = async (index, row) => {
+        if (inspected === index) {
+            setInspected(null);
+            return;
+        }
+
+        setInspected(index);
+        if (rowDetails[row]) return;
+
+        setRowDetails(prev => ({ ...prev, [row]: { loading: true } }));
+        try {
+            const data = await getTransformRows(transformId, [row]);
+            const found = data.rows[0];
+            setRowDetails(prev => ({
+                ...prev,
+                [row]: found
+                    ? { ...found, outputColumns: data.outputColumns }
+                    : { error: `Row ${row} was not found in the uploaded file` }
+            }));
+        } catch (err) {
+            setRowDetails(prev => ({ ...prev, [row]: { error: getErrorMessage(err, 'Failed to load row') } }));
+        }
+    };
+
+    const renderRowDetails = (warning) => {
+        const details = rowDetails[warning.row];
+        if (!details || details.loading) {
+            return <p className="text-secondary">Loading row {warning.row}...</p>;
+        }
+        if (details.error) {
+            return <p className="text-error">{details.error}</p>;
+        }
+
+        const outputColumns = [
+            ...details.outputColumns.filter(column => column in details.transformed),
+            ...Object.keys(details.transformed).filter(column => !details.outputColumns.includes(column))
+        ];
+        const highlight = (column, match) => (column === match ? { background: 'var(--color-bg-tertiary)' } : undefined);
+
+        return (
+            <>
+                {details.rejectReasons && (
+                    <div className="alert alert-error mb-md">
+                        <strong>Rejected:</strong> this row was left out of the output ({details.rejectReasons.join('; ')})
+                    </div>
+                )}
+                <div className="grid grid-2" style={{ gap: 'var(--space-lg)' }}>
+                    <div>
+                        <h5>Original{details.sheet ? ` (sheet "${details.sheet}")` : ''}</h5>
+                        <table className="table">
+                            <tbody>
+                                {Object.entries(details.original).map(([column, value]) => (
+                                    <tr key={column} style={highlight(column, warning.sourceColumn)}>
+                                        <td className="text-tertiary">{column}</td>
+                                        <td>{value === '' || value === null || value === undefined ? '-' : String(value)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div>
+                        <h5>Transformed</h5>
+                        <table className="table">
+                            <tbody>
+                                {outputColumns.map(column => (
+                                    <tr key={column} style={highlight(column, warning.outputColumn)}>
+                                        <td className="text-tertiary">{column}</td>
+                                        <td>{details.transformed[column] || '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </>
+        );
+    };
+
+    const totalWarnings = groups?.warningCount ?? 0;
+    const totalPages = result?.totalPages || 1;
+    const warnings = result?.warnings || [];
+    const showSheet = warnings.some(warning => warning.sheet);
+
+    return (
+        <div className="container section">
+            <div className="flex-between mb-xl">
+                <div>
+                    <h2>Warnings</h2>
+                    <p className="text-secondary">
+                        {groups
+                            ? `${totalWarnings.toLocaleString()} warnings in ${groups.groups.length} groups`
+                            : 'Loading warnings...'}
+                        {' • '}
+                        <span style={{ fontFamily: 'monospace' }}>{transformId.substring(0, 8)}...</span>
+                    </p>
+                </div>
+                <div className="flex" style={{ gap: 'var(--space-sm)' }}>
+                    <button className="btn btn-secondary" onClick={() => navigate(`/transform/${transformId}`)}>
+                        ← Back to Transform
+                    </button>
+                    <a
+                        className="btn btn-primary"
+                        href={getWarningsExportUrl(transformId, { code, severity })}
+                        download
+                    >
+                        ⬇️ Export CSV
+                    </a>
+                </div>
+            </div>
+
+            {error && (
+                <div className="alert alert-error mb-lg">
+                    <strong>Error:</strong> {error}
+                </div>
+            )}
+
+            {/* Groups */}
+            <div className="card mb-xl">
+                <div className="card-header flex-between">
+                    <div>
+                        <h4 className="card-title">Warning Types</h4>
+                        <p className="card-subtitle">Select a type to list only its warnings</p>
+                    </div>
+                    <select
+                        className="form-select"
+                        style={{ width: 'auto' }}
+                        value={severity}
+                        onChange={(e) => applyFilter(code, e.target.value)}
+                    >
+                        <option value="">All severities</option>
+                        {SEVERITIES.map(value => (
+                            <option key={value} value={value}>{value}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {groups && groups.groups.length === 0 ? (
+                    <p className="text-secondary">This transformation has no warnings.</p>
+                ) : (
+                    <div className="table-container">
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>Severity</th>
+                                    <th>Code</th>
+                                    <th>Count</th>
+                                    <th>Share</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr
+                                    onClick={() => applyFilter('', severity)}
+                                    style={{ cursor: 'pointer', fontWeight: code === '' ? 'bold' : undefined }}
+                                >
+                                    <td>-</td>
+                                    <td>All types</td>
+                                    <td>{totalWarnings.toLocaleString()}</td>
+                                    <td>100%</td>
+                                </tr>
+                                {(groups?.groups || []).map(group => (
+                                    <tr
+                                        key={`${group.severity}-${group.code}`}
+                                        onClick={() => applyFilter(group.code === code ? '' : group.code, severity)}
+                                        style={{ cursor: 'pointer', fontWeight: group.code === code ? 'bold' : undefined }}
+                                    >
+                                        <td>
+                                            <span className={`badge ${SEVERITY_BADGES[group.severity] || 'badge-warning'}`}>
+                                                {group.severity}
+                                            </span>
+                                        </td>
+                                        <td><code>{group.code}</code></td>
+                                        <td>{group.count.toLocaleString()}</td>
+                                        <td>{totalWarnings ? `${Math.round((group.count / totalWarnings) * 100)}%` : '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Warning list */}
+            <div className="card">
+                <div className="card-header flex-between">
+                    <div>
+                        <h4 className="card-title">
+                            {code || 'All warnings'}{severity ? ` • ${severity}` : ''}
+                        </h4>
+                        <p className="card-subtitle">
+                            {result ? `${result.total.toLocaleString()} matching warnings` : 'Loading...'}
+                        </p>
+                    </div>
+                    <div className="flex" style={{ gap: 'var(--space-sm)', alignItems: 'center' }}>
+                        <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => changePage(page - 1)}
+                            disabled={page <= 1 || loading}
+                        >
+                            ← Prev
+                        </button>
+                        <span className="text-secondary">Page {page} of {totalPages}</span>
+                        <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => changePage(page + 1)}
+                            disabled={page >= totalPages || loading}
+                        >
+                            Next →
+                        </button>
+                    </div>
+                </div>
+
+                {loading ? (
+                    <div className="text-center">
+                        <div className="spinner"></div>
+                    </div>
+                ) : warnings.length === 0 ? (
+                    <p className="text-secondary">No warnings match these filters.</p>
+                ) : (
+                    <div className="table-container">
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>Row</th>
+                                    {showSheet && <th>Sheet</th>}
+                                    <th>Severity</th>
+                                    <th>Code</th>
+                                    <th>Column</th>
+                                    <th>Value</th>
+                                    <th>Message</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {warnings.map((warning, idx) => (
+                                    <Fragment key={`${warning.row}-${idx}`}>
+                                        <tr>
+                                            <td>{warning.row ?? '-'}</td>
+                                            {showSheet && <td>{warning.sheet || '-'}</td>}
+                                            <td>
+                                                <span className={`badge ${SEVERITY_BADGES[warning.severity] || 'badge-warning'}`}>
+                                                    {warning.severity}
+                                                </span>
+                                            </td>
+                                            <td><code>{warning.code}</code></td>
+                                            <td>{warning.outputColumn || warning.sourceColumn || '-'}</td>
+                                            <td>{warning.value ?? '-'}</td>
+                                            <td>{warning.message}</td>
+                                            <td>
+                                                {warning.row && (
+                                                    <button
+                                                        className="btn btn-sm btn-secondary"
+                                                        onClick={() => handleInspect(idx, warning.row)}
+                                                    >
+                                                        {inspected === idx ? 'Hide' : 'Inspect'}
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                        {inspected === idx && (
+                                            <tr>
+                                                <td colSpan={showSheet ? 8 : 7}>
+                                                    {renderRowDetails(warning)}
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WarningsPage;
@@ -22,11 +22,65 @@ export const getVendors = async () => {
     return response.data;
 };
 
+/**
+ * Get a vendor's editable definition
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Promise<Object>} Vendor info with definition and readOnly flag
+ */
+export const getVendor = async (vendorId) => {
+    const response = await api.get(`/vendors/${vendorId}`);
+    return response.data;
+};
+
+/**
+ * Create a vendor profile
+ * @param {string} vendorId - Vendor identifier
+ * @param {Object} definition - Vendor definition
+ * @returns {Promise<Object>} Saved definition
+ */
+export const createVendor = async (vendorId, definition) => {
+    const response = await api.post(`/vendors/${vendorId}`, definition);
+    return response.data;
+};
+
+/**
+ * Update a vendor profile
+ * @param {string} vendorId - Vendor identifier
+ * @param {Object} definition - Vendor definition
+ * @returns {Promise<Object>} Saved definition
+ */
+export const updateVendor = async (vendorId, definition) => {
+    const response = await api.put(`/vendors/${vendorId}`, definition);
+    return response.data;
+};
+
+/**
+ * Delete a vendor profile
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Promise<Object>} Delete response
+ */
+export const deleteVendor = async (vendorId) => {
+    const response = await api.delete(`/vendors/${vendorId}`);
+    return response.data;
+};
+
+/**
+ * Test an unsaved vendor definition against an uploaded file's preview
+ * @param {string} vendorId - Vendor identifier
+ * @param {Object} definition - Vendor definition
+ * @param {string} uploadId - Upload ID to test against
+ * @returns {Promise<Object>} Transformed preview rows and warnings
+ */
+export const testVendorProfile = async (vendorId, definition, uploadId) => {
+    const response = await api.post(`/vendors/${vendorId}/test`, { definition, uploadId });
+    return response.data;
+};
+
 /**
  * Upload a file for transformation
  * @param {File} file - File to upload
- * @param {string} vendorId - Vendor identifier (optional, defaults to AGNE)
- * @returns {Promise<Object>} Upload response with uploadId and preview
+ * @param {string} vendorId - Vendor identifier (optional, detected from headers when omitted)
+ * @returns {Promise<Object>} Upload response with uploadId, preview and vendor suggestions
  */
 export const uploadFile = async (file, vendorId = null) => {
     const formData = new FormData();
@@ -44,6 +98,51 @@ export const uploadFile = async (file, vendorId = null) => {
     return response.data;
 };
 
+/**
+ * Change the vendor used for an upload
+ * @param {string} uploadId - Upload ID
+ * @param {string} vendorId - Vendor identifier
+ * @returns {Promise<Object>} Updated vendor and column warnings
+ */
+export const updateUploadVendor = async (uploadId, vendorId) => {
+    const response = await api.put(`/upload/${uploadId}/vendor`, { vendorId });
+    return response.data;
+};
+
+/**
+ * Choose the worksheets of an Excel upload to transform
+ * @param {string} uploadId - Upload ID
+ * @param {string[]} sheets - Sheet names, in processing order
+ * @returns {Promise<Object>} Updated preview, columns, vendor and column warnings
+ */
+export const updateUploadSheets = async (uploadId, sheets) => {
+    const response = await api.put(`/upload/${uploadId}/sheets`, { sheets });
+    return response.data;
+};
+
+/**
+ * Override the sniffed delimiter, quote character or encoding of a CSV upload
+ * @param {string} uploadId - Upload ID
+ * @param {Object} options - { delimiter, quote, encoding } (null uses the sniffed value)
+ * @returns {Promise<Object>} Updated dialect, preview, columns and vendor detection
+ */
+export const updateUploadCSVOptions = async (uploadId, options) => {
+    const response = await api.put(`/upload/${uploadId}/csv-options`, options);
+    return response.data;
+};
+
+/**
+ * Set which row of an upload holds the column names
+ * @param {string} uploadId - Upload ID
+ * @param {number|null} headerRow - 1-based row number, or null to detect it again
+ * @param {string} sheet - Excel sheet (defaults to the first selected sheet)
+ * @returns {Promise<Object>} Updated preview, columns, sheets and vendor detection
+ */
+export const updateUploadHeader = async (uploadId, headerRow, sheet = null) => {
+    const response = await api.put(`/upload/${uploadId}/header`, { headerRow, ...(sheet && { sheet }) });
+    return response.data;
+};
+
 /**
  * Get preview of uploaded file
  * @param {string} uploadId - Upload ID
@@ -58,14 +157,17 @@ export const getPreview = async (uploadId) => {
  * Start transformation
  * @param {string} uploadId - Upload ID
  * @param {string} depositMapId - Optional deposit map ID
- * @param {string} outputFormat - Output format (csv or xlsx)
+ * @param {string} outputFormat - Output format (csv, xlsx, tsv, fixed-width or jsonl; null for the vendor default)
+ * @param {Object} options - Excel options: sheets (defaults to the upload's selection), includeSourceSheet;
+ *   strict and errorThreshold to fail when more rows than the threshold are rejected or have errors
  * @returns {Promise<Object>} Transform response with transformId
  */
-export const startTransform = async (uploadId, depositMapId = null, outputFormat = 'csv') => {
+export const startTransform = async (uploadId, depositMapId = null, outputFormat = null, options = {}) => {
     const response = await api.post('/transform', {
         uploadId,
         depositMapId,
         outputFormat,
+        ...options,
     });
 
     return response.data;
@@ -81,13 +183,179 @@ export const getTransformStatus = async (transformId) => {
     return response.data;
 };
 
+/**
+ * Open a Server-Sent Events stream of transform progress
+ * @param {string} path - Event stream path
+ * @param {Function} onProgress - Called with each progress event
+ * @param {Function} onError - Called once if the stream can't be used; the caller should fall back to polling
+ * @returns {Function} Closes the stream
+ */
+const openProgressStream = (path, onProgress, onError) => {
+    if (typeof EventSource === 'undefined') {
+        onError();
+        return () => {};
+    }
+
+    const source = new EventSource(`${API_BASE_URL}${path}`);
+    source.addEventListener('progress', (event) => {
+        onProgress(JSON.parse(event.data));
+    });
+    source.onerror = () => {
+        source.close();
+        onError();
+    };
+
+    return () => source.close();
+};
+
+/**
+ * Subscribe to one transformation's progress
+ * The first event is the current state; the stream ends once the transform finishes
+ * @param {string} transformId - Transform ID
+ * @param {Function} onProgress - Called with {status, rowsProcessed, totalRows, percent, warningCount, etaSeconds, ...}
+ * @param {Function} onError - Called if the stream fails
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeTransformProgress = (transformId, onProgress, onError) => {
+    return openProgressStream(`/transform/${transformId}/events`, onProgress, onError);
+};
+
+/**
+ * Subscribe to progress of all transformations
+ * @param {Function} onProgress - Called with each progress event
+ * @param {Function} onError - Called if the stream fails
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeAllTransformProgress = (onProgress, onError) => {
+    return openProgressStream('/transform-events', onProgress, onError);
+};
+
+/**
+ * Cancel a queued or running transformation
+ * @param {string} transformId - Transform ID
+ * @returns {Promise<Object>} Cancel response
+ */
+export const cancelTransform = async (transformId) => {
+    const response = await api.post(`/transform/${transformId}/cancel`);
+    return response.data;
+};
+
+/**
+ * Queue a failed or cancelled transformation again
+ * @param {string} transformId - Transform ID
+ * @returns {Promise<Object>} Retry response
+ */
+export const retryTransform = async (transformId) => {
+    const response = await api.post(`/transform/${transformId}/retry`);
+    return response.data;
+};
+
+/**
+ * Transform a past transformation's upload again with the current rules
+ * @param {string} transformId - Transform ID
+ * @param {Object} options - vendorId and depositMapId (null for the vendor default) to change them;
+ *   left out, the earlier transformation's are used
+ * @returns {Promise<Object>} Transform response with the new transformId
+ */
+export const rerunTransform = async (transformId, options = {}) => {
+    const response = await api.post(`/transform/${transformId}/rerun`, options);
+    return response.data;
+};
+
+/**
+ * Get the transformations linked to one by re-runs
+ * @param {string} transformId - Transform ID
+ * @returns {Promise<Object>} lineage: earlier runs, the transformation and its re-runs, oldest first
+ */
+export const getTransformLineage = async (transformId) => {
+    const response = await api.get(`/transform/${transformId}/lineage`);
+    return response.data;
+};
+
+/**
+ * Get a page of a transformation's warnings
+ * @param {string} transformId - Transform ID
+ * @param {Object} options - page, limit, code and severity (comma-separated filters)
+ * @returns {Promise<Object>} Warnings page with total and totalPages
+ */
+export const getTransformWarnings = async (transformId, { page = 1, limit = 50, code = '', severity = '' } = {}) => {
+    const params = { page, limit };
+    if (code) params.code = code;
+    if (severity) params.severity = severity;
+
+    const response = await api.get(`/transform/${transformId}/warnings`, { params });
+    return response.data;
+};
+
+/**
+ * Get a transformation's warning counts by code and severity
+ * @param {string} transformId - Transform ID
+ * @returns {Promise<Object>} Groups and total warning count
+ */
+export const getTransformWarningGroups = async (transformId) => {
+    const response = await api.get(`/transform/${transformId}/warnings/groups`);
+    return response.data;
+};
+
+/**
+ * Get input rows of a transformation with their transformed values
+ * @param {string} transformId - Transform ID
+ * @param {number[]} rows - Row numbers, as in warnings
+ * @returns {Promise<Object>} Rows with original and transformed values
+ */
+export const getTransformRows = async (transformId, rows) => {
+    const response = await api.get(`/transform/${transformId}/rows`, { params: { rows: rows.join(',') } });
+    return response.data;
+};
+
+/**
+ * Get the CSV export URL for a transformation's warnings
+ * @param {string} transformId - Transform ID
+ * @param {Object} filters - code and severity (comma-separated)
+ * @returns {string} Export URL
+ */
+export const getWarningsExportUrl = (transformId, { code = '', severity = '' } = {}) => {
+    const params = new URLSearchParams();
+    if (code) params.set('code', code);
+    if (severity) params.set('severity', severity);
+
+    const query = params.toString();
+    return `${API_BASE_URL}/transform/${transformId}/warnings/export${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Get a transformation's price-change report against the vendor's previous transformation
+ * @param {string} transformId - Transform ID
+ * @param {Object} options - page, limit and type (comma-separated change types)
+ * @returns {Promise<Object>} Summary by change type and a page of changes
+ */
+export const getTransformChanges = async (transformId, { page = 1, limit = 50, type = '' } = {}) => {
+    const params = { page, limit };
+    if (type) params.type = type;
+
+    const response = await api.get(`/transform/${transformId}/changes`, { params });
+    return response.data;
+};
+
+/**
+ * Get the CSV export URL for a transformation's price-change report
+ * @param {string} transformId - Transform ID
+ * @param {Object} filters - type (comma-separated change types)
+ * @returns {string} Export URL
+ */
+export const getChangesExportUrl = (transformId, { type = '' } = {}) => {
+    const query = type ? `?type=${encodeURIComponent(type)}` : '';
+    return `${API_BASE_URL}/transform/${transformId}/changes/export${query}`;
+};
+
 /**
  * Get download URL for transformed file
  * @param {string} transformId - Transform ID
+ * @param {string} part - 'rejects' for the rows rejected by the validation policy
  * @returns {string} Download URL
  */
-export const getDownloadUrl = (transformId) => {
-    return `${API_BASE_URL}/download/${transformId}`;
+export const getDownloadUrl = (transformId, part = null) => {
+    return `${API_BASE_URL}/download/${transformId}${part ? `?part=${part}` : ''}`;
 };
 
 /**
@@ -118,11 +386,42 @@ export const getDepositMaps = async () => {
 };
 
 /**
- * Get transformation history
- * @returns {Promise<Array>} List of transformations
+ * Get a page of transformation history, newest first
+ * @param {Object} filters - vendorId, status, search, from, to and hasWarnings; empty values are left out
+ * @param {Object} options - cursor (nextCursor of the previous page) and limit
+ * @returns {Promise<Object>} Transformations and the cursor of the next page
  */
-export const getHistory = async () => {
-    const response = await api.get('/history');
+export const getHistory = async (filters = {}, { cursor = null, limit = 50 } = {}) => {
+    const params = { limit };
+    for (const [key, value] of Object.entries(filters)) {
+        if (value !== '' && value !== null && value !== undefined) params[key] = value;
+    }
+    if (cursor) params.cursor = cursor;
+
+    const response = await api.get('/history', { params });
+    return response.data;
+};
+
+/**
+ * Get the vendors in the item catalog
+ * @returns {Promise<Object>} Vendors with their item counts
+ */
+export const getCatalog = async () => {
+    const response = await api.get('/catalog');
+    return response.data;
+};
+
+/**
+ * Browse or search a vendor's catalog items
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} options - search, page and limit
+ * @returns {Promise<Object>} A page of catalog items
+ */
+export const getCatalogItems = async (vendorId, { search = '', page = 1, limit = 50 } = {}) => {
+    const params = { page, limit };
+    if (search) params.search = search;
+
+    const response = await api.get(`/catalog/${vendorId}`, { params });
     return response.data;
 };
 